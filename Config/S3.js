@@ -138,6 +138,23 @@ const documentUpload = multer({
   { name: 'bankStatement', maxCount: 6 } // Allow up to 6 monthly statements
 ]);
 
+// Multer for proof of manual payments (receipts, cheque scans, transfer slips)
+const paymentProofUpload = multer({
+  storage: multerS3(createUploadConfig('payment-proofs')),
+  fileFilter: (req, file, cb) => {
+    const filetypes = /jpeg|jpg|png|webp|pdf/;
+    const mimetype = filetypes.test(file.mimetype);
+    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+
+    cb(new Error('Only image and PDF files are allowed (JPEG, JPG, PNG, WEBP, PDF)'));
+  },
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
 // Function to delete object from S3
 const deleteS3Object = async (key) => {
   try {
@@ -153,11 +170,25 @@ const deleteS3Object = async (key) => {
   }
 };
 
+// Multer for SAP item import files (JSON, kept in memory and not stored on S3)
+const importFileUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.json') {
+      return cb(null, true);
+    }
+    cb(new Error('Only JSON files are allowed'));
+  },
+  limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit for item exports
+});
+
 module.exports = {
   s3Client,
   deleteS3Object,
   bannerUpload,
   categoryUpload,
   productUpload,
-  documentUpload
+  documentUpload,
+  paymentProofUpload,
+  importFileUpload
 };
\ No newline at end of file
@@ -0,0 +1,33 @@
+// SAP Business One Service Layer connection settings
+const sapConfig = {
+  baseUrl: (process.env.SAP_SERVICE_LAYER_URL || 'https://localhost:50000/b1s/v1').replace(/\/+$/, ''),
+  companyDB: process.env.SAP_COMPANY_DB || '',
+  username: process.env.SAP_USERNAME || '',
+  password: process.env.SAP_PASSWORD || '',
+  // Service Layer usually runs with a self-signed certificate
+  rejectUnauthorized: process.env.SAP_TLS_REJECT_UNAUTHORIZED !== 'false',
+  timeout: parseInt(process.env.SAP_TIMEOUT_MS || '30000', 10),
+
+  // Order sync worker
+  syncEnabled: process.env.SAP_SYNC_ENABLED === 'true',
+  syncIntervalMs: parseInt(process.env.SAP_SYNC_INTERVAL_MS || '60000', 10),
+  syncBatchSize: parseInt(process.env.SAP_SYNC_BATCH_SIZE || '20', 10),
+  syncMaxAttempts: parseInt(process.env.SAP_SYNC_MAX_ATTEMPTS || '8', 10),
+  syncBackoffSeconds: parseInt(process.env.SAP_SYNC_BACKOFF_SECONDS || '60', 10),
+  syncMaxBackoffSeconds: parseInt(process.env.SAP_SYNC_MAX_BACKOFF_SECONDS || '21600', 10),
+
+  // Freight (additional expense) code web delivery fees are posted under;
+  // without it orders reach SAP without their delivery fee
+  deliveryExpenseCode: process.env.SAP_DELIVERY_EXPENSE_CODE ? parseInt(process.env.SAP_DELIVERY_EXPENSE_CODE, 10) : null,
+
+  // Business partner used for web orders that have no SAP CardCode yet
+  defaultCardCode: process.env.SAP_DEFAULT_CARD_CODE || '',
+
+  // Business partners created for web customers. With a numbering series SAP
+  // assigns the CardCode, otherwise it is generated from the prefix.
+  customerSeries: process.env.SAP_CUSTOMER_SERIES ? parseInt(process.env.SAP_CUSTOMER_SERIES, 10) : null,
+  customerGroupCode: process.env.SAP_CUSTOMER_GROUP_CODE ? parseInt(process.env.SAP_CUSTOMER_GROUP_CODE, 10) : null,
+  customerCardCodePrefix: process.env.SAP_CUSTOMER_CARD_CODE_PREFIX || 'WEB'
+};
+
+module.exports = sapConfig;
@@ -1,6 +1,12 @@
 const SalesOrder = require('../../Models/SalesOrder');
 const PQFPayment = require('../../Models/Payment');
 const { sendOrderStatusUpdateEmail } = require('../../Services/emailService');
+const { syncOrderToSAP } = require('../../Services/sapOrderSync');
+const { refundOrder } = require('../../Services/refundService');
+const { recordManualPayment, getAgingReport } = require('../../Services/paymentReconciliationService');
+const { deleteS3Object } = require('../../Config/S3');
+const { generateInvoice } = require('../../Services/invoiceService');
+const { toCsvRow } = require('../../Services/csvService');
 
 const getAllOrdersAdmin = async (req, res) => {
   try {
@@ -629,8 +635,268 @@ const getOrderTimelineAdmin = async (req, res) => {
   }
 };
 
+/**
+ * POST /orders/:orderId/sap-sync
+ * Push an order to SAP now, ignoring the retry schedule
+ * Body: { resetAttempts }
+ */
+const syncOrderToSAPAdmin = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { resetAttempts = false } = req.body || {};
+    const user = req.user;
+    const isSuperAdmin = user.role === 'superAdmin';
+
+    const order = await SalesOrder.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    // Admins can only sync their assigned store's orders
+    if (!isSuperAdmin) {
+      if (!user.assignedStore || String(order.store) !== String(user.assignedStore._id || user.assignedStore)) {
+        return res.status(403).json({ success: false, message: 'Access denied: not your store order.' });
+      }
+    }
+
+    if (resetAttempts) {
+      order.SyncAttempts = 0;
+    }
+
+    const result = await syncOrderToSAP(order);
+    const statusCode = result.status === 'failed' ? 502 : 200;
+
+    return res.status(statusCode).json({
+      success: result.status !== 'failed',
+      message: result.status === 'synced' ? 'Order synced to SAP' : (result.reason || result.error),
+      data: {
+        orderId: order._id,
+        syncStatus: result.status,
+        syncedWithSAP: order.SyncedWithSAP,
+        sapDocEntry: order.SAPDocEntry,
+        docNum: order.DocNum,
+        localStatus: order.LocalStatus,
+        syncErrors: order.SyncErrors,
+        syncAttempts: order.SyncAttempts,
+        nextSyncAttempt: order.NextSyncAttempt
+      }
+    });
+  } catch (error) {
+    console.error('Admin SAP sync error:', error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * POST /orders/:orderId/refund
+ * Refund the whole order, or selected lines when `lines` is given.
+ * Card orders are refunded through Stripe; cash, cheque and bank transfer
+ * orders get a manual refund record.
+ * Body: { lines: [{ itemId, quantity }], reason, reference, restock = true }
+ */
+const refundOrderAdmin = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { lines, reason, reference, restock = true } = req.body || {};
+    const user = req.user;
+    const isSuperAdmin = user.role === 'superAdmin';
 
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, message: 'A refund reason is required' });
+    }
+    if (lines !== undefined && !Array.isArray(lines)) {
+      return res.status(400).json({ success: false, message: 'lines must be an array of { itemId, quantity }' });
+    }
 
+    const order = await SalesOrder.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    // Admins can only refund their assigned store's orders
+    if (!isSuperAdmin) {
+      if (!user.assignedStore || String(order.store) !== String(user.assignedStore._id || user.assignedStore)) {
+        return res.status(403).json({ success: false, message: 'Access denied: not your store order.' });
+      }
+    }
+
+    const result = await refundOrder(order, {
+      lines,
+      reason: String(reason).trim(),
+      reference,
+      restock: restock !== false,
+      refundedBy: user._id
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: result.fullyRefunded ? 'Order refunded' : 'Order partially refunded',
+      data: {
+        orderId: order._id,
+        amount: result.amount,
+        totalRefunded: result.totalRefunded,
+        fullyRefunded: result.fullyRefunded,
+        method: result.method,
+        stripeRefundId: result.stripeRefundId,
+        restocked: result.restocked,
+        paymentStatus: order.payment_status,
+        orderItems: order.orderItems,
+        refunds: result.payment.refunds
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Admin refund order error:', error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Record cash, cheque, bank transfer or on-account money received for an order (full or partial)
+const recordOrderPaymentAdmin = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { amount, method, receivedAt, chequeNumber, bankReference, notes } = req.body || {};
+    const user = req.user;
+    const isSuperAdmin = user.role === 'superAdmin';
+
+    const order = await SalesOrder.findById(orderId);
+    if (!order) {
+      if (req.file) await deleteS3Object(req.file.key);
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    // Admins can only reconcile their assigned store's orders
+    if (!isSuperAdmin) {
+      if (!user.assignedStore || String(order.store) !== String(user.assignedStore._id || user.assignedStore)) {
+        if (req.file) await deleteS3Object(req.file.key);
+        return res.status(403).json({ success: false, message: 'Access denied: not your store order.' });
+      }
+    }
+
+    const result = await recordManualPayment(order, {
+      amount,
+      method,
+      receivedAt,
+      chequeNumber,
+      bankReference,
+      notes,
+      proof: req.file,
+      recordedBy: user._id
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: result.fullyPaid ? 'Payment received in full' : 'Partial payment recorded',
+      data: {
+        orderId: order._id,
+        amount: result.amount,
+        amountReceived: result.amountReceived,
+        outstanding: result.outstanding,
+        fullyPaid: result.fullyPaid,
+        paymentStatus: order.payment_status,
+        receipts: result.payment.receipts
+      }
+    });
+  } catch (error) {
+    // Do not keep proof uploaded for a payment that was not recorded
+    if (req.file) await deleteS3Object(req.file.key);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Admin record payment error:', error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Aging report of unpaid cash, cheque, bank transfer and on-account orders per customer
+const getPaymentAgingAdmin = async (req, res) => {
+  try {
+    const { format = 'json', asOf } = req.query;
+    const user = req.user;
+    const isSuperAdmin = user.role === 'superAdmin';
+    let store = req.query.store || null;
+
+    // Admins can only see their assigned store
+    if (!isSuperAdmin) {
+      if (!user.assignedStore) {
+        return res.status(403).json({ success: false, message: 'Admin must have an assigned store.' });
+      }
+      store = user.assignedStore._id || user.assignedStore;
+    }
+
+    const asOfDate = asOf ? new Date(asOf) : new Date();
+    if (Number.isNaN(asOfDate.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid asOf date' });
+    }
+
+    // Read-only; Customer.outstandingBalance is kept up to date by the
+    // overdue invoice job (creditService.flagOverdueInvoices)
+    const report = await getAgingReport({ store, asOf: asOfDate });
+
+    if (format === 'csv') {
+      const csv = [
+        'Customer,Email,Card Code,0-30 Days,31-60 Days,61-90 Days,90+ Days,Overdue,Total Outstanding,Oldest Order',
+        ...report.customers.map(row =>
+          toCsvRow([
+            row.name,
+            row.email,
+            row.cardCode,
+            row.buckets.current,
+            row.buckets.days31to60,
+            row.buckets.days61to90,
+            row.buckets.over90,
+            row.overdue,
+            row.outstanding,
+            row.oldestOrderDate ? new Date(row.oldestOrderDate) : ''
+          ])
+        )
+      ].join('\n');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=payment-aging-${asOfDate.toISOString().split('T')[0]}.csv`);
+      return res.send(csv);
+    }
+
+    return res.status(200).json({ success: true, data: report });
+  } catch (error) {
+    console.error('Admin payment aging error:', error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * GET /orders/:orderId/invoice
+ * Download the order's PDF invoice, numbering it on first download
+ */
+const downloadInvoiceAdmin = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const user = req.user;
+    const isSuperAdmin = user.role === 'superAdmin';
+
+    const order = await SalesOrder.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    // Admins can only see their assigned store's orders
+    if (!isSuperAdmin) {
+      if (!user.assignedStore || String(order.store) !== String(user.assignedStore._id || user.assignedStore)) {
+        return res.status(403).json({ success: false, message: 'Access denied: not your store order.' });
+      }
+    }
+
+    const invoice = await generateInvoice(order);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${invoice.filename}`);
+    return res.send(invoice.buffer);
+  } catch (error) {
+    console.error('Admin invoice error:', error);
+    return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
 
 module.exports = {
   getAllOrdersAdmin,
@@ -641,4 +907,9 @@ module.exports = {
   bulkUpdateOrderStatusAdmin,
   sendOrderNotificationAdmin,
   getOrderTimelineAdmin,
+  syncOrderToSAPAdmin,
+  refundOrderAdmin,
+  recordOrderPaymentAdmin,
+  getPaymentAgingAdmin,
+  downloadInvoiceAdmin,
 }; 
\ No newline at end of file
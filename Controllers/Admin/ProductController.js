@@ -45,10 +45,38 @@ function shapeProductForAdmin(product) {
     validRemarks: product.ValidRemarks,
     // Warehouse breakdown
     warehouseInfo,
-    description: product.Description
+    description: product.Description,
+    // Units of measure and volume pricing
+    salesUnit: product.SalesUnit,
+    salesItemsPerUnit: product.SalesItemsPerUnit,
+    quantityBreaks: product.quantityBreaks || []
   };
 }
 
+// Validate quantity breaks from a JSON body or a multipart string field
+function parseQuantityBreaks(value) {
+  const breaks = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(breaks)) {
+    throw new Error('quantityBreaks must be an array');
+  }
+  return breaks.map(qb => {
+    const minQuantity = Number(qb.minQuantity);
+    if (!Number.isInteger(minQuantity) || minQuantity < 2) {
+      throw new Error('Each quantity break needs a whole minQuantity of at least 2');
+    }
+    if (qb.price === undefined && qb.discountPercent === undefined) {
+      throw new Error('Each quantity break needs a price or a discountPercent');
+    }
+    return {
+      uom: qb.uom || 'piece',
+      minQuantity,
+      price: qb.price !== undefined ? Number(qb.price) : undefined,
+      discountPercent: qb.discountPercent !== undefined ? Number(qb.discountPercent) : undefined,
+      priceList: qb.priceList ? Number(qb.priceList) : undefined
+    };
+  });
+}
+
 // 1. GET ALL PRODUCTS
 const getAllProducts = async (req, res) => {
   try {
@@ -169,6 +197,16 @@ const updateProduct = async (req, res) => {
     if (req.body.featured !== undefined) {
       updateData.featured = req.body.featured === 'true' || req.body.featured === true;
     }
+    if (req.body.quantityBreaks !== undefined) {
+      try {
+        updateData.quantityBreaks = parseQuantityBreaks(req.body.quantityBreaks);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: parseError.message
+        });
+      }
+    }
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({
         success: false,
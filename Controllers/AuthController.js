@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../Models/User');
+const { sendPasswordResetEmail } = require('../Services/emailService');
+const {
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  findSessionByRefreshToken
+} = require('../Services/sessionService');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Frontend page that accepts the reset token
+const getResetPasswordUrl = (token) => {
+  const baseUrl = (process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'https://pqf.foodservices.live').replace(/\/+$/, '');
+  return `${baseUrl}/reset-password/${token}`;
+};
+
+/**
+ * POST /api/auth/forgot-password
+ * Body: { email }
+ * Always answers with the same message so the endpoint cannot be used to
+ * find out which emails are registered.
+ */
+const forgotPassword = async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent.'
+  };
+
+  try {
+    const { email } = req.body || {};
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || user.status !== 'active') {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    // A different response when the mail fails would reveal that the account exists
+    const sent = await sendPasswordResetEmail(user.email, getResetPasswordUrl(resetToken), user.name);
+    if (!sent) {
+      console.error('Password reset email could not be sent:', { userId: user._id });
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(200).json(genericResponse);
+  }
+};
+
+/**
+ * PUT /api/auth/reset-password/:token
+ * Body: { password }
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      resetPasswordToken: hashedToken,
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.isTemporaryPassword = false;
+    await user.save({ validateBeforeSave: false });
+
+    // Whoever had the old password is signed out everywhere
+    await revokeAllSessions(user._id, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. You can now log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/auth/change-password
+ * Body: { currentPassword, newPassword }
+ * Also the way out of a temporary password set by a super admin.
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required'
+      });
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+    if (newPassword === currentPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    user.isTemporaryPassword = false;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // Sign out other devices; this one keeps its session
+    await revokeAllSessions(user._id, 'password_change', { exceptSessionId: req.tokenData?.sid });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ * Returns a new access token and a new refresh token; the old one stops working.
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body || {};
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const { user, ...auth } = await rotateRefreshToken(token, req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...auth,
+        requiresPasswordChange: Boolean(user.isTemporaryPassword)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/auth/logout
+ * Ends the current session. Works with the access token (even expired) or
+ * with { refreshToken } in the body.
+ */
+const logout = async (req, res) => {
+  try {
+    let sessionId = null;
+    let userId = null;
+
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+      try {
+        const decoded = jwt.verify(
+          authHeader.replace('Bearer ', ''),
+          process.env.JWT_SECRET || 'your-super-secret-jwt-key',
+          { ignoreExpiration: true }
+        );
+        sessionId = decoded.sid || null;
+        userId = decoded.id || null;
+      } catch (tokenError) {
+        // Fall back to the refresh token
+      }
+    }
+
+    if (!sessionId && req.body && req.body.refreshToken) {
+      const session = await findSessionByRefreshToken(req.body.refreshToken);
+      sessionId = session?._id || null;
+      userId = session?.user || null;
+    }
+
+    if (sessionId && userId) {
+      await revokeSession(sessionId, userId, 'logout');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/auth/logout-all
+ * Ends every session of the current user, including this one.
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, 'logout_all');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+      revokedSessions: revoked
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/auth/sessions
+ * Active sessions of the current user (device, IP, last used).
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    const currentSessionId = req.tokenData?.sid;
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        _id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(currentSessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Sign out one of the current user's devices.
+ */
+const revokeUserSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.sessionId, req.user._id, 'revoked_by_user');
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found or already signed out'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while signing out session',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeUserSession
+};
@@ -3,6 +3,12 @@ const Item = require('../Models/Product');
 const Promotion = require('../Models/Promotion');
 const AppliedPromotion = require('../Models/AppliedPromotion');
 const mongoose = require('mongoose');
+const { getProductPrice, resolvePriceList, resolveLinePrice, calculateCartTotals } = require('../Services/pricingService');
+const { syncCartPaymentIntent } = require('../Services/paymentIntentService');
+const { selectPromotions } = require('../Services/promotionCombinationService');
+const { findCoupon, isCouponRedeemable } = require('../Services/couponService');
+const { getCustomerProfile } = require('../Services/customerSegmentService');
+const { getAvailableQuantity, getMinimalOrderQuantity, getHeldQuantityForCart, holdCartStock } = require('../Services/stockService');
 
 // Helper: Find or create active cart for user
 async function getOrCreateActiveCart(userId, storeId) {
@@ -34,70 +40,37 @@ async function getOrCreateActiveCart(userId, storeId) {
   }
 }
 
-// Helper: Get product price
-function getProductPrice(product, priceListId = 2) {
-  if (!product) return 0;
-  
-  // Check ItemPrices array
-  if (product.ItemPrices && Array.isArray(product.ItemPrices)) {
-    const priceItem = product.ItemPrices.find(p => p.PriceList === priceListId);
-    if (priceItem) return priceItem.Price;
-  }
-  
-  // Check prices array
-  if (product.prices && Array.isArray(product.prices)) {
-    const priceItem = product.prices.find(p => p.PriceList === priceListId);
-    if (priceItem) return priceItem.Price;
-  }
-  
-  // Fallback to direct price field
-  if (product.price) {
-    if (typeof product.price === 'string') {
-      const priceNum = parseFloat(product.price.replace(/[^0-9.]/g, ''));
-      return isNaN(priceNum) ? 0 : priceNum;
-    }
-    return product.price;
+// Helper: Check that a product has enough sellable stock for the requested
+// quantity of a selling unit ({ uom, uomName, itemsPerUnit }, pieces by default)
+async function checkStockAvailability(product, quantity, cartId, unit = null) {
+  const itemsPerUnit = unit?.itemsPerUnit || 1;
+  const available = getAvailableQuantity(product) + await getHeldQuantityForCart(cartId, product._id);
+  if (quantity * itemsPerUnit > available) {
+    const availableUnits = Math.floor(available / itemsPerUnit);
+    return {
+      success: false,
+      error: availableUnits > 0
+        ? `Only ${availableUnits}${itemsPerUnit > 1 ? ` ${unit.uomName}` : ''} of ${product.ItemName} available`
+        : `${product.ItemName} is out of stock`,
+      code: 'INSUFFICIENT_STOCK',
+      available: availableUnits
+    };
   }
-  
-  return 0;
+  return null;
 }
 
-// Helper: Calculate cart totals with promotions
-async function calculateCartTotals(cart, appliedPromotions = []) {
-  const originalTotal = cart.items.reduce((sum, item) => {
-    // If item is free or has free quantity, only charge for the non-free portion
-    if (item.isFreeItem) {
-      // If the entire item is free, don't add anything to total
-      return sum;
-    } else if (item.freeQuantity && item.freeQuantity > 0) {
-      // If item has free quantity, only charge for the non-free portion
-      const chargeableQuantity = item.quantity - item.freeQuantity;
-      return sum + (item.price * Math.max(0, chargeableQuantity));
-    } else {
-      // Regular item, charge full price
-      return sum + (item.price * item.quantity);
-    }
-  }, 0);
-
-  let totalDiscount = 0;
-  const appliedDiscounts = [];
-
-  // Apply promotions if any
-  if (appliedPromotions.length > 0) {
-    for (const promotion of appliedPromotions) {
-      const discounts = promotion.applyToCart(cart);
-      appliedDiscounts.push(...discounts);
-      totalDiscount += discounts.reduce((sum, discount) => sum + discount.discountAmount, 0);
-    }
-  }
-
-  const finalTotal = Math.max(0, originalTotal - totalDiscount);
+// Helper: Check the warehouse MinimalOrder (in pieces) for a quantity of a selling unit
+function checkMinimalOrder(product, quantity, unit) {
+  const minimalOrder = getMinimalOrderQuantity(product);
+  if (!minimalOrder || quantity * unit.itemsPerUnit >= minimalOrder) return null;
 
+  const minimumQuantity = Math.ceil(minimalOrder / unit.itemsPerUnit);
   return {
-    originalTotal,
-    finalTotal,
-    totalDiscount,
-    appliedDiscounts
+    success: false,
+    error: `The minimum order for ${product.ItemName} is ${minimumQuantity} ${unit.uomName}`,
+    code: 'BELOW_MINIMUM_ORDER',
+    minimumQuantity,
+    uom: unit.uom
   };
 }
 
@@ -105,98 +78,150 @@ async function calculateCartTotals(cart, appliedPromotions = []) {
 async function getApplicablePromotionsForCart(cart, storeId, userId) {
   try {
     const promotions = await Promotion.findActivePromotions(storeId);
-    return promotions.filter(promotion => promotion.canApplyToCart(cart, userId));
+    const customer = await getCustomerProfile(userId);
+    return promotions.filter(promotion => promotion.canApplyToCart(cart, userId, customer));
   } catch (error) {
     console.error('Error getting applicable promotions:', error);
     return [];
   }
 }
 
-// Helper: Auto-apply eligible promotions to cart
-async function autoApplyPromotions(cart, storeId, userId) {
-  try {
-    console.log('Auto-applying promotions for cart:', cart._id);
-    
-    if (!storeId) {
-      console.log('No store ID provided, skipping auto-promotion application');
-      return cart;
+// Helper: Reprice cart lines in the user's price list (it may have changed
+// since they were added), per unit and with quantity breaks on the paid quantity
+async function applyCustomerPrices(cart, userId) {
+  const priceList = await resolvePriceList(userId);
+  for (const item of cart.items) {
+    if (item.product && item.product.ItemPrices) {
+      const paidQuantity = item.quantity - (item.freeQuantity || 0);
+      // Lines in a unit the product is no longer sold in fall back to pieces
+      const linePrice = resolveLinePrice(item.product, { uom: item.uom, quantity: paidQuantity, priceList }) ||
+        resolveLinePrice(item.product, { uom: 'piece', quantity: paidQuantity, priceList });
+      item.price = linePrice.price;
+      item.uom = linePrice.uom;
+      item.uomName = linePrice.uomName;
+      item.itemsPerUnit = linePrice.itemsPerUnit;
     }
+  }
+  return priceList;
+}
 
-    // Get auto-applicable promotions
-    const autoPromotions = await Promotion.findAutoApplicablePromotions(cart, storeId, userId);
-    console.log('Found auto-applicable promotions:', autoPromotions.length);
+// Helper: Load the promotions a cart may combine: its manual promotions (with
+// the cart entries of ones that no longer exist) and the store's
+// auto-applicable promotions, plus the customer profile targeting is checked
+// against (loaded unless given)
+async function loadPromotionCandidates(cart, storeId, userId, customer) {
+  if (customer === undefined) {
+    customer = await getCustomerProfile(userId);
+  }
+  const manual = [];
+  const missing = [];
+  for (const manualPromo of cart.appliedPromotions.filter(ap => !ap.isAutoApplied)) {
+    // Categories must be populated for isProductApplicable to match ItemsGroupCode
+    const promotion = await Promotion.findById(manualPromo.promotion?._id || manualPromo.promotion)
+      .populate('applicableCategories', 'ItemsGroupCode')
+      .populate('excludedCategories', 'ItemsGroupCode');
+    // A coupon used on another order or revoked since it was applied drops out
+    const couponValid = !manualPromo.coupon || await isCouponRedeemable(manualPromo.coupon, { cartId: cart._id });
+    if (promotion && couponValid) {
+      manual.push({ entry: manualPromo, promotion });
+    } else {
+      missing.push(manualPromo);
+    }
+  }
 
-    // Store manual promotions separately and validate them
-    const manualPromotions = cart.appliedPromotions.filter(ap => !ap.isAutoApplied);
-    const validManualPromotions = [];
-    const invalidManualPromotions = [];
+  const manualIds = new Set(manual.map(({ promotion }) => promotion._id.toString()));
+  const auto = (await Promotion.findAutoApplicablePromotions(cart, storeId, userId, customer))
+    .filter(promotion => !manualIds.has(promotion._id.toString()));
 
-    // Validate each manual promotion to see if it's still applicable
-    for (const manualPromo of manualPromotions) {
-      try {
-        const promotion = await Promotion.findById(manualPromo.promotion);
-        if (promotion && promotion.canApplyToCart(cart, userId)) {
-          // Check if the promotion still has applicable discounts
-          const testDiscounts = promotion.applyToCart(cart);
-          if (testDiscounts.length > 0) {
-            validManualPromotions.push(manualPromo);
-            console.log('Manual promotion still valid:', promotion.code);
-          } else {
-            invalidManualPromotions.push(manualPromo);
-            console.log('Manual promotion no longer has applicable discounts:', promotion.code);
-          }
-        } else {
-          invalidManualPromotions.push(manualPromo);
-          console.log('Manual promotion no longer valid:', promotion ? promotion.code : manualPromo.code);
-        }
-      } catch (error) {
-        console.error('Error validating manual promotion:', error);
-        invalidManualPromotions.push(manualPromo);
-      }
-    }
+  return { manual, missing, auto, customer };
+}
 
-    // Clean up usage tracking for invalid manual promotions
-    for (const invalidPromo of invalidManualPromotions) {
-      try {
-        const promotion = await Promotion.findById(invalidPromo.promotion);
-        if (promotion) {
-          console.log('Cleaning up usage tracking for invalid manual promotion:', promotion.code);
-          
-          // Decrement currentUsage if it was incremented (though it shouldn't be for cart-level)
-          if (promotion.currentUsage > 0) {
-            promotion.currentUsage -= 1;
-          }
-          
-          // Remove the usage history entry for this user that doesn't have an order reference
-          const userUsageIndex = promotion.usageHistory.findIndex(
-            usage => usage.user && usage.user.toString() === userId.toString() && !usage.order
-          );
-          
-          if (userUsageIndex !== -1) {
-            promotion.usageHistory.splice(userUsageIndex, 1);
-            console.log('Removed usage history entry for invalid manual promotion:', promotion._id);
-          }
-          
-          await promotion.save();
-        }
+// Helper: Add a buyXGetY promotion's free quantities to the cart
+async function addFreeItems(cart, discounts, priceList) {
+  for (const discount of discounts) {
+    if (discount.type !== 'buyXGetY' || !(discount.freeQuantity > 0)) continue;
+    const productId = discount.productId;
+    const freeQuantity = discount.freeQuantity;
+
+    // Find the product in cart
+    const existingItem = cart.items.find(
+      item => item.product && item.product._id && item.product._id.toString() === productId.toString()
+    );
 
-        // Remove applied promotion records
-        await AppliedPromotion.deleteMany({
-          promotion: invalidPromo.promotion,
-          user: userId,
-          order: null // Only remove if no order is associated (cart-level application)
+    if (existingItem) {
+      // Add free quantity to existing item
+      existingItem.quantity += freeQuantity;
+      existingItem.freeQuantity = (existingItem.freeQuantity || 0) + freeQuantity;
+      console.log(`Added ${freeQuantity} free items to cart item. Total: ${existingItem.quantity}, Free: ${existingItem.freeQuantity}`);
+    } else {
+      // This shouldn't happen for buyXGetY of same item, but handle it
+      const product = await Item.findById(productId);
+      if (product) {
+        cart.items.push({
+          product: new mongoose.Types.ObjectId(productId),
+          quantity: freeQuantity,
+          price: getProductPrice(product, priceList),
+          isFreeItem: true,
+          freeQuantity: freeQuantity
         });
-        console.log('Removed AppliedPromotion records for invalid promotion:', invalidPromo.promotion);
-        
-      } catch (cleanupError) {
-        console.error('Error cleaning up invalid manual promotion:', cleanupError);
       }
     }
+  }
+}
+
+// Helper: Remove a manual promotion from the user's cart-level tracking
+async function releaseManualPromotion(manualPromo, userId) {
+  const promotionId = manualPromo.promotion?._id || manualPromo.promotion;
+  try {
+    const promotion = await Promotion.findById(promotionId);
+    if (promotion) {
+      console.log('Cleaning up usage tracking for removed manual promotion:', promotion.code);
+      
+      // Decrement currentUsage if it was incremented (though it shouldn't be for cart-level)
+      if (promotion.currentUsage > 0) {
+        promotion.currentUsage -= 1;
+      }
+      
+      // Remove the usage history entry for this user that doesn't have an order reference
+      const userUsageIndex = promotion.usageHistory.findIndex(
+        usage => usage.user && usage.user.toString() === userId.toString() && !usage.order
+      );
+      
+      if (userUsageIndex !== -1) {
+        promotion.usageHistory.splice(userUsageIndex, 1);
+        console.log('Removed usage history entry for removed manual promotion:', promotion._id);
+      }
+      
+      await promotion.save();
+    }
+
+    // Remove applied promotion records
+    await AppliedPromotion.deleteMany({
+      promotion: promotionId,
+      user: userId,
+      order: null // Only remove if no order is associated (cart-level application)
+    });
+    console.log('Removed AppliedPromotion records for removed promotion:', promotionId);
+    
+  } catch (cleanupError) {
+    console.error('Error cleaning up removed manual promotion:', cleanupError);
+  }
+}
 
-    // Remove only auto-applied promotions and invalid manual promotions
-    cart.appliedPromotions = validManualPromotions;
+// Helper: Auto-apply eligible promotions to cart. Manual and auto promotions
+// are combined under their stacking policies; manual promotions that lose
+// are removed and every left-out promotion is listed in droppedPromotions.
+async function autoApplyPromotions(cart, storeId, userId) {
+  try {
+    console.log('Auto-applying promotions for cart:', cart._id);
+    const priceList = await applyCustomerPrices(cart, userId);
+    
+    if (!storeId) {
+      console.log('No store ID provided, skipping auto-promotion application');
+      return cart;
+    }
 
-    // Reset free items and quantities from ALL previous applications (both auto and invalid manual)
+    // Reset free items and quantities from ALL previous applications
     cart.items = cart.items.filter(item => !item.isFreeItem);
     
     // Handle items with free quantities - remove if quantity becomes 0 or less
@@ -216,79 +241,54 @@ async function autoApplyPromotions(cart, storeId, userId) {
       return true;
     });
 
-    // Apply each auto-promotion that meets criteria
-    for (const promotion of autoPromotions) {
-      console.log('Checking auto-promotion:', promotion.name, promotion.type);
-      
-      // Check if promotion still meets criteria (revalidate)
-      if (!promotion.canApplyToCart(cart, userId)) {
-        console.log('Promotion no longer meets criteria:', promotion.name);
-        continue;
-      }
-
-      // Apply the promotion
-      const appliedDiscounts = promotion.applyToCart(cart);
-      
-      if (appliedDiscounts.length > 0) {
-        console.log('Auto-applying promotion:', promotion.name, 'with', appliedDiscounts.length, 'discounts');
-        
-        // Calculate total discount amount
-        const totalDiscountAmount = appliedDiscounts.reduce((sum, discount) => sum + (discount.discountAmount || 0), 0);
-
-        // Handle buyXGetY promotions - add free items to cart
-        if (promotion.type === 'buyXGetY') {
-          for (const discount of appliedDiscounts) {
-            if (discount.type === 'buyXGetY' && discount.freeQuantity > 0) {
-              const productId = discount.productId;
-              const freeQuantity = discount.freeQuantity;
+    const { manual, missing, auto, customer } = await loadPromotionCandidates(cart, storeId, userId);
+    console.log('Found auto-applicable promotions:', auto.length);
 
-              // Find the product in cart
-              const existingItemIndex = cart.items.findIndex(
-                item => item.product && item.product._id && item.product._id.toString() === productId.toString()
-              );
+    const { selected, dropped } = selectPromotions(
+      cart,
+      [...manual.map(({ promotion }) => promotion), ...auto],
+      { userId, customer }
+    );
 
-              if (existingItemIndex > -1) {
-                // Add free quantity to existing item
-                const existingItem = cart.items[existingItemIndex];
-                existingItem.quantity += freeQuantity;
-                
-                if (!existingItem.freeQuantity) {
-                  existingItem.freeQuantity = 0;
-                }
-                existingItem.freeQuantity += freeQuantity;
+    // Manual promotions that no longer apply or lost to a better combination
+    const selectedIds = new Set(selected.map(({ promotion }) => promotion._id.toString()));
+    const removedManual = [
+      ...missing,
+      ...manual.filter(({ promotion }) => !selectedIds.has(promotion._id.toString())).map(({ entry }) => entry)
+    ];
+    for (const manualPromo of removedManual) {
+      console.log('Manual promotion removed from cart:', manualPromo.code || manualPromo.promotion);
+      await releaseManualPromotion(manualPromo, userId);
+    }
 
-                console.log(`Added ${freeQuantity} free items to cart item. Total: ${existingItem.quantity}, Free: ${existingItem.freeQuantity}`);
-              } else {
-                // This shouldn't happen for buyXGetY of same item, but handle it
-                const Item = require('../Models/Product');
-                const product = await Item.findById(productId);
-                if (product) {
-                  cart.items.push({
-                    product: new mongoose.Types.ObjectId(productId),
-                    quantity: freeQuantity,
-                    price: getProductPrice(product),
-                    isFreeItem: true,
-                    freeQuantity: freeQuantity
-                  });
-                }
-              }
-            }
-          }
-        }
+    cart.droppedPromotions = dropped.map(({ promotion, reason, message, conflictsWith }) => ({
+      promotion: promotion._id,
+      code: promotion.code,
+      name: promotion.name,
+      reason,
+      message,
+      conflictsWith: conflictsWith?.id || null
+    }));
 
-        // Track applied promotion in cart (DON'T increment usage yet - only on order placement)
-        cart.appliedPromotions.push({
-          promotion: promotion._id,
-          appliedAt: new Date(),
-          discountAmount: totalDiscountAmount,
-          code: promotion.code,
-          isAutoApplied: true
-        });
+    // Apply the selected promotions (DON'T increment usage yet - only on order placement)
+    const manualEntries = new Map(manual.map(({ entry, promotion }) => [promotion._id.toString(), entry]));
+    cart.appliedPromotions = [];
+    for (const { promotion, discounts } of selected) {
+      const manualPromo = manualEntries.get(promotion._id.toString());
 
-        console.log('Successfully auto-applied promotion:', promotion.name);
-      } else {
-        console.log('No discounts applicable for promotion:', promotion.name);
+      // Handle buyXGetY promotions - add free items to cart
+      if (promotion.type === 'buyXGetY') {
+        await addFreeItems(cart, discounts, priceList);
       }
+
+      cart.appliedPromotions.push({
+        promotion: promotion._id,
+        appliedAt: manualPromo ? manualPromo.appliedAt : new Date(),
+        discountAmount: discounts.reduce((sum, discount) => sum + (discount.discountAmount || 0), 0),
+        code: promotion.code,
+        isAutoApplied: !manualPromo
+      });
+      console.log('Applied promotion:', promotion.name, manualPromo ? '(manual)' : '(auto)');
     }
 
     console.log('Auto-apply complete. Applied promotions:', cart.appliedPromotions.length);
@@ -360,7 +360,7 @@ module.exports = {
   // Add or update item in cart
   async addItem(req, res) {
     try {
-      const { productId, quantity = 1, store } = req.body;
+      const { productId, quantity = 1, uom, store } = req.body;
       
       if (!productId) {
         return res.status(400).json({ success: false, error: 'Product ID is required' });
@@ -370,7 +370,7 @@ module.exports = {
         return res.status(400).json({ success: false, error: 'Invalid product ID' });
       }
       
-      console.log('Adding item to cart:', { productId, quantity, userId: req.user._id });
+      console.log('Adding item to cart:', { productId, quantity, uom, userId: req.user._id });
       
       // Find product
       const product = await Item.findById(productId);
@@ -381,24 +381,61 @@ module.exports = {
       // Get cart
       let cart = await getOrCreateActiveCart(req.user._id, store);
       
-      // Get current price
-      const price = getProductPrice(product);
-      
       // Check if item already exists in cart
       const existingItemIndex = cart.items.findIndex(
         item => item.product && item.product._id && item.product._id.toString() === productId
       );
+      const existingItem = existingItemIndex > -1 ? cart.items[existingItemIndex] : null;
+      
+      // A product has one cart line; its unit is changed through updateItem
+      const lineUom = uom || existingItem?.uom || 'piece';
+      if (existingItem && (existingItem.uom || 'piece') !== lineUom) {
+        return res.status(409).json({
+          success: false,
+          error: `${product.ItemName} is already in your cart by the ${existingItem.uom || 'piece'}`,
+          code: 'UOM_MISMATCH',
+          uom: existingItem.uom || 'piece'
+        });
+      }
+      
+      // Check minimum order and stock for the resulting paid quantity
+      const existingPaidQuantity = existingItem
+        ? existingItem.quantity - (existingItem.freeQuantity || 0)
+        : 0;
+      const paidQuantity = existingPaidQuantity + parseInt(quantity);
+      
+      // Current unit price in the customer's price list, with quantity breaks
+      const linePrice = resolveLinePrice(product, {
+        uom: lineUom,
+        quantity: paidQuantity,
+        priceList: await resolvePriceList(req.user._id)
+      });
+      if (!linePrice) {
+        return res.status(400).json({ success: false, error: `${product.ItemName} is not sold by the ${lineUom}` });
+      }
+      
+      const minimumError = checkMinimalOrder(product, paidQuantity, linePrice);
+      if (minimumError) {
+        return res.status(400).json(minimumError);
+      }
+      const stockError = await checkStockAvailability(product, paidQuantity, cart._id, linePrice);
+      if (stockError) {
+        return res.status(409).json(stockError);
+      }
       
-      if (existingItemIndex > -1) {
+      if (existingItem) {
         // Update existing item
-        cart.items[existingItemIndex].quantity += parseInt(quantity);
-        cart.items[existingItemIndex].price = price; // Update price in case it changed
+        existingItem.quantity += parseInt(quantity);
+        existingItem.price = linePrice.price; // Update price in case it changed
       } else {
         // Add new item
         cart.items.push({
           product: new mongoose.Types.ObjectId(productId),
           quantity: parseInt(quantity),
-          price: price
+          price: linePrice.price,
+          uom: linePrice.uom,
+          uomName: linePrice.uomName,
+          itemsPerUnit: linePrice.itemsPerUnit
         });
       }
       
@@ -409,6 +446,7 @@ module.exports = {
       cart = await autoApplyPromotions(cart, cart.store, req.user._id);
       
       await cart.save();
+      await syncCartPaymentIntent(cart, req.user._id);
       
       // Populate and return updated cart
       await cart.populate([
@@ -478,6 +516,7 @@ module.exports = {
       cart = await autoApplyPromotions(cart, cart.store, req.user._id);
       
       await cart.save();
+      await syncCartPaymentIntent(cart, req.user._id);
       await cart.populate([
         'items.product',
         {
@@ -526,9 +565,10 @@ module.exports = {
   // Update item quantity
   // NOTE: The 'quantity' parameter represents the desired PAID quantity (excluding free items)
   // The backend will recalculate and add any applicable free quantities via autoApplyPromotions
+  // An optional 'uom' ('piece' or 'case') switches the line's unit; quantity is then in that unit
   async updateItem(req, res) {
     try {
-      const { productId, quantity, store } = req.body;
+      const { productId, quantity, uom, store } = req.body;
       
       if (!productId || quantity === undefined) {
         return res.status(400).json({ 
@@ -562,15 +602,38 @@ module.exports = {
         // Remove item if quantity is 0
         cart.items.splice(itemIndex, 1);
       } else {
+        const cartItem = cart.items[itemIndex];
+        const product = cartItem.product;
+        const linePrice = resolveLinePrice(product, {
+          uom: uom || cartItem.uom || 'piece',
+          quantity: parseInt(quantity),
+          priceList: await resolvePriceList(req.user._id)
+        });
+        if (!linePrice) {
+          return res.status(400).json({ success: false, error: `${product.ItemName} is not sold by the ${uom}` });
+        }
+        
+        const minimumError = checkMinimalOrder(product, parseInt(quantity), linePrice);
+        if (minimumError) {
+          return res.status(400).json(minimumError);
+        }
+        const stockError = await checkStockAvailability(product, parseInt(quantity), cart._id, linePrice);
+        if (stockError) {
+          return res.status(409).json(stockError);
+        }
+        
         // Update PAID quantity only - reset free quantities first, then set new paid quantity
         // The quantity parameter now represents the desired PAID quantity (not total)
-        const cartItem = cart.items[itemIndex];
         
         // Reset any existing free quantities
         cartItem.freeQuantity = 0;
         cartItem.isFreeItem = false;
         
-        // Set the new paid quantity
+        // Set the new unit and paid quantity
+        cartItem.uom = linePrice.uom;
+        cartItem.uomName = linePrice.uomName;
+        cartItem.itemsPerUnit = linePrice.itemsPerUnit;
+        cartItem.price = linePrice.price;
         cartItem.quantity = parseInt(quantity);
       }
       
@@ -580,6 +643,7 @@ module.exports = {
       cart = await autoApplyPromotions(cart, cart.store, req.user._id);
       
       await cart.save();
+      await syncCartPaymentIntent(cart, req.user._id);
       await cart.populate([
         'items.product',
         {
@@ -634,6 +698,7 @@ module.exports = {
       cart.items = [];
       cart.lastUpdated = new Date();
       await cart.save();
+      await syncCartPaymentIntent(cart, req.user._id);
       
       const cartData = {
         ...cart.toObject(),
@@ -652,6 +717,57 @@ module.exports = {
     }
   },
 
+  // Choose delivery or pickup and the delivery address; the cart totals then
+  // include the store's delivery fee for that address
+  async setDelivery(req, res) {
+    try {
+      const { store, method = 'delivery', address, timeSlot, date } = req.body;
+
+      if (!['delivery', 'pickup'].includes(method)) {
+        return res.status(400).json({ success: false, error: 'Delivery method must be delivery or pickup' });
+      }
+
+      let cart = await getOrCreateActiveCart(req.user._id, store);
+      cart.delivery = {
+        method,
+        address: method === 'delivery' && address ? {
+          address: address.address,
+          city: address.city,
+          postalCode: address.postalCode,
+          country: address.country,
+          latitude: address.latitude,
+          longitude: address.longitude
+        } : undefined,
+        timeSlot: timeSlot || undefined,
+        date: timeSlot ? date : undefined
+      };
+      await cart.save();
+      await syncCartPaymentIntent(cart, req.user._id);
+
+      const allAppliedPromotions = [];
+      for (const appliedPromo of cart.appliedPromotions || []) {
+        const promotion = await Promotion.findById(appliedPromo.promotion);
+        if (promotion) {
+          allAppliedPromotions.push(promotion);
+        }
+      }
+
+      const totals = await calculateCartTotals(cart, allAppliedPromotions);
+
+      res.json({
+        success: true,
+        data: {
+          ...cart.toObject(),
+          ...totals,
+          itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0)
+        }
+      });
+    } catch (err) {
+      console.error('Error setting cart delivery:', err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  },
+
   // Apply promotion to cart - FIXED VERSION
   async applyPromotion(req, res) {
     try {
@@ -725,6 +841,22 @@ module.exports = {
           promotion = await Promotion.findOne(queryWithoutStore);
         }
       }
+
+      // Codes from a coupon batch apply the batch's promotion
+      let coupon = null;
+      if (!promotion && promotionCode) {
+        try {
+          coupon = await findCoupon(promotionCode, { cartId: cart._id });
+        } catch (couponError) {
+          return res.status(couponError.statusCode || 500).json({
+            success: false,
+            error: couponError.message
+          });
+        }
+        if (coupon) {
+          promotion = await Promotion.findOne({ _id: coupon.promotion, isActive: true });
+        }
+      }
       
       if (!promotion) {
         console.log('Promotion not found:', { promotionCode, store: cart.store });
@@ -782,7 +914,8 @@ module.exports = {
       }
       
       // Check if promotion can be applied - WITH DETAILED LOGGING
-      if (!promotion.canApplyToCart(cart, req.user._id)) {
+      const customer = await getCustomerProfile(req.user._id);
+      if (!promotion.canApplyToCart(cart, req.user._id, customer)) {
         console.log('Promotion cannot be applied to cart - checking reasons:');
         
         // Manual checks for debugging
@@ -831,6 +964,10 @@ module.exports = {
           else if (promotion.startDate > now) errorMessage = 'Promotion has not started yet';
           else if (promotion.endDate < now) errorMessage = 'Promotion has expired';
           else if (promotion.maxUsage > 0 && promotion.currentUsage >= promotion.maxUsage) errorMessage = 'Promotion usage limit exceeded';
+        } else if (!promotion.isWithinSchedule()) {
+          errorMessage = 'Promotion is not available at this time';
+        } else if (!promotion.matchesCustomer(customer)) {
+          errorMessage = 'This promotion is not available for your account';
         } else if (userUsageCount >= promotion.maxUsagePerUser) {
           errorMessage = 'You have already used this promotion maximum times';
         } else if (cartTotal < promotion.minOrderAmount) {
@@ -921,75 +1058,22 @@ module.exports = {
         });
       }
 
-      // Handle buyXGetY promotions - add free items to cart
-      if (promotion.type === 'buyXGetY' && appliedDiscounts.length > 0) {
-        console.log('Processing buyXGetY free items...');
-        
-        for (const discount of appliedDiscounts) {
-          if (discount.type === 'buyXGetY' && discount.freeQuantity > 0) {
-            const productId = discount.productId;
-            const freeQuantity = discount.freeQuantity;
-            
-            // Find the product
-            const product = await Item.findById(productId);
-            if (!product) {
-              console.log('Product not found for free item:', productId);
-              continue;
-            }
-            
-            // Check if the product already exists in cart
-            const existingItemIndex = cart.items.findIndex(
-              item => item.product && item.product._id && item.product._id.toString() === productId.toString()
-            );
-            
-            if (existingItemIndex > -1) {
-              // Add free quantity to existing item
-              const existingItem = cart.items[existingItemIndex];
-              const originalQuantity = existingItem.quantity;
-              existingItem.quantity += freeQuantity;
-              
-              // Set the freeQuantity field to track how many are free
-              if (!existingItem.freeQuantity) {
-                existingItem.freeQuantity = 0;
-              }
-              existingItem.freeQuantity += freeQuantity;
-              
-              console.log(`Added ${freeQuantity} free items to existing cart item:`, {
-                productName: product.ItemName,
-                originalQuantity: originalQuantity,
-                newQuantity: existingItem.quantity,
-                freeQuantity: existingItem.freeQuantity
-              });
-            } else {
-              // Add new item with free quantity
-              cart.items.push({
-                product: new mongoose.Types.ObjectId(productId),
-                quantity: freeQuantity,
-                price: product.PriceList?.[0]?.Price || 0, // Use actual product price for display
-                isFreeItem: true,
-                freeQuantity: freeQuantity
-              });
-              console.log(`Added new free item to cart:`, {
-                productName: product.ItemName,
-                quantity: freeQuantity,
-                price: 0
-              });
-            }
-          }
-        }
-        
-              // Save the updated cart
-      await cart.save();
-      console.log('Cart updated with free items');
-      
-      // Re-populate the cart to ensure all product data is loaded
-      await cart.populate([
-        'items.product',
-        {
-          path: 'appliedPromotions.promotion',
-          select: 'name description type code'
-        }
-      ]);
+      // The promotion must survive its stacking policy against the cart's
+      // other promotions; free items are added by autoApplyPromotions below
+      const candidates = await loadPromotionCandidates(cart, cart.store, req.user._id, customer);
+      const { dropped } = selectPromotions(
+        cart,
+        [...candidates.manual.map(({ promotion: applied }) => applied), promotion, ...candidates.auto],
+        { userId: req.user._id, customer }
+      );
+      const rejection = dropped.find(entry => entry.promotion._id.toString() === promotion._id.toString());
+      if (rejection) {
+        return res.status(409).json({
+          success: false,
+          error: rejection.message,
+          code: rejection.reason,
+          conflictsWith: rejection.conflictsWith
+        });
       }
       
       // Calculate total discount amount for usage tracking
@@ -1015,7 +1099,8 @@ module.exports = {
             promotion: promotion._id,
             appliedAt: new Date(),
             discountAmount: totalDiscountAmount,
-            code: promotion.code,
+            code: coupon ? coupon.code : promotion.code,
+            coupon: coupon ? coupon._id : undefined,
             isAutoApplied: false // Explicitly mark as manual
           });
         } else {
@@ -1040,6 +1125,7 @@ module.exports = {
       // After applying manual promotion, re-run auto-apply to check for additional auto promotions
       cart = await autoApplyPromotions(cart, cart.store, req.user._id);
       await cart.save();
+      await syncCartPaymentIntent(cart, req.user._id);
 
       // Re-populate after auto-apply
       await cart.populate([
@@ -1137,6 +1223,7 @@ module.exports = {
       }
       
       let cart = await getOrCreateActiveCart(req.user._id, store);
+      const priceList = await resolvePriceList(req.user._id);
       
       // Process each guest cart item
       for (const guestItem of guestCartItems) {
@@ -1148,8 +1235,9 @@ module.exports = {
         const product = await Item.findById(productId);
         if (!product) continue;
         
-        // Get price
-        const price = getProductPrice(product);
+        // Get unit and price; units the product is not sold in are added as pieces
+        const linePrice = resolveLinePrice(product, { uom: guestItem.uom, quantity: parseInt(quantity), priceList }) ||
+          resolveLinePrice(product, { uom: 'piece', quantity: parseInt(quantity), priceList });
         
         // Check if item already exists
         const existingItemIndex = cart.items.findIndex(
@@ -1157,20 +1245,39 @@ module.exports = {
         );
         
         if (existingItemIndex > -1) {
-          // Add to existing quantity
-          cart.items[existingItemIndex].quantity += parseInt(quantity);
+          const existingItem = cart.items[existingItemIndex];
+          if ((existingItem.uom || 'piece') === linePrice.uom) {
+            // Add to existing quantity
+            existingItem.quantity += parseInt(quantity);
+          } else {
+            // Different units: merge both into pieces
+            const pieces = existingItem.quantity * (existingItem.itemsPerUnit || 1) +
+              parseInt(quantity) * linePrice.itemsPerUnit;
+            const freePieces = (existingItem.freeQuantity || 0) * (existingItem.itemsPerUnit || 1);
+            const piecePrice = resolveLinePrice(product, { uom: 'piece', quantity: pieces - freePieces, priceList });
+            existingItem.quantity = pieces;
+            existingItem.freeQuantity = freePieces;
+            existingItem.price = piecePrice.price;
+            existingItem.uom = piecePrice.uom;
+            existingItem.uomName = piecePrice.uomName;
+            existingItem.itemsPerUnit = piecePrice.itemsPerUnit;
+          }
         } else {
           // Add new item
           cart.items.push({
             product: new mongoose.Types.ObjectId(productId),
             quantity: parseInt(quantity),
-            price: price
+            price: linePrice.price,
+            uom: linePrice.uom,
+            uomName: linePrice.uomName,
+            itemsPerUnit: linePrice.itemsPerUnit
           });
         }
       }
       
       cart.lastUpdated = new Date();
       await cart.save();
+      await syncCartPaymentIntent(cart, req.user._id);
       await cart.populate([
         'items.product',
         {
@@ -1257,6 +1364,43 @@ module.exports = {
     }
   },
 
+  // Hold stock for the cart when checkout starts (cash, cheque and bank transfer checkouts)
+  async reserveStock(req, res) {
+    try {
+      const { store } = req.body;
+      
+      let query = { user: req.user._id, status: 'active' };
+      if (store) query.store = store;
+      const cart = await Cart.findOne(query);
+      
+      if (!cart || cart.items.length === 0) {
+        return res.status(400).json({ success: false, error: 'Cart is empty' });
+      }
+      
+      const result = await holdCartStock(cart, req.user._id);
+      if (!result.success) {
+        return res.status(409).json({
+          success: false,
+          error: 'Some items are no longer available in the requested quantity',
+          code: 'INSUFFICIENT_STOCK',
+          shortages: result.shortages
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: {
+          reservationId: result.reservation._id,
+          expiresAt: result.reservation.expiresAt,
+          items: result.reservation.items
+        }
+      });
+    } catch (err) {
+      console.error('Error reserving cart stock:', err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  },
+
 // Remove promotion from cart - UPDATED VERSION
 async removePromotion(req, res) {
   try {
@@ -1384,6 +1528,7 @@ async removePromotion(req, res) {
     }
     
     await cart.save();
+    await syncCartPaymentIntent(cart, req.user._id);
     
     // Re-populate the cart
     await cart.populate([
@@ -1491,6 +1636,7 @@ async removeAllPromotions(req, res) {
     });
     
     await cart.save();
+    await syncCartPaymentIntent(cart, req.user._id);
     
     // Re-populate the cart
     await cart.populate([
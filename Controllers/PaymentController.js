@@ -6,6 +6,32 @@ const User = require('../Models/User');
 const { sendOrderConfirmationEmail } = require('../Services/emailService');
 const AppliedPromotion = require('../Models/AppliedPromotion');
 const Promotion = require('../Models/Promotion');
+const { loadCartPromotions, priceOrderItems, priceCart, toMinorUnits } = require('../Services/pricingService');
+const {
+  UPDATABLE_STATUSES,
+  buildCartIntentMetadata,
+  getIntentPricedAt,
+  getIntentDelivery,
+  verifyIntentAgainstSnapshot
+} = require('../Services/paymentIntentService');
+const { holdCartStock, commitOrderStock, releaseReservation, releaseHoldsForPaymentIntent, releaseOrderStock } = require('../Services/stockService');
+const { resolveOrderCardCode } = require('../Services/sapCustomerSync');
+const { recordWebhookEvent, processWebhookEvent } = require('../Services/stripeWebhookService');
+const WebhookEvent = require('../Models/WebhookEvent');
+const {
+  getSlotFields,
+  holdCartSlot,
+  reserveOrderSlot,
+  commitSlotReservation,
+  releaseSlotReservation,
+  releaseSlotHoldsForPaymentIntent,
+  releaseOrderSlot
+} = require('../Services/deliverySlotService');
+const { refreshOutstandingBalance } = require('../Services/paymentReconciliationService');
+const { reserveOnAccountCredit, releaseOnAccountCredit } = require('../Services/creditService');
+const { generateInvoice } = require('../Services/invoiceService');
+const { claimCoupon, releaseCouponClaims, redeemCoupon, releaseOrderCoupons } = require('../Services/couponService');
+const Store = require('../Models/Store');
 
 // Function to generate tracking number
 const generateTrackingNumber = () => {
@@ -15,6 +41,55 @@ const generateTrackingNumber = () => {
   return `${prefix}${timestamp}${random}`;
 };
 
+// Payment states only move forward, so late or out-of-order webhook events
+// (e.g. charge.failed of an earlier attempt after payment_intent.succeeded)
+// cannot undo a newer state
+const PAYMENT_STATUS_RANK = { failed: 1, canceled: 1, paid: 2, partially_refunded: 3, refunded: 4 };
+const canMovePaymentStatus = (current, next) =>
+  (PAYMENT_STATUS_RANK[next] || 0) >= (PAYMENT_STATUS_RANK[current] || 0);
+
+// Cancelled or completed subscriptions are final; later status events are ignored
+const isSubscriptionClosed = (order) => ['cancelled', 'completed'].includes(order.recurringStatus);
+
+// Cart promotion entries with a single-use coupon that survived server-side pricing
+const getPricedCouponEntries = (cart, pricing) => (cart?.appliedPromotions || []).filter(entry =>
+  entry.coupon && pricing.appliedPromotions.some(
+    applied => applied.promotionId.toString() === (entry.promotion?._id || entry.promotion).toString()
+  ));
+
+// Payment intents that can be cancelled instead of refunded
+const CANCELABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'requires_capture'];
+
+// Give the money back for a checkout that did not become an order: refund a
+// captured payment, cancel an intent that has not been captured. Returns
+// whether a refund was issued.
+async function returnUnplacedPayment(paymentIntent, context) {
+  if (!paymentIntent) return false;
+  try {
+    if (paymentIntent.status === 'succeeded') {
+      await stripe.refunds.create({ payment_intent: paymentIntent.id, reason: 'requested_by_customer' });
+      console.log(`Refunded payment for ${context}:`, paymentIntent.id);
+      return true;
+    }
+    if (CANCELABLE_INTENT_STATUSES.includes(paymentIntent.status)) {
+      await stripe.paymentIntents.cancel(paymentIntent.id);
+      console.log(`Canceled payment intent for ${context}:`, paymentIntent.id);
+    } else {
+      console.error(`Payment intent for ${context} needs a manual refund:`, paymentIntent.id, paymentIntent.status);
+    }
+  } catch (refundError) {
+    console.error(`Error refunding ${context}:`, refundError);
+  }
+  return false;
+}
+
+// Release the stock, slot and coupon holds of a checkout that will not become an order
+async function releaseCheckoutHolds(paymentIntentId, cartId, reason) {
+  await releaseHoldsForPaymentIntent(paymentIntentId, reason);
+  await releaseSlotHoldsForPaymentIntent(paymentIntentId, reason);
+  await releaseCouponClaims(cartId);
+}
+
 // Function to track promotion usage when order is confirmed
 async function trackPromotionUsageForOrder(order) {
   try {
@@ -80,6 +155,23 @@ async function trackPromotionUsageForOrder(order) {
   }
 }
 
+// Webhook handlers by Stripe event type; events of other types are stored and marked ignored
+const webhookHandlers = {
+  'payment_intent.succeeded': handlePaymentIntentSucceeded,
+  'payment_intent.payment_failed': handlePaymentIntentFailed,
+  'payment_intent.canceled': handlePaymentIntentCanceled,
+  'charge.succeeded': handleChargeSucceeded,
+  'charge.failed': handleChargeFailed,
+  'charge.refunded': handleChargeRefunded,
+  'invoice.payment_succeeded': handleInvoicePaymentSucceeded,
+  'invoice.payment_failed': handleInvoicePaymentFailed,
+  'customer.subscription.created': handleSubscriptionCreated,
+  'customer.subscription.deleted': handleSubscriptionDeleted,
+  'customer.subscription.paused': handleSubscriptionPaused,
+  'customer.subscription.resumed': handleSubscriptionResumed,
+  'customer.subscription.updated': handleSubscriptionUpdated
+};
+
 // Stripe Webhook Handler
 exports.handleStripeWebhook = async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -90,76 +182,111 @@ exports.handleStripeWebhook = async (req, res) => {
   try {
     // Verify webhook signature
     event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
-    console.log('Webhook received:', event.type);
+    console.log('Webhook received:', event.type, event.id);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
   try {
-    // Handle the event
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentIntentSucceeded(event.data.object);
-        break;
-      
-      case 'payment_intent.payment_failed':
-        await handlePaymentIntentFailed(event.data.object);
-        break;
-      
-      case 'payment_intent.canceled':
-        await handlePaymentIntentCanceled(event.data.object);
-        break;
-      
-      case 'charge.succeeded':
-        await handleChargeSucceeded(event.data.object);
-        break;
-      
-      case 'charge.failed':
-        await handleChargeFailed(event.data.object);
-        break;
-      
-      case 'charge.refunded':
-        await handleChargeRefunded(event.data.object);
-        break;
-      
-      case 'invoice.payment_succeeded':
-        await handleInvoicePaymentSucceeded(event.data.object);
-        break;
-      
-      case 'invoice.payment_failed':
-        await handleInvoicePaymentFailed(event.data.object);
-        break;
-      
-      case 'customer.subscription.created':
-        await handleSubscriptionCreated(event.data.object);
-        break;
-      
-      case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(event.data.object);
-        break;
-      
-      case 'customer.subscription.paused':
-        await handleSubscriptionPaused(event.data.object);
-        break;
-      
-      case 'customer.subscription.resumed':
-        await handleSubscriptionResumed(event.data.object);
-        break;
-      
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdated(event.data.object);
-        break;
-      
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
+    // Every event is stored once; retries of an already processed event are acknowledged only
+    const { duplicate } = await recordWebhookEvent(event);
+    const result = await processWebhookEvent(event.id, webhookHandlers);
+
+    if (result.status === 'failed') {
+      // Let Stripe retry; the stored event makes the retry safe
+      return res.status(500).json({ received: true, status: 'failed', message: result.error.message });
     }
 
-    res.json({ received: true });
+    res.json({ received: true, duplicate, status: result.status });
   } catch (error) {
     console.error('Error processing webhook:', error);
-    // Return 200 to prevent Stripe from retrying
-    res.status(200).json({ error: 'Webhook processing failed', message: error.message });
+    res.status(500).json({ error: 'Webhook processing failed', message: error.message });
+  }
+};
+
+// Admin: list stored webhook events (?status=failed&type=...&page=&limit=)
+exports.getWebhookEvents = async (req, res) => {
+  try {
+    const { status, type, objectId, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (objectId) filter.objectId = objectId;
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select('-payload')
+        .populate('replays.replayedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(+limit)
+        .lean(),
+      WebhookEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        current: +page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook events',
+      error: error.message
+    });
+  }
+};
+
+// Admin: process a stored event again. Failed events replay directly;
+// processed or ignored ones need { force: true }.
+exports.replayWebhookEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const force = req.body?.force === true || req.query.force === 'true';
+
+    const record = await WebhookEvent.findOne({ eventId }).select('status type');
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    const result = await processWebhookEvent(eventId, webhookHandlers, { force });
+    if (result.skipped) {
+      return res.status(409).json({
+        success: false,
+        message: `Event is ${result.status}; pass force=true to replay it anyway`,
+        status: result.status
+      });
+    }
+
+    await WebhookEvent.updateOne(
+      { eventId },
+      { $push: { replays: { replayedBy: req.user._id, replayedAt: new Date(), result: result.status } } }
+    );
+
+    res.status(result.status === 'failed' ? 502 : 200).json({
+      success: result.status !== 'failed',
+      message: result.status === 'failed' ? 'Replay failed' : 'Event replayed',
+      status: result.status,
+      error: result.error?.message
+    });
+  } catch (error) {
+    console.error('Error replaying webhook event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay webhook event',
+      error: error.message
+    });
   }
 };
 
@@ -178,9 +305,12 @@ async function createRecurringOrder(parentOrder, invoice = null) {
       CardCode: parentOrder.CardCode,
       payment_status: invoice ? 'paid' : 'pending',
       Payment_id: invoice ? invoice.payment_intent : null,
+      stripeInvoiceId: invoice ? invoice.id : null,
       SyncedWithSAP: false,
       LocalStatus: 'Created',
       DocumentLines: parentOrder.DocumentLines,
+      // Subscription cycles are charged at the price list the order was placed with
+      PriceList: parentOrder.PriceList,
       Address: parentOrder.Address,
       Address2: parentOrder.Address2,
       Comments: parentOrder.Comments,
@@ -188,6 +318,12 @@ async function createRecurringOrder(parentOrder, invoice = null) {
       originalTotal: parentOrder.originalTotal || parentOrder.DocTotal,
       totalDiscount: parentOrder.totalDiscount || 0,
       finalTotal: parentOrder.finalTotal || parentOrder.DocTotal,
+      VatSum: parentOrder.VatSum,
+      netTotal: parentOrder.netTotal,
+      taxTotal: parentOrder.taxTotal || 0,
+      pricesIncludeTax: parentOrder.pricesIncludeTax,
+      taxExempt: parentOrder.taxExempt,
+      deliveryFee: parentOrder.deliveryFee,
       appliedPromotions: (() => {
         try {
           if (Array.isArray(parentOrder.appliedPromotions)) return parentOrder.appliedPromotions;
@@ -256,6 +392,23 @@ async function createRecurringOrder(parentOrder, invoice = null) {
     await newOrder.save();
     console.log('New recurring order created:', newOrder._id, 'Tracking:', trackingNumber);
 
+    // Deduct stock for the generated order; the cycle is already paid, so a
+    // shortage is flagged on the order instead of failing it
+    const stockCommit = await commitOrderStock(newOrder, newOrder.orderItems.map(item => ({
+      product: item.product,
+      quantity: item.quantity,
+      itemsPerUnit: item.itemsPerUnit
+    })));
+    if (!stockCommit.success) {
+      console.error('Insufficient stock for recurring order:', newOrder._id, stockCommit.shortages);
+      newOrder.trackingHistory.push({
+        status: 'stock_shortage',
+        timestamp: new Date(),
+        note: `Insufficient stock for: ${stockCommit.shortages.map(s => s.itemCode || s.product).join(', ')}`
+      });
+      await newOrder.save();
+    }
+
     // Handle promotion usage tracking for the recurring order
     try {
       // Get the user's cart to check for applied promotions
@@ -355,8 +508,10 @@ async function createRecurringOrder(parentOrder, invoice = null) {
         customer: parentOrder.user, // Use userId as customer reference
         paymentIntentId: invoice.payment_intent,
         amount: invoice.amount_paid / 100, // Convert from cents
+        netAmount: newOrder.netTotal,
+        taxAmount: newOrder.taxTotal || 0,
         currency: invoice.currency,
-        status: 'succeeded',
+        status: 'paid',
         paymentMethod: 'card',
         store: parentOrder.store,
         createdAt: new Date(),
@@ -418,6 +573,18 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
   console.log('Processing payment_intent.succeeded:', paymentIntent.id);
   
   try {
+    // Verify the collected amount against the cart price snapshot (cart-mode intents only)
+    const amountCheck = verifyIntentAgainstSnapshot(paymentIntent);
+    if (!amountCheck.verified) {
+      console.error('Paid amount does not match cart snapshot:', {
+        paymentIntentId: paymentIntent.id,
+        cartId: paymentIntent.metadata?.cartId,
+        paidAmount: amountCheck.paidAmount,
+        expectedAmount: amountCheck.expectedAmount
+      });
+    }
+    const mismatchNote = `Paid amount ${amountCheck.paidAmount} does not match cart snapshot ${amountCheck.expectedAmount} - manual review required`;
+
     // Find the payment record by payment intent ID or order
     let payment = await Payment.findOne({ paymentIntentId: paymentIntent.id });
     
@@ -433,15 +600,23 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
       console.log('Payment record not found for payment intent:', paymentIntent.id);
       // Try to find order by payment intent ID in metadata or other fields
       const order = await SalesOrder.findOne({ Payment_id: paymentIntent.id });
+      if (order && !canMovePaymentStatus(order.payment_status, 'paid')) {
+        console.log(`Order already ${order.payment_status}, ignoring payment_intent.succeeded:`, order._id);
+        return;
+      }
       if (order) {
         order.payment_status = 'paid';
-        order.LocalStatus = 'Confirmed';
+        if (amountCheck.verified) {
+          order.LocalStatus = 'Confirmed';
+        }
         
         // Add tracking history entry
         order.trackingHistory.push({
-          status: 'payment_confirmed',
+          status: amountCheck.verified ? 'payment_confirmed' : 'payment_review',
           timestamp: new Date(),
-          note: 'Payment confirmed via Stripe webhook (no payment record found)'
+          note: amountCheck.verified
+            ? 'Payment confirmed via Stripe webhook (no payment record found)'
+            : mismatchNote
         });
         
         await order.save();
@@ -450,16 +625,27 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
       return;
     }
 
+    if (!canMovePaymentStatus(payment.status, 'paid')) {
+      console.log(`Payment already ${payment.status}, ignoring payment_intent.succeeded:`, payment._id);
+      return;
+    }
+
     // Update payment status
     payment.status = 'paid';
     payment.updatedAt = new Date();
+    if (!amountCheck.verified) {
+      payment.failureReason = mismatchNote;
+      payment.metadata.set('amountMismatch', 'true');
+    }
     await payment.save();
 
     // Find and update the order
     const order = await SalesOrder.findById(payment.order);
     if (order) {
       order.payment_status = 'paid';
-      order.LocalStatus = 'Confirmed';
+      if (amountCheck.verified) {
+        order.LocalStatus = 'Confirmed';
+      }
       // Update Payment_id field with Stripe Payment Intent ID or Subscription ID
       if (payment.paymentIntentId) {
         order.Payment_id = payment.paymentIntentId;
@@ -471,9 +657,9 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
       
       // Add tracking history entry
       order.trackingHistory.push({
-        status: 'payment_confirmed',
+        status: amountCheck.verified ? 'payment_confirmed' : 'payment_review',
         timestamp: new Date(),
-        note: 'Payment confirmed via Stripe webhook'
+        note: amountCheck.verified ? 'Payment confirmed via Stripe webhook' : mismatchNote
       });
       
       await order.save();
@@ -486,12 +672,12 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
     console.log('Payment intent succeeded processed successfully');
   } catch (error) {
     console.error('Error handling payment_intent.succeeded:', error);
-    // Don't throw error to prevent 503, just log it
     console.error('Payment intent succeeded error details:', {
       paymentIntentId: paymentIntent?.id,
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
@@ -499,6 +685,11 @@ async function handlePaymentIntentFailed(paymentIntent) {
   console.log('Processing payment_intent.payment_failed:', paymentIntent.id);
   
   try {
+    // Release any checkout stock and slot hold for this intent
+    await releaseHoldsForPaymentIntent(paymentIntent.id, 'payment_failed');
+    await releaseSlotHoldsForPaymentIntent(paymentIntent.id, 'payment_failed');
+    await releaseCouponClaims(paymentIntent.metadata?.cartId);
+
     // Find the payment record
     const payment = await Payment.findOne({ paymentIntentId: paymentIntent.id });
     if (!payment) {
@@ -506,6 +697,11 @@ async function handlePaymentIntentFailed(paymentIntent) {
       return;
     }
 
+    if (!canMovePaymentStatus(payment.status, 'failed')) {
+      console.log(`Payment already ${payment.status}, ignoring payment_intent.payment_failed:`, payment._id);
+      return;
+    }
+
     // Update payment status
     payment.status = 'failed';
     payment.updatedAt = new Date();
@@ -525,6 +721,8 @@ async function handlePaymentIntentFailed(paymentIntent) {
       });
       
       await order.save();
+      await releaseOrderStock(order._id, 'payment_failed');
+      await releaseOrderSlot(order._id, 'payment_failed');
       console.log('Order updated after payment failure:', order._id);
     }
 
@@ -539,6 +737,11 @@ async function handlePaymentIntentCanceled(paymentIntent) {
   console.log('Processing payment_intent.canceled:', paymentIntent.id);
   
   try {
+    // Release any checkout stock and slot hold for this intent
+    await releaseHoldsForPaymentIntent(paymentIntent.id, 'payment_canceled');
+    await releaseSlotHoldsForPaymentIntent(paymentIntent.id, 'payment_canceled');
+    await releaseCouponClaims(paymentIntent.metadata?.cartId);
+
     // Find the payment record
     const payment = await Payment.findOne({ paymentIntentId: paymentIntent.id });
     if (!payment) {
@@ -546,6 +749,11 @@ async function handlePaymentIntentCanceled(paymentIntent) {
       return;
     }
 
+    if (!canMovePaymentStatus(payment.status, 'canceled')) {
+      console.log(`Payment already ${payment.status}, ignoring payment_intent.canceled:`, payment._id);
+      return;
+    }
+
     // Update payment status
     payment.status = 'canceled';
     payment.updatedAt = new Date();
@@ -565,6 +773,8 @@ async function handlePaymentIntentCanceled(paymentIntent) {
       });
       
       await order.save();
+      await releaseOrderStock(order._id, 'payment_canceled');
+      await releaseOrderSlot(order._id, 'payment_canceled');
       console.log('Order updated after payment cancellation:', order._id);
     }
 
@@ -595,15 +805,21 @@ async function handleChargeSucceeded(charge) {
     // Update payment with charge details
     payment.chargeId = charge.id;
     payment.receiptUrl = charge.receipt_url;
-    payment.status = 'paid';
+    const markPaid = canMovePaymentStatus(payment.status, 'paid');
+    if (markPaid) {
+      payment.status = 'paid';
+    }
     payment.updatedAt = new Date();
     await payment.save();
 
-    // Find and update the order
+    // Find and update the order. Confirming the order is left to
+    // payment_intent.succeeded, which checks the paid amount, so the result
+    // does not depend on which of the two events arrives first.
     const order = await SalesOrder.findById(payment.order);
     if (order) {
-      order.payment_status = 'paid';
-      order.LocalStatus = 'Confirmed';
+      if (markPaid && canMovePaymentStatus(order.payment_status, 'paid')) {
+        order.payment_status = 'paid';
+      }
       
       // Add tracking history entry
       order.trackingHistory.push({
@@ -619,13 +835,13 @@ async function handleChargeSucceeded(charge) {
     console.log('Charge succeeded processed successfully');
   } catch (error) {
     console.error('Error handling charge.succeeded:', error);
-    // Don't throw error to prevent 503, just log it
     console.error('Charge succeeded error details:', {
       chargeId: charge?.id,
       paymentIntentId: charge?.payment_intent,
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
@@ -646,6 +862,11 @@ async function handleChargeFailed(charge) {
       return;
     }
 
+    if (!canMovePaymentStatus(payment.status, 'failed')) {
+      console.log(`Payment already ${payment.status}, ignoring charge.failed:`, payment._id);
+      return;
+    }
+
     // Update payment status
     payment.status = 'failed';
     payment.updatedAt = new Date();
@@ -671,13 +892,13 @@ async function handleChargeFailed(charge) {
     console.log('Charge failed processed successfully');
   } catch (error) {
     console.error('Error handling charge.failed:', error);
-    // Don't throw error to prevent 503, just log it
     console.error('Charge failed error details:', {
       chargeId: charge?.id,
       paymentIntentId: charge?.payment_intent,
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
@@ -698,38 +919,66 @@ async function handleChargeRefunded(charge) {
       return;
     }
 
+    // Stripe's running total is authoritative, so refunds issued from the
+    // Stripe dashboard are picked up as well as the ones issued by admins
+    const refundStatus = charge.refunded ? 'refunded' : 'partially_refunded';
+    if (!canMovePaymentStatus(payment.status, refundStatus)) {
+      console.log(`Payment already ${payment.status}, ignoring charge.refunded:`, payment._id);
+      return;
+    }
+    const latestRefund = charge.refunds?.data?.[0];
+    const latestRefundId = latestRefund?.id;
+    const recordedByAdmin = Boolean(latestRefundId) &&
+      (payment.refunds || []).some(refund => refund.stripeRefundId === latestRefundId);
+    // Refunds issued through refundOrder restock or not as the admin chose;
+    // their metadata marks them in case this event arrives before they are recorded
+    const stockHandledByRefund = recordedByAdmin || latestRefund?.metadata?.restock !== undefined;
+
     // Update payment status
-    payment.status = 'refunded';
+    payment.status = refundStatus;
+    payment.refundAmount = Math.max(payment.refundAmount || 0, (charge.amount_refunded || 0) / 100);
     payment.updatedAt = new Date();
     await payment.save();
 
     // Find and update the order
     const order = await SalesOrder.findById(payment.order);
     if (order) {
-      order.payment_status = 'refunded';
-      order.LocalStatus = 'Refunded';
+      order.payment_status = refundStatus;
+      if (charge.refunded) {
+        order.LocalStatus = 'Refunded';
+      }
       
-      // Add tracking history entry
-      order.trackingHistory.push({
-        status: 'payment_refunded',
-        timestamp: new Date(),
-        note: `Payment refunded: ${charge.refunds?.data?.[0]?.id || 'Unknown refund'}`
-      });
+      // Admin refunds already added their own history entry
+      if (!recordedByAdmin) {
+        order.trackingHistory.push({
+          status: 'payment_refunded',
+          timestamp: new Date(),
+          note: `Payment refunded: ${latestRefundId || 'Unknown refund'}`
+        });
+      }
       
       await order.save();
+
+      // Full refunds put the order's stock back and free its slot; partial refunds restock per line
+      if (charge.refunded) {
+        if (!stockHandledByRefund) {
+          await releaseOrderStock(order._id, 'refunded');
+        }
+        await releaseOrderSlot(order._id, 'refunded');
+      }
       console.log('Order updated after charge refund:', order._id);
     }
 
     console.log('Charge refunded processed successfully');
   } catch (error) {
     console.error('Error handling charge.refunded:', error);
-    // Don't throw error to prevent 503, just log it
     console.error('Charge refunded error details:', {
       chargeId: charge?.id,
       paymentIntentId: charge?.payment_intent,
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
@@ -750,6 +999,11 @@ async function handleSubscriptionCreated(subscription) {
       return;
     }
 
+    if (isSubscriptionClosed(order)) {
+      console.log(`Subscription already ${order.recurringStatus}, ignoring customer.subscription.created:`, subscription.id);
+      return;
+    }
+
     // Update order with subscription details
     order.stripeSubscriptionId = subscription.id;
     order.recurringStatus = subscription.status === 'active' ? 'active' : 'paused';
@@ -769,12 +1023,12 @@ async function handleSubscriptionCreated(subscription) {
     console.log('Subscription created successfully for order:', order._id);
   } catch (error) {
     console.error('Error handling customer.subscription.created:', error);
-    // Don't throw error to prevent 503, just log it
     console.error('Subscription created error details:', {
       subscriptionId: subscription?.id,
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
@@ -805,12 +1059,12 @@ async function handleSubscriptionDeleted(subscription) {
     console.log('Subscription deleted successfully for order:', order._id);
   } catch (error) {
     console.error('Error handling customer.subscription.deleted:', error);
-    // Don't throw error to prevent 503, just log it
     console.error('Subscription deleted error details:', {
       subscriptionId: subscription?.id,
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
@@ -825,6 +1079,11 @@ async function handleSubscriptionPaused(subscription) {
       return;
     }
 
+    if (isSubscriptionClosed(order)) {
+      console.log(`Subscription already ${order.recurringStatus}, ignoring customer.subscription.paused:`, subscription.id);
+      return;
+    }
+
     // Update order status
     order.recurringStatus = 'paused';
     order.updatedAt = new Date();
@@ -841,12 +1100,12 @@ async function handleSubscriptionPaused(subscription) {
     console.log('Subscription paused successfully for order:', order._id);
   } catch (error) {
     console.error('Error handling customer.subscription.paused:', error);
-    // Don't throw error to prevent 503, just log it
     console.error('Subscription paused error details:', {
       subscriptionId: subscription?.id,
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
@@ -861,6 +1120,11 @@ async function handleSubscriptionResumed(subscription) {
       return;
     }
 
+    if (isSubscriptionClosed(order)) {
+      console.log(`Subscription already ${order.recurringStatus}, ignoring customer.subscription.resumed:`, subscription.id);
+      return;
+    }
+
     // Update order status
     order.recurringStatus = 'active';
     order.nextRecurringDate = new Date(subscription.current_period_end * 1000);
@@ -878,12 +1142,12 @@ async function handleSubscriptionResumed(subscription) {
     console.log('Subscription resumed successfully for order:', order._id);
   } catch (error) {
     console.error('Error handling customer.subscription.resumed:', error);
-    // Don't throw error to prevent 503, just log it
     console.error('Subscription resumed error details:', {
       subscriptionId: subscription?.id,
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
@@ -898,6 +1162,11 @@ async function handleSubscriptionUpdated(subscription) {
       return;
     }
 
+    if (isSubscriptionClosed(order)) {
+      console.log(`Subscription already ${order.recurringStatus}, ignoring customer.subscription.updated:`, subscription.id);
+      return;
+    }
+
     // Update order data
     const oldStatus = order.recurringStatus;
     order.recurringStatus = subscription.status === 'active' ? 'active' : 
@@ -920,12 +1189,12 @@ async function handleSubscriptionUpdated(subscription) {
     console.log('Subscription updated successfully for order:', order._id);
   } catch (error) {
     console.error('Error handling customer.subscription.updated:', error);
-    // Don't throw error to prevent 503, just log it
     console.error('Subscription updated error details:', {
       subscriptionId: subscription?.id,
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
@@ -944,10 +1213,16 @@ async function handleInvoicePaymentSucceeded(invoice) {
       stripeSubscriptionId: invoice.subscription,
       isRecurring: true 
     });
+
+    // The invoice can arrive before the subscription id is saved on the order
+    const metadataOrderId = invoice.subscription_details?.metadata?.orderId;
+    if (!parentOrder && metadataOrderId) {
+      parentOrder = await SalesOrder.findOne({ _id: metadataOrderId, isRecurring: true });
+    }
     
     if (!parentOrder) {
-      console.log('Parent recurring order not found for invoice:', invoice.id);
-      return;
+      // Failing the event makes Stripe deliver it again once the order is linked
+      throw new Error(`Parent recurring order not found for invoice ${invoice.id}`);
     }
 
     // Check if this is the first invoice (subscription setup) or recurring
@@ -960,28 +1235,32 @@ async function handleInvoicePaymentSucceeded(invoice) {
       parentOrder.completedRecurringCycles = 1;
       parentOrder.nextRecurringDate = new Date(invoice.period_end * 1000);
       
-      // Create payment record for initial subscription payment
-      const initialPaymentRecord = new Payment({
-        order: parentOrder._id,
-        user: parentOrder.user,
-        customer: parentOrder.user,
-        paymentIntentId: invoice.payment_intent,
-        amount: invoice.amount_paid / 100, // Convert from cents
-        currency: invoice.currency,
-        status: 'succeeded',
-        paymentMethod: 'card',
-        store: parentOrder.store,
-        transactionDetails: {
-          orderType: 'recurring',
-          isRecurring: true,
-          recurringFrequency: parentOrder.recurringFrequency,
-          stripeSubscriptionId: parentOrder.stripeSubscriptionId,
-          stripeCustomerId: parentOrder.stripeCustomerId
+      // Create (or on a replay, update) the payment record for the initial subscription payment
+      const initialPaymentRecord = await Payment.findOneAndUpdate(
+        { order: parentOrder._id },
+        {
+          $set: {
+            user: parentOrder.user,
+            customer: parentOrder.user,
+            paymentIntentId: invoice.payment_intent,
+            amount: invoice.amount_paid / 100, // Convert from cents
+            currency: invoice.currency,
+            status: 'paid',
+            paymentMethod: 'card',
+            store: parentOrder.store,
+            transactionDetails: {
+              orderType: 'recurring',
+              isRecurring: true,
+              recurringFrequency: parentOrder.recurringFrequency,
+              stripeSubscriptionId: parentOrder.stripeSubscriptionId,
+              stripeCustomerId: parentOrder.stripeCustomerId
+            },
+            updatedAt: new Date()
+          },
+          $setOnInsert: { createdAt: new Date() }
         },
-        createdAt: new Date(),
-      });
-      
-      await initialPaymentRecord.save();
+        { upsert: true, new: true, runValidators: true }
+      );
       
       // Link payment to parent order
       parentOrder.payment = initialPaymentRecord._id;
@@ -1003,6 +1282,16 @@ async function handleInvoicePaymentSucceeded(invoice) {
       await parentOrder.save();
       console.log('Initial subscription payment confirmed for parent order:', parentOrder._id);
     } else {
+      // A generated order for this invoice means the cycle was already recorded
+      const existingOrder = await SalesOrder.findOne({
+        parentRecurringOrder: parentOrder._id,
+        stripeInvoiceId: invoice.id
+      }).select('_id');
+      if (existingOrder) {
+        console.log('Recurring order already created for invoice:', invoice.id, 'Order:', existingOrder._id);
+        return;
+      }
+
       // This is a recurring payment - create a new order
       const newOrder = await createRecurringOrder(parentOrder, invoice);
       
@@ -1038,13 +1327,13 @@ async function handleInvoicePaymentSucceeded(invoice) {
 
   } catch (error) {
     console.error('Error handling invoice.payment_succeeded:', error);
-    // Don't throw error to prevent 503, just log it
     console.error('Invoice payment succeeded error details:', {
       invoiceId: invoice?.id,
       subscriptionId: invoice?.subscription,
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
@@ -1063,6 +1352,13 @@ async function handleInvoicePaymentFailed(invoice) {
       return;
     }
 
+    // A failed attempt can be delivered after a later attempt paid the invoice
+    const latestInvoice = await stripe.invoices.retrieve(invoice.id);
+    if (latestInvoice.status === 'paid') {
+      console.log('Invoice already paid, ignoring invoice.payment_failed:', invoice.id);
+      return;
+    }
+
     // Update parent order status for failed payment
     parentOrder.payment_status = 'failed';
     parentOrder.LocalStatus = 'PaymentFailed';
@@ -1081,13 +1377,13 @@ async function handleInvoicePaymentFailed(invoice) {
     console.log('Subscription payment failed handled for order:', parentOrder._id);
   } catch (error) {
     console.error('Error handling invoice.payment_failed:', error);
-    // Don't throw error to prevent 503, just log it
     console.error('Invoice payment failed error details:', {
       invoiceId: invoice?.id,
       subscriptionId: invoice?.subscription,
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
@@ -1470,7 +1766,12 @@ exports.createPaymentIntent = async (req, res) => {
       });
     }
 
-    const { amount, currency = 'aed', customerInfo, isRecurring = false, recurringFrequency } = req.body;
+    const { amount, currency = 'aed', customerInfo, isRecurring = false, recurringFrequency, fromCart = false, storeId } = req.body;
+
+    // Cart mode: amount is computed from the user's active cart on the server
+    if (fromCart && !isRecurring) {
+      return await createCartPaymentIntent(req, res, currency, customerInfo, storeId);
+    }
     
     // Validate required fields
     if (!amount || amount <= 0) {
@@ -1525,6 +1826,192 @@ exports.createPaymentIntent = async (req, res) => {
   }
 };
 
+// Helper function to create (or reuse) a payment intent priced from the active cart
+async function createCartPaymentIntent(req, res, currency, customerInfo, storeId) {
+  try {
+    if (!customerInfo || !customerInfo.email || !customerInfo.name) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Customer information is required' 
+      });
+    }
+
+    const userId = req.user._id;
+    const cart = await Cart.findOne({
+      user: userId,
+      status: 'active',
+      ...(storeId ? { store: storeId } : {})
+    });
+
+    if (!cart || !cart.items || cart.items.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Your cart is empty' 
+      });
+    }
+
+    // The checkout may send its delivery choice with the intent request
+    if (req.body.delivery) {
+      const { method = 'delivery', address, timeSlot, date } = req.body.delivery;
+      cart.delivery = {
+        method,
+        address: method === 'delivery' ? address : undefined,
+        timeSlot: timeSlot || undefined,
+        date: timeSlot ? date : undefined
+      };
+      await cart.save();
+    }
+
+    let pricing;
+    try {
+      pricing = await priceCart(cart, userId);
+    } catch (pricingError) {
+      console.error('Error pricing cart for payment intent:', pricingError);
+      return res.status(pricingError.statusCode || 500).json({
+        success: false,
+        message: pricingError.message || 'Unable to price cart',
+        code: pricingError.code,
+        minimumOrderValue: pricingError.minimumOrderValue
+      });
+    }
+
+    // Promotions whose time window has closed come off the cart
+    const closedPromotionIds = new Set(pricing.droppedPromotions
+      .filter(entry => entry.reason === 'OUTSIDE_SCHEDULE')
+      .map(entry => entry.promotionId.toString()));
+    if (closedPromotionIds.size > 0) {
+      cart.appliedPromotions = cart.appliedPromotions.filter(
+        entry => !closedPromotionIds.has((entry.promotion?._id || entry.promotion).toString())
+      );
+      await cart.save();
+    }
+
+    const amount = toMinorUnits(pricing.finalTotal);
+    if (amount <= 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Cart total must be greater than zero' 
+      });
+    }
+
+    // Soft-hold stock for the duration of checkout
+    const hold = await holdCartStock(cart, userId);
+    if (!hold.success) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items are no longer available in the requested quantity',
+        code: 'INSUFFICIENT_STOCK',
+        shortages: hold.shortages
+      });
+    }
+
+    // Hold the chosen time slot too, so a full slot is refused before the customer pays
+    const slotStore = cart.store
+      ? await Store.findById(cart.store).select('businessHours settings.timezone features deliverySlots pickupSlots')
+      : null;
+    const slotHold = slotStore ? await holdCartSlot(slotStore, cart, userId) : { valid: true, reservation: null };
+    if (!slotHold.valid) {
+      await releaseReservation(hold.reservation, 'slot_unavailable');
+      return res.status(409).json({
+        success: false,
+        message: slotHold.message,
+        code: 'SLOT_UNAVAILABLE',
+        reason: slotHold.reason
+      });
+    }
+
+    // Claim single-use coupons so no other cart can pay with the same code
+    for (const entry of getPricedCouponEntries(cart, pricing)) {
+      const claimed = await claimCoupon(entry.coupon, { userId, cartId: cart._id });
+      if (!claimed) {
+        await releaseCouponClaims(cart._id);
+        await releaseReservation(hold.reservation, 'coupon_unavailable');
+        await releaseSlotReservation(slotHold.reservation, 'coupon_unavailable');
+        return res.status(409).json({
+          success: false,
+          message: 'A coupon code in your cart has already been used. Please remove it and try again.',
+          code: 'COUPON_UNAVAILABLE',
+          couponCode: entry.code
+        });
+      }
+    }
+
+    const metadata = {
+      email: customerInfo.email,
+      name: customerInfo.name,
+      userId: userId.toString(),
+      userRole: req.user.role,
+      reservationId: hold.reservation._id.toString(),
+      ...buildCartIntentMetadata(cart, pricing)
+    };
+
+    let paymentIntent = null;
+    try {
+      // Reuse the intent already created for this cart while it is still unconfirmed
+      if (cart.paymentIntentId) {
+        try {
+          const existing = await stripe.paymentIntents.retrieve(cart.paymentIntentId);
+          if (UPDATABLE_STATUSES.includes(existing.status) && existing.currency === currency.toLowerCase()) {
+            paymentIntent = await stripe.paymentIntents.update(existing.id, { amount, metadata });
+            console.log('Cart payment intent updated:', paymentIntent.id, 'Amount:', amount);
+          }
+        } catch (retrieveError) {
+          console.error('Error retrieving existing cart payment intent:', retrieveError.message);
+        }
+      }
+
+      if (!paymentIntent) {
+        paymentIntent = await stripe.paymentIntents.create({ amount, currency, metadata });
+        cart.paymentIntentId = paymentIntent.id;
+        await cart.save();
+        console.log('Cart payment intent created:', paymentIntent.id, 'Amount:', amount);
+      }
+
+      hold.reservation.paymentIntentId = paymentIntent.id;
+      await hold.reservation.save();
+      if (slotHold.reservation) {
+        slotHold.reservation.paymentIntentId = paymentIntent.id;
+        await slotHold.reservation.save();
+      }
+    } catch (intentError) {
+      // The customer cannot pay without an intent, so give the holds back now
+      await releaseReservation(hold.reservation, 'payment_intent_failed');
+      await releaseSlotReservation(slotHold.reservation, 'payment_intent_failed');
+      await releaseCouponClaims(cart._id);
+      throw intentError;
+    }
+
+    res.json({ 
+      success: true,
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      stripeCustomerId: null,
+      reservationExpiresAt: hold.reservation.expiresAt,
+      amount,
+      currency: paymentIntent.currency,
+      totals: {
+        originalTotal: pricing.originalTotal,
+        totalDiscount: pricing.totalDiscount,
+        netTotal: pricing.netTotal,
+        taxTotal: pricing.taxTotal,
+        finalTotal: pricing.finalTotal,
+        pricesIncludeTax: pricing.pricesIncludeTax,
+        taxExempt: pricing.taxExempt,
+        taxBreakdown: pricing.taxBreakdown,
+        deliveryFee: pricing.deliveryFee
+      },
+      appliedPromotions: pricing.appliedPromotions,
+      droppedPromotions: pricing.droppedPromotions
+    });
+  } catch (err) {
+    console.error('Error creating cart payment intent:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message || 'Failed to create payment intent'
+    });
+  }
+}
+
 // Helper function to create subscription for recurring orders
 async function createSubscription(req, res, amount, currency, customerInfo, recurringFrequency) {
   try {
@@ -1865,6 +2352,13 @@ exports.createOrderAfterPayment = async (req, res) => {
       }
     }
 
+    if (orderData.paymentMethod === 'on_account' && orderData.orderType === 'recurring') {
+      return res.status(400).json({
+        success: false,
+        message: 'On-account payment is only available for one-time orders'
+      });
+    }
+
     let paymentIntent = null;
     
     // Handle different payment methods
@@ -1943,54 +2437,158 @@ exports.createOrderAfterPayment = async (req, res) => {
       }
     }
 
+    // A retried or double-submitted checkout gets the order already placed for
+    // this payment instead of a second one
+    if (paymentIntentId) {
+      const existingOrder = await SalesOrder.findOne({ Payment_id: paymentIntentId, user: req.user._id });
+      if (existingOrder) {
+        return res.status(200).json({
+          success: true,
+          alreadyPlaced: true,
+          orderId: existingOrder._id,
+          orderNumber: existingOrder.DocEntry,
+          trackingNumber: existingOrder.trackingNumber,
+          paymentStatus: existingOrder.payment_status,
+          localStatus: existingOrder.LocalStatus,
+          orderType: existingOrder.isRecurring ? 'recurring' : 'one-time',
+          isRecurring: Boolean(existingOrder.isRecurring),
+          message: 'This order has already been placed.'
+        });
+      }
+    }
+
     const userId = req.user._id;
 
+    // Price the order on the server: never trust client-supplied prices or totals
+    const checkoutCart = await Cart.findOne({
+      user: userId,
+      status: 'active',
+      ...(orderData.store ? { store: orderData.store } : {})
+    });
+    const cartPromotions = await loadCartPromotions(checkoutCart);
+
+    // Cart payments are priced for the delivery their intent was priced for
+    const intentDelivery = getIntentDelivery(paymentIntent);
+    if (intentDelivery && intentDelivery.method !== (orderData.deliveryMethod || 'delivery')) {
+      const refunded = await returnUnplacedPayment(paymentIntent, 'order with a changed delivery method');
+      await releaseCheckoutHolds(paymentIntent.id, checkoutCart?._id, 'delivery_mismatch');
+      return res.status(400).json({
+        success: false,
+        message: 'The delivery method does not match the one you paid for. Please review your order and try again.',
+        error: 'DELIVERY_MISMATCH',
+        refunded
+      });
+    }
+
+    let pricing;
+    try {
+      pricing = await priceOrderItems(orderData.orderItems, cartPromotions, userId, {
+        storeId: orderData.store || checkoutCart?.store,
+        delivery: intentDelivery || {
+          method: orderData.deliveryMethod || 'delivery',
+          address: orderData.shippingAddress || checkoutCart?.delivery?.address
+        },
+        // Promotion windows are checked at the time the payment was priced
+        pricedAt: getIntentPricedAt(paymentIntent) || new Date()
+      });
+    } catch (pricingError) {
+      console.error('Error pricing order:', pricingError);
+      return res.status(pricingError.statusCode || 500).json({
+        success: false,
+        message: pricingError.message || 'Unable to price order',
+        code: pricingError.code,
+        minimumOrderValue: pricingError.minimumOrderValue
+      });
+    }
+
+    console.log('Server-side order pricing:', {
+      originalTotal: pricing.originalTotal,
+      totalDiscount: pricing.totalDiscount,
+      taxTotal: pricing.taxTotal,
+      finalTotal: pricing.finalTotal,
+      clientTotal: orderData.totalPrice
+    });
+
+    // The charged amount must match the server-side total
+    if (paymentIntent && paymentIntent.amount !== toMinorUnits(pricing.finalTotal)) {
+      console.error('Payment amount mismatch:', {
+        paymentIntentId: paymentIntent.id,
+        paidAmount: paymentIntent.amount,
+        expectedAmount: toMinorUnits(pricing.finalTotal)
+      });
+
+      // Never keep a payment without an order
+      const refunded = await returnUnplacedPayment(paymentIntent, 'order with an amount mismatch');
+      await releaseCheckoutHolds(paymentIntent.id, checkoutCart?._id, 'amount_mismatch');
+
+      return res.status(400).json({
+        success: false,
+        message: 'Order total does not match the amount paid. Please review your cart and try again.',
+        error: 'AMOUNT_MISMATCH',
+        expectedTotal: pricing.finalTotal,
+        paidTotal: paymentIntent.amount / 100,
+        droppedPromotions: pricing.droppedPromotions,
+        refunded
+      });
+    }
+
+    // On-account orders reserve the customer's remaining credit; it is given
+    // back if the order is not created
+    let creditReservation = null;
+    if (orderData.paymentMethod === 'on_account') {
+      try {
+        creditReservation = await reserveOnAccountCredit(userId, pricing.finalTotal);
+      } catch (creditError) {
+        return res.status(creditError.statusCode || 500).json({
+          success: false,
+          message: creditError.message,
+          code: creditError.code,
+          availableCredit: creditError.availableCredit
+        });
+      }
+    }
+
     // Prepare document lines for SAP integration
-    const DocumentLines = orderData.orderItems.map((item, idx) => ({
+    const DocumentLines = pricing.lines.map((line, idx) => ({
       LineNum: idx,
-      ItemDescription: item.name || 'Unknown Item',
-      Quantity: item.quantity || 1,
-      Price: item.price || 0,
-      ItemCode: item.product || '',
+      ItemDescription: line.name,
+      Quantity: line.quantity,
+      Price: line.price,
+      ItemCode: line.itemCode || line.product,
+      PriceList: pricing.priceList,
+      UoMEntry: line.uomEntry,
+      UoMCode: line.uomName,
+      InventoryQuantity: line.quantity * line.itemsPerUnit,
+      VatGroup: line.vatGroup,
+      TaxPercentagePerRow: line.taxRate,
+      LineTotal: line.netAmount,
+      TaxTotal: line.taxAmount,
+      LineTotalWithVAT: line.grossAmount,
     }));
 
-    // Debug: Log the orderItems data to ensure free item fields are present
-    console.log('OrderItems data being saved:', JSON.stringify(orderData.orderItems, null, 2));
-
-    // Validate and process orderItems to ensure free item fields are properly set
-    const processedOrderItems = orderData.orderItems.map(item => {
-      // Ensure all required fields are present
-      const processedItem = {
-        name: item.name || 'Unknown Item',
-        price: Number(item.price || 0),
-        quantity: Number(item.quantity || 1),
-        product: item.product || '',
-        image: item.image || '',
-        // Ensure free item fields are properly set with correct types
-        isFreeItem: Boolean(item.isFreeItem || false),
-        freeQuantity: Number(item.freeQuantity || 0),
-        regularQuantity: Number(item.regularQuantity || Math.max(0, (item.quantity || 1) - (item.freeQuantity || 0))),
-        discountAmount: Number(item.discountAmount || 0)
-      };
-      
-      // Log any items with free item data
-      if (processedItem.isFreeItem || processedItem.freeQuantity > 0) {
-        console.log('🆓 Processing free item:', {
-          name: processedItem.name,
-          isFreeItem: processedItem.isFreeItem,
-          freeQuantity: processedItem.freeQuantity,
-          regularQuantity: processedItem.regularQuantity,
-          discountAmount: processedItem.discountAmount
-        });
-      }
-      
-      return processedItem;
-    });
+    const processedOrderItems = pricing.lines.map(line => ({
+      name: line.name,
+      price: line.price,
+      quantity: line.quantity,
+      uom: line.uom,
+      uomName: line.uomName,
+      itemsPerUnit: line.itemsPerUnit,
+      uomEntry: line.uomEntry,
+      product: line.product,
+      image: line.image,
+      isFreeItem: line.isFreeItem,
+      freeQuantity: line.freeQuantity,
+      regularQuantity: line.regularQuantity,
+      discountAmount: line.discountAmount,
+      netPrice: line.netPrice,
+      vatGroup: line.vatGroup,
+      taxRate: line.taxRate,
+      netAmount: line.netAmount,
+      taxAmount: line.taxAmount,
+      grossAmount: line.grossAmount
+    }));
 
-    console.log('Processed orderItems with free item fields:', JSON.stringify(processedOrderItems, null, 2));
-    
-    // Final validation: Ensure all free item fields are properly set
-    const freeItemsCount = processedOrderItems.filter(item => item.isFreeItem || item.freeQuantity > 0).length;
+    const freeItemsCount = processedOrderItems.filter(item => item.freeQuantity > 0).length;
     if (freeItemsCount > 0) {
       console.log(`🎯 Found ${freeItemsCount} items with free item data to be saved`);
     }
@@ -2043,56 +2641,94 @@ exports.createOrderAfterPayment = async (req, res) => {
         paymentStatus = 'pending_bank_transfer';
         localStatus = 'Created';
         break;
+      case 'on_account':
+        paymentStatus = 'pending_on_account';
+        localStatus = 'Created';
+        break;
       default:
         paymentStatus = 'pending';
         localStatus = 'Created';
     }
 
+    // Book the chosen time slot: the checkout hold when there is one, otherwise a
+    // new place if the slot is still bookable (capacity, cut-off, blackout dates)
+    const fulfilmentType = orderData.deliveryMethod || 'delivery';
+    const { slotField, dateField } = getSlotFields(fulfilmentType);
+    let slotReservation = null;
+    if (orderData[slotField] && orderData.store) {
+      const slotStore = await Store.findById(orderData.store)
+        .select('businessHours settings.timezone features deliverySlots pickupSlots');
+      const slotCheck = slotStore
+        ? await reserveOrderSlot(slotStore, fulfilmentType, orderData[slotField], orderData[dateField], {
+          user: userId,
+          cartId: checkoutCart?._id,
+          paymentIntentId: paymentIntent?.id
+        })
+        : { valid: true, date: orderData[dateField], reservation: null };
+
+      if (!slotCheck.valid) {
+        console.warn('Rejected order for unavailable time slot:', {
+          store: orderData.store,
+          slot: orderData[slotField],
+          date: orderData[dateField],
+          reason: slotCheck.reason
+        });
+
+        const refunded = await returnUnplacedPayment(paymentIntent, 'order with an unavailable time slot');
+        await releaseHoldsForPaymentIntent(paymentIntent?.id, 'slot_unavailable');
+        await releaseCouponClaims(checkoutCart?._id);
+        await releaseOnAccountCredit(creditReservation);
+
+        return res.status(409).json({
+          success: false,
+          message: slotCheck.message,
+          code: 'SLOT_UNAVAILABLE',
+          reason: slotCheck.reason,
+          refunded
+        });
+      }
+      // Stored as the store-local calendar date so slot counts line up
+      orderData[dateField] = slotCheck.date;
+      slotReservation = slotCheck.reservation;
+    }
+
     // Generate unique tracking number
     const trackingNumber = generateTrackingNumber();
     console.log('Generated tracking number:', trackingNumber);
 
     // Debug: Log promotion data being processed
-    console.log('Order creation debug - appliedPromotions:', typeof orderData.appliedPromotions, orderData.appliedPromotions);
-    console.log('Order creation debug - appliedDiscounts:', typeof orderData.appliedDiscounts, orderData.appliedDiscounts);
+    console.log('Order creation debug - appliedPromotions:', pricing.appliedPromotions);
+    console.log('Order creation debug - appliedDiscounts:', pricing.appliedDiscounts);
+
+    // SAP business partner code once the customer is synced, otherwise the user id
+    const cardCode = await resolveOrderCardCode(userId);
 
     // Create the sales order
     const order = new SalesOrder({
       DocEntry: Date.now(), // Temporary ID until SAP sync
       CardName: customerInfo.name,
-      CardCode: userId, // Use userId directly
+      CardCode: cardCode,
       payment_status: paymentStatus,
       Payment_id: paymentIntentId || null,
       SyncedWithSAP: false,
       LocalStatus: localStatus,
       DocumentLines,
+      PriceList: pricing.priceList,
       Address: orderData.shippingAddress?.address || '',
       Address2: orderData.billingAddress?.address || '',
       Comments: orderData.notes || '',
-      DocTotal: orderData.totalPrice || 0,
-      originalTotal: orderData.originalTotal || orderData.totalPrice || 0,
-      totalDiscount: orderData.totalDiscount || 0,
-      finalTotal: orderData.finalTotal || orderData.totalPrice || 0,
-      appliedPromotions: (() => {
-        try {
-          if (Array.isArray(orderData.appliedPromotions)) return orderData.appliedPromotions;
-          if (typeof orderData.appliedPromotions === 'string') return JSON.parse(orderData.appliedPromotions);
-          return orderData.appliedPromotions || [];
-        } catch (e) {
-          console.error('Error parsing appliedPromotions:', e);
-          return [];
-        }
-      })(),
-      appliedDiscounts: (() => {
-        try {
-          if (Array.isArray(orderData.appliedDiscounts)) return orderData.appliedDiscounts;
-          if (typeof orderData.appliedDiscounts === 'string') return JSON.parse(orderData.appliedDiscounts);
-          return orderData.appliedDiscounts || [];
-        } catch (e) {
-          console.error('Error parsing appliedDiscounts:', e);
-          return [];
-        }
-      })(),
+      DocTotal: pricing.finalTotal,
+      VatSum: pricing.taxTotal,
+      originalTotal: pricing.originalTotal,
+      totalDiscount: pricing.totalDiscount,
+      finalTotal: pricing.finalTotal,
+      netTotal: pricing.netTotal,
+      taxTotal: pricing.taxTotal,
+      pricesIncludeTax: pricing.pricesIncludeTax,
+      taxExempt: pricing.taxExempt,
+      deliveryFee: pricing.deliveryFee,
+      appliedPromotions: pricing.appliedPromotions,
+      appliedDiscounts: pricing.appliedDiscounts,
       orderItems: processedOrderItems,
       shippingAddress: orderData.shippingAddress,
       billingAddress: orderData.billingAddress,
@@ -2111,6 +2747,7 @@ exports.createOrderAfterPayment = async (req, res) => {
         }
       ],
       paymentMethod: orderData.paymentMethod,
+      paymentDueDate: creditReservation ? creditReservation.dueDate : null,
       
       // Time slot information
       deliveryTimeSlot: orderData.deliveryTimeSlot || null,
@@ -2143,7 +2780,86 @@ exports.createOrderAfterPayment = async (req, res) => {
       order.generatedFromRecurring = false;
     }
 
-    await order.save();
+    // Deduct stock for the order (converts the checkout hold when there is one)
+    const stockCommit = await commitOrderStock(order, pricing.lines, {
+      paymentIntentId: paymentIntent?.id,
+      cartId: checkoutCart?._id
+    });
+    if (!stockCommit.success) {
+      console.error('Insufficient stock for order:', stockCommit.shortages);
+      await releaseSlotReservation(slotReservation, 'insufficient_stock');
+      await releaseCouponClaims(checkoutCart?._id);
+      await releaseOnAccountCredit(creditReservation);
+
+      // Do not keep money for an order we cannot fulfil
+      const refunded = await returnUnplacedPayment(paymentIntent, 'out-of-stock order');
+
+      return res.status(409).json({
+        success: false,
+        message: 'Some items are no longer available in the requested quantity',
+        code: 'INSUFFICIENT_STOCK',
+        shortages: stockCommit.shortages,
+        refunded
+      });
+    }
+
+    if (slotReservation) {
+      slotReservation = await commitSlotReservation(slotReservation, order);
+      // The hold expired (and its place was given back) before it was booked
+      if (!slotReservation) {
+        console.warn('Slot hold expired before the order was placed:', {
+          store: orderData.store,
+          slot: orderData[slotField],
+          paymentIntentId: paymentIntent?.id
+        });
+        await releaseReservation(stockCommit.reservation, 'slot_unavailable');
+        await releaseCouponClaims(checkoutCart?._id);
+        await releaseOnAccountCredit(creditReservation);
+        const refunded = await returnUnplacedPayment(paymentIntent, 'order with an expired time slot hold');
+
+        return res.status(409).json({
+          success: false,
+          message: 'Your time slot could not be booked. Please choose a time slot again.',
+          code: 'SLOT_UNAVAILABLE',
+          reason: 'hold_expired',
+          refunded
+        });
+      }
+    }
+
+    // Spend the single-use coupons claimed at checkout; the order is refused if one was lost
+    for (const entry of getPricedCouponEntries(checkoutCart, pricing)) {
+      const redeemed = await redeemCoupon(entry.coupon, { userId, orderId: order._id, cartId: checkoutCart._id });
+      if (!redeemed) {
+        console.warn('Coupon was redeemed, revoked or claimed elsewhere before the order was placed:', {
+          couponId: entry.coupon,
+          paymentIntentId: paymentIntent?.id
+        });
+        await releaseOrderCoupons(order._id);
+        await releaseReservation(stockCommit.reservation, 'coupon_unavailable');
+        await releaseSlotReservation(slotReservation, 'coupon_unavailable');
+        await releaseOnAccountCredit(creditReservation);
+        const refunded = await returnUnplacedPayment(paymentIntent, 'order with an unavailable coupon');
+
+        return res.status(409).json({
+          success: false,
+          message: 'A coupon code in your cart has already been used. Please remove it and try again.',
+          code: 'COUPON_UNAVAILABLE',
+          couponCode: entry.code,
+          refunded
+        });
+      }
+    }
+
+    try {
+      await order.save();
+    } catch (saveError) {
+      await releaseReservation(stockCommit.reservation, 'order_save_failed');
+      await releaseSlotReservation(slotReservation, 'order_save_failed');
+      await releaseOrderCoupons(order._id);
+      await releaseOnAccountCredit(creditReservation);
+      throw saveError;
+    }
     console.log('Order created:', order._id, 'Tracking:', trackingNumber);
     
     // Debug: Verify that free item fields were saved correctly
@@ -2186,6 +2902,15 @@ exports.createOrderAfterPayment = async (req, res) => {
         console.log('Processing applied promotions for order:', order._id);
         
         for (const appliedPromotion of cart.appliedPromotions) {
+          // Only track promotions that survived server-side repricing
+          const pricedPromotion = pricing.appliedPromotions.find(
+            p => p.promotionId.toString() === (appliedPromotion.promotion?._id || appliedPromotion.promotion).toString()
+          );
+          if (!pricedPromotion) {
+            console.log('Skipping promotion not applied at checkout:', appliedPromotion.promotion?._id || appliedPromotion.promotion);
+            continue;
+          }
+
           try {
             // Update the promotion usageHistory with the order reference
             const promotion = await Promotion.findById(appliedPromotion.promotion);
@@ -2218,7 +2943,7 @@ exports.createOrderAfterPayment = async (req, res) => {
                   user: userId,
                   order: order._id,
                   usedAt: new Date(),
-                  discountAmount: appliedPromotion.discountAmount || 0
+                  discountAmount: pricedPromotion.discountAmount
                 });
                 
                 // Increment current usage when creating a new usage entry
@@ -2241,9 +2966,9 @@ exports.createOrderAfterPayment = async (req, res) => {
               code: appliedPromotion.code,
               type: promotion?.type || 'unknown',
               appliedDiscounts: [], // This would need to be populated based on the actual discounts applied
-              totalDiscountAmount: appliedPromotion.discountAmount || 0,
-              originalCartTotal: orderData.totalPrice || 0,
-              finalCartTotal: (orderData.totalPrice || 0) - (appliedPromotion.discountAmount || 0),
+              totalDiscountAmount: pricedPromotion.discountAmount,
+              originalCartTotal: pricing.originalTotal,
+              finalCartTotal: pricing.originalTotal - pricedPromotion.discountAmount,
               status: 'applied'
             });
             
@@ -2301,10 +3026,13 @@ exports.createOrderAfterPayment = async (req, res) => {
         user: userId,
         customer: userId, // Use userId instead of customerId
         paymentIntentId: paymentIntentId || null,
-        amount: orderData.totalPrice || 0,
+        amount: pricing.finalTotal,
+        netAmount: pricing.netTotal,
+        taxAmount: pricing.taxTotal,
         currency: paymentIntent?.currency || 'aed',
         status: orderData.paymentMethod === 'card' ? paymentStatus : 'pending',
         paymentMethod: orderData.paymentMethod,
+        dueDate: creditReservation ? creditReservation.dueDate : null,
         receiptUrl: paymentIntent?.charges?.data?.[0]?.receipt_url || null,
         store: orderData.store || null,
         // Add transaction details for better history
@@ -2320,6 +3048,17 @@ exports.createOrderAfterPayment = async (req, res) => {
       
       await paymentRecord.save();
       console.log('Payment record created:', paymentRecord._id);
+
+      // Cash, cheque, bank transfer and on-account orders are owed until an admin records the payment
+      if (orderData.paymentMethod !== 'card') {
+        try {
+          await refreshOutstandingBalance(userId);
+        } catch (balanceError) {
+          console.error('Error updating customer outstanding balance:', balanceError);
+        }
+      }
+      // The order now counts in the outstanding balance, so its reservation goes
+      await releaseOnAccountCredit(creditReservation);
     } else {
       if (paymentIntentId && !paymentRecord.paymentIntentId) {
         paymentRecord.paymentIntentId = paymentIntentId;
@@ -2368,8 +3107,13 @@ exports.createOrderAfterPayment = async (req, res) => {
         paymentMethod: orderData.paymentMethod,
         paymentStatus: paymentStatus,
         trackingNumber: trackingNumber,
-        totalPrice: orderData.totalPrice || 0,
-        orderItems: orderData.orderItems,
+        totalPrice: pricing.finalTotal,
+        netTotal: pricing.netTotal,
+        taxTotal: pricing.taxTotal,
+        taxBreakdown: pricing.taxBreakdown,
+        pricesIncludeTax: pricing.pricesIncludeTax,
+        deliveryFee: pricing.deliveryFee,
+        orderItems: processedOrderItems,
         shippingAddress: orderData.shippingAddress,
         billingAddress: orderData.billingAddress,
         isRecurring: orderData.orderType === 'recurring',
@@ -2381,10 +3125,20 @@ exports.createOrderAfterPayment = async (req, res) => {
         pickupDate: orderData.pickupDate
       };
       
+      // The invoice is optional: the confirmation still goes out without it
+      let invoice = null;
+      try {
+        invoice = await generateInvoice(order);
+        emailData.invoiceNumber = invoice.invoiceNumber;
+      } catch (invoiceError) {
+        console.error('Error generating invoice for confirmation email:', invoiceError);
+      }
+
       await sendOrderConfirmationEmail(
         customerInfo.email,
         emailData,
-        customerInfo.name
+        customerInfo.name,
+        invoice
       );
       console.log('Order confirmation email sent successfully');
     } catch (emailError) {
@@ -2395,7 +3149,7 @@ exports.createOrderAfterPayment = async (req, res) => {
     // Success response
     const responseMessage = orderData.orderType === 'recurring' 
       ? `Recurring order placed successfully! ${orderData.paymentMethod === 'card' ? 'Your subscription is active.' : orderData.paymentMethod === 'bank_transfer' ? 'Awaiting bank transfer confirmation.' : 'Payment pending.'}`
-      : `Order placed successfully! ${orderData.paymentMethod === 'card' ? 'Payment confirmed.' : orderData.paymentMethod === 'bank_transfer' ? 'Awaiting bank transfer confirmation.' : 'Payment pending.'}`;
+      : `Order placed successfully! ${orderData.paymentMethod === 'card' ? 'Payment confirmed.' : orderData.paymentMethod === 'bank_transfer' ? 'Awaiting bank transfer confirmation.' : orderData.paymentMethod === 'on_account' ? `Charged to your account, payment due by ${creditReservation.dueDate.toISOString().split('T')[0]}.` : 'Payment pending.'}`;
 
     const response = { 
       success: true, 
@@ -3,7 +3,13 @@ const AppliedPromotion = require('../Models/AppliedPromotion');
 const Cart = require('../Models/Cart');
 const Item = require('../Models/Product');
 const Category = require('../Models/Category');
+const Coupon = require('../Models/Coupon');
+const CouponBatch = require('../Models/CouponBatch');
 const mongoose = require('mongoose');
+const { createCouponBatch, findCoupon, revokeCouponBatch } = require('../Services/couponService');
+const { getCustomerProfile } = require('../Services/customerSegmentService');
+const { decodeTokenFromRequest } = require('../Middleware/Authentication');
+const { toCsvRow } = require('../Services/csvService');
 
 module.exports = {
   // Create a new promotion
@@ -23,6 +29,10 @@ module.exports = {
         maxUsage,
         maxUsagePerUser,
         priority,
+        stacking,
+        stackGroup,
+        targeting,
+        schedule,
         minOrderAmount,
         excludedProducts,
         excludedCategories
@@ -37,7 +47,7 @@ module.exports = {
       }
 
       // Validate promotion type and rule structure
-      if (!['buyXGetY', 'quantityDiscount', 'cartTotal'].includes(type)) {
+      if (!['buyXGetY', 'quantityDiscount', 'cartTotal', 'bundle', 'tieredSpend', 'categoryDiscount', 'cheapestFree'].includes(type)) {
         return res.status(400).json({
           success: false,
           error: 'Invalid promotion type'
@@ -52,9 +62,39 @@ module.exports = {
         });
       }
 
+      // A category discount without a scope would discount the whole cart
+      if (type === 'categoryDiscount' && !applicableCategories?.length && !applicableProducts?.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Category discount promotions require applicableCategories or applicableProducts'
+        });
+      }
+
+      if (!validateStacking(stacking, stackGroup)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid stacking policy; stackable-within-group requires a stackGroup'
+        });
+      }
+
+      if (!validateTargeting(targeting)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid targeting rules'
+        });
+      }
+
+      if (!validateSchedule(schedule)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid schedule; windows need days 0-6 and HH:mm start and end times'
+        });
+      }
+
       // Check if code already exists (if provided)
       if (code) {
-        const existingPromotion = await Promotion.findOne({ code: code.toUpperCase() });
+        const existingPromotion = await Promotion.findOne({ code: code.toUpperCase() }) ||
+          await Coupon.exists({ code: code.toUpperCase() });
         if (existingPromotion) {
           return res.status(400).json({
             success: false,
@@ -78,6 +118,10 @@ module.exports = {
         maxUsage: maxUsage || 0,
         maxUsagePerUser: maxUsagePerUser || 1,
         priority: priority || 1,
+        stacking,
+        stackGroup,
+        targeting,
+        schedule: schedule ? { windows: schedule.windows } : undefined,
         minOrderAmount: minOrderAmount || 0,
         excludedProducts: excludedProducts || [],
         excludedCategories: excludedCategories || [],
@@ -171,7 +215,12 @@ module.exports = {
       if (store) query.store = store;
       if (type) query.type = type;
 
-      const promotions = await Promotion.find(query)
+      // Targeted promotions are only listed for signed-in customers in their
+      // segment, so segments are filtered before paginating
+      const decoded = decodeTokenFromRequest(req);
+      const customer = decoded ? await getCustomerProfile(decoded.id) : null;
+
+      const visiblePromotions = (await Promotion.find(query)
         .populate([
           { path: 'applicableProducts', select: 'ItemName _id' },
           { path: 'applicableCategories', select: 'name _id ItemsGroupCode' },
@@ -179,11 +228,16 @@ module.exports = {
           { path: 'excludedCategories', select: 'name _id ItemsGroupCode' },
           { path: 'store', select: 'name' }
         ])
-        .sort({ priority: -1, createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit));
-
-      const total = await Promotion.countDocuments(query);
+        .sort({ priority: -1, createdAt: -1 }))
+        .filter(promotion => promotion.matchesCustomer(customer));
+
+      // Other customers' ids in a targeting user list are not public
+      const promotions = visiblePromotions.slice(skip, skip + parseInt(limit)).map(promotion => {
+        const data = promotion.toObject();
+        if (data.targeting) delete data.targeting.users;
+        return data;
+      });
+      const total = visiblePromotions.length;
 
       res.json({
         success: true,
@@ -262,9 +316,52 @@ module.exports = {
         });
       }
 
+      // A category discount without a scope would discount the whole cart
+      const applicableCategories = updateData.applicableCategories !== undefined
+        ? updateData.applicableCategories
+        : promotion.applicableCategories;
+      const applicableProducts = updateData.applicableProducts !== undefined
+        ? updateData.applicableProducts
+        : promotion.applicableProducts;
+      if ((updateData.type || promotion.type) === 'categoryDiscount' && !applicableCategories?.length && !applicableProducts?.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Category discount promotions require applicableCategories or applicableProducts'
+        });
+      }
+
+      if (!validateStacking(
+        updateData.stacking ?? (updateData.stackGroup !== undefined ? promotion.stacking : undefined),
+        updateData.stackGroup !== undefined ? updateData.stackGroup : promotion.stackGroup
+      )) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid stacking policy; stackable-within-group requires a stackGroup'
+        });
+      }
+
+      if (!validateTargeting(updateData.targeting)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid targeting rules'
+        });
+      }
+
+      if (!validateSchedule(updateData.schedule)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid schedule; windows need days 0-6 and HH:mm start and end times'
+        });
+      }
+      // The schedule's timezone always comes from the store
+      if (updateData.schedule) {
+        updateData.schedule = { windows: updateData.schedule.windows };
+      }
+
       // Check if code already exists (if being updated)
       if (updateData.code && updateData.code !== promotion.code) {
-        const existingPromotion = await Promotion.findOne({ code: updateData.code.toUpperCase() });
+        const existingPromotion = await Promotion.findOne({ code: updateData.code.toUpperCase() }) ||
+          await Coupon.exists({ code: updateData.code.toUpperCase() });
         if (existingPromotion) {
           return res.status(400).json({
             success: false,
@@ -312,6 +409,8 @@ module.exports = {
       }
 
       await Promotion.findByIdAndDelete(id);
+      await Coupon.deleteMany({ promotion: id });
+      await CouponBatch.deleteMany({ promotion: id });
 
       res.json({
         success: true,
@@ -358,7 +457,8 @@ module.exports = {
       }
 
       // Check if promotion can be applied
-      if (!promotion.canApplyToCart(cart, req.user._id)) {
+      const customer = await getCustomerProfile(req.user._id);
+      if (!promotion.canApplyToCart(cart, req.user._id, customer)) {
         return res.status(400).json({
           success: false,
           error: 'Promotion cannot be applied to this cart'
@@ -438,7 +538,8 @@ module.exports = {
       }
 
       // Find applicable promotions
-      const applicablePromotions = await Promotion.findApplicablePromotions(cart, storeId, req.user._id);
+      const customer = await getCustomerProfile(req.user._id);
+      const applicablePromotions = await Promotion.findApplicablePromotions(cart, storeId, req.user._id, customer);
 
       res.json({
         success: true,
@@ -466,13 +567,28 @@ module.exports = {
         });
       }
 
-      // Find promotion by code
-      const promotion = await Promotion.findOne({ 
+      // Find promotion by its master code or a coupon batch code
+      let promotion = await Promotion.findOne({ 
         code: code.toUpperCase(),
         store: storeId,
         isActive: true
       });
 
+      let coupon = null;
+      if (!promotion) {
+        try {
+          coupon = await findCoupon(code, { cartId });
+        } catch (couponError) {
+          return res.status(couponError.statusCode || 500).json({
+            success: false,
+            error: couponError.message
+          });
+        }
+        if (coupon) {
+          promotion = await Promotion.findOne({ _id: coupon.promotion, store: storeId, isActive: true });
+        }
+      }
+
       if (!promotion) {
         return res.status(404).json({
           success: false,
@@ -490,7 +606,8 @@ module.exports = {
       }
 
       // Check if promotion can be applied
-      if (!promotion.canApplyToCart(cart, req.user._id)) {
+      const customer = await getCustomerProfile(req.user._id);
+      if (!promotion.canApplyToCart(cart, req.user._id, customer)) {
         return res.status(400).json({
           success: false,
           error: 'Promotion cannot be applied to this cart'
@@ -520,6 +637,7 @@ module.exports = {
         success: true,
         data: {
           promotion,
+          coupon: coupon ? coupon.code : null,
           appliedDiscounts,
           totalDiscount,
           originalTotal,
@@ -537,6 +655,165 @@ module.exports = {
     }
   },
 
+  // Generate a batch of single-use coupon codes for a promotion (Admin/SuperAdmin only)
+  async createCouponBatch(req, res) {
+    try {
+      const { quantity, prefix, pattern, name } = req.body;
+
+      const promotion = await Promotion.findById(req.params.id);
+      if (!promotion) {
+        return res.status(404).json({
+          success: false,
+          error: 'Promotion not found'
+        });
+      }
+      if (!canManageStore(req.user, promotion.store)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only manage coupons of your own store'
+        });
+      }
+
+      const batch = await createCouponBatch(promotion, { quantity, prefix, pattern, name }, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        data: batch,
+        message: `${batch.quantity} coupon codes generated`
+      });
+
+    } catch (error) {
+      console.error('Error creating coupon batch:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  // List a promotion's coupon batches with redemption counts (Admin/SuperAdmin only)
+  async getCouponBatches(req, res) {
+    try {
+      const filter = { promotion: req.params.id };
+      // Admins only see their own store's batches
+      if (req.user.role !== 'superAdmin') filter.store = req.user.assignedStore?._id || req.user.assignedStore;
+
+      const batches = await CouponBatch.find(filter)
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .lean();
+
+      const counts = await Coupon.aggregate([
+        { $match: { batch: { $in: batches.map(batch => batch._id) } } },
+        { $group: { _id: { batch: '$batch', status: '$status' }, count: { $sum: 1 } } }
+      ]);
+      const countsByBatch = new Map();
+      for (const row of counts) {
+        const key = row._id.batch.toString();
+        const entry = countsByBatch.get(key) || { available: 0, reserved: 0, redeemed: 0, revoked: 0 };
+        entry[row._id.status] = row.count;
+        countsByBatch.set(key, entry);
+      }
+
+      res.json({
+        success: true,
+        data: batches.map(batch => ({
+          ...batch,
+          counts: countsByBatch.get(batch._id.toString()) || { available: 0, reserved: 0, redeemed: 0, revoked: 0 }
+        }))
+      });
+
+    } catch (error) {
+      console.error('Error getting coupon batches:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  // Export a coupon batch as CSV (Admin/SuperAdmin only)
+  async exportCouponBatch(req, res) {
+    try {
+      const batch = await CouponBatch.findById(req.params.batchId).lean();
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Coupon batch not found'
+        });
+      }
+      if (!canManageStore(req.user, batch.store)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only manage coupons of your own store'
+        });
+      }
+
+      const coupons = await Coupon.find({ batch: batch._id })
+        .populate('redeemedBy', 'email')
+        .sort({ code: 1 })
+        .lean();
+
+      const csv = [
+        'Code,Status,Redeemed By,Order ID,Redeemed At',
+        ...coupons.map(coupon =>
+          toCsvRow([coupon.code, coupon.status, coupon.redeemedBy?.email, coupon.redeemedOrder, coupon.redeemedAt])
+        )
+      ].join('\n');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=coupons-${batch.prefix || 'batch'}-${batch._id}.csv`);
+      res.send(csv);
+
+    } catch (error) {
+      console.error('Error exporting coupon batch:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  // Revoke a coupon batch's unused codes (Admin/SuperAdmin only)
+  async revokeCouponBatch(req, res) {
+    try {
+      const batch = await CouponBatch.findById(req.params.batchId);
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Coupon batch not found'
+        });
+      }
+      if (!canManageStore(req.user, batch.store)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only manage coupons of your own store'
+        });
+      }
+      if (batch.status === 'revoked') {
+        return res.status(400).json({
+          success: false,
+          error: 'Coupon batch is already revoked'
+        });
+      }
+
+      const revokedCount = await revokeCouponBatch(batch, { userId: req.user._id, reason: req.body.reason });
+
+      res.json({
+        success: true,
+        data: { batch, revokedCount },
+        message: `${revokedCount} unused coupon codes revoked`
+      });
+
+    } catch (error) {
+      console.error('Error revoking coupon batch:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
   // Get promotion statistics (Admin/SuperAdmin only)
   async getPromotionStats(req, res) {
     try {
@@ -673,7 +950,96 @@ function validatePromotionRule(type, rule) {
              ((typeof rule.cartTotal.discountPercentage === 'number' && rule.cartTotal.discountPercentage >= 0 && rule.cartTotal.discountPercentage <= 100) ||
               (typeof rule.cartTotal.discountAmount === 'number' && rule.cartTotal.discountAmount >= 0));
 
+    case 'bundle':
+      return rule.bundle &&
+             Array.isArray(rule.bundle.items) &&
+             rule.bundle.items.length > 0 &&
+             rule.bundle.items.every(item =>
+               item && mongoose.Types.ObjectId.isValid(item.product) &&
+               (item.quantity === undefined || (Number.isInteger(item.quantity) && item.quantity > 0))) &&
+             typeof rule.bundle.price === 'number' &&
+             rule.bundle.price >= 0;
+
+    case 'tieredSpend':
+      return rule.tieredSpend &&
+             Array.isArray(rule.tieredSpend.tiers) &&
+             rule.tieredSpend.tiers.length > 0 &&
+             rule.tieredSpend.tiers.every(tier =>
+               tier && typeof tier.minAmount === 'number' && tier.minAmount >= 0 &&
+               ((typeof tier.discountPercentage === 'number' && tier.discountPercentage > 0 && tier.discountPercentage <= 100) ||
+                (typeof tier.discountAmount === 'number' && tier.discountAmount > 0))) &&
+             new Set(rule.tieredSpend.tiers.map(tier => tier.minAmount)).size === rule.tieredSpend.tiers.length;
+
+    case 'categoryDiscount':
+      return rule.categoryDiscount &&
+             ((typeof rule.categoryDiscount.discountPercentage === 'number' && rule.categoryDiscount.discountPercentage > 0 && rule.categoryDiscount.discountPercentage <= 100) ||
+              (typeof rule.categoryDiscount.discountAmount === 'number' && rule.categoryDiscount.discountAmount > 0));
+
+    case 'cheapestFree':
+      return rule.cheapestFree &&
+             Number.isInteger(rule.cheapestFree.buyQuantity) &&
+             rule.cheapestFree.buyQuantity >= 2 &&
+             (rule.cheapestFree.freeQuantity === undefined ||
+              (Number.isInteger(rule.cheapestFree.freeQuantity) &&
+               rule.cheapestFree.freeQuantity > 0 &&
+               rule.cheapestFree.freeQuantity < rule.cheapestFree.buyQuantity));
+
     default:
       return false;
   }
-} 
\ No newline at end of file
+} 
+
+// Helper function to validate a stacking policy; grouped stacking needs a group
+function validateStacking(stacking, stackGroup) {
+  if (stacking === undefined) return true;
+  if (!['exclusive', 'stackable', 'stackable-within-group'].includes(stacking)) return false;
+  return stacking !== 'stackable-within-group' || Boolean(stackGroup && String(stackGroup).trim());
+}
+
+// Helper function to validate targeting rules; ranges must not be inverted
+function validateTargeting(targeting) {
+  if (targeting === undefined || targeting === null) return true;
+  if (typeof targeting !== 'object' || Array.isArray(targeting)) return false;
+
+  const { roles = [], registrationTypes = [], users = [] } = targeting;
+  if (![roles, registrationTypes, users].every(Array.isArray)) return false;
+  if (!roles.every(role => ['superAdmin', 'admin', 'customer'].includes(role))) return false;
+  if (!registrationTypes.every(type => ['customer', 'business'].includes(type))) return false;
+  if (!users.every(user => mongoose.Types.ObjectId.isValid(user))) return false;
+
+  const isSet = value => value !== undefined && value !== null;
+  const numbers = ['minOrderCount', 'maxOrderCount', 'minLifetimeSpend', 'maxLifetimeSpend', 'orderedWithinDays', 'notOrderedWithinDays'];
+  if (!numbers.every(field => !isSet(targeting[field]) || (Number.isFinite(Number(targeting[field])) && Number(targeting[field]) >= 0))) {
+    return false;
+  }
+
+  const inverted = (min, max) => isSet(targeting[min]) && isSet(targeting[max]) && Number(targeting[min]) > Number(targeting[max]);
+  if (inverted('minOrderCount', 'maxOrderCount') || inverted('minLifetimeSpend', 'maxLifetimeSpend')) return false;
+  // A new customer has no orders, so order-count minimums can never match
+  if (targeting.newCustomersOnly && Number(targeting.minOrderCount) > 0) return false;
+  return true;
+}
+
+// Helper function to validate recurring schedule windows; a window needs
+// both times or neither, and they must differ
+function validateSchedule(schedule) {
+  if (schedule === undefined || schedule === null) return true;
+  if (typeof schedule !== 'object' || !Array.isArray(schedule.windows)) return false;
+
+  const isTime = value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+  return schedule.windows.every(window => {
+    if (!window || typeof window !== 'object') return false;
+    const days = window.days ?? [];
+    if (!Array.isArray(days) || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) return false;
+    if (window.startTime === undefined && window.endTime === undefined) return true;
+    return isTime(window.startTime) && isTime(window.endTime) && window.startTime !== window.endTime;
+  });
+}
+
+// Helper function to check a user may manage a store's promotions; admins are
+// limited to their assigned store
+function canManageStore(user, storeId) {
+  if (user.role === 'superAdmin') return true;
+  const assignedStore = user.assignedStore?._id || user.assignedStore;
+  return Boolean(assignedStore && storeId && String(assignedStore) === String(storeId));
+}
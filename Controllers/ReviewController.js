@@ -0,0 +1,430 @@
+const mongoose = require('mongoose');
+const Review = require('../Models/Review');
+const Item = require('../Models/Product');
+const SalesOrder = require('../Models/SalesOrder');
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Resolve a product by id, or by ItemCode within a store (ItemCodes are only
+// unique per store)
+const findProduct = async (id, storeId) => {
+  const fields = 'ItemCode ItemName store ratingAverage ratingCount';
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    const product = await Item.findById(id).select(fields);
+    if (product) return product;
+  }
+  if (!storeId || !mongoose.Types.ObjectId.isValid(storeId)) return null;
+  return Item.findOne({ ItemCode: id, store: storeId }).select(fields);
+};
+
+// Delivered order of this user that contains the product
+const findDeliveredOrderForProduct = (userId, product) => SalesOrder.findOne({
+  user: userId,
+  trackingStatus: 'delivered',
+  $or: [
+    { 'orderItems.product': product._id.toString() },
+    // Lines that reference the ItemCode only match orders of the product's store
+    {
+      store: product.store,
+      $or: [
+        { 'orderItems.product': product.ItemCode },
+        { 'DocumentLines.ItemCode': product.ItemCode }
+      ]
+    }
+  ]
+}).select('_id store');
+
+// Admins only see reviews of their own store's products
+const canModerate = (user, review) => {
+  if (user.role === 'superAdmin') return true;
+  const storeId = user.assignedStore?._id || user.assignedStore;
+  return Boolean(storeId && review.store && String(review.store) === String(storeId));
+};
+
+const shapeReview = (review) => ({
+  _id: review._id,
+  rating: review.rating,
+  comment: review.comment,
+  user: review.user && review.user.name ? { _id: review.user._id, name: review.user.name } : review.user,
+  product: review.product,
+  verifiedPurchase: Boolean(review.order),
+  adminReply: review.adminReply?.text ? {
+    text: review.adminReply.text,
+    repliedAt: review.adminReply.repliedAt
+  } : null,
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt
+});
+
+// Page and limit query parameters as positive integers, or null when either
+// is not one
+const parsePagination = (query, defaultLimit) => {
+  const page = Number(query.page ?? 1);
+  const limit = Number(query.limit ?? defaultLimit);
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1) return null;
+  return { page, limit };
+};
+
+const duplicateReviewResponse = (res, reviewId) => res.status(409).json({
+  success: false,
+  message: 'You have already reviewed this product. Edit your existing review instead.',
+  reviewId
+});
+
+// Get visible reviews for a product with the rating breakdown (public)
+const getProductReviews = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { sort = 'newest', store } = req.query;
+    const pagination = parsePagination(req.query, 10);
+    if (!pagination) {
+      return res.status(400).json({ success: false, message: 'page and limit must be positive integers' });
+    }
+    const { page, limit } = pagination;
+
+    const product = await findProduct(productId, store);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const filter = { product: product._id, status: 'visible' };
+    const [reviews, total, breakdown] = await Promise.all([
+      Review.find(filter)
+        .populate('user', 'name')
+        .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.newest)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter),
+      Review.aggregate([
+        { $match: filter },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    breakdown.forEach(row => { distribution[row._id] = row.count; });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        averageRating: product.ratingAverage || 0,
+        ratingCount: product.ratingCount || 0,
+        distribution,
+        reviews: reviews.map(shapeReview)
+      },
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get product reviews error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+      error: error.message
+    });
+  }
+};
+
+// Get the current user's reviews
+const getMyReviews = async (req, res) => {
+  try {
+    const reviews = await Review.find({ user: req.user._id })
+      .populate('product', 'ItemCode ItemName image')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      data: reviews.map(review => ({
+        ...shapeReview(review),
+        status: review.status
+      }))
+    });
+  } catch (error) {
+    console.error('Get my reviews error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your reviews',
+      error: error.message
+    });
+  }
+};
+
+// Create a review; only for products in one of the user's delivered orders
+const createReview = async (req, res) => {
+  try {
+    const { productId, rating, comment, store } = req.body;
+    const numericRating = Number(rating);
+
+    if (!productId || !Number.isInteger(numericRating) || numericRating < 1 || numericRating > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'productId and a rating between 1 and 5 are required'
+      });
+    }
+
+    const product = await findProduct(productId, store);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const existing = await Review.findOne({ user: req.user._id, product: product._id });
+    if (existing) {
+      return duplicateReviewResponse(res, existing._id);
+    }
+
+    const order = await findDeliveredOrderForProduct(req.user._id, product);
+    if (!order) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review products from your delivered orders',
+        code: 'NOT_PURCHASED'
+      });
+    }
+
+    const review = await Review.create({
+      user: req.user._id,
+      product: product._id,
+      order: order._id,
+      store: product.store || order.store,
+      rating: numericRating,
+      comment
+    });
+    const summary = await Review.updateProductRating(product._id);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Review submitted',
+      data: shapeReview(review),
+      summary
+    });
+  } catch (error) {
+    // Another request created the review between the check and the insert
+    if (error.code === 11000) {
+      const existing = error.keyValue?.product
+        ? await Review.findOne({ user: req.user._id, product: error.keyValue.product }).select('_id').lean()
+        : null;
+      return duplicateReviewResponse(res, existing?._id);
+    }
+    console.error('Create review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to submit review',
+      error: error.message
+    });
+  }
+};
+
+// Update the current user's review
+const updateReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+    if (String(review.user) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'You can only edit your own reviews' });
+    }
+
+    const { rating, comment } = req.body;
+    if (rating !== undefined) {
+      const numericRating = Number(rating);
+      if (!Number.isInteger(numericRating) || numericRating < 1 || numericRating > 5) {
+        return res.status(400).json({ success: false, message: 'Rating must be between 1 and 5' });
+      }
+      review.rating = numericRating;
+    }
+    if (comment !== undefined) {
+      review.comment = comment;
+    }
+
+    await review.save();
+    const summary = await Review.updateProductRating(review.product);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Review updated',
+      data: shapeReview(review),
+      summary
+    });
+  } catch (error) {
+    console.error('Update review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update review',
+      error: error.message
+    });
+  }
+};
+
+// Delete the current user's review
+const deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+    if (String(review.user) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'You can only delete your own reviews' });
+    }
+
+    await review.deleteOne();
+    const summary = await Review.updateProductRating(review.product);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Review deleted',
+      summary
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete review',
+      error: error.message
+    });
+  }
+};
+
+// Admin: list reviews (store-scoped for store admins)
+const getAllReviews = async (req, res) => {
+  try {
+    const { status, rating, productId, storeId } = req.query;
+    const pagination = parsePagination(req.query, 20);
+    if (!pagination) {
+      return res.status(400).json({ success: false, message: 'page and limit must be positive integers' });
+    }
+    const { page, limit } = pagination;
+
+    const filter = {};
+    if (req.user.role === 'superAdmin') {
+      if (storeId) filter.store = storeId;
+    } else {
+      filter.store = req.user.assignedStore?._id || req.user.assignedStore;
+    }
+    if (status) filter.status = status;
+    if (rating) filter.rating = Number(rating);
+    if (productId) filter.product = productId;
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('user', 'name email')
+        .populate('product', 'ItemCode ItemName image')
+        .populate('moderatedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: reviews,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get all reviews error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+      error: error.message
+    });
+  }
+};
+
+// Admin: hide or show a review
+const updateReviewVisibility = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!['visible', 'hidden'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be visible or hidden' });
+    }
+
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+    if (!canModerate(req.user, review)) {
+      return res.status(403).json({ success: false, message: 'Access denied: not your store review.' });
+    }
+
+    review.status = status;
+    review.moderationReason = reason || undefined;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    await review.save();
+    const summary = await Review.updateProductRating(review.product);
+
+    return res.status(200).json({
+      success: true,
+      message: status === 'hidden' ? 'Review hidden' : 'Review visible again',
+      data: review,
+      summary
+    });
+  } catch (error) {
+    console.error('Update review visibility error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update review',
+      error: error.message
+    });
+  }
+};
+
+// Admin: reply to a review (an empty reply removes it)
+const replyToReview = async (req, res) => {
+  try {
+    const { reply } = req.body;
+
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+    if (!canModerate(req.user, review)) {
+      return res.status(403).json({ success: false, message: 'Access denied: not your store review.' });
+    }
+
+    review.adminReply = reply && reply.trim()
+      ? { text: reply.trim(), repliedBy: req.user._id, repliedAt: new Date() }
+      : undefined;
+    await review.save();
+
+    return res.status(200).json({
+      success: true,
+      message: review.adminReply?.text ? 'Reply saved' : 'Reply removed',
+      data: review
+    });
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save reply',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProductReviews,
+  getMyReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  getAllReviews,
+  updateReviewVisibility,
+  replyToReview
+};
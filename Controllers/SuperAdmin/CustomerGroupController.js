@@ -0,0 +1,148 @@
+const CustomerGroup = require('../../Models/CustomerGroup');
+const Customer = require('../../Models/Customer');
+
+const createCustomerGroup = async (req, res) => {
+  try {
+    const { name, code, description, priceList, isActive } = req.body;
+    if (!name || !code || !priceList) {
+      return res.status(400).json({
+        success: false,
+        message: 'name, code and priceList are required'
+      });
+    }
+
+    const group = await CustomerGroup.create({
+      name,
+      code,
+      description,
+      priceList,
+      isActive,
+      createdBy: req.user._id
+    });
+    res.status(201).json({
+      success: true,
+      message: 'Customer group created successfully',
+      data: group
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A customer group with this code already exists'
+      });
+    }
+    console.error('Create customer group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating customer group',
+      error: error.message
+    });
+  }
+};
+
+const getAllCustomerGroups = async (req, res) => {
+  try {
+    const groups = await CustomerGroup.find().sort({ name: 1 }).lean();
+    const counts = await Customer.aggregate([
+      { $match: { customerGroup: { $in: groups.map(group => group._id) } } },
+      { $group: { _id: '$customerGroup', count: { $sum: 1 } } }
+    ]);
+    const countsById = new Map(counts.map(row => [String(row._id), row.count]));
+
+    res.status(200).json({
+      success: true,
+      count: groups.length,
+      data: groups.map(group => ({ ...group, customerCount: countsById.get(String(group._id)) || 0 }))
+    });
+
+  } catch (error) {
+    console.error('Get customer groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching customer groups',
+      error: error.message
+    });
+  }
+};
+
+const updateCustomerGroup = async (req, res) => {
+  try {
+    const { name, code, description, priceList, isActive } = req.body;
+    const update = { name, code, description, priceList, isActive };
+    Object.keys(update).forEach(key => update[key] === undefined && delete update[key]);
+
+    const group = await CustomerGroup.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer group not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer group updated successfully',
+      data: group
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A customer group with this code already exists'
+      });
+    }
+    console.error('Update customer group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating customer group',
+      error: error.message
+    });
+  }
+};
+
+const deleteCustomerGroup = async (req, res) => {
+  try {
+    const group = await CustomerGroup.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer group not found'
+      });
+    }
+
+    // Members fall back to their own or the default price list
+    await Customer.updateMany(
+      { customerGroup: group._id },
+      { $unset: { customerGroup: 1 } }
+    );
+
+    await CustomerGroup.findByIdAndDelete(group._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer group deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete customer group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting customer group',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createCustomerGroup,
+  getAllCustomerGroups,
+  updateCustomerGroup,
+  deleteCustomerGroup
+};
@@ -1,6 +1,7 @@
 const Item = require('../../Models/Product');
 const Store = require('../../Models/Store');
 const { productUpload, deleteS3Object } = require('../../Config/S3');
+const { importItems } = require('../../Services/sapItemImport');
 
 // Utility function to flatten product object (similar to category controller)
 function flattenProduct(product) {
@@ -474,6 +475,51 @@ const getAnyProductById = async (req, res) => {
 
 
 
+// Import items, prices and warehouse stock from SAP (or an uploaded JSON export)
+// POST /api/superAdmin/products/import/:storeId
+// Body: incremental, since, force, dryRun, allowUnmappedGroups; optional "file" upload
+const importSAPItems = async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const store = await Store.findById(storeId).select('name');
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    // Multipart bodies carry flags as strings
+    const flag = (value) => value === true || value === 'true';
+    const options = {
+      incremental: flag(req.body.incremental),
+      since: req.body.since || undefined,
+      force: flag(req.body.force),
+      dryRun: flag(req.body.dryRun),
+      allowUnmappedGroups: flag(req.body.allowUnmappedGroups)
+    };
+    if (req.file) {
+      options.file = req.file.buffer;
+    } else if (Array.isArray(req.body.items)) {
+      options.items = req.body.items;
+    }
+
+    const summary = await importItems(store._id, options);
+
+    res.json({
+      success: true,
+      message: `Import ${options.dryRun ? 'dry run ' : ''}finished for ${store.name}`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error importing SAP items:', error);
+    res.status(error instanceof SyntaxError ? 400 : 500).json({
+      success: false,
+      message: error instanceof SyntaxError ? 'Import file is not valid JSON' : 'Failed to import items',
+      error: error.message
+    });
+  }
+};
 
 module.exports = {
   getAllProductsAllStores,
@@ -481,5 +527,6 @@ module.exports = {
   getProductsBySpecificStore,
   updateAnyProduct,
   deleteAnyProduct,
-  getAnyProductById
+  getAnyProductById,
+  importSAPItems
 };
\ No newline at end of file
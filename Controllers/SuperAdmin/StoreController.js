@@ -1,5 +1,6 @@
 const Store = require('../../Models/Store');
 const User = require('../../Models/User');
+const Promotion = require('../../Models/Promotion');
 
 const createStore = async (req, res) => {
   try {
@@ -175,6 +176,14 @@ const updateStore = async (req, res) => {
       });
     }
 
+    // Scheduled promotions keep a copy of the store's timezone
+    if (req.body.settings || req.body['settings.timezone']) {
+      await Promotion.updateMany(
+        { store: store._id, 'schedule.windows.0': { $exists: true } },
+        { 'schedule.timeZone': store.settings?.timezone || 'UTC' }
+      );
+    }
+
     res.status(200).json({
       success: true,
       message: 'Store updated successfully',
@@ -1,30 +1,12 @@
+const mongoose = require('mongoose');
 const User = require('../Models/User');
 const Store = require('../Models/Store');
 const Customer = require('../Models/Customer');
+const CustomerGroup = require('../Models/CustomerGroup');
 const Item = require('../Models/Product'); // The schema file is Product.js but the model is now 'Item'
-
-const jwt = require('jsonwebtoken');
-
-// Helper function to generate JWT token
-const generateToken = (user) => {
-  let assignedStoreId = null;
-  if (user.assignedStore) {
-    if (typeof user.assignedStore === 'object' && user.assignedStore._id) {
-      assignedStoreId = user.assignedStore._id.toString();
-    } else {
-      assignedStoreId = user.assignedStore.toString();
-    }
-  }
-  return jwt.sign(
-    { 
-      id: user._id.toString(),
-      role: user.role,
-      assignedStore: assignedStoreId
-    },
-    process.env.JWT_SECRET || 'your-super-secret-jwt-key',
-    { expiresIn: '30d' }
-  );
-};
+const { queueCustomerSync, syncCustomerToSAP } = require('../Services/sapCustomerSync');
+const { createSession, revokeAllSessions } = require('../Services/sessionService');
+const { getCreditAccount, setCreditTerms } = require('../Services/creditService');
 
 // CUSTOMER REGISTRATION - Single step for customers
 const registerCustomer = async (req, res) => {
@@ -125,15 +107,15 @@ const registerCustomer = async (req, res) => {
     user.customer = customerDoc._id;
     await user.save();
 
-    // Generate token for completed registration
-    const token = generateToken(user);
+    // Start a session for the completed registration
+    const auth = await createSession(user, req);
     user.password = undefined;
 
     return res.status(201).json({
       success: true,
       message: 'Customer registration completed successfully!',
       user,
-      token
+      ...auth
     });
 
   } catch (error) {
@@ -317,20 +299,22 @@ const registerBusiness = async (req, res) => {
       customerType: 'non-sap',
       status: 'active',
     });
+    // Queue the business for SAP business partner creation; the sync worker pushes it
+    queueCustomerSync(customerDoc);
     await customerDoc.save();
     
     user.customer = customerDoc._id;
     await user.save();
 
-    // Generate token for completed registration
-    const token = generateToken(user);
+    // Start a session for the completed registration
+    const auth = await createSession(user, req);
     user.password = undefined;
 
     return res.status(201).json({
       success: true,
       message: 'Business registration completed successfully! Please wait for document verification.',
       user,
-      token
+      ...auth
     });
 
   } catch (error) {
@@ -407,6 +391,8 @@ const createAdmin = async (req, res) => {
       registrationType: 'business',
       assignedStore,
       createdBy: req.user._id,
+      // Set by the super admin, so it has to be changed on first login
+      isTemporaryPassword: true,
       termsAndConditions: {
         agreed: agreeToTerms,
         agreedAt: new Date(),
@@ -428,14 +414,14 @@ const createAdmin = async (req, res) => {
       $addToSet: { admins: user._id } 
     });
 
-    const token = generateToken(user);
+    // No session for the new admin: they log in themselves and replace
+    // the temporary password
     user.password = undefined;
 
     return res.status(201).json({
       success: true,
       message: 'Admin created successfully',
-      user,
-      token
+      user
     });
 
   } catch (error) {
@@ -476,14 +462,14 @@ const registerSuperAdmin = async (req, res) => {
         documentVerificationStatus: 'verified'
       });
       
-      const token = generateToken(user);
+      const auth = await createSession(user, req);
       user.password = undefined;
       
       return res.status(201).json({
         success: true,
         message: 'Super admin registered successfully',
         user,
-        token
+        ...auth
       });
     } else {
       // Additional super admin creation by existing super admin
@@ -505,14 +491,14 @@ const registerSuperAdmin = async (req, res) => {
         documentVerificationStatus: 'verified'
       });
       
-      const token = generateToken(user);
+      const auth = await createSession(user, req);
       user.password = undefined;
       
       return res.status(201).json({
         success: true,
         message: 'Super admin registered successfully',
         user,
-        token
+        ...auth
       });
     }
 
@@ -578,8 +564,8 @@ const login = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user);
+    // Start a session: short-lived access token plus refresh token
+    const auth = await createSession(user, req);
 
     user.password = undefined;
 
@@ -588,7 +574,9 @@ const login = async (req, res) => {
       message: 'Login successful',
       data: {
         user,
-        token
+        ...auth,
+        // Client must send the user to change-password before anything else
+        requiresPasswordChange: Boolean(user.isTemporaryPassword)
       }
     });
 
@@ -781,6 +769,11 @@ const updateUserStatus = async (req, res) => {
       });
     }
 
+    // Sign the user out everywhere; a reactivated account logs in again
+    if (status !== 'active') {
+      await revokeAllSessions(user._id, `status_${status}`);
+    }
+
     res.status(200).json({
       success: true,
       message: 'User status updated successfully',
@@ -824,6 +817,7 @@ const deleteUser = async (req, res) => {
       );
     }
 
+    await revokeAllSessions(user._id, 'user_deleted');
     await User.findByIdAndDelete(req.params.id);
 
     res.status(200).json({
@@ -971,6 +965,14 @@ const updateDocumentVerification = async (req, res) => {
 
     await user.save();
 
+    // On-account ordering requires verified documents
+    if (status !== 'verified') {
+      await Customer.updateMany(
+        { user: user._id, 'creditTerms.enabled': true },
+        { $set: { 'creditTerms.enabled': false, 'creditTerms.updatedAt': new Date() } }
+      );
+    }
+
     res.json({
       success: true,
       message: 'Document verification status updated successfully',
@@ -990,6 +992,288 @@ const updateDocumentVerification = async (req, res) => {
   }
 };
 
+// List customers by SAP sync status (defaults to failed syncs)
+const getCustomerSyncStatus = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'SyncFailed', search } = req.query;
+
+    const query = {};
+    if (status === 'pending') {
+      query.SyncedWithSAP = { $ne: true };
+      query.NextSyncAttempt = { $ne: null };
+    } else if (status !== 'all') {
+      query.LocalStatus = status;
+    }
+    if (search) {
+      query.$or = [
+        { CardName: { $regex: search, $options: 'i' } },
+        { Email: { $regex: search, $options: 'i' } },
+        { CardCode: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const customers = await Customer.find(query)
+      .populate('user', 'name email registrationType documentVerificationStatus')
+      .select('CardName CardCode Email phoneNumber customerType SyncedWithSAP LocalStatus SyncErrors SyncAttempts LastSyncAttempt NextSyncAttempt SAPSyncDisabled user createdAt')
+      .limit(+limit)
+      .skip((page - 1) * limit)
+      .sort({ LastSyncAttempt: -1, createdAt: -1 });
+
+    const total = await Customer.countDocuments(query);
+
+    return res.status(200).json({
+      success: true,
+      customers,
+      pagination: {
+        current: +page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get customer sync status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching customer sync status',
+      error: error.message
+    });
+  }
+};
+
+// Retry a customer's SAP business partner sync now; body.cardCode links an
+// existing business partner an admin has confirmed is this customer's
+const retryCustomerSync = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.customerId);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+    if (customer.SAPSyncDisabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'SAP sync is disabled for this customer'
+      });
+    }
+
+    if (req.body?.cardCode) {
+      customer.CardCode = String(req.body.cardCode).trim();
+    }
+
+    queueCustomerSync(customer);
+    const result = await syncCustomerToSAP(customer);
+
+    return res.status(result.status === 'failed' ? 502 : 200).json({
+      success: result.status !== 'failed',
+      message: result.status === 'failed'
+        ? 'SAP business partner sync failed'
+        : 'Customer synced with SAP',
+      result,
+      customer: {
+        _id: customer._id,
+        CardCode: customer.CardCode,
+        LocalStatus: customer.LocalStatus,
+        SyncErrors: customer.SyncErrors,
+        SyncAttempts: customer.SyncAttempts,
+        NextSyncAttempt: customer.NextSyncAttempt
+      }
+    });
+  } catch (error) {
+    console.error('Retry customer sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while syncing customer',
+      error: error.message
+    });
+  }
+};
+
+// Get a customer's credit terms and balances (for admin use)
+const getCreditTerms = async (req, res) => {
+  try {
+    const account = await getCreditAccount(req.params.userId);
+    res.json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    console.error('Get credit terms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching credit terms',
+      error: error.message
+    });
+  }
+};
+
+// Set credit limit and payment terms for a verified business (for admin use)
+const updateCreditTerms = async (req, res) => {
+  try {
+    const { enabled, creditLimit, paymentTermsDays } = req.body;
+    await setCreditTerms(req.params.userId, { enabled, creditLimit, paymentTermsDays }, req.user._id);
+    const account = await getCreditAccount(req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'Credit terms updated successfully',
+      data: account
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update credit terms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating credit terms',
+      error: error.message
+    });
+  }
+};
+
+// Assign a customer's own price list and/or customer group (for admin use).
+// Send null to clear either one.
+const updateCustomerPricing = async (req, res) => {
+  try {
+    const { priceList, customerGroup } = req.body;
+    const customer = await Customer.findOne({ user: req.params.userId });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'No customer record found for this user'
+      });
+    }
+
+    if (priceList !== undefined) {
+      if (priceList !== null && !(Number.isInteger(Number(priceList)) && Number(priceList) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'priceList must be a SAP price list number'
+        });
+      }
+      customer.priceList = priceList === null ? undefined : Number(priceList);
+    }
+    if (customerGroup !== undefined) {
+      if (customerGroup !== null && !mongoose.Types.ObjectId.isValid(String(customerGroup))) {
+        return res.status(400).json({
+          success: false,
+          message: 'customerGroup must be a valid customer group id'
+        });
+      }
+      if (customerGroup !== null && !(await CustomerGroup.exists({ _id: customerGroup }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer group not found'
+        });
+      }
+      customer.customerGroup = customerGroup || undefined;
+    }
+    await customer.save();
+    await customer.populate('customerGroup', 'name code priceList isActive');
+
+    res.json({
+      success: true,
+      message: 'Customer pricing updated successfully',
+      data: {
+        priceList: customer.priceList || null,
+        customerGroup: customer.customerGroup || null
+      }
+    });
+  } catch (error) {
+    console.error('Update customer pricing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating customer pricing',
+      error: error.message
+    });
+  }
+};
+
+// Mark a business customer as exempt from VAT (or remove the exemption)
+const updateTaxExemption = async (req, res) => {
+  try {
+    const { exempt, reference } = req.body;
+    if (typeof exempt !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'exempt must be true or false'
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('registrationType');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (exempt && user.registrationType !== 'business') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only business customers can be exempt from VAT'
+      });
+    }
+    if (exempt && !reference) {
+      return res.status(400).json({
+        success: false,
+        message: 'An exemption certificate or TRN reference is required'
+      });
+    }
+
+    const customer = await Customer.findOne({ user: user._id });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'No customer record found for this user'
+      });
+    }
+
+    customer.taxExemption = {
+      exempt,
+      reference: exempt ? reference : undefined,
+      updatedBy: req.user._id,
+      updatedAt: new Date()
+    };
+    await customer.save();
+
+    res.json({
+      success: true,
+      message: exempt ? 'Customer is now exempt from VAT' : 'VAT exemption removed',
+      data: customer.taxExemption
+    });
+  } catch (error) {
+    console.error('Update tax exemption error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating tax exemption',
+      error: error.message
+    });
+  }
+};
+
+// Get the current user's on-account credit (available credit at checkout)
+const getMyCreditAccount = async (req, res) => {
+  try {
+    const account = await getCreditAccount(req.user._id);
+    res.json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    console.error('Get credit account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching credit account',
+      error: error.message
+    });
+  }
+};
+
 // Add a new address
 const addAddress = async (req, res) => {
   try {
@@ -1409,6 +1693,15 @@ module.exports = {
   deleteUser,
   getAdmins,
   updateDocumentVerification,
+  getCustomerSyncStatus,
+  retryCustomerSync,
+  getCreditTerms,
+  updateCreditTerms,
+  updateCustomerPricing,
+  updateTaxExemption,
+  
+  // On-account credit
+  getMyCreditAccount,
   
   // Address management
   addAddress,
@@ -4,6 +4,9 @@ const Cart = require('../../Models/Cart'); // Add this at the top
 const Payment = require('../../Models/Payment'); // Import Payment model
 const Dispute = require('../../Models/Dispute'); // Import Dispute model
 const mongoose = require('mongoose');
+const { getCancellationStatus, cancelOrder: cancelOrderService } = require('../../Services/orderCancellationService');
+const { sendOrderCancellationEmail } = require('../../Services/emailService');
+const { generateInvoice } = require('../../Services/invoiceService');
 
 // Get all orders for the currently authenticated user
 const getUserOrders = async (req, res) => {
@@ -336,6 +339,29 @@ const viewReceipt = async (req, res) => {
   }
 };
 
+// Download the PDF invoice for an order
+const downloadInvoice = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { orderId } = req.params;
+    const order = await SalesOrder.findOne({ _id: orderId, user: userId });
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (order.LocalStatus === 'PaymentFailed') {
+      return res.status(409).json({ success: false, message: 'No invoice is issued for an order whose payment failed' });
+    }
+
+    const invoice = await generateInvoice(order);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${invoice.filename}`);
+    return res.send(invoice.buffer);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
 // Get tracking data for a specific order
 const getOrderTracking = async (req, res) => {
   try {
@@ -424,6 +450,75 @@ const getCustomerRecurringOrders = async (req, res) => {
   }
 };
 
+// Whether the customer can still cancel an order, and until when
+const getOrderCancellation = async (req, res) => {
+  try {
+    const order = await SalesOrder.findOne({ _id: req.params.orderId, user: req.user._id });
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    const status = await getCancellationStatus(order);
+    return res.status(200).json({ success: true, data: status });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Cancel a pending order before the store's cancellation cutoff
+const cancelOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const reason = req.body?.reason;
+    const order = await SalesOrder.findOne({ _id: orderId, user: req.user._id });
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const status = await getCancellationStatus(order);
+    if (!status.allowed) {
+      return res.status(409).json({
+        success: false,
+        message: status.reason,
+        code: 'CANCELLATION_NOT_ALLOWED',
+        deadline: status.deadline
+      });
+    }
+
+    const result = await cancelOrderService(order, { cancelledBy: req.user._id, reason });
+
+    try {
+      await sendOrderCancellationEmail(
+        req.user.email,
+        order,
+        req.user.firstName || req.user.name,
+        { refundAmount: result.refund?.amount, refundMethod: result.refund?.method, voided: result.voided }
+      );
+    } catch (emailError) {
+      console.error('Failed to send order cancellation email:', emailError);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Order cancelled',
+      data: {
+        orderId: order._id,
+        trackingStatus: order.trackingStatus,
+        LocalStatus: order.LocalStatus,
+        payment_status: order.payment_status,
+        refundAmount: result.refund?.amount || 0,
+        paymentVoided: result.voided
+      }
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      ...(error.code && typeof error.code === 'string' ? { code: error.code } : {})
+    });
+  }
+};
+
 module.exports = {
   getUserOrders,
   getOrderDetails,
@@ -431,6 +526,9 @@ module.exports = {
   getOrderDetails,
   reorder,
   viewReceipt,
+  downloadInvoice,
   getOrderTracking,
   getCustomerRecurringOrders,
+  getOrderCancellation,
+  cancelOrder,
 };
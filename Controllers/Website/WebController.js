@@ -3,10 +3,40 @@ const Category = require('../../Models/Category');
 const Store = require('../../Models/Store');
 const Product = require('../../Models/Product');
 const Cart = require('../../Models/Cart');
+const { getAvailableSlots } = require('../../Services/deliverySlotService');
+const { DEFAULT_PRICE_LIST, getProductPrice, getSellingUnits, resolveLinePrice, resolvePriceList } = require('../../Services/pricingService');
+const { getMinimalOrderQuantity } = require('../../Services/stockService');
+const { decodeTokenFromRequest } = require('../../Middleware/Authentication');
+
+// Price list of the logged-in customer; product routes are public, so
+// anonymous visitors get the default web price list
+async function getRequestPriceList(req) {
+  const decoded = decodeTokenFromRequest(req);
+  return decoded?.id ? resolvePriceList(decoded.id) : DEFAULT_PRICE_LIST;
+}
+
+// Units a product is sold in, with the customer's unit price and the price
+// at each quantity break
+function shapeSellingUnits(product, priceList) {
+  return getSellingUnits(product).map(unit => ({
+    uom: unit.code,
+    name: unit.name,
+    itemsPerUnit: unit.itemsPerUnit,
+    price: resolveLinePrice(product, { uom: unit.code, quantity: 1, priceList }).price,
+    quantityBreaks: [...new Set((product.quantityBreaks || [])
+      .filter(qb => (qb.uom || 'piece') === unit.code && (!qb.priceList || qb.priceList === priceList))
+      .map(qb => qb.minQuantity))]
+      .sort((a, b) => a - b)
+      .map(minQuantity => ({
+        minQuantity,
+        price: resolveLinePrice(product, { uom: unit.code, quantity: minQuantity, priceList }).price
+      }))
+  }));
+}
 
 // Utility function to shape product object for responses
-function shapeProduct(product) {
-  const allowedLists = new Set([1, 2, 3, 5]);
+function shapeProduct(product, priceList = DEFAULT_PRICE_LIST) {
+  const allowedLists = new Set([1, 2, 3, 5, priceList]);
   const filteredPrices = (product.ItemPrices || []).filter(p =>
     allowedLists.has(p.PriceList)
   );
@@ -20,6 +50,12 @@ function shapeProduct(product) {
     image: product.image,
     imageKey: product.imageKey,
     prices: filteredPrices,
+    // The customer's own price
+    price: getProductPrice(product, priceList),
+    priceList,
+    units: shapeSellingUnits(product, priceList),
+    // Smallest quantity that can be ordered, in pieces
+    minimalOrder: getMinimalOrderQuantity(product),
     store: product.store,
     stock: totalStock,
     isAvailable: totalStock > 0,
@@ -32,10 +68,18 @@ function shapeProduct(product) {
     validTo: product.ValidTo,
     validRemarks: product.ValidRemarks,
     warehouseInfo,
-    description: product.Description // Fixed: use capital D to match model
+    description: product.Description, // Fixed: use capital D to match model
+    averageRating: product.ratingAverage || 0,
+    ratingCount: product.ratingCount || 0
   };
 }
 
+// Optional ?sortBy= for product listings
+function getProductSort(sortBy) {
+  if (sortBy === 'rating') return { ratingAverage: -1, ratingCount: -1, ItemName: 1 };
+  return null;
+}
+
 // Utility function to flatten category object (copied from Admin/CategoryController.js)
 function flattenCategory(category) {
   const flat = {
@@ -90,6 +134,7 @@ const getActiveCategoriesByStore = async (req, res) => {
       return res.status(400).json({ success: false, message: 'storeId is required' });
     }
     const categories = await Category.find({ store: storeId, isActive: true }).populate('store', 'name location.address');
+    const priceList = await getRequestPriceList(req);
     // For each category, fetch products and add as 'items' array
     const categoriesWithItems = await Promise.all(
       categories.map(async (category) => {
@@ -101,7 +146,7 @@ const getActiveCategoriesByStore = async (req, res) => {
         }).lean();
         return {
           ...flattenCategory(category),
-          items: items.map(shapeProduct),
+          items: items.map(item => shapeProduct(item, priceList)),
           itemCount: items.length
         };
       })
@@ -130,6 +175,34 @@ const getActiveStores = async (req, res) => {
   }
 };
 
+// Delivery or pickup slot availability for a store on a date (?date=YYYY-MM-DD&type=delivery|pickup)
+const getStoreSlots = async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const { date, type = 'delivery' } = req.query;
+    if (!date) {
+      return res.status(400).json({ success: false, message: 'date is required (YYYY-MM-DD)' });
+    }
+    if (!['delivery', 'pickup'].includes(type)) {
+      return res.status(400).json({ success: false, message: 'type must be delivery or pickup' });
+    }
+
+    const store = await Store.findOne({ _id: storeId, status: 'active' })
+      .select('businessHours settings.timezone features deliverySlots pickupSlots');
+    if (!store) {
+      return res.status(404).json({ success: false, message: 'Store not found' });
+    }
+
+    const availability = await getAvailableSlots(store, date, type);
+    return res.status(200).json({ success: true, data: availability });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 // 4. Get top 12 featured products with highest stock for a selected store
 const getFeaturedProducts = async (req, res) => {
   try {
@@ -148,7 +221,8 @@ const getFeaturedProducts = async (req, res) => {
       .limit(12)
       .lean();
 
-    const shapedProducts = products.map(shapeProduct);
+    const priceList = await getRequestPriceList(req);
+    const shapedProducts = products.map(product => shapeProduct(product, priceList));
     return res.status(200).json({
       success: true,
       count: shapedProducts.length,
@@ -170,7 +244,8 @@ const getTop3ActiveProductsByStore = async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(12)
       .lean();
-    const shapedProducts = products.map(shapeProduct);
+    const priceList = await getRequestPriceList(req);
+    const shapedProducts = products.map(product => shapeProduct(product, priceList));
     return res.status(200).json({
       success: true,
       count: shapedProducts.length,
@@ -184,12 +259,15 @@ const getTop3ActiveProductsByStore = async (req, res) => {
 // 5. Get all active products for a selected store
 const getActiveProductsByStore = async (req, res) => {
   try {
-    const { storeId } = req.query;
+    const { storeId, sortBy } = req.query;
     if (!storeId) {
       return res.status(400).json({ success: false, message: 'storeId is required' });
     }
-    const products = await Product.find({ store: storeId, QuantityOnStock: { $gt: 0 } }).lean();
-    const shapedProducts = products.map(shapeProduct);
+    const products = await Product.find({ store: storeId, QuantityOnStock: { $gt: 0 } })
+      .sort(getProductSort(sortBy))
+      .lean();
+    const priceList = await getRequestPriceList(req);
+    const shapedProducts = products.map(product => shapeProduct(product, priceList));
     return res.status(200).json({
       success: true,
       count: shapedProducts.length,
@@ -203,7 +281,7 @@ const getActiveProductsByStore = async (req, res) => {
 // 6. Get all active products for a selected store and category
 const getActiveProductsByStoreAndCategory = async (req, res) => {
   try {
-    const { storeId, category } = req.query;
+    const { storeId, category, sortBy } = req.query;
     if (!storeId || !category) {
       return res.status(400).json({ success: false, message: 'storeId and category are required' });
     }
@@ -212,8 +290,11 @@ const getActiveProductsByStoreAndCategory = async (req, res) => {
       ItemsGroupCode: category,
       Valid: 'tYES',
       QuantityOnStock: { $gt: 0 }
-    }).lean();
-    const shapedProducts = products.map(shapeProduct);
+    })
+      .sort(getProductSort(sortBy))
+      .lean();
+    const priceList = await getRequestPriceList(req);
+    const shapedProducts = products.map(product => shapeProduct(product, priceList));
     return res.status(200).json({
       success: true,
       count: shapedProducts.length,
@@ -258,7 +339,7 @@ const suggestProductNames = async (req, res) => {
 // Search products by name/code, only active
 const searchProducts = async (req, res) => {
   try {
-    const { search = '', storeId } = req.query;
+    const { search = '', storeId, sortBy } = req.query;
     if (!search) {
       return res.status(400).json({
         success: false,
@@ -272,8 +353,9 @@ const searchProducts = async (req, res) => {
       { ItemName: { $regex: search, $options: 'i' } },
       { ItemCode: { $regex: search, $options: 'i' } }
     ];
-    const products = await Product.find(filter).lean();
-    const shapedProducts = products.map(shapeProduct);
+    const products = await Product.find(filter).sort(getProductSort(sortBy)).lean();
+    const priceList = await getRequestPriceList(req);
+    const shapedProducts = products.map(product => shapeProduct(product, priceList));
     return res.status(200).json({
       success: true,
       data: shapedProducts
@@ -302,7 +384,7 @@ const getProductById = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
-    const shaped = shapeProduct(product);
+    const shaped = shapeProduct(product, await getRequestPriceList(req));
 
     return res.status(200).json({ success: true, data: shaped });
   } catch (error) {
@@ -442,6 +524,7 @@ module.exports = {
   getActiveBannersByStore,
   getActiveCategoriesByStore,
   getActiveStores,
+  getStoreSlots,
   getFeaturedProducts,
   getTop3ActiveProductsByStore,
   getActiveProductsByStore,
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../Models/User');
+const { getActiveSession } = require('../Services/sessionService');
 
 // Utility: Decode and verify JWT token from request headers
 function decodeTokenFromRequest(req) {
@@ -17,7 +18,7 @@ function decodeTokenFromRequest(req) {
 }
 
 // Protect routes - Authenticate user
-const protect = async (req, res, next) => {
+const authenticate = ({ allowTemporaryPassword = false } = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -77,6 +78,27 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Tokens are tied to a server-side session that can be revoked
+      const sessionRevoked = decoded.sid
+        ? !(await getActiveSession(decoded.sid, user._id))
+        : Boolean(user.sessionsRevokedAt && decoded.iat * 1000 < user.sessionsRevokedAt.getTime());
+      if (sessionRevoked) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been signed out. Please log in again.',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
+      // Users on a temporary password must change it before anything else
+      if (user.isTemporaryPassword && !allowTemporaryPassword) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please change your temporary password to continue.',
+          code: 'PASSWORD_CHANGE_REQUIRED'
+        });
+      }
+
       // Add user to request object
       req.user = user;
       
@@ -85,6 +107,7 @@ const protect = async (req, res, next) => {
         id: decoded.id,
         role: decoded.role,
         assignedStore: decoded.assignedStore,
+        sid: decoded.sid,
         iat: decoded.iat,
         exp: decoded.exp
       };
@@ -133,6 +156,12 @@ const protect = async (req, res, next) => {
   }
 };
 
+const protect = authenticate();
+
+// Same as protect, but also lets users on a temporary password through
+// (change password, profile)
+const protectAllowTemporaryPassword = authenticate({ allowTemporaryPassword: true });
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -260,6 +289,7 @@ const validateStoreAccess = (req, res, next) => {
 
 module.exports = {
   protect,
+  protectAllowTemporaryPassword,
   authorize,
   requireSuperAdmin,
   requireAdmin,
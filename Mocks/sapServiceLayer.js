@@ -0,0 +1,196 @@
+// Local mock of the SAP Business One Service Layer for development and testing.
+// Run: node Mocks/sapServiceLayer.js, then set
+// SAP_SERVICE_LAYER_URL=http://localhost:50001/b1s/v1
+const express = require('express');
+const crypto = require('crypto');
+
+function createMockServiceLayer(options = {}) {
+  const state = {
+    sessions: new Set(),
+    orders: [],
+    items: options.items || [],
+    businessPartners: options.businessPartners || [],
+    nextCardNumber: 1,
+    nextDocEntry: options.startDocEntry || 1000,
+    // Number of upcoming POST /Orders calls that should fail (for retry testing)
+    failOrders: options.failOrders || 0,
+    requests: []
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  const sapError = (res, status, code, message) => res.status(status).json({
+    error: { code, message: { lang: 'en-us', value: message } }
+  });
+
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, body: req.body });
+    next();
+  });
+
+  router.post('/Login', (req, res) => {
+    const { CompanyDB, UserName, Password } = req.body || {};
+    if (!CompanyDB || !UserName || !Password) {
+      return sapError(res, 401, -304, 'Fail to get DB Credentials from SLD');
+    }
+    const sessionId = crypto.randomUUID();
+    state.sessions.add(sessionId);
+    res.setHeader('Set-Cookie', [`B1SESSION=${sessionId}; HttpOnly;`, 'ROUTEID=.node1; path=/b1s']);
+    res.json({ SessionId: sessionId, Version: '1000190', SessionTimeout: 30 });
+  });
+
+  // Every other endpoint requires a valid session cookie
+  router.use((req, res, next) => {
+    const match = /B1SESSION=([^;]+)/.exec(req.headers.cookie || '');
+    if (!match || !state.sessions.has(match[1])) {
+      return sapError(res, 401, 301, 'Invalid session or session already timeout.');
+    }
+    req.sessionId = match[1];
+    next();
+  });
+
+  router.post('/Logout', (req, res) => {
+    state.sessions.delete(req.sessionId);
+    res.status(204).end();
+  });
+
+  // Supports the incremental UpdateDate/UpdateTime filter used by the item
+  // import and Service Layer paging (Prefer: odata.maxpagesize, $skip)
+  router.get('/Items', (req, res) => {
+    let results = state.items;
+    const filter = req.query.$filter;
+    const since = filter && /UpdateDate gt '([^']+)' or \(UpdateDate eq '[^']+' and UpdateTime ge '([^']+)'\)/.exec(filter);
+    if (since) {
+      const sinceStamp = `${since[1]} ${since[2]}`;
+      results = results.filter(item =>
+        `${String(item.UpdateDate).split('T')[0]} ${item.UpdateTime || '00:00:00'}` >= sinceStamp);
+    }
+
+    const pageSizeMatch = /odata\.maxpagesize=(\d+)/.exec(req.headers.prefer || '');
+    const pageSize = pageSizeMatch ? parseInt(pageSizeMatch[1], 10) : 20;
+    const skip = parseInt(req.query.$skip || '0', 10);
+    const page = { value: results.slice(skip, skip + pageSize) };
+    if (skip + pageSize < results.length) {
+      const params = new URLSearchParams();
+      if (filter) params.set('$filter', filter);
+      params.set('$skip', String(skip + pageSize));
+      page['odata.nextLink'] = `Items?${params.toString()}`;
+    }
+    res.json(page);
+  });
+
+  router.get("/BusinessPartners\\(':cardCode'\\)", (req, res) => {
+    const partner = state.businessPartners.find(bp => bp.CardCode === req.params.cardCode);
+    if (!partner) return sapError(res, 404, -2028, 'No matching records found (ODBC -2028)');
+    res.json(partner);
+  });
+
+  router.get('/BusinessPartners', (req, res) => {
+    let results = state.businessPartners;
+    const filter = req.query.$filter;
+    const email = filter && /EmailAddress eq '((?:[^']|'')*)'/.exec(filter);
+    if (email) {
+      const value = email[1].replace(/''/g, "'");
+      results = results.filter(bp => bp.EmailAddress === value);
+    }
+    res.json({ value: results });
+  });
+
+  router.post('/BusinessPartners', (req, res) => {
+    const body = req.body || {};
+    if (!body.CardName) {
+      return sapError(res, 400, -5002, 'Enter a business partner name [OCRD.CardName]');
+    }
+    // A numbering series makes SAP assign the code
+    const cardCode = body.Series ? `C${String(state.nextCardNumber++).padStart(5, '0')}` : body.CardCode;
+    if (!cardCode) {
+      return sapError(res, 400, -5002, 'Enter a valid business partner code [OCRD.CardCode]');
+    }
+    if (state.businessPartners.some(bp => bp.CardCode === cardCode)) {
+      return sapError(res, 400, -10, `Business partner code '${cardCode}' already exists`);
+    }
+
+    const partner = { ...body, CardCode: cardCode };
+    state.businessPartners.push(partner);
+    res.status(201).json(partner);
+  });
+
+  router.get('/Orders', (req, res) => {
+    let results = state.orders;
+    const filter = req.query.$filter;
+    const numAtCard = filter && /NumAtCard eq '((?:[^']|'')*)'/.exec(filter);
+    if (numAtCard) {
+      const value = numAtCard[1].replace(/''/g, "'");
+      results = results.filter(order => order.NumAtCard === value);
+    }
+    res.json({ value: results });
+  });
+
+  router.get('/Orders\\(:docEntry\\)', (req, res) => {
+    const order = state.orders.find(o => o.DocEntry === Number(req.params.docEntry));
+    if (!order) return sapError(res, 404, -2028, 'No matching records found (ODBC -2028)');
+    res.json(order);
+  });
+
+  router.post('/Orders', (req, res) => {
+    if (state.failOrders > 0) {
+      state.failOrders -= 1;
+      return sapError(res, 500, -5002, 'Simulated Service Layer failure');
+    }
+
+    const body = req.body || {};
+    if (!body.CardCode) {
+      return sapError(res, 400, -5002, "Enter a valid business partner code [ORDR.CardCode]");
+    }
+    if (!Array.isArray(body.DocumentLines) || body.DocumentLines.length === 0) {
+      return sapError(res, 400, -5002, 'To generate this document, first define the numbering series in the Administration module');
+    }
+    const badLine = body.DocumentLines.find(line => !line.ItemCode || !(line.Quantity > 0));
+    if (badLine) {
+      return sapError(res, 400, -5002, `Invalid item or quantity in line [RDR1.ItemCode][line: ${body.DocumentLines.indexOf(badLine)}]`);
+    }
+
+    const docEntry = state.nextDocEntry++;
+    const order = {
+      ...body,
+      DocEntry: docEntry,
+      DocNum: docEntry,
+      DocumentStatus: 'bost_Open',
+      DocumentLines: body.DocumentLines.map((line, idx) => ({ ...line, LineNum: idx }))
+    };
+    state.orders.push(order);
+    res.status(201).json(order);
+  });
+
+  router.post('/Orders\\(:docEntry\\)/Cancel', (req, res) => {
+    const order = state.orders.find(o => o.DocEntry === Number(req.params.docEntry));
+    if (!order) return sapError(res, 404, -2028, 'No matching records found (ODBC -2028)');
+    if (order.Cancelled === 'tYES') {
+      return sapError(res, 400, -5006, 'Document is already cancelled');
+    }
+    order.Cancelled = 'tYES';
+    order.DocumentStatus = 'bost_Close';
+    res.status(204).end();
+  });
+
+  app.use('/b1s/v1', router);
+
+  return { app, state };
+}
+
+if (require.main === module) {
+  const port = process.env.SAP_MOCK_PORT || 50001;
+  const { app } = createMockServiceLayer({
+    failOrders: parseInt(process.env.SAP_MOCK_FAIL_ORDERS || '0', 10),
+    // Optional JSON export of Items served by GET /Items
+    items: process.env.SAP_MOCK_ITEMS_FILE ? require(require('path').resolve(process.env.SAP_MOCK_ITEMS_FILE)) : []
+  });
+  app.listen(port, () => {
+    console.log(`SAP Service Layer mock running at http://localhost:${port}/b1s/v1`);
+  });
+}
+
+module.exports = { createMockServiceLayer };
@@ -41,7 +41,7 @@ const AppliedPromotionSchema = new Schema({
   // Type of promotion applied
   type: {
     type: String,
-    enum: ['buyXGetY', 'quantityDiscount', 'cartTotal'],
+    enum: ['buyXGetY', 'quantityDiscount', 'cartTotal', 'bundle', 'tieredSpend', 'categoryDiscount', 'cheapestFree'],
     required: true
   },
   
@@ -49,7 +49,7 @@ const AppliedPromotionSchema = new Schema({
   appliedDiscounts: [{
     type: {
       type: String,
-      enum: ['buyXGetY', 'quantityDiscount', 'cartTotal'],
+      enum: ['buyXGetY', 'quantityDiscount', 'cartTotal', 'bundle', 'tieredSpend', 'categoryDiscount', 'cheapestFree'],
       required: true
     },
     productId: {
@@ -69,7 +69,14 @@ const AppliedPromotionSchema = new Schema({
       type: Schema.Types.ObjectId,
       ref: 'Item'
     },
-    freeShipping: Boolean
+    freeShipping: Boolean,
+    // Complete bundles charged the bundle price (bundle)
+    bundleCount: Number,
+    // Threshold of the tier reached (tieredSpend)
+    tierMinAmount: Number,
+    // Items made free (cheapestFree)
+    freeUnits: Number,
+    description: String
   }],
   
   // Total discount amount
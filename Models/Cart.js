@@ -16,7 +16,21 @@ const CartItemSchema = new mongoose.Schema({
     type: Number, 
     required: true,
     min: 0
-  }, // Snapshot price at time of adding to cart
+  }, // Snapshot price at time of adding to cart, per unit of measure
+  // Unit the quantity is counted in; a case holds itemsPerUnit pieces
+  uom: {
+    type: String,
+    enum: ['piece', 'case'],
+    default: 'piece'
+  },
+  uomName: {
+    type: String
+  },
+  itemsPerUnit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   addedAt: {
     type: Date,
     default: Date.now
@@ -85,11 +99,51 @@ const CartSchema = new mongoose.Schema({
       trim: true,
       uppercase: true
     },
+    // Single-use coupon the code came from, redeemed when the order is placed
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
     isAutoApplied: {
       type: Boolean,
       default: false
     }
   }],
+  // Promotions left out of the cart by their stacking policies, with why
+  droppedPromotions: [{
+    _id: false,
+    promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    code: String,
+    name: String,
+    reason: String,
+    message: String,
+    conflictsWith: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' }
+  }],
+  // Fulfilment chosen at checkout; the delivery fee is quoted from it and the
+  // time slot is held while the customer pays
+  delivery: {
+    method: {
+      type: String,
+      enum: ['delivery', 'pickup'],
+      default: 'delivery'
+    },
+    timeSlot: String,
+    // Store-local calendar date of the slot, YYYY-MM-DD
+    date: String,
+    address: {
+      address: String,
+      city: String,
+      postalCode: String,
+      country: String,
+      latitude: Number,
+      longitude: Number
+    }
+  },
+  // Stripe PaymentIntent created from this cart (kept in sync until confirmation)
+  paymentIntentId: {
+    type: String,
+    default: null
+  },
   metadata: {
     userAgent: String,
     ipAddress: String,
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Single-use code from a coupon batch; redeeming it applies the batch's promotion
+const CouponSchema = new Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  batch: {
+    type: Schema.Types.ObjectId,
+    ref: 'CouponBatch',
+    required: true,
+    index: true
+  },
+  promotion: {
+    type: Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  // reserved: claimed by a checkout until reservedUntil, then redeemed by its order
+  status: {
+    type: String,
+    enum: ['available', 'reserved', 'redeemed', 'revoked'],
+    default: 'available'
+  },
+  reservedCart: { type: Schema.Types.ObjectId, ref: 'Cart' },
+  reservedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  reservedUntil: { type: Date },
+  redeemedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  redeemedOrder: { type: Schema.Types.ObjectId, ref: 'SalesOrder' },
+  redeemedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+CouponSchema.index({ batch: 1, status: 1 });
+CouponSchema.index({ reservedCart: 1, status: 1 });
+
+module.exports = mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A batch of single-use coupon codes generated for one promotion
+const CouponBatchSchema = new Schema({
+  promotion: {
+    type: Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true,
+    index: true
+  },
+  store: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  prefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: ''
+  },
+  // Pattern the random part follows: * letter or digit, ? letter, # digit;
+  // any other character is kept as is
+  pattern: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  revokedAt: { type: Date },
+  revokedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  revokeReason: { type: String, trim: true },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CouponBatch', CouponBatchSchema);
@@ -134,6 +134,73 @@ const CustomerSchema = new Schema({
     type: Number,
     default: 0,
   },
+  // Credit taken by on-account orders that are still being placed; it moves
+  // into outstandingBalance once the order's payment record exists
+  reservedCredit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Pricing: the customer's own SAP price list wins over their group's
+  priceList: {
+    type: Number,
+    min: 1,
+  },
+  customerGroup: {
+    type: Schema.Types.ObjectId,
+    ref: "CustomerGroup",
+  },
+  // On-account ordering for verified business customers
+  creditTerms: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    creditLimit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    paymentTermsDays: {
+      type: Number,
+      default: 30,
+      min: 0,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedAt: {
+      type: Date,
+    },
+  },
+  // Part of outstandingBalance on invoices past their due date
+  overdueBalance: {
+    type: Number,
+    default: 0,
+  },
+  hasOverdueInvoices: {
+    type: Boolean,
+    default: false,
+  },
+  // VAT exemption for business customers, set by an admin
+  taxExemption: {
+    exempt: {
+      type: Boolean,
+      default: false,
+    },
+    // Exemption certificate or TRN
+    reference: {
+      type: String,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedAt: {
+      type: Date,
+    },
+  },
   // NEW SAP SYNC FIELDS
   // SAP Integration Status
   SyncedWithSAP: {
@@ -155,6 +222,15 @@ const CustomerSchema = new Schema({
     type: Boolean,
     default: false,
   },
+  SyncAttempts: {
+    type: Number,
+    default: 0,
+  },
+  // Set when the customer is queued for SAP sync; cleared once synced or
+  // when attempts run out
+  NextSyncAttempt: {
+    type: Date,
+  },
   // Link to User (for registered users)
   user: {
     type: Schema.Types.ObjectId,
@@ -168,6 +244,9 @@ CustomerSchema.pre("save", function (next) {
   next();
 });
 
+CustomerSchema.index({ SyncedWithSAP: 1, NextSyncAttempt: 1 });
+CustomerSchema.index({ user: 1 });
+
 // Add text index for searching
 CustomerSchema.index({
   CardName: "text",
@@ -8,6 +8,9 @@ const PaymentSchema = new Schema({
   paymentIntentId: { type: String }, // Not always required for non-card payments
   chargeId: { type: String }, // Stripe charge ID
   amount: { type: Number, required: true },
+  // VAT split of amount (the gross)
+  netAmount: { type: Number },
+  taxAmount: { type: Number, default: 0 },
   currency: { type: String, default: 'aed' }, // Changed default from 'eur' to 'aed'
   status: { 
     type: String, 
@@ -17,6 +20,8 @@ const PaymentSchema = new Schema({
       'failed', 
       'canceled', 
       'refunded', 
+      'partially_refunded',
+      'partially_paid',
       'pending', 
       'pending_cash',
       'pending_cheque', 
@@ -31,7 +36,7 @@ const PaymentSchema = new Schema({
   }, // Payment status
   paymentMethod: { 
     type: String, 
-    enum: ['card', 'cash', 'cheque', 'bank_transfer'],
+    enum: ['card', 'cash', 'cheque', 'bank_transfer', 'on_account'],
     default: 'card'
   }, // Payment method
   receiptUrl: { type: String },
@@ -42,8 +47,44 @@ const PaymentSchema = new Schema({
   
   // Additional fields for tracking
   failureReason: { type: String }, // For failed payments
-  refundAmount: { type: Number }, // For partial refunds
-  refundReason: { type: String }, // For refunds
+  refundAmount: { type: Number }, // Total refunded so far
+  refundReason: { type: String }, // Reason of the latest refund
+  // On-account orders: payment is due this many days after the order (credit terms)
+  dueDate: { type: Date },
+  isOverdue: { type: Boolean, default: false },
+
+  // Manual collection of cash, cheque, bank transfer and on-account payments
+  amountReceived: { type: Number, default: 0 },
+  receipts: [{
+    amount: { type: Number, required: true },
+    // Share of the payment's VAT covered by this receipt
+    netAmount: { type: Number },
+    taxAmount: { type: Number, default: 0 },
+    method: { type: String, enum: ['cash', 'cheque', 'bank_transfer'], required: true },
+    receivedAt: { type: Date, required: true },
+    chequeNumber: { type: String },
+    bankReference: { type: String },
+    proofUrl: { type: String }, // Uploaded receipt, cheque scan or transfer slip (S3)
+    proofKey: { type: String },
+    notes: { type: String },
+    recordedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  refunds: [{
+    amount: { type: Number, required: true },
+    reason: { type: String },
+    method: { type: String, enum: ['stripe', 'manual'], required: true },
+    stripeRefundId: { type: String },
+    reference: { type: String }, // Manual refunds: receipt or transfer reference
+    lines: [{
+      product: { type: String },
+      name: { type: String },
+      quantity: { type: Number },
+      amount: { type: Number }
+    }],
+    refundedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+  }],
   
   // Metadata for additional info
   metadata: {
@@ -74,6 +115,7 @@ PaymentSchema.index({ chargeId: 1 });
 PaymentSchema.index({ order: 1 });
 PaymentSchema.index({ user: 1 });
 PaymentSchema.index({ status: 1 });
+PaymentSchema.index({ paymentMethod: 1, status: 1 });
 PaymentSchema.index({ createdAt: -1 });
 
 // Unique index to prevent duplicate payment records for the same order
@@ -29,13 +29,26 @@ const ItemWarehouseInfoSchema = new Schema({
   Locked: { type: String, enum: ["tYES", "tNO"], default: "tNO" },
   DefaultBin: { type: String },
   DefaultBinEnforced: { type: String, enum: ["tYES", "tNO"], default: "tNO" },
+  // Web checkout soft holds (not an SAP field)
+  Reserved: { type: Number, default: 0 },
 });
 
+// Volume price for a selling unit (not an SAP field), e.g. 10+ cases at a
+// lower price. Either a fixed unit price or a percentage off the list price.
+const QuantityBreakSchema = new Schema({
+  uom: { type: String, enum: ["piece", "case"], default: "piece" },
+  minQuantity: { type: Number, required: true, min: 2 },
+  price: { type: Number, min: 0 },
+  discountPercent: { type: Number, min: 0, max: 100 },
+  // Only applies to this SAP price list when set
+  priceList: { type: Number },
+}, { _id: false });
+
 // Main Item Schema
 const ItemSchema = new Schema(
   {
     // Basic identification
-    ItemCode: { type: String, required: true, unique: true, index: true },
+    ItemCode: { type: String, required: true },
     ItemName: { type: String, required: true },
     ForeignName: { type: String },
     ItemsGroupCode: { type: Number },
@@ -107,6 +120,9 @@ const ItemSchema = new Schema(
     SalesItemsPerUnit: { type: Number, default: 1 },
     SalesPackagingUnit: { type: String },
     SalesQtyPerPackUnit: { type: Number, default: 1 },
+    UoMGroupEntry: { type: Number },
+    InventoryUoMEntry: { type: Number },
+    DefaultSalesUoMEntry: { type: Number },
 
     // Measurements
     SalesUnitLength: { type: Number, default: 0 },
@@ -212,6 +228,13 @@ const ItemSchema = new Schema(
     // Featured product flag
     featured: { type: Boolean, default: false },
 
+    // Volume pricing per selling unit
+    quantityBreaks: [QuantityBreakSchema],
+
+    // Review summary, kept up to date by Review.updateProductRating
+    ratingAverage: { type: Number, default: 0 },
+    ratingCount: { type: Number, default: 0 },
+
     // Collections
     ItemPrices: [ItemPriceSchema],
     ItemWarehouseInfoCollection: [ItemWarehouseInfoSchema],
@@ -224,7 +247,13 @@ const ItemSchema = new Schema(
   },
   { timestamps: true }
 );
+// ItemCode is unique per store (the same SAP item can be sold by several
+// stores), so lookups by ItemCode must include the store. Databases created
+// before this change still carry the global ItemCode_1 unique index; drop it
+// once with `npm run migrate:item-code-index`.
+ItemSchema.index({ ItemCode: 1, store: 1 }, { unique: true });
 ItemSchema.index({ ItemName: 1 });
+ItemSchema.index({ store: 1, ratingAverage: -1 });
 ItemSchema.index({ ForeignName: 1 });
 ItemSchema.index({ "ItemWarehouseInfoCollection.WarehouseCode": 1 });
 
@@ -25,9 +25,131 @@ const PromotionRuleSchema = new Schema({
     discountAmount: { type: Number, min: 0 },
     freeItem: { type: Schema.Types.ObjectId, ref: 'Item' },
     freeShipping: { type: Boolean, default: false }
+  },
+
+  // For "These items together for a fixed price" promotions; each complete
+  // set of the listed quantities (in pieces) costs price
+  bundle: {
+    items: [{
+      _id: false,
+      product: { type: Schema.Types.ObjectId, ref: 'Item' },
+      quantity: { type: Number, min: 1, default: 1 }
+    }],
+    price: { type: Number, min: 0 }
+  },
+
+  // For "Spend more, save more" promotions; the highest tier reached applies
+  tieredSpend: {
+    tiers: [{
+      _id: false,
+      minAmount: { type: Number, min: 0 },
+      discountPercentage: { type: Number, min: 0, max: 100 },
+      discountAmount: { type: Number, min: 0 }
+    }]
+  },
+
+  // For "Percentage/amount off a category" promotions; applies to the
+  // promotion's applicable categories and products
+  categoryDiscount: {
+    discountPercentage: { type: Number, min: 0, max: 100 },
+    discountAmount: { type: Number, min: 0 }
+  },
+
+  // For "Cheapest item free" promotions; for every buyQuantity applicable
+  // pieces the customer pays for (units already free under another promotion
+  // do not count, a case counts its itemsPerUnit) the cheapest freeQuantity
+  // are free
+  cheapestFree: {
+    buyQuantity: { type: Number, min: 2 },
+    freeQuantity: { type: Number, min: 1, default: 1 }
   }
 }, { _id: false });
 
+// Recurring window a promotion runs in, e.g. Fridays 14:00-18:00. days are
+// 0 (Sunday) to 6 (Saturday), empty for every day; without times the window
+// is the whole day. An endTime before startTime runs past midnight into the
+// next day
+const ScheduleWindowSchema = new Schema({
+  days: [{ type: Number, min: 0, max: 6 }],
+  startTime: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  endTime: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ }
+}, { _id: false });
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Weekday (0-6) and minutes since midnight of an instant in a timezone
+function getLocalTime(date, timeZone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short', hour: '2-digit', minute: '2-digit'
+    }).formatToParts(date);
+  } catch (error) {
+    console.warn(`Invalid promotion timezone "${timeZone}", using UTC`);
+    return getLocalTime(date, 'UTC');
+  }
+  const value = (type) => parts.find(part => part.type === type).value;
+  return {
+    day: WEEKDAYS.indexOf(value('weekday')),
+    minutes: parseInt(value('hour'), 10) * 60 + parseInt(value('minute'), 10)
+  };
+}
+
+// Promotion types that give units away or reprice lines
+const LINE_PRICING_TYPES = ['buyXGetY', 'cheapestFree', 'bundle'];
+
+// Default stacking policy: free-unit, bundle and percentage-off promotions are
+// exclusive so they never stack on the same line (an admin can opt them in);
+// fixed amounts off are stackable
+function getDefaultStacking(type, rule) {
+  if (LINE_PRICING_TYPES.includes(type)) return 'exclusive';
+  const typeRule = rule?.[type];
+  const percentages = type === 'tieredSpend'
+    ? (typeRule?.tiers || []).map(tier => tier.discountPercentage)
+    : [typeRule?.discountPercentage];
+  return percentages.some(percentage => percentage > 0) ? 'exclusive' : 'stackable';
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Quantity of a cart line that is paid for
+function getPaidQuantity(cartItem) {
+  if (cartItem.isFreeItem) return 0;
+  return Math.max(0, cartItem.quantity - (cartItem.freeQuantity || 0));
+}
+
+// Paid quantity of a cart line in pieces; a case line counts itemsPerUnit
+// pieces per unit
+function getPaidPieces(cartItem) {
+  return getPaidQuantity(cartItem) * (cartItem.itemsPerUnit || 1);
+}
+
+// Price of one piece on a cart line
+function getPiecePrice(cartItem) {
+  return cartItem.price / (cartItem.itemsPerUnit || 1);
+}
+
+// Customer segment a promotion is limited to. Every rule that is set must
+// match; order history counts orders that were not cancelled
+const PromotionTargetingSchema = new Schema({
+  roles: [{ type: String, enum: ['superAdmin', 'admin', 'customer'] }],
+  registrationTypes: [{ type: String, enum: ['customer', 'business'] }],
+  users: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+  // Customers who have not placed an order yet
+  newCustomersOnly: { type: Boolean, default: false },
+  minOrderCount: { type: Number, min: 0 },
+  maxOrderCount: { type: Number, min: 0 },
+  minLifetimeSpend: { type: Number, min: 0 },
+  maxLifetimeSpend: { type: Number, min: 0 },
+  // Last order placed within / not within this many days; customers who
+  // never ordered count as not having ordered within any window
+  orderedWithinDays: { type: Number, min: 1 },
+  notOrderedWithinDays: { type: Number, min: 1 }
+}, { _id: false });
+
 // Promotion Schema
 const PromotionSchema = new Schema({
   name: {
@@ -48,7 +170,7 @@ const PromotionSchema = new Schema({
   },
   type: {
     type: String,
-    enum: ['buyXGetY', 'quantityDiscount', 'cartTotal'],
+    enum: ['buyXGetY', 'quantityDiscount', 'cartTotal', 'bundle', 'tieredSpend', 'categoryDiscount', 'cheapestFree'],
     required: true
   },
   rule: {
@@ -114,6 +236,37 @@ const PromotionSchema = new Schema({
     default: 1
   },
   
+  // Stacking policy: exclusive promotions are never combined with others,
+  // stackable ones combine with any non-exclusive promotion and
+  // stackable-within-group ones only with promotions of the same stackGroup.
+  // Promotions without one (including those created before policies existed)
+  // get getDefaultStacking's policy.
+  stacking: {
+    type: String,
+    enum: ['exclusive', 'stackable', 'stackable-within-group'],
+    default: function() {
+      return getDefaultStacking(this.type, this.rule);
+    }
+  },
+  stackGroup: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  
+  // Recurring time windows within startDate/endDate; promotions without
+  // windows run all the time. timeZone is copied from the store's
+  // settings.timezone when the promotion is saved
+  schedule: {
+    windows: [ScheduleWindowSchema],
+    timeZone: { type: String, default: 'UTC' }
+  },
+  
+  // Customer segment targeting; promotions without it apply to everyone
+  targeting: {
+    type: PromotionTargetingSchema
+  },
+  
   // Auto-application settings
   autoApply: {
     type: Boolean,
@@ -164,39 +317,136 @@ PromotionSchema.index({ store: 1, isActive: 1, startDate: 1, endDate: 1 });
 PromotionSchema.index({ code: 1 });
 PromotionSchema.index({ 'usageHistory.user': 1 });
 
+// Windows run in the store's timezone
+PromotionSchema.pre('save', async function(next) {
+  try {
+    if (this.schedule?.windows?.length && (this.isNew || this.isModified('schedule') || this.isModified('store'))) {
+      const store = await mongoose.model('Store').findById(this.store).select('settings.timezone').lean();
+      this.schedule.timeZone = store?.settings?.timezone || 'UTC';
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to check if an instant falls in one of the promotion's windows
+PromotionSchema.methods.isWithinSchedule = function(date = new Date()) {
+  const windows = this.schedule?.windows || [];
+  if (windows.length === 0) return true;
+
+  const { day, minutes } = getLocalTime(date, this.schedule.timeZone || 'UTC');
+  const previousDay = (day + 6) % 7;
+  const runsOn = (window, weekday) => !window.days?.length || window.days.includes(weekday);
+
+  return windows.some(window => {
+    if (!window.startTime || !window.endTime) return runsOn(window, day);
+
+    const start = toMinutes(window.startTime);
+    const end = toMinutes(window.endTime);
+    if (start < end) {
+      return runsOn(window, day) && minutes >= start && minutes < end;
+    }
+    // Overnight: the part before midnight, or the tail of yesterday's window
+    return (runsOn(window, day) && minutes >= start) || (runsOn(window, previousDay) && minutes < end);
+  });
+};
+
 // Virtual for checking if promotion is currently valid
 PromotionSchema.virtual('isValid').get(function() {
   const now = new Date();
   const isValid = this.isActive && 
          this.startDate <= now && 
          this.endDate >= now &&
-         (this.maxUsage === 0 || this.currentUsage < this.maxUsage);
+         (this.maxUsage === 0 || this.currentUsage < this.maxUsage) &&
+         this.isWithinSchedule(now);
   
   console.log('Promotion validity:', { id: this._id, isValid });
   
   return isValid;
 });
 
-// Method to check validity (fallback for when virtual is not accessible)
-PromotionSchema.methods.checkValidity = function() {
-  const now = new Date();
+// Method to check validity at a given time (fallback for when virtual is not accessible)
+PromotionSchema.methods.checkValidity = function(now = new Date()) {
   return this.isActive && 
          this.startDate <= now && 
          this.endDate >= now &&
-         (this.maxUsage === 0 || this.currentUsage < this.maxUsage);
+         (this.maxUsage === 0 || this.currentUsage < this.maxUsage) &&
+         this.isWithinSchedule(now);
 };
 
-// Method to check if promotion can be applied to a cart
-PromotionSchema.methods.canApplyToCart = function(cart, userId) {
+// Method to check if the promotion is limited to a customer segment
+PromotionSchema.methods.hasTargeting = function() {
+  const targeting = this.targeting;
+  if (!targeting) return false;
+  const isSet = value => value !== undefined && value !== null;
+  return Boolean(
+    targeting.roles?.length ||
+    targeting.registrationTypes?.length ||
+    targeting.users?.length ||
+    targeting.newCustomersOnly ||
+    isSet(targeting.minOrderCount) ||
+    isSet(targeting.maxOrderCount) ||
+    isSet(targeting.minLifetimeSpend) ||
+    isSet(targeting.maxLifetimeSpend) ||
+    isSet(targeting.orderedWithinDays) ||
+    isSet(targeting.notOrderedWithinDays)
+  );
+};
+
+// Method to check a customer profile (see customerSegmentService) against
+// the targeting rules at a time (default now); targeted promotions never
+// match an unknown customer
+PromotionSchema.methods.matchesCustomer = function(customer, at = new Date()) {
+  if (!this.hasTargeting()) return true;
+  if (!customer) return false;
+
+  const targeting = this.targeting;
+  const isSet = value => value !== undefined && value !== null;
+
+  if (targeting.users?.length &&
+      !targeting.users.some(user => (user._id || user).toString() === customer.userId.toString())) {
+    return false;
+  }
+  if (targeting.roles?.length && !targeting.roles.includes(customer.role)) return false;
+  if (targeting.registrationTypes?.length && !targeting.registrationTypes.includes(customer.registrationType)) {
+    return false;
+  }
+  if (targeting.newCustomersOnly && customer.orderCount > 0) return false;
+  if (isSet(targeting.minOrderCount) && customer.orderCount < targeting.minOrderCount) return false;
+  if (isSet(targeting.maxOrderCount) && customer.orderCount > targeting.maxOrderCount) return false;
+  if (isSet(targeting.minLifetimeSpend) && customer.lifetimeSpend < targeting.minLifetimeSpend) return false;
+  if (isSet(targeting.maxLifetimeSpend) && customer.lifetimeSpend > targeting.maxLifetimeSpend) return false;
+
+  const daysSinceLastOrder = customer.lastOrderDate
+    ? (new Date(at).getTime() - new Date(customer.lastOrderDate).getTime()) / (24 * 60 * 60 * 1000)
+    : Infinity;
+  if (isSet(targeting.orderedWithinDays) && daysSinceLastOrder > targeting.orderedWithinDays) return false;
+  if (isSet(targeting.notOrderedWithinDays) && daysSinceLastOrder <= targeting.notOrderedWithinDays) return false;
+
+  return true;
+};
+
+// Method to check if promotion can be applied to a cart; customer is the
+// profile targeted promotions are checked against and at the time validity is
+// checked at (default now)
+PromotionSchema.methods.canApplyToCart = function(cart, userId, customer, { at } = {}) {
   console.log('Checking promotion:', { id: this._id, name: this.name });
   
   // Check validity using virtual property or fallback method
-  const isValid = this.isValid !== undefined ? this.isValid : this.checkValidity();
+  const isValid = at
+    ? this.checkValidity(at)
+    : (this.isValid !== undefined ? this.isValid : this.checkValidity());
   
   if (!isValid) {
     console.log('Promotion not valid');
     return false;
   }
+
+  if (!this.matchesCustomer(customer, at)) {
+    console.log('Customer not in promotion target segment');
+    return false;
+  }
   
   // Check if user has already used this promotion maximum times
   const userUsageCount = (this.usageHistory || []).filter(
@@ -290,6 +540,18 @@ PromotionSchema.methods.applyToCart = function(cart) {
         console.log('cartTotal rule not found');
       }
       break;
+    case 'bundle':
+      appliedDiscounts.push(...this.applyBundle(cart));
+      break;
+    case 'tieredSpend':
+      appliedDiscounts.push(...this.applyTieredSpend(cart));
+      break;
+    case 'categoryDiscount':
+      appliedDiscounts.push(...this.applyCategoryDiscount(cart));
+      break;
+    case 'cheapestFree':
+      appliedDiscounts.push(...this.applyCheapestFree(cart));
+      break;
     default:
       console.log('Unknown promotion type:', this.type);
   }
@@ -298,6 +560,20 @@ PromotionSchema.methods.applyToCart = function(cart) {
   return appliedDiscounts;
 };
 
+// Method to check if two promotions may apply to the same cart
+PromotionSchema.methods.canCombineWith = function(other) {
+  if (this.stacking === 'exclusive' || other.stacking === 'exclusive') {
+    return false;
+  }
+  for (const [promotion, partner] of [[this, other], [other, this]]) {
+    if (promotion.stacking === 'stackable-within-group' &&
+        (!promotion.stackGroup || promotion.stackGroup !== partner.stackGroup)) {
+      return false;
+    }
+  }
+  return true;
+};
+
 // Enhanced applyBuyXGetY method with better validation
 PromotionSchema.methods.applyBuyXGetY = function(cart) {
   const discounts = [];
@@ -578,7 +854,8 @@ PromotionSchema.methods.applyCartTotalDiscount = function(cart) {
     
     console.log('Calculated cart total discount:', discount);
     
-    if (discount > 0) {
+    // Free shipping alone is still a discount: it waives the delivery fee
+    if (discount > 0 || freeShipping) {
       discounts.push({
         type: 'cartTotal',
         cartTotal: applicableCartTotal,
@@ -593,11 +870,6 @@ PromotionSchema.methods.applyCartTotalDiscount = function(cart) {
       // This would need additional logic to add the free item to the cart
       console.log('Free item specified:', freeItem);
     }
-    
-    // Handle free shipping if specified
-    if (freeShipping) {
-      console.log('Free shipping applied');
-    }
   } else {
     console.log('Cart total below minimum amount:', {
       applicableCartTotal: applicableCartTotal,
@@ -610,6 +882,125 @@ PromotionSchema.methods.applyCartTotalDiscount = function(cart) {
   return discounts;
 };
 
+// Fixed-price bundle: every complete set of the bundle's items is charged
+// the bundle price instead of the items' own prices
+PromotionSchema.methods.applyBundle = function(cart) {
+  const bundle = this.rule?.bundle;
+  if (!bundle || !bundle.items?.length || bundle.price === undefined || bundle.price === null) {
+    return [];
+  }
+
+  // Paid pieces and value per bundle product across its cart lines, so case
+  // and piece lines of the same product count together
+  let bundleCount = Infinity;
+  let regularPrice = 0;
+  for (const bundleItem of bundle.items) {
+    const productId = (bundleItem.product?._id || bundleItem.product).toString();
+    const lines = cart.items.filter(item => item.product && item.product._id.toString() === productId);
+    const quantity = lines.reduce((sum, item) => sum + getPaidPieces(item), 0);
+    if (quantity === 0) return [];
+
+    const value = lines.reduce((sum, item) => sum + item.price * getPaidQuantity(item), 0);
+    regularPrice += (value / quantity) * bundleItem.quantity;
+    bundleCount = Math.min(bundleCount, Math.floor(quantity / bundleItem.quantity));
+  }
+
+  const discount = bundleCount * (regularPrice - bundle.price);
+  if (!(bundleCount > 0) || discount <= 0) return [];
+
+  return [{
+    type: 'bundle',
+    bundleCount,
+    discountAmount: discount,
+    description: `Bundle: ${bundleCount} x ${bundle.items.length} items for ${bundle.price}`
+  }];
+};
+
+// Total of the paid, applicable cart lines
+PromotionSchema.methods.getApplicableTotal = function(cart) {
+  return cart.items
+    .filter(item => item.product && this.isProductApplicable(item.product))
+    .reduce((sum, item) => sum + item.price * getPaidQuantity(item), 0);
+};
+
+// Tiered spend: the highest tier the applicable total reaches gives its
+// amount or percentage off
+PromotionSchema.methods.applyTieredSpend = function(cart) {
+  const tiers = this.rule?.tieredSpend?.tiers || [];
+  const applicableTotal = this.getApplicableTotal(cart);
+  const tier = tiers
+    .filter(candidate => applicableTotal >= candidate.minAmount)
+    .sort((a, b) => b.minAmount - a.minAmount)[0];
+
+  if (!tier) return [];
+
+  const discount = Math.min(
+    tier.discountAmount > 0 ? tier.discountAmount : applicableTotal * (tier.discountPercentage || 0) / 100,
+    applicableTotal
+  );
+  if (discount <= 0) return [];
+
+  return [{
+    type: 'tieredSpend',
+    cartTotal: applicableTotal,
+    tierMinAmount: tier.minAmount,
+    discountAmount: discount,
+    description: `Spend ${tier.minAmount}+: ${tier.discountAmount > 0 ? tier.discountAmount : `${tier.discountPercentage}%`} off`
+  }];
+};
+
+// Category discount: a percentage or a fixed amount off the applicable lines
+PromotionSchema.methods.applyCategoryDiscount = function(cart) {
+  const { discountPercentage, discountAmount } = this.rule?.categoryDiscount || {};
+  const applicableTotal = this.getApplicableTotal(cart);
+  if (applicableTotal <= 0) return [];
+
+  const discount = Math.min(
+    discountAmount > 0 ? discountAmount : applicableTotal * (discountPercentage || 0) / 100,
+    applicableTotal
+  );
+  if (discount <= 0) return [];
+
+  return [{
+    type: 'categoryDiscount',
+    cartTotal: applicableTotal,
+    discountAmount: discount,
+    discountPercentage: discountAmount > 0 ? undefined : discountPercentage,
+    description: `${discountAmount > 0 ? discountAmount : `${discountPercentage}%`} off selected categories`
+  }];
+};
+
+// Cheapest item free: for every buyQuantity applicable pieces the cheapest
+// freeQuantity of them are free, taken from the lowest piece price first
+PromotionSchema.methods.applyCheapestFree = function(cart) {
+  const { buyQuantity, freeQuantity = 1 } = this.rule?.cheapestFree || {};
+  if (!buyQuantity || buyQuantity < 2) return [];
+
+  const lines = cart.items
+    .filter(item => item.product && this.isProductApplicable(item.product) && getPaidQuantity(item) > 0)
+    .sort((a, b) => getPiecePrice(a) - getPiecePrice(b));
+  const totalQuantity = lines.reduce((sum, item) => sum + getPaidPieces(item), 0);
+  const freeUnits = Math.min(Math.floor(totalQuantity / buyQuantity) * freeQuantity, totalQuantity);
+
+  let remaining = freeUnits;
+  let discount = 0;
+  for (const line of lines) {
+    if (remaining === 0) break;
+    const units = Math.min(remaining, getPaidPieces(line));
+    discount += units * getPiecePrice(line);
+    remaining -= units;
+  }
+
+  if (discount <= 0) return [];
+
+  return [{
+    type: 'cheapestFree',
+    freeUnits,
+    discountAmount: discount,
+    description: `Buy ${buyQuantity}, cheapest ${freeQuantity > 1 ? `${freeQuantity} items` : 'item'} free`
+  }];
+};
+
 // Helper method to check if product is applicable - FIXED VERSION
 PromotionSchema.methods.isProductApplicable = function(product) {
   if (!product || !product._id) {
@@ -703,7 +1094,8 @@ PromotionSchema.methods.isProductApplicable = function(product) {
   return false;
 };
 
-// Static method to find active promotions for a store
+// Static method to find active promotions for a store, inside their
+// recurring windows
 PromotionSchema.statics.findActivePromotions = function(storeId) {
   const now = new Date();
   return this.find({
@@ -711,18 +1103,20 @@ PromotionSchema.statics.findActivePromotions = function(storeId) {
     isActive: true,
     startDate: { $lte: now },
     endDate: { $gte: now }
-  }).sort({ priority: -1 });
+  })
+  .sort({ priority: -1 })
+  .then(promotions => promotions.filter(promotion => promotion.isWithinSchedule(now)));
 };
 
 // Static method to find applicable promotions for a cart
-PromotionSchema.statics.findApplicablePromotions = function(cart, storeId, userId) {
+PromotionSchema.statics.findApplicablePromotions = function(cart, storeId, userId, customer) {
   return this.findActivePromotions(storeId).then(promotions => {
-    return promotions.filter(promotion => promotion.canApplyToCart(cart, userId));
+    return promotions.filter(promotion => promotion.canApplyToCart(cart, userId, customer));
   });
 };
 
 // Static method to find auto-applicable promotions for a cart
-PromotionSchema.statics.findAutoApplicablePromotions = function(cart, storeId, userId) {
+PromotionSchema.statics.findAutoApplicablePromotions = function(cart, storeId, userId, customer) {
   const now = new Date();
   return this.find({
     store: storeId,
@@ -731,7 +1125,8 @@ PromotionSchema.statics.findAutoApplicablePromotions = function(cart, storeId, u
     requiresCode: false,
     startDate: { $lte: now },
     endDate: { $gte: now },
-    type: { $in: ['buyXGetY', 'quantityDiscount'] } // Only auto-apply product-level promotions
+    // Only auto-apply product-level promotions
+    type: { $in: ['buyXGetY', 'quantityDiscount', 'bundle', 'categoryDiscount', 'cheapestFree'] }
   })
   .populate([
     { path: 'applicableProducts', select: 'ItemName _id' },
@@ -741,7 +1136,8 @@ PromotionSchema.statics.findAutoApplicablePromotions = function(cart, storeId, u
   ])
   .sort({ priority: -1 })
   .then(promotions => {
-    return promotions.filter(promotion => promotion.canApplyToCart(cart, userId));
+    return promotions.filter(promotion =>
+      promotion.isWithinSchedule(now) && promotion.canApplyToCart(cart, userId, customer));
   });
 };
 
@@ -8,9 +8,18 @@ const reviewSchema = new mongoose.Schema({
   },
   product: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Product',
+    ref: 'Item',
     required: true
   },
+  // Delivered order the review was verified against
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SalesOrder'
+  },
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store'
+  },
   rating: {
     type: Number,
     required: true,
@@ -19,12 +28,63 @@ const reviewSchema = new mongoose.Schema({
   },
   comment: {
     type: String,
-    required: false
+    required: false,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Moderation
+  status: {
+    type: String,
+    enum: ['visible', 'hidden'],
+    default: 'visible'
+  },
+  moderationReason: {
+    type: String,
+    trim: true
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  adminReply: {
+    text: { type: String, trim: true },
+    repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    repliedAt: { type: Date }
   },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+// One review per customer and product
+reviewSchema.index({ user: 1, product: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ store: 1, status: 1 });
+
+reviewSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Recalculate the rating average and count stored on the item (visible reviews only)
+reviewSchema.statics.updateProductRating = async function(productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'visible' } },
+    { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const ratingAverage = stats ? Math.round(stats.average * 10) / 10 : 0;
+  const ratingCount = stats ? stats.count : 0;
+  await mongoose.model('Item').updateOne({ _id: productId }, { $set: { ratingAverage, ratingCount } });
+  return { ratingAverage, ratingCount };
+};
+
 module.exports = mongoose.model('Review', reviewSchema);
@@ -548,6 +548,11 @@ const OrderSchema = new Schema(
     },
     SyncErrors: String,
     LastSyncAttempt: Date,
+    SyncAttempts: {
+      type: Number,
+      default: 0,
+    },
+    NextSyncAttempt: Date,
     SAPSyncDisabled: {
       type: Boolean,
       default: false,
@@ -565,10 +570,12 @@ const OrderSchema = new Schema(
     payment: { type: Schema.Types.ObjectId, ref: 'PQFPayment' },
     paymentMethod: { 
       type: String, 
-      enum: ['card', 'cash', 'cheque', 'bank_transfer'], 
+      enum: ['card', 'cash', 'cheque', 'bank_transfer', 'on_account'], 
       default: 'card',
       required: true
     },
+    // Due date of on-account orders (from the customer's payment terms)
+    paymentDueDate: { type: Date },
     // Add user field to track who placed the order
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -584,11 +591,24 @@ const OrderSchema = new Schema(
         quantity: Number,
         product: String,
         image: String,
+        // Unit of measure; price and quantities are per unit
+        uom: { type: String, default: 'piece' },
+        uomName: String,
+        itemsPerUnit: { type: Number, default: 1 },
+        uomEntry: Number,
+        // VAT on the line after discounts; netPrice is the unit price without VAT
+        netPrice: Number,
+        vatGroup: String,
+        taxRate: { type: Number, default: 0 },
+        netAmount: Number,
+        taxAmount: { type: Number, default: 0 },
+        grossAmount: Number,
         // Free item fields
         isFreeItem: { type: Boolean, default: false },
         freeQuantity: { type: Number, default: 0 },
         regularQuantity: { type: Number, default: 0 },
-        discountAmount: { type: Number, default: 0 }
+        discountAmount: { type: Number, default: 0 },
+        refundedQuantity: { type: Number, default: 0 }
       }
     ],
 
@@ -597,7 +617,9 @@ const OrderSchema = new Schema(
       address: String,
       city: String,
       postalCode: String,
-      country: String
+      country: String,
+      latitude: Number,
+      longitude: Number
     },
     billingAddress: {
       address: String,
@@ -635,6 +657,11 @@ const OrderSchema = new Schema(
       default: null
     },
 
+    // Cancellation details
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    cancellationReason: { type: String, default: null },
+
     // Order tracking fields
     trackingNumber: { type: String, default: null },
     trackingStatus: { type: String, enum: ['pending', 'shipped', 'in transit', 'delivered', 'cancelled'], default: 'pending' },
@@ -660,6 +687,11 @@ const OrderSchema = new Schema(
       ref: 'SalesOrder',
       default: null
     },
+    // Stripe invoice paid for a generated order (one generated order per invoice)
+    stripeInvoiceId: {
+      type: String,
+      default: null
+    },
     // Frequency settings (only for recurring orders)
     recurringFrequency: {
       type: String,
@@ -727,6 +759,40 @@ const OrderSchema = new Schema(
       type: Number,
       default: null
     },
+    // Sequential invoice number, assigned per store when the invoice is first issued
+    invoiceNumber: { type: String },
+    invoiceIssuedAt: { type: Date },
+
+    // VAT totals; finalTotal is the gross amount payable
+    netTotal: {
+      type: Number,
+      default: null
+    },
+    taxTotal: {
+      type: Number,
+      default: 0
+    },
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false
+    },
+    taxExempt: {
+      type: Boolean,
+      default: false
+    },
+    // Delivery fee line (included in finalTotal, netTotal and taxTotal).
+    // standardFee is the store's fee before a free shipping promotion.
+    deliveryFee: {
+      amount: { type: Number, default: 0 },
+      netAmount: { type: Number, default: 0 },
+      taxAmount: { type: Number, default: 0 },
+      taxRate: { type: Number, default: 0 },
+      standardFee: { type: Number, default: 0 },
+      waived: { type: Boolean, default: false },
+      waivedBy: { type: String, default: null },
+      zone: { type: String, default: null },
+      distanceKm: { type: Number, default: null }
+    },
     appliedPromotions: [{
       promotionId: { type: Schema.Types.ObjectId, ref: 'Promotion' },
       name: String,
@@ -751,6 +817,7 @@ const OrderSchema = new Schema(
 );
 // Indexes
 OrderSchema.index({ DocEntry: 1 });
+OrderSchema.index({ SyncedWithSAP: 1, NextSyncAttempt: 1 });
 OrderSchema.index({ CardCode: 1 });
 OrderSchema.index({ DocDate: 1 });
 OrderSchema.index({ DocumentStatus: 1 });
@@ -759,7 +826,16 @@ OrderSchema.index({ isRecurring: 1 });
 OrderSchema.index({ recurringStatus: 1 });
 OrderSchema.index({ nextRecurringDate: 1 });
 OrderSchema.index({ stripeSubscriptionId: 1 });
+OrderSchema.index({ Payment_id: 1 });
 OrderSchema.index({ parentRecurringOrder: 1 });
+OrderSchema.index(
+  { stripeInvoiceId: 1 },
+  { unique: true, partialFilterExpression: { stripeInvoiceId: { $type: 'string' } } }
+);
 OrderSchema.index({ generatedFromRecurring: 1 });
+OrderSchema.index(
+  { store: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
 const SalesOrder = mongoose.model("SalesOrder", OrderSchema);
 module.exports = SalesOrder;
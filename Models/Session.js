@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A signed-in device. Access tokens carry the session id (sid) and the
+// refresh token is stored as a sha256 hash and rotated on every refresh.
+const SessionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the refresh token before the last rotation; seeing it again
+  // means the token was copied, so the session is revoked
+  previousRefreshTokenHash: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String
+  }
+}, { timestamps: true });
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions a week after they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Places taken in one delivery or pickup slot of a store on a local date.
+// Checkouts take a place with a conditional $inc so a slot cannot be overbooked.
+const SlotCounterSchema = new Schema({
+  store: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  orderType: {
+    type: String,
+    enum: ['delivery', 'pickup'],
+    required: true
+  },
+  // Store-local calendar date, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true
+  },
+  slot: {
+    type: String,
+    required: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+SlotCounterSchema.index({ store: 1, orderType: 1, date: 1, slot: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlotCounter', SlotCounterSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One place taken in a delivery or pickup slot (see SlotCounter)
+const SlotReservationSchema = new Schema({
+  store: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  orderType: {
+    type: String,
+    enum: ['delivery', 'pickup'],
+    required: true
+  },
+  // Store-local calendar date, YYYY-MM-DD
+  date: { type: String, required: true },
+  slot: { type: String, required: true },
+
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cart: {
+    type: Schema.Types.ObjectId,
+    ref: 'Cart'
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'SalesOrder'
+  },
+  paymentIntentId: { type: String },
+
+  // held: taken during checkout, committed: booked by an order,
+  // released: given back, expired: hold timed out
+  status: {
+    type: String,
+    enum: ['held', 'committed', 'released', 'expired'],
+    default: 'held'
+  },
+
+  expiresAt: { type: Date, required: true },
+  committedAt: { type: Date },
+  releasedAt: { type: Date },
+  releaseReason: { type: String }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+SlotReservationSchema.index({ status: 1, expiresAt: 1 });
+SlotReservationSchema.index({ cart: 1, status: 1 });
+SlotReservationSchema.index({ paymentIntentId: 1 });
+SlotReservationSchema.index({ order: 1 });
+
+module.exports = mongoose.model('SlotReservation', SlotReservationSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One reserved line: quantity held in a single warehouse
+const ReservationItemSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  itemCode: { type: String },
+  warehouseCode: { type: String, required: true },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+// Stock Reservation Schema
+const StockReservationSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cart: {
+    type: Schema.Types.ObjectId,
+    ref: 'Cart'
+  },
+  store: {
+    type: Schema.Types.ObjectId,
+    ref: 'Store'
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'SalesOrder'
+  },
+  paymentIntentId: { type: String },
+
+  items: [ReservationItemSchema],
+
+  // held: soft hold during checkout, committed: deducted from stock for an order,
+  // released: hold or committed stock given back, expired: hold timed out
+  status: {
+    type: String,
+    enum: ['held', 'committed', 'released', 'expired'],
+    default: 'held'
+  },
+
+  expiresAt: { type: Date, required: true },
+  committedAt: { type: Date },
+  releasedAt: { type: Date },
+  releaseReason: { type: String }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+StockReservationSchema.index({ status: 1, expiresAt: 1 });
+StockReservationSchema.index({ cart: 1, status: 1 });
+StockReservationSchema.index({ paymentIntentId: 1 });
+StockReservationSchema.index({ order: 1 });
+
+// Static method to find the active hold for a cart
+StockReservationSchema.statics.findActiveHold = function(filter) {
+  return this.findOne({ ...filter, status: 'held', expiresAt: { $gt: new Date() } })
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('StockReservation', StockReservationSchema);
@@ -2,6 +2,29 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+const SLOT_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_SLOTS = ['9-12', '12-3', '3-6', '6-9'];
+
+// Booking rules for delivery or pickup time slots
+const slotSettingsSchema = new Schema({
+  // Orders per slot when no weekday rule applies; null means unlimited
+  defaultCapacity: { type: Number, min: 0, default: null },
+  // Per weekday limits; leave slot empty to apply to every slot of that day
+  weeklyCapacity: [{
+    day: { type: String, enum: SLOT_DAYS, required: true },
+    slot: { type: String, enum: TIME_SLOTS },
+    capacity: { type: Number, min: 0, required: true }
+  }],
+  // Local dates (YYYY-MM-DD) with no slots at all
+  blackoutDates: [{
+    date: { type: String, required: true, match: [/^\d{4}-\d{2}-\d{2}$/, 'Blackout date must be YYYY-MM-DD'] },
+    reason: { type: String, trim: true }
+  }],
+  // A slot can no longer be booked this many minutes before it starts
+  cutoffMinutes: { type: Number, min: 0, default: 120 },
+  maxDaysAhead: { type: Number, min: 0, default: 14 }
+}, { _id: false });
+
 const storeSchema = new Schema({
   name: {
     type: String,
@@ -97,13 +120,84 @@ const storeSchema = new Schema({
       default: 'en',
       enum: ['en', 'fr', 'ar', 'es', 'de']
     },
+    // Default VAT rate (%) for items whose VAT group has no rate below
     taxRate: {
       type: Number,
       default: 0,
       min: 0,
       max: 100
+    },
+    // Whether catalogue prices already include VAT
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false
+    },
+    // VAT rate per SAP VAT group (Item.SalesVATGroup)
+    vatGroups: [{
+      _id: false,
+      code: { type: String, required: true },
+      name: { type: String },
+      rate: { type: Number, required: true, min: 0, max: 100 }
+    }],
+    // SAP VAT group sent for tax-exempt customers' lines
+    exemptVatGroup: {
+      type: String
+    },
+    // VAT registration number (TRN) printed on invoices
+    taxRegistrationNumber: {
+      type: String,
+      trim: true
+    },
+    // Invoice numbers are <invoicePrefix>-000001, numbered per store
+    invoicePrefix: {
+      type: String,
+      default: 'INV',
+      trim: true,
+      uppercase: true,
+      maxlength: 10
     }
   },
+  deliverySlots: {
+    type: slotSettingsSchema,
+    default: () => ({})
+  },
+  pickupSlots: {
+    type: slotSettingsSchema,
+    default: () => ({})
+  },
+  // Customers may cancel pending orders until cutoffHours before delivery/pickup
+  cancellationPolicy: {
+    enabled: { type: Boolean, default: true },
+    cutoffHours: { type: Number, min: 0, default: 24 }
+  },
+  // Delivery fee charged on delivery orders. Fees are in the same terms as
+  // catalogue prices (VAT inclusive when settings.pricesIncludeTax is set).
+  deliveryFees: {
+    // none: free delivery; flat: flatFee; distance: first band covering the
+    // distance from location.coordinates; postcode: zone matching the postcode
+    mode: {
+      type: String,
+      enum: ['none', 'flat', 'distance', 'postcode'],
+      default: 'none'
+    },
+    flatFee: { type: Number, min: 0, default: 0 },
+    distanceBands: [{
+      _id: false,
+      maxKm: { type: Number, required: true, min: 0 },
+      fee: { type: Number, required: true, min: 0 }
+    }],
+    // Postcodes match exactly or by prefix ("SW1" covers "SW1A 1AA")
+    postcodeZones: [{
+      _id: false,
+      name: { type: String, required: true, trim: true },
+      postcodes: [{ type: String, trim: true, uppercase: true }],
+      fee: { type: Number, required: true, min: 0 }
+    }],
+    // Fee for postcodes outside every zone; unset means no delivery there
+    otherPostcodesFee: { type: Number, min: 0, default: null },
+    // Smallest order (after discounts) accepted for delivery
+    minimumOrderValue: { type: Number, min: 0, default: 0 }
+  },
   status: {
     type: String,
     enum: ['active', 'inactive', 'maintenance', 'closed'],
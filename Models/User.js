@@ -63,6 +63,8 @@ const userSchema = new Schema({
   },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Access tokens without a session issued before this are rejected
+  sessionsRevokedAt: Date,
   phone: {
     type: String,
     trim: true
@@ -241,17 +243,21 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Method to generate a JWT access token for a session (see Services/sessionService)
+userSchema.methods.generateAuthToken = function(sessionId, expiresIn = '15m') {
+  const assignedStore = this.assignedStore
+    ? (this.assignedStore._id || this.assignedStore).toString()
+    : null;
   return jwt.sign(
     { 
-      id: this._id,
+      id: this._id.toString(),
       role: this.role,
-      assignedStore: this.assignedStore
+      assignedStore,
+      sid: sessionId ? sessionId.toString() : undefined
     },
     process.env.JWT_SECRET || 'your-super-secret-jwt-key',
     { 
-      expiresIn: '30d' 
+      expiresIn
     }
   );
 };
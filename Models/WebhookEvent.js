@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Every verified Stripe webhook event, stored once per Stripe event id so
+// retries and replays are processed at most once.
+const WebhookEventSchema = new Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // Id of the Stripe object the event is about (payment intent, invoice, ...)
+  objectId: {
+    type: String
+  },
+  livemode: {
+    type: Boolean,
+    default: false
+  },
+  // When Stripe created the event
+  stripeCreatedAt: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed', 'ignored'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  processingStartedAt: {
+    type: Date
+  },
+  processedAt: {
+    type: Date
+  },
+  // Delivery count from Stripe (the first delivery plus retries)
+  deliveries: {
+    type: Number
+  },
+  replays: [{
+    replayedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    replayedAt: { type: Date, default: Date.now },
+    result: { type: String }
+  }],
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true
+  }
+}, { timestamps: true });
+
+WebhookEventSchema.index({ status: 1, createdAt: -1 });
+WebhookEventSchema.index({ type: 1, createdAt: -1 });
+WebhookEventSchema.index({ objectId: 1 });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
@@ -10,24 +10,35 @@ const {
   bulkUpdateOrderStatusAdmin,
   sendOrderNotificationAdmin,
   getOrderTimelineAdmin,
+  syncOrderToSAPAdmin,
+  refundOrderAdmin,
+  recordOrderPaymentAdmin,
+  getPaymentAgingAdmin,
+  downloadInvoiceAdmin,
 } = require('../../Controllers/Admin/OrderController');
 
 const {
   protect,
   requireAdmin
 } = require('../../Middleware/Authentication');
+const { paymentProofUpload } = require('../../Config/S3');
 
 // RESTful admin order routes
 router.get('/', protect, requireAdmin, getAllOrdersAdmin);
 router.get('/stats', protect, requireAdmin, getOrderStatsAdmin);
 router.get('/export', protect, requireAdmin, exportOrdersAdmin);
 router.patch('/bulk-status', protect, requireAdmin, bulkUpdateOrderStatusAdmin);
+router.get('/payments/aging', protect, requireAdmin, getPaymentAgingAdmin);
 
 // Order-specific routes
 router.get('/:orderId', protect, requireAdmin, getOrderDetailsAdmin);
 router.get('/:orderId/timeline', protect, requireAdmin, getOrderTimelineAdmin);
+router.get('/:orderId/invoice', protect, requireAdmin, downloadInvoiceAdmin);
 router.patch('/:orderId/tracking', protect, requireAdmin, updateOrderTrackingAdmin);
 router.post('/:orderId/notify', protect, requireAdmin, sendOrderNotificationAdmin);
+router.post('/:orderId/sap-sync', protect, requireAdmin, syncOrderToSAPAdmin);
+router.post('/:orderId/refund', protect, requireAdmin, refundOrderAdmin);
+router.post('/:orderId/payments', protect, requireAdmin, paymentProofUpload.single('proof'), recordOrderPaymentAdmin);
 
 
 module.exports = router; 
\ No newline at end of file
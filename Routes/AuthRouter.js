@@ -1,4 +1,29 @@
 const express = require('express');
 const router = express.Router();
+const {
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeUserSession
+} = require('../Controllers/AuthController');
+const { protect, protectAllowTemporaryPassword } = require('../Middleware/Authentication');
 
-module.exports = router; 
\ No newline at end of file
+// PASSWORD RESET (public)
+router.post('/auth/forgot-password', forgotPassword);
+router.put('/auth/reset-password/:token', resetPassword);
+
+// PASSWORD CHANGE (also used to replace a temporary password)
+router.put('/auth/change-password', protectAllowTemporaryPassword, changePassword);
+
+// SESSIONS
+router.post('/auth/refresh', refreshToken);
+router.post('/auth/logout', logout);
+router.post('/auth/logout-all', protectAllowTemporaryPassword, logoutAll);
+router.get('/auth/sessions', protect, getSessions);
+router.delete('/auth/sessions/:sessionId', protect, revokeUserSession);
+
+module.exports = router;
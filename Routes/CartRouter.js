@@ -21,9 +21,15 @@ router.post('/update', CartController.updateItem);
 // Clear cart
 router.post('/clear', CartController.clearCart);
 
+// Choose delivery or pickup (prices the delivery fee)
+router.post('/delivery', CartController.setDelivery);
+
 // Sync guest cart with user cart
 router.post('/sync', CartController.syncGuestCart);
 
+// Hold stock for the cart when checkout starts
+router.post('/reserve', CartController.reserveStock);
+
 // Promotion-related routes
 router.post('/apply-promotion', CartController.applyPromotion);
 router.get('/applicable-promotions', CartController.getApplicablePromotions);
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../Controllers/PaymentController');
-const { protect } = require('../Middleware/Authentication');
+const { protect, requireSuperAdmin } = require('../Middleware/Authentication');
 
 // Webhook route - uses raw body from index.js middleware
 router.post('/webhook', paymentController.handleStripeWebhook);
@@ -10,6 +10,10 @@ router.post('/webhook', paymentController.handleStripeWebhook);
 router.post('/create-payment-intent', protect, paymentController.createPaymentIntent);
 router.post('/create-order', protect, paymentController.createOrderAfterPayment);
 
+// Stored webhook events (super admin)
+router.get('/webhook-events', protect, requireSuperAdmin, paymentController.getWebhookEvents);
+router.post('/webhook-events/:eventId/replay', protect, requireSuperAdmin, paymentController.replayWebhookEvent);
+
 // Subscription routes
 router.post('/subscriptions/create', protect, paymentController.createSubscription);
 router.post('/subscriptions/cancel', protect, paymentController.cancelSubscription);
@@ -85,6 +85,58 @@ router.post('/test/auto-apply', async (req, res) => {
   return PromotionController.createTestAutoPromotion(req, res);
 });
 
+// Export a coupon batch as CSV (Admin/SuperAdmin only)
+router.get('/coupon-batches/:batchId/export', async (req, res) => {
+  // Check if user has admin privileges
+  if (req.user.role !== 'admin' && req.user.role !== 'superAdmin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Admin privileges required.'
+    });
+  }
+
+  return PromotionController.exportCouponBatch(req, res);
+});
+
+// Revoke a coupon batch (Admin/SuperAdmin only)
+router.post('/coupon-batches/:batchId/revoke', async (req, res) => {
+  // Check if user has admin privileges
+  if (req.user.role !== 'admin' && req.user.role !== 'superAdmin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Admin privileges required.'
+    });
+  }
+
+  return PromotionController.revokeCouponBatch(req, res);
+});
+
+// Generate a batch of single-use coupon codes (Admin/SuperAdmin only)
+router.post('/:id/coupon-batches', async (req, res) => {
+  // Check if user has admin privileges
+  if (req.user.role !== 'admin' && req.user.role !== 'superAdmin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Admin privileges required.'
+    });
+  }
+
+  return PromotionController.createCouponBatch(req, res);
+});
+
+// Get a promotion's coupon batches (Admin/SuperAdmin only)
+router.get('/:id/coupon-batches', async (req, res) => {
+  // Check if user has admin privileges
+  if (req.user.role !== 'admin' && req.user.role !== 'superAdmin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Admin privileges required.'
+    });
+  }
+
+  return PromotionController.getCouponBatches(req, res);
+});
+
 // Get promotion statistics (Admin/SuperAdmin only)
 router.get('/:id/stats', async (req, res) => {
   // Check if user has admin privileges
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const ReviewController = require('../Controllers/ReviewController');
+const { protect, requireAdmin } = require('../Middleware/Authentication');
+
+// Public
+router.get('/product/:productId', ReviewController.getProductReviews);
+
+// Customer
+router.get('/my', protect, ReviewController.getMyReviews);
+router.post('/', protect, ReviewController.createReview);
+router.put('/:reviewId', protect, ReviewController.updateReview);
+router.delete('/:reviewId', protect, ReviewController.deleteReview);
+
+// Admin moderation
+router.get('/admin/all', protect, requireAdmin, ReviewController.getAllReviews);
+router.patch('/admin/:reviewId/visibility', protect, requireAdmin, ReviewController.updateReviewVisibility);
+router.put('/admin/:reviewId/reply', protect, requireAdmin, ReviewController.replyToReview);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createCustomerGroup,
+  getAllCustomerGroups,
+  updateCustomerGroup,
+  deleteCustomerGroup
+} = require('../../Controllers/SuperAdmin/CustomerGroupController');
+const {
+  protect,
+  requireSuperAdmin,
+  requireAdmin
+} = require("../../Middleware/Authentication");
+
+router.use(protect);
+router.get('/', requireAdmin, getAllCustomerGroups);
+router.post('/', requireSuperAdmin, createCustomerGroup);
+router.put('/:id', requireSuperAdmin, updateCustomerGroup);
+router.delete('/:id', requireSuperAdmin, deleteCustomerGroup);
+
+module.exports = router;
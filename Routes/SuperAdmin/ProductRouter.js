@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const superAdminProductController = require('../../Controllers/SuperAdmin/ProductController');
 const { protect, requireSuperAdmin } = require('../../Middleware/Authentication');
-const { productUpload } = require('../../Config/S3');
+const { productUpload, importFileUpload } = require('../../Config/S3');
 
 // Apply middleware to all routes
 router.use(protect);
@@ -17,6 +17,10 @@ router.put('/update/:id',
   superAdminProductController.updateAnyProduct
 );
 router.delete('/delete/:id', superAdminProductController.deleteAnyProduct);
+router.post('/import/:storeId',
+  importFileUpload.single('file'),
+  superAdminProductController.importSAPItems
+);
 
 
 module.exports = router;
\ No newline at end of file
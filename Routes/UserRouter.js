@@ -23,6 +23,15 @@ const {
   deleteUser,
   getAdmins,
   updateDocumentVerification,
+  getCustomerSyncStatus,
+  retryCustomerSync,
+  getCreditTerms,
+  updateCreditTerms,
+  updateCustomerPricing,
+  updateTaxExemption,
+  
+  // On-account credit
+  getMyCreditAccount,
   
   // Address management
   addAddress,
@@ -39,7 +48,7 @@ const {
   getWishlist
 } = require('../Controllers/UserController');
 
-const { protect, requireSuperAdmin, requireAdmin } = require("../Middleware/Authentication");
+const { protect, protectAllowTemporaryPassword, requireSuperAdmin, requireAdmin } = require("../Middleware/Authentication");
 const { documentUpload } = require('../Config/S3');
 
 // Error handling middleware for multer
@@ -81,9 +90,10 @@ router.post('/login', login);
 // =============================================================================
 
 // PROFILE MANAGEMENT
-router.get('/profile', protect, getProfile);
+router.get('/profile', protectAllowTemporaryPassword, getProfile);
 router.put('/profile', protect, updateProfile);
 router.put('/terms-agreement', protect, updateTermsAgreement);
+router.get('/credit-account', protect, getMyCreditAccount);
 
 // ADDRESS MANAGEMENT ROUTES
 router.post('/address', protect, addAddress); 
@@ -111,6 +121,20 @@ router.delete('/users/:id', protect, requireAdmin, deleteUser);
 router.get('/admins', protect, requireAdmin, getAdmins);
 router.put('/users/:userId/document-verification', protect, requireAdmin, updateDocumentVerification);
 
+// SAP CUSTOMER SYNC
+router.get('/customers/sap-sync', protect, requireAdmin, getCustomerSyncStatus);
+router.post('/customers/:customerId/sap-sync', protect, requireAdmin, retryCustomerSync);
+
+// CREDIT TERMS (on-account ordering for verified businesses)
+router.get('/users/:userId/credit-terms', protect, requireAdmin, getCreditTerms);
+router.put('/users/:userId/credit-terms', protect, requireAdmin, updateCreditTerms);
+
+// CUSTOMER PRICING (price list or customer group)
+router.put('/users/:userId/pricing', protect, requireAdmin, updateCustomerPricing);
+
+// VAT EXEMPTION (business customers)
+router.put('/users/:userId/tax-exemption', protect, requireAdmin, updateTaxExemption);
+
 // =============================================================================
 // SUPER ADMIN ONLY ROUTES
 // =============================================================================
@@ -9,6 +9,7 @@ const { reorder } = require('../../Controllers/Website/OrderController');
 router.get('/banners/active', WebController.getActiveBannersByStore);
 router.get('/categories/active', WebController.getActiveCategoriesByStore);
 router.get('/stores/active', WebController.getActiveStores);
+router.get('/stores/:storeId/slots', WebController.getStoreSlots);
 router.get('/products/active/top3', WebController.getFeaturedProducts);
 router.get('/products/active', WebController.getActiveProductsByStore);
 router.get('/products/active/by-store-category', WebController.getActiveProductsByStoreAndCategory);
@@ -22,6 +23,9 @@ router.get('/orders/:orderId/tracking', protect, OrderController.getOrderTrackin
 router.patch('/orders/:orderId/tracking', protect, OrderController.updateOrderTracking);
 router.post('/orders/:orderId/reorder', protect, reorder);
 router.get('/orders/:orderId/receipt', protect, OrderController.viewReceipt);
+router.get('/orders/:orderId/invoice', protect, OrderController.downloadInvoice);
+router.get('/orders/:orderId/cancellation', protect, OrderController.getOrderCancellation);
+router.post('/orders/:orderId/cancel', protect, OrderController.cancelOrder);
 
 // Get current user's recurring orders
 router.get('/orders/recurring/my', protect, OrderController.getCustomerRecurringOrders);
@@ -0,0 +1,44 @@
+// Drop the global ItemCode_1 unique index left on the items collection by
+// databases created before ItemCode became unique per store, and build the
+// per-store { ItemCode, store } index in its place. Safe to run more than once.
+// Usage: node Scripts/dropLegacyItemCodeIndex.js [--dry-run]
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../db');
+const Item = require('../Models/Product');
+
+const LEGACY_INDEX = 'ItemCode_1';
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+  try {
+    const indexes = await Item.collection.indexes();
+    const legacy = indexes.find(index => index.name === LEGACY_INDEX);
+
+    if (!legacy) {
+      console.log(`No ${LEGACY_INDEX} index on ${Item.collection.collectionName}, nothing to drop`);
+    } else if (dryRun) {
+      console.log(`Would drop ${LEGACY_INDEX} (unique: ${Boolean(legacy.unique)}) from ${Item.collection.collectionName}`);
+    } else {
+      await Item.collection.dropIndex(LEGACY_INDEX);
+      console.log(`Dropped ${LEGACY_INDEX} from ${Item.collection.collectionName}`);
+    }
+
+    if (!dryRun) {
+      await Item.createIndexes();
+      console.log('Item indexes are up to date');
+    }
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Index migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
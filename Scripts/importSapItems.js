@@ -0,0 +1,53 @@
+// Import SAP items into a store from the command line (e.g. a nightly cron job).
+// Usage: node Scripts/importSapItems.js --store <storeId> [--file items.json]
+//        [--incremental] [--since YYYY-MM-DD] [--force] [--dry-run] [--allow-unmapped]
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../db');
+const { importItems } = require('../Services/sapItemImport');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--store') args.store = argv[++i];
+    else if (arg === '--file') args.file = argv[++i];
+    else if (arg === '--since') args.since = argv[++i];
+    else if (arg === '--incremental') args.incremental = true;
+    else if (arg === '--force') args.force = true;
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--allow-unmapped') args.allowUnmappedGroups = true;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.store || !mongoose.Types.ObjectId.isValid(args.store)) {
+    console.error('A valid --store <storeId> is required');
+    process.exit(1);
+  }
+
+  await connectDB();
+  try {
+    const summary = await importItems(args.store, {
+      file: args.file,
+      incremental: args.incremental || Boolean(args.since),
+      since: args.since,
+      force: args.force,
+      dryRun: args.dryRun,
+      allowUnmappedGroups: args.allowUnmappedGroups
+    });
+    console.log(JSON.stringify(summary, null, 2));
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('SAP item import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const Promotion = require('../Models/Promotion');
+const Coupon = require('../Models/Coupon');
+const CouponBatch = require('../Models/CouponBatch');
+
+// Random characters per pattern placeholder; 0/O and 1/I are left out of
+// mixed codes so they can be read back from print
+const LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CHARSETS = {
+  '*': LETTERS + '23456789',
+  '?': LETTERS,
+  '#': '0123456789'
+};
+
+const DEFAULT_PATTERN = '****-****';
+const MAX_BATCH_QUANTITY = 20000;
+const INSERT_CHUNK_SIZE = 1000;
+const MAX_GENERATION_ROUNDS = 10;
+
+// How long a checkout's claim on a coupon lasts before others may use the code
+const CLAIM_MINUTES = parseInt(process.env.COUPON_CLAIM_MINUTES || process.env.STOCK_HOLD_MINUTES || '15', 10);
+
+const couponError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Number of distinct codes a pattern can produce
+function countCombinations(pattern) {
+  return [...pattern].reduce((total, char) => total * (CHARSETS[char]?.length || 1), 1);
+}
+
+function generateCode(prefix, pattern) {
+  const random = [...pattern]
+    .map(char => (CHARSETS[char] ? CHARSETS[char][crypto.randomInt(CHARSETS[char].length)] : char))
+    .join('');
+  return `${prefix}${random}`;
+}
+
+/**
+ * Generate a batch of unique single-use codes for a promotion.
+ * options: { quantity, prefix, pattern, name }
+ * Codes are unique across all batches and promotion master codes. Throws
+ * errors with statusCode 400 for bad options and 409 when the pattern runs
+ * out of unused codes.
+ */
+async function createCouponBatch(promotion, { quantity, prefix = '', pattern = DEFAULT_PATTERN, name } = {}, userId) {
+  const count = Number(quantity);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_QUANTITY) {
+    throw couponError(`Quantity must be a whole number between 1 and ${MAX_BATCH_QUANTITY}`);
+  }
+
+  const normalizedPrefix = String(prefix || '').trim().toUpperCase();
+  const normalizedPattern = String(pattern || DEFAULT_PATTERN).trim().toUpperCase();
+  if (!/^[A-Z0-9-]*$/.test(normalizedPrefix)) {
+    throw couponError('Prefix may only contain letters, digits and dashes');
+  }
+  if (!/^[A-Z0-9*?#-]+$/.test(normalizedPattern)) {
+    throw couponError('Pattern may only contain letters, digits, dashes and the placeholders * ? #');
+  }
+  // Leave plenty of unused codes so codes cannot be guessed from each other
+  if (countCombinations(normalizedPattern) < count * 1000) {
+    throw couponError('Pattern allows too few codes for this quantity; add more placeholders');
+  }
+
+  const batch = await CouponBatch.create({
+    promotion: promotion._id,
+    store: promotion.store,
+    name,
+    prefix: normalizedPrefix,
+    pattern: normalizedPattern,
+    quantity: count,
+    createdBy: userId
+  });
+
+  let created = 0;
+  for (let round = 0; round < MAX_GENERATION_ROUNDS && created < count; round++) {
+    const codes = new Set();
+    while (codes.size < count - created) {
+      codes.add(generateCode(normalizedPrefix, normalizedPattern));
+    }
+
+    const candidates = [...codes];
+    for (let start = 0; start < candidates.length; start += INSERT_CHUNK_SIZE) {
+      const chunk = candidates.slice(start, start + INSERT_CHUNK_SIZE);
+      const masterCodes = new Set(await Promotion.find({ code: { $in: chunk } }).distinct('code'));
+      const docs = chunk
+        .filter(code => !masterCodes.has(code))
+        .map(code => ({ code, batch: batch._id, promotion: promotion._id }));
+      try {
+        await Coupon.insertMany(docs, { ordered: false });
+      } catch (error) {
+        // Codes that already exist are skipped and generated again next round
+        if (error.code !== 11000 && !error.writeErrors) throw error;
+      }
+    }
+    created = await Coupon.countDocuments({ batch: batch._id });
+  }
+
+  if (created < count) {
+    await Coupon.deleteMany({ batch: batch._id });
+    await CouponBatch.deleteOne({ _id: batch._id });
+    throw couponError('Could not generate enough unique codes; use a longer pattern', 409);
+  }
+
+  return batch;
+}
+
+// Coupon states a cart may use the coupon from: available, claimed by that
+// cart, or claimed by a checkout whose claim has run out
+const claimableFilter = (cartId, now = new Date()) => ({
+  $or: [
+    { status: 'available' },
+    { status: 'reserved', reservedUntil: { $lte: now } },
+    ...(cartId ? [{ status: 'reserved', reservedCart: cartId }] : [])
+  ]
+});
+
+const isClaimedByOther = (coupon, cartId, now = new Date()) => coupon.status === 'reserved' &&
+  coupon.reservedUntil > now && String(coupon.reservedCart) !== String(cartId);
+
+/**
+ * Coupon for a code, or null when no batch has it. Codes that were used,
+ * whose batch was revoked or that another checkout is paying with throw an
+ * error with statusCode 409.
+ */
+async function findCoupon(code, { cartId } = {}) {
+  const normalized = String(code || '').trim().toUpperCase();
+  if (!normalized) return null;
+
+  const coupon = await Coupon.findOne({ code: normalized }).populate('batch', 'status');
+  if (!coupon) return null;
+
+  if (coupon.status === 'redeemed') {
+    throw couponError('This coupon code has already been used', 409);
+  }
+  if (coupon.status === 'revoked' || coupon.batch?.status !== 'active') {
+    throw couponError('This coupon code is no longer valid', 409);
+  }
+  if (isClaimedByOther(coupon, cartId)) {
+    throw couponError('This coupon code is being used in another checkout', 409);
+  }
+  return coupon;
+}
+
+// Whether a cart can still redeem a coupon
+async function isCouponRedeemable(couponId, { cartId } = {}) {
+  const coupon = await Coupon.findById(couponId).populate('batch', 'status').lean();
+  return Boolean(coupon && ['available', 'reserved'].includes(coupon.status) &&
+    !isClaimedByOther(coupon, cartId) && coupon.batch?.status === 'active');
+}
+
+/**
+ * Claim a coupon for a cart's checkout before the customer pays, so two carts
+ * cannot both pay with the same code. Returns null when the coupon was
+ * redeemed, revoked or claimed by another checkout meanwhile.
+ */
+function claimCoupon(couponId, { userId, cartId }) {
+  return Coupon.findOneAndUpdate(
+    { _id: couponId, ...claimableFilter(cartId) },
+    {
+      status: 'reserved',
+      reservedCart: cartId,
+      reservedBy: userId,
+      reservedUntil: new Date(Date.now() + CLAIM_MINUTES * 60 * 1000)
+    },
+    { new: true }
+  );
+}
+
+// Give back the coupons a cart's checkout claimed (payment failed or canceled)
+async function releaseCouponClaims(cartId) {
+  if (!cartId) return 0;
+  const result = await Coupon.updateMany(
+    { reservedCart: cartId, status: 'reserved' },
+    { $set: { status: 'available' }, $unset: { reservedCart: 1, reservedBy: 1, reservedUntil: 1 } }
+  );
+  return result.modifiedCount;
+}
+
+// Mark a coupon used by an order; null when it was redeemed, revoked or
+// claimed by another checkout meanwhile
+function redeemCoupon(couponId, { userId, orderId, cartId }) {
+  return Coupon.findOneAndUpdate(
+    { _id: couponId, ...claimableFilter(cartId) },
+    {
+      $set: { status: 'redeemed', redeemedBy: userId, redeemedOrder: orderId, redeemedAt: new Date() },
+      $unset: { reservedCart: 1, reservedBy: 1, reservedUntil: 1 }
+    },
+    { new: true }
+  );
+}
+
+// Make an order's coupons usable again when the order was not placed
+async function releaseOrderCoupons(orderId) {
+  const result = await Coupon.updateMany(
+    { redeemedOrder: orderId, status: 'redeemed' },
+    { $set: { status: 'available' }, $unset: { redeemedBy: 1, redeemedOrder: 1, redeemedAt: 1 } }
+  );
+  return result.modifiedCount;
+}
+
+// Revoke a batch; codes already redeemed keep their redemption
+async function revokeCouponBatch(batch, { userId, reason } = {}) {
+  batch.status = 'revoked';
+  batch.revokedAt = new Date();
+  batch.revokedBy = userId;
+  batch.revokeReason = reason;
+  await batch.save();
+
+  const result = await Coupon.updateMany(
+    { batch: batch._id, status: { $in: ['available', 'reserved'] } },
+    { $set: { status: 'revoked' }, $unset: { reservedCart: 1, reservedBy: 1, reservedUntil: 1 } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  DEFAULT_PATTERN,
+  MAX_BATCH_QUANTITY,
+  createCouponBatch,
+  findCoupon,
+  isCouponRedeemable,
+  claimCoupon,
+  releaseCouponClaims,
+  redeemCoupon,
+  releaseOrderCoupons,
+  revokeCouponBatch
+};
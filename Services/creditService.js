@@ -0,0 +1,215 @@
+const User = require('../Models/User');
+const Customer = require('../Models/Customer');
+const PQFPayment = require('../Models/Payment');
+const { roundMoney } = require('./pricingService');
+const { refreshOutstandingBalance, syncOutstandingBalances } = require('./paymentReconciliationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let overdueTimer = null;
+
+const creditError = (message, statusCode = 400, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+// On-account ordering is only offered to verified business customers
+const isCreditEligible = (user) =>
+  Boolean(user) && user.registrationType === 'business' && user.documentVerificationStatus === 'verified';
+
+/**
+ * Credit account summary for a user:
+ * { eligible, enabled, creditLimit, paymentTermsDays, outstandingBalance,
+ *   reservedCredit, availableCredit, overdueBalance, hasOverdueInvoices }
+ * The outstanding balance is recalculated so the figures are current;
+ * credit reserved by orders being placed is not available either.
+ */
+async function getCreditAccount(userId) {
+  const outstandingBalance = await refreshOutstandingBalance(userId);
+  const [user, customer] = await Promise.all([
+    User.findById(userId).select('registrationType documentVerificationStatus'),
+    Customer.findOne({ user: userId }).select('creditTerms reservedCredit overdueBalance hasOverdueInvoices')
+  ]);
+  const eligible = isCreditEligible(user);
+  const terms = customer?.creditTerms || {};
+  const creditLimit = roundMoney(terms.creditLimit || 0);
+  const reservedCredit = roundMoney(customer?.reservedCredit || 0);
+
+  return {
+    eligible,
+    enabled: Boolean(eligible && terms.enabled),
+    creditLimit,
+    paymentTermsDays: terms.paymentTermsDays ?? 30,
+    outstandingBalance,
+    reservedCredit,
+    availableCredit: Math.max(roundMoney(creditLimit - outstandingBalance - reservedCredit), 0),
+    overdueBalance: customer ? roundMoney(customer.overdueBalance || 0) : 0,
+    hasOverdueInvoices: Boolean(customer?.hasOverdueInvoices)
+  };
+}
+
+/**
+ * Reserve credit for a new on-account order. The amount is added to the
+ * customer's reservedCredit with a conditional $inc that only matches while
+ * the outstanding balance, the credit already reserved and the order stay
+ * within the credit limit, so concurrent orders cannot overrun it. It is kept
+ * apart from outstandingBalance, which is rebuilt from payment records.
+ * Returns { dueDate, paymentTermsDays, availableCredit, customerId, amount }
+ * or throws with code CREDIT_NOT_AVAILABLE (403) or CREDIT_LIMIT_EXCEEDED
+ * (409). Drop the reservation with releaseOnAccountCredit once the order's
+ * payment record is saved, or when the order is not created.
+ */
+async function reserveOnAccountCredit(userId, amount, now = new Date()) {
+  const [user, customer] = await Promise.all([
+    User.findById(userId).select('registrationType documentVerificationStatus'),
+    Customer.findOne({ user: userId }).select('creditTerms')
+  ]);
+  if (!isCreditEligible(user) || !customer?.creditTerms?.enabled) {
+    throw creditError('On-account payment is not available for this account', 403, 'CREDIT_NOT_AVAILABLE');
+  }
+
+  const orderAmount = roundMoney(amount);
+  const reserved = await Customer.findOneAndUpdate(
+    {
+      _id: customer._id,
+      'creditTerms.enabled': true,
+      $expr: {
+        $lte: [
+          {
+            $round: [{
+              $add: [{ $ifNull: ['$outstandingBalance', 0] }, { $ifNull: ['$reservedCredit', 0] }, orderAmount]
+            }, 2]
+          },
+          { $ifNull: ['$creditTerms.creditLimit', 0] }
+        ]
+      }
+    },
+    { $inc: { reservedCredit: orderAmount } },
+    { new: true }
+  ).select('creditTerms outstandingBalance reservedCredit');
+
+  if (!reserved) {
+    const current = await Customer.findById(customer._id).select('creditTerms outstandingBalance reservedCredit');
+    const availableCredit = Math.max(
+      roundMoney((current?.creditTerms?.creditLimit || 0) - (current?.outstandingBalance || 0) - (current?.reservedCredit || 0)),
+      0
+    );
+    const error = creditError(
+      `This order exceeds your available credit of ${availableCredit.toFixed(2)}`,
+      409,
+      'CREDIT_LIMIT_EXCEEDED'
+    );
+    error.availableCredit = availableCredit;
+    throw error;
+  }
+
+  const paymentTermsDays = reserved.creditTerms.paymentTermsDays ?? 30;
+  return {
+    dueDate: new Date(now.getTime() + paymentTermsDays * DAY_MS),
+    paymentTermsDays,
+    availableCredit: Math.max(
+      roundMoney(reserved.creditTerms.creditLimit - (reserved.outstandingBalance || 0) - reserved.reservedCredit),
+      0
+    ),
+    customerId: reserved._id,
+    amount: orderAmount
+  };
+}
+
+// Drop a credit reservation: the order's payment record now counts in the
+// outstanding balance, or the order was not created
+async function releaseOnAccountCredit(reservation) {
+  if (!reservation?.customerId || !reservation.amount) return;
+  await Customer.updateOne(
+    { _id: reservation.customerId, reservedCredit: { $gte: reservation.amount } },
+    { $inc: { reservedCredit: -reservation.amount } }
+  );
+}
+
+/**
+ * Set credit terms for a business customer.
+ * terms: { enabled, creditLimit, paymentTermsDays }
+ */
+async function setCreditTerms(userId, { enabled, creditLimit, paymentTermsDays } = {}, updatedBy) {
+  const user = await User.findById(userId).select('registrationType documentVerificationStatus');
+  if (!user) {
+    throw creditError('User not found', 404);
+  }
+  const customer = await Customer.findOne({ user: userId });
+  if (!customer) {
+    throw creditError('No customer record found for this user', 404);
+  }
+  if (enabled && !isCreditEligible(user)) {
+    throw creditError('Credit terms can only be enabled for verified business customers');
+  }
+
+  if (creditLimit !== undefined) {
+    const limit = Number(creditLimit);
+    if (!Number.isFinite(limit) || limit < 0) {
+      throw creditError('creditLimit must be a positive number');
+    }
+    customer.creditTerms.creditLimit = roundMoney(limit);
+  }
+  if (paymentTermsDays !== undefined) {
+    const days = Number(paymentTermsDays);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      throw creditError('paymentTermsDays must be a whole number of days between 0 and 365');
+    }
+    customer.creditTerms.paymentTermsDays = days;
+  }
+  if (enabled !== undefined) {
+    customer.creditTerms.enabled = Boolean(enabled);
+  }
+  customer.creditTerms.updatedBy = updatedBy;
+  customer.creditTerms.updatedAt = new Date();
+  await customer.save();
+
+  return customer;
+}
+
+/**
+ * Flag on-account payments that are past their due date and update the
+ * customers' outstanding and overdue balances from the aging report.
+ */
+async function flagOverdueInvoices(now = new Date()) {
+  try {
+    const flagged = await PQFPayment.updateMany(
+      {
+        paymentMethod: 'on_account',
+        status: { $in: ['pending', 'partially_paid'] },
+        dueDate: { $lt: now },
+        isOverdue: { $ne: true }
+      },
+      { $set: { isOverdue: true } }
+    );
+    await syncOutstandingBalances();
+
+    if (flagged.modifiedCount > 0) {
+      console.log(`Flagged ${flagged.modifiedCount} overdue on-account invoices`);
+    }
+    return flagged.modifiedCount || 0;
+  } catch (error) {
+    console.error('Error flagging overdue invoices:', error);
+    return 0;
+  }
+}
+
+// Run flagOverdueInvoices on an interval
+function startOverdueInvoiceJob(intervalMs = 60 * 60 * 1000) {
+  if (overdueTimer) return overdueTimer;
+  overdueTimer = setInterval(flagOverdueInvoices, intervalMs);
+  overdueTimer.unref();
+  return overdueTimer;
+}
+
+module.exports = {
+  isCreditEligible,
+  getCreditAccount,
+  reserveOnAccountCredit,
+  releaseOnAccountCredit,
+  setCreditTerms,
+  flagOverdueInvoices,
+  startOverdueInvoiceJob
+};
@@ -0,0 +1,17 @@
+// Quote a CSV field, doubling embedded quotes (RFC 4180); null and undefined
+// become empty fields
+function toCsvField(value) {
+  if (value === null || value === undefined) return '""';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+// One CSV line from a list of values
+function toCsvRow(values) {
+  return values.map(toCsvField).join(',');
+}
+
+module.exports = {
+  toCsvField,
+  toCsvRow
+};
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const User = require('../Models/User');
+const SalesOrder = require('../Models/SalesOrder');
+const PQFPayment = require('../Models/Payment');
+const { roundMoney } = require('./money');
+
+// Orders that were never completed or were fully refunded
+const INACTIVE_LOCAL_STATUSES = ['Canceled', 'PaymentFailed', 'Refunded'];
+
+/**
+ * Profile that promotion targeting rules are checked against (see
+ * Promotion.matchesCustomer): the user's role and registration type and
+ * their order history. Cancelled, failed-payment and fully refunded orders
+ * do not count; orders still awaiting cash, cheque or on-account payment do.
+ * Partial refunds are taken off the lifetime spend.
+ *
+ * Returns { userId, role, registrationType, orderCount, lastOrderDate,
+ * lifetimeSpend }, or null when there is no such user.
+ */
+async function getCustomerProfile(userId) {
+  if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) return null;
+
+  const user = await User.findById(userId).select('role registrationType').lean();
+  if (!user) return null;
+
+  const [history] = await SalesOrder.aggregate([
+    {
+      $match: {
+        user: user._id,
+        trackingStatus: { $ne: 'cancelled' },
+        LocalStatus: { $nin: INACTIVE_LOCAL_STATUSES }
+      }
+    },
+    {
+      $lookup: {
+        from: PQFPayment.collection.collectionName,
+        localField: '_id',
+        foreignField: 'order',
+        as: 'payments'
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        orderCount: { $sum: 1 },
+        lastOrderDate: { $max: '$createdAt' },
+        totalSpend: { $sum: '$DocTotal' },
+        totalRefunded: { $sum: { $sum: '$payments.refundAmount' } }
+      }
+    }
+  ]);
+
+  return {
+    userId: user._id,
+    role: user.role,
+    registrationType: user.registrationType,
+    orderCount: history?.orderCount || 0,
+    lastOrderDate: history?.lastOrderDate || null,
+    lifetimeSpend: roundMoney(Math.max((history?.totalSpend || 0) - (history?.totalRefunded || 0), 0))
+  };
+}
+
+module.exports = {
+  getCustomerProfile
+};
@@ -0,0 +1,152 @@
+const Store = require('../Models/Store');
+const { roundMoney } = require('./money');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance in km between two { latitude, longitude } points
+function distanceKm(from, to) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+const hasCoordinates = (point) =>
+  point?.latitude != null && point?.longitude != null &&
+  Number.isFinite(Number(point.latitude)) && Number.isFinite(Number(point.longitude));
+
+const normalizePostcode = (postcode) => String(postcode || '').toUpperCase().replace(/\s+/g, '');
+
+// Zone covering a postcode; the longest matching prefix wins
+function findPostcodeZone(zones, postcode) {
+  const normalized = normalizePostcode(postcode);
+  if (!normalized) return null;
+
+  let match = null;
+  let matchLength = 0;
+  for (const zone of zones || []) {
+    for (const prefix of zone.postcodes || []) {
+      const normalizedPrefix = normalizePostcode(prefix);
+      if (normalizedPrefix && normalized.startsWith(normalizedPrefix) && normalizedPrefix.length > matchLength) {
+        match = zone;
+        matchLength = normalizedPrefix.length;
+      }
+    }
+  }
+  return match;
+}
+
+// Fee for a delivery address under a store's deliveryFees settings:
+// { fee, zone, distanceKm } or { reason } when the store cannot deliver there
+function calculateFee(config, storeCoordinates, address) {
+  switch (config.mode) {
+    case 'flat':
+      return { fee: config.flatFee || 0 };
+
+    case 'distance': {
+      if (!hasCoordinates(address)) return { reason: 'ADDRESS_REQUIRED' };
+      if (!hasCoordinates(storeCoordinates)) return { reason: 'DELIVERY_UNAVAILABLE' };
+      const distance = Math.round(distanceKm(storeCoordinates, {
+        latitude: Number(address.latitude),
+        longitude: Number(address.longitude)
+      }) * 100) / 100;
+      const band = [...(config.distanceBands || [])]
+        .sort((a, b) => a.maxKm - b.maxKm)
+        .find(candidate => distance <= candidate.maxKm);
+      if (!band) return { reason: 'OUTSIDE_DELIVERY_AREA', distanceKm: distance };
+      return { fee: band.fee, distanceKm: distance };
+    }
+
+    case 'postcode': {
+      if (!normalizePostcode(address?.postalCode)) return { reason: 'ADDRESS_REQUIRED' };
+      const zone = findPostcodeZone(config.postcodeZones, address.postalCode);
+      if (zone) return { fee: zone.fee, zone: zone.name };
+      if (config.otherPostcodesFee !== null && config.otherPostcodesFee !== undefined) {
+        return { fee: config.otherPostcodesFee };
+      }
+      return { reason: 'OUTSIDE_DELIVERY_AREA' };
+    }
+
+    default:
+      return { fee: 0 };
+  }
+}
+
+const UNAVAILABLE_MESSAGES = {
+  ADDRESS_REQUIRED: 'A delivery address is required to calculate the delivery fee',
+  OUTSIDE_DELIVERY_AREA: 'The store does not deliver to this address',
+  DELIVERY_UNAVAILABLE: 'The store has no delivery location configured'
+};
+
+/**
+ * Delivery fee quote for an order from a store.
+ *
+ * delivery: { method: 'delivery' | 'pickup', address: { postalCode,
+ * latitude, longitude } }. goodsTotal is the order value after discounts,
+ * checked against the store's minimum order value for delivery.
+ *
+ * Returns { method, available, reason, message, fee, zone, distanceKm,
+ * minimumOrderValue, meetsMinimum }. Pickup orders and stores without a
+ * delivery fee configuration are always available at no fee.
+ */
+async function quoteDelivery(storeId, { method = 'delivery', address = null, goodsTotal = 0 } = {}) {
+  const quote = {
+    method: method === 'pickup' ? 'pickup' : 'delivery',
+    available: true,
+    reason: null,
+    message: null,
+    fee: 0,
+    zone: null,
+    distanceKm: null,
+    minimumOrderValue: 0,
+    meetsMinimum: true
+  };
+  if (quote.method === 'pickup' || !storeId) return quote;
+
+  const store = await Store.findById(storeId._id || storeId)
+    .select('deliveryFees location.coordinates')
+    .lean();
+  const config = store?.deliveryFees;
+  if (!config) return quote;
+
+  const result = calculateFee(config, store.location?.coordinates, address || {});
+  quote.zone = result.zone || null;
+  quote.distanceKm = result.distanceKm ?? null;
+  if (result.reason) {
+    quote.available = false;
+    quote.reason = result.reason;
+    quote.message = UNAVAILABLE_MESSAGES[result.reason];
+  } else {
+    quote.fee = roundMoney(result.fee);
+  }
+
+  quote.minimumOrderValue = config.minimumOrderValue || 0;
+  quote.meetsMinimum = roundMoney(goodsTotal) >= quote.minimumOrderValue;
+  return quote;
+}
+
+// Error for a delivery quote checkout cannot accept, or null when it can
+function getDeliveryError(quote) {
+  if (!quote || quote.method === 'pickup') return null;
+
+  let error = null;
+  if (!quote.available) {
+    error = new Error(quote.message);
+    error.code = quote.reason;
+  } else if (!quote.meetsMinimum) {
+    error = new Error(`The minimum order value for delivery is ${quote.minimumOrderValue.toFixed(2)}`);
+    error.code = 'BELOW_DELIVERY_MINIMUM';
+    error.minimumOrderValue = quote.minimumOrderValue;
+  }
+  if (error) error.statusCode = 400;
+  return error;
+}
+
+module.exports = {
+  distanceKm,
+  findPostcodeZone,
+  quoteDelivery,
+  getDeliveryError
+};
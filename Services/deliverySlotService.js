@@ -0,0 +1,462 @@
+const mongoose = require('mongoose');
+const SalesOrder = require('../Models/SalesOrder');
+const SlotCounter = require('../Models/SlotCounter');
+const SlotReservation = require('../Models/SlotReservation');
+
+// Slot labels used on orders, with their local start/end hour
+const TIME_SLOTS = {
+  '9-12': { start: 9, end: 12 },
+  '12-3': { start: 12, end: 15 },
+  '3-6': { start: 15, end: 18 },
+  '6-9': { start: 18, end: 21 }
+};
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a checkout slot hold lasts before it expires
+const SLOT_HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES || process.env.STOCK_HOLD_MINUTES || '15', 10);
+
+const SLOT_MESSAGES = {
+  full: 'This time slot is fully booked',
+  cutoff_passed: 'This time slot can no longer be booked',
+  past_date: 'This time slot is in the past',
+  blackout: 'The store is not taking orders on this date',
+  store_closed: 'The store is closed on this date',
+  outside_business_hours: 'This time slot is outside the store opening hours',
+  too_far_ahead: 'This date is too far ahead to book'
+};
+
+let slotExpiryTimer = null;
+
+// Orders that still hold their slot (not cancelled, failed or refunded)
+const ACTIVE_ORDER_FILTER = {
+  trackingStatus: { $ne: 'cancelled' },
+  LocalStatus: { $nin: ['Canceled', 'PaymentFailed', 'Refunded'] }
+};
+
+const getSlotFields = (type) => (type === 'pickup'
+  ? { slotField: 'pickupTimeSlot', dateField: 'pickupDate', settingsField: 'pickupSlots' }
+  : { slotField: 'deliveryTimeSlot', dateField: 'deliveryDate', settingsField: 'deliverySlots' });
+
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  return {
+    year: value('year'), month: value('month'), day: value('day'),
+    hour: value('hour'), minute: value('minute'), second: value('second')
+  };
+}
+
+// Local calendar date (YYYY-MM-DD) of an instant in the store's timezone
+function toLocalDateString(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// UTC instant of a local wall-clock time in the store's timezone
+function zonedTimeToUtc(dateString, hour, minute, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+  // Second pass corrects the offset on DST change days
+  let utc = wallClock - offsetAt(wallClock);
+  utc = wallClock - offsetAt(utc);
+  return new Date(utc);
+}
+
+function getStoreTimeZone(store) {
+  const timeZone = store?.settings?.timezone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (error) {
+    console.warn(`Invalid timezone "${timeZone}" on store ${store?._id}, using UTC`);
+    return 'UTC';
+  }
+}
+
+/**
+ * Normalize a requested slot date to a local YYYY-MM-DD.
+ * Strings keep their calendar date ("2024-05-10" or "2024-05-10T00:00:00Z");
+ * Date objects are read in the store's timezone.
+ */
+function normalizeSlotDate(value, timeZone) {
+  if (!value) return null;
+  if (typeof value === 'string') {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    return Number.isNaN(date.getTime()) || date.getUTCDate() !== +match[3] ? null : match[0];
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : toLocalDateString(date, timeZone);
+}
+
+// Orders store the slot date as UTC midnight of the local date
+const toStoredDate = (dateString) => new Date(`${dateString}T00:00:00.000Z`);
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '').split(':').map(Number);
+  return Number.isFinite(hours) ? hours * 60 + (minutes || 0) : null;
+};
+
+function getSlotCapacity(settings, dayName, slot) {
+  const rules = settings?.weeklyCapacity || [];
+  const exact = rules.find(rule => rule.day === dayName && rule.slot === slot);
+  if (exact) return exact.capacity;
+  const wholeDay = rules.find(rule => rule.day === dayName && !rule.slot);
+  if (wholeDay) return wholeDay.capacity;
+  return settings?.defaultCapacity ?? null;
+}
+
+async function countBookedSlots(storeId, type, dateString) {
+  const { slotField, dateField } = getSlotFields(type);
+  const start = toStoredDate(dateString);
+  const rows = await SalesOrder.aggregate([
+    {
+      $match: {
+        store: new mongoose.Types.ObjectId(String(storeId)),
+        orderType: type,
+        [dateField]: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) },
+        [slotField]: { $in: Object.keys(TIME_SLOTS) },
+        ...ACTIVE_ORDER_FILTER
+      }
+    },
+    { $group: { _id: `$${slotField}`, count: { $sum: 1 } } }
+  ]);
+
+  return rows.reduce((booked, row) => ({ ...booked, [row._id]: row.count }), {});
+}
+
+// Places taken per slot: the slot counters, or the orders in slots that have none yet
+async function getBookedCounts(storeId, type, dateString) {
+  const counters = await SlotCounter.find({ store: storeId, orderType: type, date: dateString }).lean();
+  const booked = counters.reduce((counts, counter) => ({ ...counts, [counter.slot]: counter.booked }), {});
+  if (Object.keys(TIME_SLOTS).every(slot => slot in booked)) return booked;
+  return { ...(await countBookedSlots(storeId, type, dateString)), ...booked };
+}
+
+// Create a slot's counter on first use, starting from the orders already in the slot
+async function ensureSlotCounter(key) {
+  if (await SlotCounter.exists(key)) return;
+  const booked = (await countBookedSlots(key.store, key.orderType, key.date))[key.slot] || 0;
+  try {
+    await SlotCounter.create({ ...key, booked });
+  } catch (error) {
+    // Another checkout created it first
+    if (error.code !== 11000) throw error;
+  }
+}
+
+const slotKey = (reservation) => ({
+  store: reservation.store,
+  orderType: reservation.orderType,
+  date: reservation.date,
+  slot: reservation.slot
+});
+
+/**
+ * Availability of every slot of a store on a local date.
+ * A slot is unavailable when the store is closed, the date is a blackout date
+ * or too far ahead, the cut-off has passed, or the slot is at capacity. Pickup
+ * slots must also fall within business hours; deliveries run outside them.
+ */
+async function getAvailableSlots(store, date, type = 'delivery', { now = new Date() } = {}) {
+  const timeZone = getStoreTimeZone(store);
+  const dateString = normalizeSlotDate(date, timeZone);
+  if (!dateString) {
+    const error = new Error('Invalid date, expected YYYY-MM-DD');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { settingsField } = getSlotFields(type);
+  const settings = store[settingsField] || {};
+  const dayName = DAY_NAMES[toStoredDate(dateString).getUTCDay()];
+  const hours = store.businessHours?.[dayName];
+  const today = toLocalDateString(now, timeZone);
+  const daysAhead = Math.round((toStoredDate(dateString) - toStoredDate(today)) / DAY_MS);
+  const blackout = (settings.blackoutDates || []).find(entry => entry.date === dateString);
+  const featureEnabled = store.features?.[type] !== false;
+
+  let dayReason = null;
+  if (!featureEnabled) dayReason = `${type}_unavailable`;
+  else if (daysAhead < 0) dayReason = 'past_date';
+  else if (settings.maxDaysAhead != null && daysAhead > settings.maxDaysAhead) dayReason = 'too_far_ahead';
+  else if (blackout) dayReason = 'blackout';
+  else if (!hours || hours.closed) dayReason = 'store_closed';
+
+  const booked = dayReason ? {} : await getBookedCounts(store._id, type, dateString);
+  const openMinutes = toMinutes(hours?.open);
+  const closeMinutes = toMinutes(hours?.close);
+  const cutoffMs = (settings.cutoffMinutes || 0) * 60 * 1000;
+
+  const slots = Object.entries(TIME_SLOTS).map(([slot, { start, end }]) => {
+    const startsAt = zonedTimeToUtc(dateString, start, 0, timeZone);
+    const endsAt = zonedTimeToUtc(dateString, end, 0, timeZone);
+    const capacity = getSlotCapacity(settings, dayName, slot);
+    const bookedCount = booked[slot] || 0;
+
+    let reason = dayReason;
+    if (!reason && type === 'pickup' && openMinutes !== null && closeMinutes !== null &&
+        (start * 60 >= closeMinutes || end * 60 <= openMinutes)) {
+      reason = 'outside_business_hours';
+    }
+    if (!reason && now.getTime() > startsAt.getTime() - cutoffMs) reason = 'cutoff_passed';
+    if (!reason && capacity !== null && bookedCount >= capacity) reason = 'full';
+
+    return {
+      slot,
+      startsAt,
+      endsAt,
+      capacity,
+      booked: bookedCount,
+      remaining: capacity === null ? null : Math.max(capacity - bookedCount, 0),
+      available: !reason,
+      reason
+    };
+  });
+
+  return {
+    date: dateString,
+    type,
+    timezone: timeZone,
+    blackoutReason: blackout?.reason || null,
+    slots
+  };
+}
+
+/**
+ * When an order's delivery or pickup starts: the slot start when a slot was
+ * chosen, otherwise the start of the day in the store's timezone.
+ * Returns null when the order has no date.
+ */
+function getFulfilmentStart(store, order) {
+  const type = order.orderType === 'pickup' ? 'pickup' : 'delivery';
+  const { slotField, dateField } = getSlotFields(type);
+  if (!order[dateField]) return null;
+
+  const timeZone = getStoreTimeZone(store);
+  // Stored dates are UTC midnight of the local date
+  const dateString = new Date(order[dateField]).toISOString().slice(0, 10);
+  const slot = TIME_SLOTS[order[slotField]];
+  return zonedTimeToUtc(dateString, slot ? slot.start : 0, 0, timeZone);
+}
+
+/**
+ * Check the slot chosen for a new order. Returns { valid: true, date, capacity }
+ * with the normalized date to store on the order, or { valid: false, reason, message }.
+ */
+async function validateSlot(store, type, slot, date, options) {
+  if (!TIME_SLOTS[slot]) {
+    return { valid: false, reason: 'invalid_slot', message: `Unknown time slot "${slot}"` };
+  }
+  if (!date) {
+    return { valid: false, reason: 'invalid_date', message: `A ${type} date is required with a time slot` };
+  }
+
+  let availability;
+  try {
+    availability = await getAvailableSlots(store, date, type, options);
+  } catch (error) {
+    if (error.statusCode === 400) return { valid: false, reason: 'invalid_date', message: error.message };
+    throw error;
+  }
+
+  const match = availability.slots.find(entry => entry.slot === slot);
+  if (!match.available) {
+    return {
+      valid: false,
+      reason: match.reason,
+      message: SLOT_MESSAGES[match.reason] || `This store does not offer ${type} slots`
+    };
+  }
+
+  return { valid: true, date: toStoredDate(availability.date), capacity: match.capacity };
+}
+
+/**
+ * Take a place in a slot as a checkout hold. Checks the slot like validateSlot,
+ * then books it with a conditional $inc on the slot counter so concurrent
+ * checkouts cannot overbook it. Returns { valid: true, date, reservation } or
+ * { valid: false, reason, message }.
+ */
+async function reserveSlot(store, type, slot, date, { user, cart, paymentIntentId, now } = {}) {
+  const check = await validateSlot(store, type, slot, date, { now });
+  if (!check.valid) return check;
+
+  const key = { store: store._id, orderType: type, date: check.date.toISOString().slice(0, 10), slot };
+  await ensureSlotCounter(key);
+
+  const counter = await SlotCounter.findOneAndUpdate(
+    check.capacity === null ? key : { ...key, booked: { $lt: check.capacity } },
+    { $inc: { booked: 1 } },
+    { new: true }
+  );
+  if (!counter) {
+    return { valid: false, reason: 'full', message: SLOT_MESSAGES.full };
+  }
+
+  try {
+    const reservation = await SlotReservation.create({
+      ...key,
+      user,
+      cart,
+      paymentIntentId,
+      status: 'held',
+      expiresAt: new Date(Date.now() + SLOT_HOLD_MINUTES * 60 * 1000)
+    });
+    console.log('Slot held:', { reservationId: reservation._id, ...key, booked: counter.booked });
+    return { valid: true, date: check.date, reservation };
+  } catch (error) {
+    await SlotCounter.updateOne({ ...key, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+    throw error;
+  }
+}
+
+// Give a held or committed place back to its slot
+async function releaseSlotReservation(reservation, reason = 'released') {
+  if (!reservation) return null;
+
+  // Only the caller that moves it out of held/committed gives the place back
+  const released = await SlotReservation.findOneAndUpdate(
+    { _id: reservation._id, status: { $in: ['held', 'committed'] } },
+    { $set: { status: reason === 'expired' ? 'expired' : 'released', releasedAt: new Date(), releaseReason: reason } },
+    { new: true }
+  );
+  if (!released) return null;
+
+  await SlotCounter.updateOne({ ...slotKey(released), booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+  console.log('Slot reservation released:', { reservationId: released._id, reason });
+  return released;
+}
+
+// Hold the slot chosen on a cart for checkout, replacing any previous hold for
+// that cart. Carts without a slot get { valid: true, reservation: null }.
+async function holdCartSlot(store, cart, userId, options = {}) {
+  const previousHolds = await SlotReservation.find({ cart: cart._id, status: 'held' });
+  for (const previous of previousHolds) {
+    await releaseSlotReservation(previous, 'replaced');
+  }
+
+  const { method, timeSlot, date } = cart.delivery || {};
+  if (!timeSlot) return { valid: true, reservation: null };
+  return reserveSlot(store, method === 'pickup' ? 'pickup' : 'delivery', timeSlot, date, {
+    ...options,
+    user: userId,
+    cart: cart._id
+  });
+}
+
+/**
+ * Place for a new order: the checkout hold when it is for the same slot,
+ * otherwise a new reservation. Holds for another slot are given back.
+ * Returns the same shape as reserveSlot; commit the reservation with
+ * commitSlotReservation once the order exists.
+ */
+async function reserveOrderSlot(store, type, slot, date, { user, cartId, paymentIntentId, now } = {}) {
+  const owners = [paymentIntentId && { paymentIntentId }, cartId && { cart: cartId }].filter(Boolean);
+  const holds = owners.length > 0
+    ? await SlotReservation.find({ $or: owners, status: 'held' }).sort({ createdAt: -1 })
+    : [];
+
+  const dateString = normalizeSlotDate(date, getStoreTimeZone(store));
+  const match = holds.find(hold => hold.store.toString() === store._id.toString() &&
+    hold.orderType === type && hold.slot === slot && hold.date === dateString);
+  for (const hold of holds) {
+    if (hold !== match) await releaseSlotReservation(hold, 'replaced');
+  }
+
+  if (match) {
+    // Keep the hold from expiring while the order is written
+    const kept = await SlotReservation.findOneAndUpdate(
+      { _id: match._id, status: 'held' },
+      { $set: { expiresAt: new Date(Date.now() + SLOT_HOLD_MINUTES * 60 * 1000) } },
+      { new: true }
+    );
+    if (kept) return { valid: true, date: toStoredDate(kept.date), reservation: kept };
+  }
+
+  return reserveSlot(store, type, slot, date, { user, cart: cartId, paymentIntentId, now });
+}
+
+// Book a held place for an order. Returns null when the hold is gone.
+async function commitSlotReservation(reservation, order) {
+  if (!reservation) return null;
+  return SlotReservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'held' },
+    { $set: { status: 'committed', order: order._id, user: order.user, committedAt: new Date() } },
+    { new: true }
+  );
+}
+
+// Release slot holds tied to a payment intent (payment failed or canceled)
+async function releaseSlotHoldsForPaymentIntent(paymentIntentId, reason) {
+  if (!paymentIntentId) return 0;
+  const holds = await SlotReservation.find({ paymentIntentId, status: 'held' });
+  for (const hold of holds) {
+    await releaseSlotReservation(hold, reason);
+  }
+  return holds.length;
+}
+
+// Give back the slot booked by an order (cancellation, refund, failed payment)
+async function releaseOrderSlot(orderId, reason) {
+  const reservations = await SlotReservation.find({ order: orderId, status: 'committed' });
+  for (const reservation of reservations) {
+    await releaseSlotReservation(reservation, reason);
+  }
+  return reservations.length;
+}
+
+// Expire slot holds whose checkout never completed
+async function expireStaleSlotHolds() {
+  try {
+    const stale = await SlotReservation.find({ status: 'held', expiresAt: { $lte: new Date() } }).limit(100);
+    for (const reservation of stale) {
+      await releaseSlotReservation(reservation, 'expired');
+    }
+    if (stale.length > 0) {
+      console.log(`Expired ${stale.length} stale slot holds`);
+    }
+    return stale.length;
+  } catch (error) {
+    console.error('Error expiring slot holds:', error);
+    return 0;
+  }
+}
+
+// Run expireStaleSlotHolds on an interval
+function startSlotHoldExpiryJob(intervalMs = 60 * 1000) {
+  if (slotExpiryTimer) return slotExpiryTimer;
+  slotExpiryTimer = setInterval(expireStaleSlotHolds, intervalMs);
+  slotExpiryTimer.unref();
+  return slotExpiryTimer;
+}
+
+module.exports = {
+  TIME_SLOTS,
+  getSlotFields,
+  normalizeSlotDate,
+  getFulfilmentStart,
+  getAvailableSlots,
+  validateSlot,
+  reserveSlot,
+  holdCartSlot,
+  reserveOrderSlot,
+  commitSlotReservation,
+  releaseSlotReservation,
+  releaseSlotHoldsForPaymentIntent,
+  releaseOrderSlot,
+  expireStaleSlotHolds,
+  startSlotHoldExpiryJob
+};
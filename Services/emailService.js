@@ -3,13 +3,14 @@ const { Resend } = require('resend');
 // Initialize Resend
 const resend = new Resend(process.env.RESEND_API_KEY||'re_JAXqTr8L_K8UtSat6ZBSD7GM2nHAMB3Ey');
 
-// Send order confirmation email
-const sendOrderConfirmationEmail = async (email, orderData, customerName) => {
+// Send order confirmation email, with the PDF invoice ({ filename, buffer }) attached when given
+const sendOrderConfirmationEmail = async (email, orderData, customerName, invoice = null) => {
   try {
     const { data, error } = await resend.emails.send({
       from: process.env.FROM_EMAIL || 'Premium Quality Foods <noreply@premiumqualityfoods.com>',
       to: [email],
       subject: 'Order Confirmation - Premium Quality Foods',
+      attachments: invoice ? [{ filename: invoice.filename, content: invoice.buffer }] : undefined,
       html: `
         <!DOCTYPE html>
         <html>
@@ -119,6 +120,12 @@ const sendOrderConfirmationEmail = async (email, orderData, customerName) => {
               
               <div class="order-details">
                 <h3 style="margin-top: 0; color: #404040;">Order Details</h3>
+                ${orderData.invoiceNumber ? `
+                <div class="item">
+                  <span>Invoice:</span>
+                  <span>${orderData.invoiceNumber} (attached)</span>
+                </div>
+                ` : ''}
                 <div class="item">
                   <span>Order Type:</span>
                   <span style="text-transform: capitalize;">${orderData.orderType}</span>
@@ -186,8 +193,26 @@ ${orderData.paymentStatus === 'paid' ? 'Paid' : 'Pending'}
                     <span>${(item.price * item.quantity).toFixed(2)} AED</span>
                   </div>
                 `).join('')}
+                ${orderData.deliveryFee && orderData.deliveryFee.method === 'delivery' && (orderData.deliveryFee.amount > 0 || orderData.deliveryFee.waived) ? `
+                  <div class="item">
+                    <span>Delivery${orderData.deliveryFee.waived ? ` (free with ${orderData.deliveryFee.waivedBy})` : ''}:</span>
+                    <span>${orderData.deliveryFee.amount.toFixed(2)} AED</span>
+                  </div>
+                ` : ''}
+                ${orderData.taxTotal !== undefined && orderData.netTotal !== undefined ? `
+                  <div class="item">
+                    <span>Subtotal (excl. VAT):</span>
+                    <span>${orderData.netTotal.toFixed(2)} AED</span>
+                  </div>
+                  ${(orderData.taxBreakdown && orderData.taxBreakdown.length > 0 ? orderData.taxBreakdown : [{ taxRate: null, taxAmount: orderData.taxTotal }]).map(rate => `
+                    <div class="item">
+                      <span>VAT${rate.taxRate !== null ? ` ${rate.taxRate}%` : ''}:</span>
+                      <span>${rate.taxAmount.toFixed(2)} AED</span>
+                    </div>
+                  `).join('')}
+                ` : ''}
                 <div class="item total">
-                  <span>Total:</span>
+                  <span>Total${orderData.taxTotal !== undefined ? ' (incl. VAT)' : ''}:</span>
                   <span>${orderData.totalPrice.toFixed(2)} AED</span>
                 </div>
               </div>
@@ -458,7 +483,186 @@ const sendOrderStatusUpdateEmail = async (email, orderData, customerName, newSta
   }
 };
 
+// Send password reset link
+const sendPasswordResetEmail = async (email, resetUrl, customerName, expiresInMinutes = 10) => {
+  try {
+    const { data, error } = await resend.emails.send({
+      from: process.env.FROM_EMAIL || 'Premium Quality Foods <noreply@premiumqualityfoods.com>',
+      to: [email],
+      subject: 'Reset your password - Premium Quality Foods',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Reset your password - Premium Quality Foods</title>
+          <link href="https://fonts.googleapis.com/css2?family=Open+Sans:wght@300;400;500;600&display=swap" rel="stylesheet">
+          <style>
+            body {
+              margin: 0;
+              padding: 10px 0;
+              font-family: 'Open Sans', 'HelveticaNeue-Light', 'Helvetica Neue Light', 'Helvetica Neue', Helvetica, Arial, 'Lucida Grande', sans-serif;
+              background-color: #f6f9fc;
+            }
+            .container {
+              max-width: 37.5em;
+              margin: 0 auto;
+              background-color: #ffffff;
+              border: 1px solid #f0f0f0;
+              padding: 45px;
+            }
+            .button {
+              background: #00B4D8;
+              color: #ffffff !important;
+              font-size: 16px;
+              font-weight: 600;
+              padding: 14px 40px;
+              border-radius: 8px;
+              display: inline-block;
+              text-decoration: none;
+              margin: 20px 0;
+            }
+            .footer {
+              text-align: center;
+              margin-top: 40px;
+              color: #8898aa;
+              font-size: 14px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div>
+              <p style="font-size: 16px; font-weight: 300; color: #404040; line-height: 26px; margin: 16px 0;">
+                Hi ${customerName || 'there'},
+              </p>
+              <p style="font-size: 16px; font-weight: 300; color: #404040; line-height: 26px; margin: 16px 0;">
+                We received a request to reset the password for your Premium Quality Foods account.
+                Click the button below to choose a new password. This link expires in ${expiresInMinutes} minutes.
+              </p>
+              <div style="text-align: center;">
+                <a href="${resetUrl}" class="button">Reset Password</a>
+              </div>
+              <p style="font-size: 14px; font-weight: 300; color: #404040; line-height: 22px; margin: 16px 0; word-break: break-all;">
+                If the button does not work, copy this link into your browser:<br>
+                <a href="${resetUrl}" style="color: #00B4D8;">${resetUrl}</a>
+              </p>
+              <p style="font-size: 16px; font-weight: 300; color: #404040; line-height: 26px; margin: 16px 0;">
+                If you did not request a password reset, you can ignore this email. Your password will not change.
+              </p>
+            </div>
+
+            <div class="footer">
+              <p style="margin: 0;">Premium Quality Foods Team</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    });
+
+    if (error) {
+      console.error('Error sending password reset email:', error);
+      return false;
+    }
+
+    console.log('Password reset email sent successfully:', data);
+    return true;
+  } catch (error) {
+    console.error('Error in sendPasswordResetEmail:', error);
+    return false;
+  }
+};
+
+const sendOrderCancellationEmail = async (email, orderData, customerName, { refundAmount = null, refundMethod = 'stripe', voided = false } = {}) => {
+  const orderNumber = orderData.trackingNumber || orderData._id;
+  let paymentNote = 'No payment was collected for this order.';
+  if (refundAmount && refundMethod === 'manual') {
+    paymentNote = `The ${Number(refundAmount).toFixed(2)} AED you have already paid for this order will be refunded by the store. We will contact you to arrange it.`;
+  } else if (refundAmount) {
+    paymentNote = `A refund of ${Number(refundAmount).toFixed(2)} AED has been issued to your original payment method. It usually appears within 5-10 business days.`;
+  } else if (voided) {
+    paymentNote = 'The payment authorisation on your card has been released. You have not been charged.';
+  }
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: process.env.FROM_EMAIL || 'Premium Quality Foods <noreply@premiumqualityfoods.com>',
+      to: [email],
+      subject: `Order Cancelled - ${orderNumber}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Order Cancelled - Premium Quality Foods</title>
+          <link href="https://fonts.googleapis.com/css2?family=Open+Sans:wght@300;400;500;600&display=swap" rel="stylesheet">
+          <style>
+            body {
+              margin: 0;
+              padding: 10px 0;
+              font-family: 'Open Sans', 'HelveticaNeue-Light', 'Helvetica Neue Light', 'Helvetica Neue', Helvetica, Arial, 'Lucida Grande', sans-serif;
+              background-color: #f6f9fc;
+            }
+            .container {
+              max-width: 37.5em;
+              margin: 0 auto;
+              background-color: #ffffff;
+              border: 1px solid #f0f0f0;
+              padding: 45px;
+            }
+            .footer {
+              text-align: center;
+              margin-top: 40px;
+              color: #8898aa;
+              font-size: 14px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div>
+              <p style="font-size: 16px; font-weight: 300; color: #404040; line-height: 26px; margin: 16px 0;">
+                Hi ${customerName || 'there'},
+              </p>
+              <p style="font-size: 16px; font-weight: 300; color: #404040; line-height: 26px; margin: 16px 0;">
+                Your order <strong>${orderNumber}</strong> has been cancelled as requested.
+              </p>
+              <p style="font-size: 16px; font-weight: 300; color: #404040; line-height: 26px; margin: 16px 0;">
+                ${paymentNote}
+              </p>
+              <p style="font-size: 16px; font-weight: 300; color: #404040; line-height: 26px; margin: 16px 0;">
+                If you did not cancel this order, please contact us as soon as possible.
+              </p>
+            </div>
+
+            <div class="footer">
+              <p style="margin: 0;">Premium Quality Foods Team</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    });
+
+    if (error) {
+      console.error('Error sending order cancellation email:', error);
+      return false;
+    }
+
+    console.log('Order cancellation email sent successfully:', data);
+    return true;
+  } catch (error) {
+    console.error('Error in sendOrderCancellationEmail:', error);
+    return false;
+  }
+};
+
 module.exports = {
   sendOrderConfirmationEmail,
-  sendOrderStatusUpdateEmail
+  sendOrderStatusUpdateEmail,
+  sendPasswordResetEmail,
+  sendOrderCancellationEmail
 }; 
\ No newline at end of file
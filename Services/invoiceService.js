@@ -0,0 +1,353 @@
+const PDFDocument = require('pdfkit');
+const SalesOrder = require('../Models/SalesOrder');
+const Store = require('../Models/Store');
+const PQFPayment = require('../Models/Payment');
+const Counter = require('../Models/Counter');
+const User = require('../Models/User');
+const { roundMoney } = require('./pricingService');
+
+const PAGE_MARGIN = 50;
+const BRAND_COLOR = '#00B4D8';
+const TEXT_COLOR = '#404040';
+const MUTED_COLOR = '#808080';
+
+// Table columns: [label, x, width, align]
+const COLUMNS = [
+  ['Item', 50, 170, 'left'],
+  ['Qty', 220, 60, 'right'],
+  ['Unit price', 280, 60, 'right'],
+  ['Net', 340, 60, 'right'],
+  ['VAT %', 400, 40, 'right'],
+  ['VAT', 440, 50, 'right'],
+  ['Total', 490, 55, 'right']
+];
+
+const invoiceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: '2-digit', month: 'short', year: 'numeric'
+});
+
+// How long an unfinished numbering claim blocks other requests before it is
+// treated as abandoned (the process died between claiming and numbering)
+const INVOICE_CLAIM_MS = 30 * 1000;
+const INVOICE_CLAIM_POLLS = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Give an order its invoice number if it has none yet. Numbers run per store
+ * (<prefix>-000001, ...) and are never reused; orders without a store share
+ * one sequence. The order is claimed (invoiceIssuedAt set) before the sequence
+ * is incremented, so only one request takes a number and none are skipped.
+ */
+async function assignInvoiceNumber(order, store) {
+  if (order.invoiceNumber) return order.invoiceNumber;
+
+  const storeId = order.store?._id || order.store;
+  const issuedAt = new Date();
+
+  const claimed = await SalesOrder.findOneAndUpdate(
+    {
+      _id: order._id,
+      invoiceNumber: { $exists: false },
+      $or: [
+        { invoiceIssuedAt: { $exists: false } },
+        { invoiceIssuedAt: { $lt: new Date(issuedAt.getTime() - INVOICE_CLAIM_MS) } }
+      ]
+    },
+    { $set: { invoiceIssuedAt: issuedAt } },
+    { new: true }
+  );
+
+  // Another request is numbering (or has numbered) the order
+  if (!claimed) {
+    for (let poll = 0; poll < INVOICE_CLAIM_POLLS; poll++) {
+      const current = await SalesOrder.findById(order._id).select('invoiceNumber invoiceIssuedAt');
+      if (current?.invoiceNumber) {
+        order.invoiceNumber = current.invoiceNumber;
+        order.invoiceIssuedAt = current.invoiceIssuedAt;
+        return order.invoiceNumber;
+      }
+      await sleep(200);
+    }
+    throw invoiceError('The invoice number is still being assigned; try again shortly', 409);
+  }
+
+  let invoiceNumber;
+  try {
+    const seq = await Counter.next(`invoice:${storeId || 'default'}`);
+    const prefix = store?.settings?.invoicePrefix || 'INV';
+    invoiceNumber = `${prefix}-${String(seq).padStart(6, '0')}`;
+  } catch (error) {
+    // Drop the claim so the next request can number the order
+    await SalesOrder.updateOne(
+      { _id: order._id, invoiceNumber: { $exists: false }, invoiceIssuedAt: issuedAt },
+      { $unset: { invoiceIssuedAt: 1 } }
+    );
+    throw error;
+  }
+
+  const numbered = await SalesOrder.updateOne(
+    { _id: order._id, invoiceNumber: { $exists: false }, invoiceIssuedAt: issuedAt },
+    { $set: { invoiceNumber } }
+  );
+  // Only reachable when this claim went stale and another request took over
+  if (!numbered.modifiedCount) {
+    const current = await SalesOrder.findById(order._id).select('invoiceNumber invoiceIssuedAt');
+    console.error(`Invoice number ${invoiceNumber} was not used; order ${order._id} was numbered by another request`);
+    order.invoiceNumber = current?.invoiceNumber;
+    order.invoiceIssuedAt = current?.invoiceIssuedAt;
+    return order.invoiceNumber;
+  }
+
+  order.invoiceNumber = invoiceNumber;
+  order.invoiceIssuedAt = issuedAt;
+  return invoiceNumber;
+}
+
+// Net, VAT and gross of an order line; orders placed before VAT was
+// calculated fall back to price x paid quantity with no VAT
+function getLineAmounts(item) {
+  const paidQuantity = item.isFreeItem ? 0 : (item.quantity || 0) - (item.freeQuantity || 0);
+  const grossAmount = item.grossAmount ?? roundMoney((item.price || 0) * paidQuantity);
+  return {
+    netAmount: item.netAmount ?? grossAmount,
+    taxAmount: item.taxAmount || 0,
+    taxRate: item.taxRate || 0,
+    grossAmount
+  };
+}
+
+// Net and VAT per rate, for the totals section (the delivery fee included)
+function getTaxBreakdown(order) {
+  const rates = new Map();
+  const amounts = (order.orderItems || []).map(getLineAmounts);
+  if (order.deliveryFee?.amount > 0) amounts.push(order.deliveryFee);
+  for (const { netAmount, taxAmount, taxRate = 0 } of amounts) {
+    const entry = rates.get(taxRate) || { taxRate, netAmount: 0, taxAmount: 0 };
+    entry.netAmount = roundMoney(entry.netAmount + netAmount);
+    entry.taxAmount = roundMoney(entry.taxAmount + taxAmount);
+    rates.set(taxRate, entry);
+  }
+  return [...rates.values()].sort((a, b) => b.taxRate - a.taxRate);
+}
+
+// Amount collected so far: card payments once paid, offline payments as recorded
+function getAmountPaid(order, payment) {
+  if (!payment) return 0;
+  if (payment.paymentMethod === 'card' || !payment.paymentMethod) {
+    return ['paid', 'partially_refunded', 'refunded'].includes(payment.status) ? payment.amount : 0;
+  }
+  return payment.amountReceived || (payment.status === 'paid' ? payment.amount : 0);
+}
+
+function drawHeader(doc, order, store, currency) {
+  const address = store?.location?.address || {};
+  doc.fillColor(BRAND_COLOR).fontSize(20).font('Helvetica-Bold')
+    .text(store?.name || 'Premium Quality Foods', PAGE_MARGIN, PAGE_MARGIN, { width: 280 });
+  doc.fillColor(TEXT_COLOR).fontSize(9).font('Helvetica')
+    .text([address.street, address.city, address.state, address.zipCode, address.country].filter(Boolean).join(', '), { width: 280 })
+    .text([store?.contact?.phone, store?.contact?.email].filter(Boolean).join('  |  '), { width: 280 });
+  if (store?.contact?.website) doc.text(store.contact.website, { width: 280 });
+  if (store?.settings?.taxRegistrationNumber) doc.text(`TRN: ${store.settings.taxRegistrationNumber}`, { width: 280 });
+
+  const title = order.taxTotal > 0 || store?.settings?.taxRegistrationNumber ? 'TAX INVOICE' : 'INVOICE';
+  doc.fillColor(TEXT_COLOR).fontSize(18).font('Helvetica-Bold')
+    .text(title, 345, PAGE_MARGIN, { width: 200, align: 'right' });
+  doc.fontSize(9).font('Helvetica')
+    .text(`Invoice no: ${order.invoiceNumber}`, 345, doc.y + 4, { width: 200, align: 'right' })
+    .text(`Invoice date: ${formatDate(order.invoiceIssuedAt || new Date())}`, { width: 200, align: 'right' })
+    .text(`Order: ${order.trackingNumber || order.DocNum || order._id}`, { width: 200, align: 'right' })
+    .text(`Order date: ${formatDate(order.createdAt || order.DocDate || new Date())}`, { width: 200, align: 'right' })
+    .text(`Currency: ${currency}`, { width: 200, align: 'right' });
+}
+
+function drawCustomer(doc, order, customerName, customerEmail) {
+  const top = 160;
+  const billing = order.billingAddress?.address ? order.billingAddress : order.shippingAddress;
+  doc.fillColor(MUTED_COLOR).fontSize(9).font('Helvetica-Bold').text('BILL TO', PAGE_MARGIN, top);
+  doc.fillColor(TEXT_COLOR).font('Helvetica')
+    .text(customerName || order.CardName || 'Customer', PAGE_MARGIN, doc.y + 2, { width: 250 });
+  if (order.CardCode) doc.text(`Account: ${order.CardCode}`, { width: 250 });
+  if (customerEmail) doc.text(customerEmail, { width: 250 });
+  if (billing?.address) {
+    doc.text([billing.address, billing.city, billing.postalCode, billing.country].filter(Boolean).join(', '), { width: 250 });
+  }
+  if (order.taxExempt) doc.text('VAT exempt customer', { width: 250 });
+
+  doc.fillColor(MUTED_COLOR).font('Helvetica-Bold').text('PAYMENT', 345, top, { width: 200, align: 'right' });
+  doc.fillColor(TEXT_COLOR).font('Helvetica')
+    .text(String(order.paymentMethod || 'card').replace('_', ' '), 345, doc.y + 2, { width: 200, align: 'right' });
+  if (order.paymentDueDate) {
+    doc.text(`Due: ${formatDate(order.paymentDueDate)}`, { width: 200, align: 'right' });
+  }
+  if (order.orderType === 'pickup' || order.deliveryDate) {
+    doc.text(order.orderType === 'pickup' ? 'Pickup' : `Delivery: ${formatDate(order.deliveryDate)}`, { width: 200, align: 'right' });
+  }
+}
+
+function drawTableHeader(doc, y) {
+  doc.rect(PAGE_MARGIN, y - 4, 495, 18).fill('#f1f3f5');
+  doc.fillColor(TEXT_COLOR).fontSize(8).font('Helvetica-Bold');
+  COLUMNS.forEach(([label, x, width, align]) => doc.text(label, x + 2, y, { width: width - 4, align }));
+  doc.font('Helvetica');
+  return y + 20;
+}
+
+function drawLines(doc, order) {
+  let y = drawTableHeader(doc, 260);
+
+  for (const item of order.orderItems || []) {
+    const amounts = getLineAmounts(item);
+    const unit = item.uom === 'case' ? ` ${item.uomName || 'case'}` : '';
+    const freeNote = item.isFreeItem
+      ? 'Free item'
+      : item.freeQuantity > 0 ? `incl. ${item.freeQuantity} free` : null;
+    const name = [item.name || 'Item', freeNote].filter(Boolean).join('\n');
+    const rowHeight = Math.max(doc.heightOfString(name, { width: 166 }), 10) + 8;
+
+    if (y + rowHeight > doc.page.height - 220) {
+      doc.addPage();
+      y = drawTableHeader(doc, PAGE_MARGIN);
+    }
+
+    const cells = [
+      name,
+      `${item.quantity}${unit}`,
+      (item.price || 0).toFixed(2),
+      amounts.netAmount.toFixed(2),
+      `${amounts.taxRate}%`,
+      amounts.taxAmount.toFixed(2),
+      amounts.grossAmount.toFixed(2)
+    ];
+    doc.fillColor(TEXT_COLOR).fontSize(8);
+    COLUMNS.forEach(([, x, width, align], index) => doc.text(cells[index], x + 2, y, { width: width - 4, align }));
+    y += rowHeight;
+    doc.moveTo(PAGE_MARGIN, y - 4).lineTo(545, y - 4).strokeColor('#e9ecef').stroke();
+  }
+  return y + 6;
+}
+
+function drawTotals(doc, order, payment, currency, y) {
+  const rows = [];
+  const originalTotal = roundMoney(order.originalTotal ?? order.finalTotal ?? order.DocTotal ?? 0);
+  rows.push(['Subtotal', originalTotal]);
+
+  for (const promotion of order.appliedPromotions || []) {
+    if (!promotion.discountAmount) continue;
+    rows.push([`Promotion: ${promotion.name || promotion.code || 'Discount'}${promotion.code ? ` (${promotion.code})` : ''}`, -promotion.discountAmount]);
+  }
+  const deliveryFee = order.deliveryFee;
+  if (deliveryFee && (deliveryFee.standardFee > 0 || deliveryFee.amount > 0)) {
+    rows.push(deliveryFee.waived
+      ? [`Delivery (free with ${deliveryFee.waivedBy})`, 0]
+      : ['Delivery', roundMoney(deliveryFee.standardFee || deliveryFee.amount)]);
+  }
+  const total = roundMoney(order.finalTotal ?? order.DocTotal ?? 0);
+  rows.push([order.pricesIncludeTax ? 'Net amount' : 'Total excl. VAT', roundMoney(order.netTotal ?? total)]);
+  for (const rate of getTaxBreakdown(order)) {
+    rows.push([`VAT ${rate.taxRate}% on ${rate.netAmount.toFixed(2)}`, rate.taxAmount]);
+  }
+  rows.push(['Total incl. VAT', total, true]);
+
+  const paid = roundMoney(getAmountPaid(order, payment));
+  const refunded = roundMoney(payment?.refundAmount || 0);
+  if (paid > 0) rows.push(['Amount paid', paid]);
+  if (refunded > 0) rows.push(['Refunded', -refunded]);
+  const balance = roundMoney(total - paid);
+  if (balance > 0) rows.push(['Balance due', balance, true]);
+
+  if (y + rows.length * 16 > doc.page.height - 80) {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  }
+
+  for (const [label, amount, bold] of rows) {
+    doc.fillColor(TEXT_COLOR).fontSize(bold ? 10 : 9).font(bold ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, 280, y, { width: 180, align: 'right' })
+      .text(`${amount.toFixed(2)} ${currency}`, 460, y, { width: 85, align: 'right' });
+    y += 16;
+  }
+  return y;
+}
+
+function drawFooter(doc, order, store) {
+  const note = order.paymentMethod === 'card' || order.payment_status === 'paid'
+    ? 'Thank you for your order.'
+    : 'Please quote the invoice number with your payment. Thank you for your order.';
+  doc.fillColor(MUTED_COLOR).fontSize(8).font('Helvetica')
+    .text(note, PAGE_MARGIN, doc.page.height - 70, { width: 495, align: 'center' });
+  if (store?.contact?.email) {
+    doc.text(`Questions about this invoice? Contact ${store.contact.email}`, { width: 495, align: 'center' });
+  }
+}
+
+// Render an invoice PDF for an order that already has its invoice number
+function renderInvoicePdf(order, { store, payment, customerName, customerEmail } = {}) {
+  return new Promise((resolve, reject) => {
+    const currency = (payment?.currency || store?.settings?.currency || 'AED').toUpperCase();
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: { Title: `Invoice ${order.invoiceNumber}`, Author: store?.name || 'Premium Quality Foods' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    drawHeader(doc, order, store, currency);
+    drawCustomer(doc, order, customerName, customerEmail);
+    const y = drawLines(doc, order);
+    drawTotals(doc, order, payment, currency, y);
+    drawFooter(doc, order, store);
+    doc.end();
+  });
+}
+
+/**
+ * Invoice PDF for an order (document or id), numbering it on first use.
+ * Returns { invoiceNumber, filename, buffer }.
+ */
+async function generateInvoice(orderOrId) {
+  const order = orderOrId?._id
+    ? orderOrId
+    : await SalesOrder.findById(orderOrId);
+  if (!order) {
+    throw invoiceError('Order not found', 404);
+  }
+  if (!order.orderItems || order.orderItems.length === 0) {
+    throw invoiceError('Order has no lines to invoice');
+  }
+
+  const [store, payment, user] = await Promise.all([
+    order.store ? Store.findById(order.store._id || order.store).lean() : null,
+    PQFPayment.findOne({ order: order._id }).lean(),
+    order.user ? User.findById(order.user._id || order.user).select('name email').lean() : null
+  ]);
+
+  await assignInvoiceNumber(order, store);
+  const buffer = await renderInvoicePdf(order, {
+    store,
+    payment,
+    customerName: order.CardName || user?.name,
+    customerEmail: user?.email
+  });
+
+  return {
+    invoiceNumber: order.invoiceNumber,
+    filename: `${order.invoiceNumber}.pdf`,
+    buffer
+  };
+}
+
+module.exports = {
+  assignInvoiceNumber,
+  renderInvoicePdf,
+  generateInvoice
+};
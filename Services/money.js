@@ -0,0 +1,10 @@
+// Round a money value to 2 decimals
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Convert a money value to Stripe's smallest currency unit
+const toMinorUnits = (value) => Math.round((Number(value) || 0) * 100);
+
+module.exports = {
+  roundMoney,
+  toMinorUnits
+};
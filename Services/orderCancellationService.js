@@ -0,0 +1,170 @@
+const stripe = require('../Config/stripe');
+const Store = require('../Models/Store');
+const Promotion = require('../Models/Promotion');
+const PQFPayment = require('../Models/Payment');
+const AppliedPromotion = require('../Models/AppliedPromotion');
+const { refundOrder } = require('./refundService');
+const { roundMoney } = require('./pricingService');
+const { releaseOrderStock } = require('./stockService');
+const { getFulfilmentStart, releaseOrderSlot } = require('./deliverySlotService');
+const { cancelSAPOrder } = require('./sapOrderSync');
+const { refreshOutstandingBalance } = require('./paymentReconciliationService');
+
+// Payment intents that can still be cancelled instead of refunded
+const VOIDABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'requires_capture'];
+
+const cancellationError = (message, statusCode = 400, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+/**
+ * Whether the customer may still cancel the order.
+ * Returns { allowed, reason, deadline } where deadline is the last moment to
+ * cancel (null when the order has no delivery/pickup date).
+ */
+async function getCancellationStatus(order, now = new Date()) {
+  if (order.trackingStatus !== 'pending') {
+    return { allowed: false, reason: `Order is already ${order.trackingStatus}`, deadline: null };
+  }
+  if (['Canceled', 'Refunded'].includes(order.LocalStatus)) {
+    return { allowed: false, reason: `Order is already ${order.LocalStatus === 'Refunded' ? 'refunded' : 'cancelled'}`, deadline: null };
+  }
+  if (order.isRecurring && order.stripeSubscriptionId) {
+    return { allowed: false, reason: 'Recurring orders are cancelled from the subscription', deadline: null };
+  }
+
+  const store = order.store
+    ? await Store.findById(order.store).select('settings.timezone cancellationPolicy')
+    : null;
+  const policy = store?.cancellationPolicy || {};
+  if (policy.enabled === false) {
+    return { allowed: false, reason: 'This store does not accept online cancellations', deadline: null };
+  }
+
+  const fulfilmentStart = store ? getFulfilmentStart(store, order) : null;
+  if (!fulfilmentStart) {
+    return { allowed: true, reason: null, deadline: null };
+  }
+
+  const cutoffHours = policy.cutoffHours ?? 24;
+  const deadline = new Date(fulfilmentStart.getTime() - cutoffHours * 60 * 60 * 1000);
+  if (now > deadline) {
+    return {
+      allowed: false,
+      reason: `Orders can only be cancelled up to ${cutoffHours} hours before ${order.orderType === 'pickup' ? 'pickup' : 'delivery'}`,
+      deadline
+    };
+  }
+  return { allowed: true, reason: null, deadline };
+}
+
+// Undo the promotion usage recorded for the order
+async function releaseOrderPromotions(order) {
+  const promotions = await Promotion.find({ 'usageHistory.order': order._id });
+  for (const promotion of promotions) {
+    const before = promotion.usageHistory.length;
+    promotion.usageHistory = promotion.usageHistory.filter(usage => String(usage.order) !== String(order._id));
+    const removed = before - promotion.usageHistory.length;
+    promotion.currentUsage = Math.max((promotion.currentUsage || 0) - removed, 0);
+    await promotion.save();
+  }
+
+  await AppliedPromotion.updateMany(
+    { order: order._id, status: { $in: ['applied', 'refunded'] } },
+    { $set: { status: 'cancelled', notes: 'Order cancelled' } }
+  );
+  return promotions.length;
+}
+
+/**
+ * Cancel an order: void or refund the card payment (or record a manual refund
+ * of what was collected offline), release stock, undo promotion usage and
+ * cancel the SAP order when it was already synced.
+ * Returns { refund, voided } describing what happened to the payment.
+ */
+async function cancelOrder(order, { cancelledBy, reason } = {}) {
+  const payment = await PQFPayment.findOne({ order: order._id });
+  let refund = null;
+  let voided = false;
+
+  if (order.paymentMethod === 'card' && payment) {
+    const paymentIntentId = payment.paymentIntentId ||
+      (String(order.Payment_id || '').startsWith('pi_') ? order.Payment_id : null);
+    const paymentIntent = paymentIntentId ? await stripe.paymentIntents.retrieve(paymentIntentId) : null;
+
+    if (paymentIntent && paymentIntent.status === 'processing') {
+      throw cancellationError('Your payment is still being processed. Please try again in a few minutes.', 409, 'PAYMENT_PROCESSING');
+    }
+
+    if (paymentIntent && VOIDABLE_INTENT_STATUSES.includes(paymentIntent.status)) {
+      await stripe.paymentIntents.cancel(paymentIntent.id, { cancellation_reason: 'requested_by_customer' });
+      payment.status = 'canceled';
+      await payment.save();
+      order.payment_status = 'canceled';
+      voided = true;
+    } else if (paymentIntent && paymentIntent.status === 'succeeded' && payment.status !== 'refunded') {
+      // Stripe is authoritative when the payment_intent.succeeded webhook has not landed yet
+      if (!['paid', 'partially_refunded'].includes(payment.status)) {
+        payment.status = 'paid';
+      }
+      refund = await refundOrder(order, {
+        reason: reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer',
+        refundedBy: cancelledBy,
+        promotionStatus: 'cancelled',
+        payment
+      });
+    }
+  } else if (payment && roundMoney((payment.amountReceived || 0) - (payment.refundAmount || 0)) > 0) {
+    // Give back what was already collected for a cash, cheque or bank transfer order
+    refund = await refundOrder(order, {
+      reason: reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer',
+      refundedBy: cancelledBy,
+      promotionStatus: 'cancelled',
+      payment
+    });
+  } else if (payment && payment.status.startsWith('pending')) {
+    // Nothing was collected for cash, cheque or bank transfer orders yet
+    payment.status = 'canceled';
+    await payment.save();
+    order.payment_status = 'canceled';
+  }
+
+  order.trackingStatus = 'cancelled';
+  order.LocalStatus = 'Canceled';
+  order.cancelledAt = new Date();
+  order.cancelledBy = cancelledBy || null;
+  order.cancellationReason = reason || null;
+  order.trackingHistory.push({
+    status: 'cancelled',
+    timestamp: new Date(),
+    note: [
+      'Cancelled by customer',
+      reason ? `- ${reason}` : null,
+      refund ? `(refunded ${refund.amount.toFixed(2)})` : voided ? '(payment voided)' : null
+    ].filter(Boolean).join(' ')
+  });
+
+  const sapResult = await cancelSAPOrder(order);
+  if (sapResult.status === 'failed') {
+    order.SyncErrors = `SAP cancel failed: ${sapResult.error}`;
+  }
+  await order.save();
+
+  // A full refund already put the stock back; this covers voided and offline payments
+  await releaseOrderStock(order._id, 'cancelled');
+  await releaseOrderSlot(order._id, 'cancelled');
+  await releaseOrderPromotions(order);
+  if (order.paymentMethod !== 'card') {
+    await refreshOutstandingBalance(order.user);
+  }
+
+  return { refund, voided, sap: sapResult };
+}
+
+module.exports = {
+  getCancellationStatus,
+  cancelOrder
+};
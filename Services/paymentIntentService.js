@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const stripe = require('../Config/stripe');
+const { priceCart, toMinorUnits } = require('./pricingService');
+
+// PaymentIntent statuses that can still have their amount changed
+const UPDATABLE_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+// Build a compact price snapshot that fits in Stripe metadata (500 chars per value)
+function buildPricingSnapshot(pricing) {
+  const linesHash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(pricing.lines.map(line => [line.product, line.quantity, line.freeQuantity, line.price])))
+    .digest('hex')
+    .substring(0, 16);
+
+  return {
+    amount: toMinorUnits(pricing.finalTotal),
+    originalTotal: pricing.originalTotal,
+    totalDiscount: pricing.totalDiscount,
+    finalTotal: pricing.finalTotal,
+    netTotal: pricing.netTotal,
+    taxTotal: pricing.taxTotal,
+    deliveryFee: pricing.deliveryFee?.amount || 0,
+    itemCount: pricing.lines.reduce((sum, line) => sum + line.quantity, 0),
+    promotions: pricing.appliedPromotions.map(p => p.code || p.promotionId.toString()).join(','),
+    linesHash
+  };
+}
+
+// Delivery fields the fee was quoted from, small enough for Stripe metadata
+function buildDeliverySnapshot(delivery) {
+  const address = delivery?.address || {};
+  return {
+    method: delivery?.method || 'delivery',
+    postalCode: address.postalCode,
+    country: address.country,
+    latitude: address.latitude,
+    longitude: address.longitude
+  };
+}
+
+// Metadata stored on a PaymentIntent created from a cart. pricedAt is when
+// the amount was priced and deliverySnapshot the address it was priced for;
+// the order is priced again from both.
+function buildCartIntentMetadata(cart, pricing) {
+  return {
+    source: 'cart',
+    cartId: cart._id.toString(),
+    storeId: cart.store ? cart.store.toString() : '',
+    pricedAt: (pricing.pricedAt || new Date()).toISOString(),
+    deliverySnapshot: JSON.stringify(buildDeliverySnapshot(cart.delivery)),
+    pricingSnapshot: JSON.stringify(buildPricingSnapshot(pricing))
+  };
+}
+
+// Delivery a cart PaymentIntent was priced for ({ method, address }), or null
+function getIntentDelivery(paymentIntent) {
+  const raw = paymentIntent?.metadata?.deliverySnapshot;
+  if (!raw) return null;
+  try {
+    const { method, ...address } = JSON.parse(raw);
+    return { method, address: method === 'delivery' ? address : undefined };
+  } catch (error) {
+    console.error('Invalid delivery snapshot on payment intent:', paymentIntent.id, error.message);
+    return null;
+  }
+}
+
+// Time a cart PaymentIntent was priced at, or null for other intents
+function getIntentPricedAt(paymentIntent) {
+  const pricedAt = new Date(paymentIntent?.metadata?.pricedAt || NaN);
+  return Number.isNaN(pricedAt.getTime()) ? null : pricedAt;
+}
+
+// Parse the snapshot stored on a PaymentIntent, if any
+function getIntentSnapshot(paymentIntent) {
+  const raw = paymentIntent?.metadata?.pricingSnapshot;
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error('Invalid pricing snapshot on payment intent:', paymentIntent.id, error.message);
+    return null;
+  }
+}
+
+// Compare the amount Stripe collected with the cart snapshot taken at intent creation
+function verifyIntentAgainstSnapshot(paymentIntent) {
+  const snapshot = getIntentSnapshot(paymentIntent);
+  if (!snapshot) {
+    return { hasSnapshot: false, verified: true };
+  }
+
+  const paidAmount = paymentIntent.amount_received || paymentIntent.amount;
+  return {
+    hasSnapshot: true,
+    verified: paidAmount === snapshot.amount,
+    paidAmount,
+    expectedAmount: snapshot.amount,
+    snapshot
+  };
+}
+
+// Re-price the cart and update its PaymentIntent if the cart changed before confirmation
+async function syncCartPaymentIntent(cart, userId) {
+  try {
+    if (!cart || !cart.paymentIntentId) return null;
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(cart.paymentIntentId);
+    if (!UPDATABLE_STATUSES.includes(paymentIntent.status)) {
+      console.log('Cart payment intent can no longer be updated:', paymentIntent.id, paymentIntent.status);
+      return null;
+    }
+
+    if (!cart.items || cart.items.length === 0) {
+      console.log('Cart is empty, leaving payment intent unchanged:', paymentIntent.id);
+      return null;
+    }
+
+    const pricing = await priceCart(cart, userId);
+    const amount = toMinorUnits(pricing.finalTotal);
+    const metadata = buildCartIntentMetadata(cart, pricing);
+
+    if (amount <= 0) {
+      console.log('Cart total is zero, leaving payment intent unchanged:', paymentIntent.id);
+      return null;
+    }
+
+    if (paymentIntent.amount === amount && paymentIntent.metadata?.pricingSnapshot === metadata.pricingSnapshot) {
+      return paymentIntent;
+    }
+
+    const updated = await stripe.paymentIntents.update(paymentIntent.id, { amount, metadata });
+    console.log('Cart payment intent updated:', updated.id, 'Amount:', amount);
+    return updated;
+  } catch (error) {
+    console.error('Error syncing cart payment intent:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  UPDATABLE_STATUSES,
+  buildPricingSnapshot,
+  buildCartIntentMetadata,
+  getIntentSnapshot,
+  getIntentPricedAt,
+  getIntentDelivery,
+  verifyIntentAgainstSnapshot,
+  syncCartPaymentIntent
+};
@@ -0,0 +1,307 @@
+const mongoose = require('mongoose');
+const PQFPayment = require('../Models/Payment');
+const SalesOrder = require('../Models/SalesOrder');
+const Customer = require('../Models/Customer');
+const User = require('../Models/User');
+const { roundMoney } = require('./pricingService');
+
+const OFFLINE_METHODS = ['cash', 'cheque', 'bank_transfer', 'on_account'];
+// How an on-account balance can be settled
+const SETTLEMENT_METHODS = ['cash', 'cheque', 'bank_transfer'];
+// Offline payment statuses that still have money to collect
+const OPEN_STATUSES = ['pending', 'pending_cash', 'pending_cheque', 'pending_bank_transfer', 'partially_paid'];
+const CLOSED_ORDER_STATUSES = ['Canceled', 'Refunded', 'PaymentFailed'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AGING_BUCKETS = [
+  { key: 'current', maxDays: 30 },
+  { key: 'days31to60', maxDays: 60 },
+  { key: 'days61to90', maxDays: 90 },
+  { key: 'over90', maxDays: Infinity }
+];
+
+const reconciliationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, bucket) => {
+  buckets[bucket.key] = 0;
+  return buckets;
+}, {});
+
+const getAgingBucket = (ageDays) => AGING_BUCKETS.find(bucket => ageDays <= bucket.maxDays).key;
+
+/**
+ * Record money received for a cash, cheque, bank transfer or on-account order.
+ * Partial amounts are allowed; the payment becomes paid once the order total
+ * has been collected.
+ *
+ * details: { amount, method, receivedAt, chequeNumber, bankReference, notes, proof, recordedBy }
+ * where method is how an on-account order was settled (defaults to bank_transfer)
+ * and proof is the multer-s3 file ({ location, key, originalname }).
+ */
+async function recordManualPayment(order, {
+  amount, method: settledWith, receivedAt, chequeNumber, bankReference, notes, proof, recordedBy
+} = {}) {
+  const payment = await PQFPayment.findOne({ order: order._id });
+  if (!payment) {
+    throw reconciliationError('No payment record found for this order');
+  }
+
+  const method = order.paymentMethod || payment.paymentMethod;
+  if (!OFFLINE_METHODS.includes(method)) {
+    throw reconciliationError('Only cash, cheque, bank transfer and on-account payments can be recorded manually');
+  }
+  const receiptMethod = method === 'on_account' ? (settledWith || 'bank_transfer') : method;
+  if (!SETTLEMENT_METHODS.includes(receiptMethod)) {
+    throw reconciliationError(`Invalid settlement method: ${receiptMethod}`);
+  }
+  if (CLOSED_ORDER_STATUSES.includes(order.LocalStatus) || !OPEN_STATUSES.includes(payment.status)) {
+    throw reconciliationError(`Payment is ${payment.status}; nothing left to collect`, 409);
+  }
+
+  const value = roundMoney(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw reconciliationError('A positive amount is required');
+  }
+  const outstanding = roundMoney(payment.amount - (payment.amountReceived || 0));
+  if (value > outstanding) {
+    throw reconciliationError(`Amount exceeds the outstanding balance of ${outstanding.toFixed(2)}`);
+  }
+  if (receiptMethod === 'cheque' && !chequeNumber) {
+    throw reconciliationError('A cheque number is required for cheque payments');
+  }
+  if (receiptMethod === 'bank_transfer' && !bankReference) {
+    throw reconciliationError('A bank reference is required for bank transfers');
+  }
+
+  const receivedDate = receivedAt ? new Date(receivedAt) : new Date();
+  if (Number.isNaN(receivedDate.getTime()) || receivedDate > new Date()) {
+    throw reconciliationError('Invalid received date');
+  }
+
+  const amountReceived = roundMoney((payment.amountReceived || 0) + value);
+  const fullyPaid = amountReceived >= roundMoney(payment.amount);
+
+  // VAT in the receipt is in proportion to the payment's VAT
+  const receiptTax = payment.taxAmount && payment.amount
+    ? roundMoney(value * payment.taxAmount / payment.amount)
+    : 0;
+  const receipt = {
+    amount: value,
+    netAmount: roundMoney(value - receiptTax),
+    taxAmount: receiptTax,
+    method: receiptMethod,
+    receivedAt: receivedDate,
+    chequeNumber,
+    bankReference,
+    proofUrl: proof?.location,
+    proofKey: proof?.key,
+    notes,
+    recordedBy
+  };
+  const status = fullyPaid ? 'paid' : 'partially_paid';
+
+  // Only applies while nobody else has recorded a receipt since the payment
+  // was read, so two admins cannot both collect the same outstanding amount
+  const previouslyReceived = payment.amountReceived || 0;
+  const updated = await PQFPayment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: payment.status,
+      amountReceived: previouslyReceived ? previouslyReceived : { $in: [0, null] }
+    },
+    {
+      $set: { amountReceived, status, ...(fullyPaid ? { isOverdue: false } : {}) },
+      $push: { receipts: receipt }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw reconciliationError('Another payment was recorded for this order at the same time. Reload the order and try again.', 409);
+  }
+
+  order.payment_status = status;
+  order.trackingHistory.push({
+    status: order.trackingStatus || 'pending',
+    timestamp: new Date(),
+    note: [
+      `${receiptMethod.replace('_', ' ')} payment of ${value.toFixed(2)} received`,
+      chequeNumber ? `(cheque ${chequeNumber})` : bankReference ? `(ref ${bankReference})` : null,
+      fullyPaid ? '- paid in full' : `- ${roundMoney(payment.amount - amountReceived).toFixed(2)} outstanding`
+    ].filter(Boolean).join(' '),
+    updatedBy: recordedBy ? recordedBy.toString() : undefined
+  });
+  await order.save();
+
+  await refreshOutstandingBalance(order.user);
+
+  return {
+    amount: value,
+    amountReceived,
+    outstanding: roundMoney(payment.amount - amountReceived),
+    fullyPaid,
+    payment: updated
+  };
+}
+
+// Offline payments that still have an outstanding amount, joined with their order
+async function findOutstandingPayments(match = {}) {
+  const rows = await PQFPayment.aggregate([
+    { $match: { paymentMethod: { $in: OFFLINE_METHODS }, status: { $in: OPEN_STATUSES }, ...match } },
+    {
+      $lookup: {
+        from: SalesOrder.collection.name,
+        localField: 'order',
+        foreignField: '_id',
+        as: 'order'
+      }
+    },
+    { $unwind: '$order' },
+    { $match: { 'order.LocalStatus': { $nin: CLOSED_ORDER_STATUSES } } },
+    {
+      $project: {
+        user: 1,
+        store: 1,
+        paymentMethod: 1,
+        amount: 1,
+        amountReceived: { $ifNull: ['$amountReceived', 0] },
+        orderId: '$order._id',
+        trackingNumber: '$order.trackingNumber',
+        orderDate: { $ifNull: ['$order.createdAt', '$createdAt'] },
+        dueDate: 1
+      }
+    }
+  ]);
+
+  return rows
+    .map(row => ({ ...row, outstanding: roundMoney(row.amount - row.amountReceived) }))
+    .filter(row => row.outstanding > 0);
+}
+
+/**
+ * Outstanding offline balances per customer, split into 0-30, 31-60, 61-90
+ * and 90+ day buckets by order date. On-account orders past their due date
+ * are also counted as overdue.
+ * options: { store, asOf = now }
+ */
+async function getAgingReport({ store, asOf = new Date() } = {}) {
+  const match = store ? { store: new mongoose.Types.ObjectId(String(store)) } : {};
+  const rows = await findOutstandingPayments(match);
+
+  const customers = new Map();
+  const totals = { ...emptyBuckets(), overdue: 0, total: 0 };
+
+  for (const row of rows) {
+    const ageDays = Math.max(Math.floor((asOf - new Date(row.orderDate)) / DAY_MS), 0);
+    const bucket = getAgingBucket(ageDays);
+    const overdue = Boolean(row.dueDate && new Date(row.dueDate) < asOf);
+    const key = String(row.user || 'unknown');
+
+    if (!customers.has(key)) {
+      customers.set(key, { user: row.user || null, outstanding: 0, overdue: 0, buckets: emptyBuckets(), oldestOrderDate: null, orders: [] });
+    }
+    const entry = customers.get(key);
+    entry.outstanding = roundMoney(entry.outstanding + row.outstanding);
+    entry.buckets[bucket] = roundMoney(entry.buckets[bucket] + row.outstanding);
+    if (overdue) entry.overdue = roundMoney(entry.overdue + row.outstanding);
+    if (!entry.oldestOrderDate || row.orderDate < entry.oldestOrderDate) {
+      entry.oldestOrderDate = row.orderDate;
+    }
+    entry.orders.push({
+      orderId: row.orderId,
+      trackingNumber: row.trackingNumber,
+      paymentMethod: row.paymentMethod,
+      amount: row.amount,
+      amountReceived: row.amountReceived,
+      outstanding: row.outstanding,
+      orderDate: row.orderDate,
+      dueDate: row.dueDate || null,
+      ageDays,
+      bucket,
+      overdue
+    });
+
+    totals[bucket] = roundMoney(totals[bucket] + row.outstanding);
+    if (overdue) totals.overdue = roundMoney(totals.overdue + row.outstanding);
+    totals.total = roundMoney(totals.total + row.outstanding);
+  }
+
+  const userIds = [...customers.values()].map(entry => entry.user).filter(Boolean);
+  const [users, customerDocs] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('name email phone').lean(),
+    Customer.find({ user: { $in: userIds } }).select('user CardCode CardName').lean()
+  ]);
+  const usersById = new Map(users.map(user => [String(user._id), user]));
+  const customersByUser = new Map(customerDocs.map(customer => [String(customer.user), customer]));
+
+  const report = [...customers.values()].map(entry => {
+    const user = usersById.get(String(entry.user));
+    const customer = customersByUser.get(String(entry.user));
+    return {
+      ...entry,
+      name: customer?.CardName || user?.name || null,
+      email: user?.email || null,
+      phone: user?.phone || null,
+      cardCode: customer?.CardCode || null
+    };
+  }).sort((a, b) => b.outstanding - a.outstanding);
+
+  return { asOf, totals, customers: report };
+}
+
+const balanceFields = (outstanding, overdue) => ({
+  outstandingBalance: outstanding,
+  overdueBalance: overdue,
+  hasOverdueInvoices: overdue > 0
+});
+
+// Recalculate Customer.outstandingBalance (and the overdue part) for one user
+async function refreshOutstandingBalance(userId, now = new Date()) {
+  if (!userId) return 0;
+  const rows = await findOutstandingPayments({ user: new mongoose.Types.ObjectId(String(userId)) });
+  const balance = roundMoney(rows.reduce((sum, row) => sum + row.outstanding, 0));
+  const overdue = roundMoney(rows
+    .filter(row => row.dueDate && new Date(row.dueDate) < now)
+    .reduce((sum, row) => sum + row.outstanding, 0));
+  await Customer.updateMany({ user: userId }, { $set: balanceFields(balance, overdue) });
+  return balance;
+}
+
+/**
+ * Write the aging report totals to Customer.outstandingBalance and
+ * overdueBalance for every customer, clearing balances that have since been
+ * paid off.
+ */
+async function syncOutstandingBalances(report) {
+  const { customers } = report || await getAgingReport();
+  const owing = customers.filter(entry => entry.user);
+
+  if (owing.length > 0) {
+    await Customer.bulkWrite(owing.map(entry => ({
+      updateMany: {
+        filter: { user: entry.user },
+        update: { $set: balanceFields(entry.outstanding, entry.overdue) }
+      }
+    })));
+  }
+  const cleared = await Customer.updateMany(
+    {
+      $or: [{ outstandingBalance: { $gt: 0 } }, { hasOverdueInvoices: true }],
+      user: { $ne: null, $nin: owing.map(entry => entry.user) }
+    },
+    { $set: balanceFields(0, 0) }
+  );
+  return { updated: owing.length, cleared: cleared.modifiedCount || 0 };
+}
+
+module.exports = {
+  OFFLINE_METHODS,
+  findOutstandingPayments,
+  recordManualPayment,
+  getAgingReport,
+  refreshOutstandingBalance,
+  syncOutstandingBalances
+};
@@ -0,0 +1,490 @@
+const mongoose = require('mongoose');
+const Item = require('../Models/Product');
+const Promotion = require('../Models/Promotion');
+const Customer = require('../Models/Customer');
+require('../Models/CustomerGroup');
+const { getTaxSettings, isTaxExempt, calculateTax } = require('./taxService');
+const { quoteDelivery, getDeliveryError } = require('./deliveryFeeService');
+const { selectPromotions } = require('./promotionCombinationService');
+const { isCouponRedeemable } = require('./couponService');
+const { getCustomerProfile } = require('./customerSegmentService');
+const { roundMoney, toMinorUnits } = require('./money');
+
+// Default SAP price list used for web sales
+const DEFAULT_PRICE_LIST = 2;
+
+// Price of a product in one price list, or null when the list has no price.
+// SAP derived lists carry a BasePriceList and Factor instead of their own price.
+function findListPrice(prices, priceListId, visited = new Set()) {
+  const priceItem = prices.find(p => p.PriceList === priceListId);
+  if (!priceItem) return null;
+  if (priceItem.Price) return priceItem.Price;
+
+  if (priceItem.BasePriceList && !visited.has(priceListId)) {
+    visited.add(priceListId);
+    const basePrice = findListPrice(prices, priceItem.BasePriceList, visited);
+    if (basePrice !== null) return roundMoney(basePrice * (priceItem.Factor || 1));
+  }
+  return null;
+}
+
+// Get product price from its price list; products missing the customer's
+// list are sold at the default web price list
+function getProductPrice(product, priceListId = DEFAULT_PRICE_LIST) {
+  if (!product) return 0;
+
+  // Check ItemPrices array, then prices array (shaped products)
+  for (const prices of [product.ItemPrices, product.prices]) {
+    if (!Array.isArray(prices)) continue;
+    const price = findListPrice(prices, priceListId);
+    if (price !== null) return price;
+    if (priceListId !== DEFAULT_PRICE_LIST) {
+      const defaultPrice = findListPrice(prices, DEFAULT_PRICE_LIST);
+      if (defaultPrice !== null) return defaultPrice;
+    }
+  }
+
+  // Fallback to direct price field
+  if (product.price) {
+    if (typeof product.price === 'string') {
+      const priceNum = parseFloat(product.price.replace(/[^0-9.]/g, ''));
+      return isNaN(priceNum) ? 0 : priceNum;
+    }
+    return product.price;
+  }
+
+  return 0;
+}
+
+/**
+ * Units a product is sold in: always by the piece (the SAP inventory unit)
+ * and by the case when the SAP sales unit holds more than one piece.
+ * Returns [{ code: 'piece'|'case', name, itemsPerUnit, uomEntry }]
+ */
+function getSellingUnits(product) {
+  const units = [{
+    code: 'piece',
+    name: product?.InventoryUOM || 'Piece',
+    itemsPerUnit: 1,
+    uomEntry: product?.InventoryUoMEntry
+  }];
+  const piecesPerCase = Number(product?.SalesItemsPerUnit || 1);
+  if (piecesPerCase > 1) {
+    units.push({
+      code: 'case',
+      name: product.SalesUnit || 'Case',
+      itemsPerUnit: piecesPerCase,
+      uomEntry: product.DefaultSalesUoMEntry
+    });
+  }
+  return units;
+}
+
+// One of a product's selling units, or null when it is not sold that way
+function findSellingUnit(product, uom = 'piece') {
+  return getSellingUnits(product).find(unit => unit.code === (uom || 'piece')) || null;
+}
+
+// Price of one selling unit: the SAP UoM price for the unit's UoMEntry when
+// there is one, else the piece price times the pieces per unit
+function getUnitPrice(product, unit, priceListId = DEFAULT_PRICE_LIST) {
+  const piecePrice = getProductPrice(product, priceListId);
+  if (unit.uomEntry !== undefined && unit.uomEntry !== null) {
+    const listPrices = (product.ItemPrices || []).find(p => p.PriceList === priceListId) ||
+      (product.ItemPrices || []).find(p => p.PriceList === DEFAULT_PRICE_LIST);
+    const uomPrice = (listPrices?.UoMPrices || []).find(p => Number(p.UoMEntry) === Number(unit.uomEntry));
+    if (uomPrice && Number(uomPrice.Price) > 0) return roundMoney(uomPrice.Price);
+  }
+  return roundMoney(piecePrice * unit.itemsPerUnit);
+}
+
+// Quantity break for a unit and quantity: the matching break with the highest
+// minQuantity, preferring breaks set for the price list over general ones
+function findQuantityBreak(product, unit, quantity, priceListId = DEFAULT_PRICE_LIST) {
+  return (product.quantityBreaks || [])
+    .filter(qb => (qb.uom || 'piece') === unit.code && quantity >= qb.minQuantity)
+    .filter(qb => !qb.priceList || qb.priceList === priceListId)
+    .sort((a, b) => (b.minQuantity - a.minQuantity) || ((b.priceList ? 1 : 0) - (a.priceList ? 1 : 0)))[0] || null;
+}
+
+/**
+ * Price per unit for a line of `quantity` units, with quantity breaks applied.
+ * Returns { uom, uomName, itemsPerUnit, uomEntry, listPrice, price, quantityBreak }
+ * or null when the product is not sold in that unit.
+ */
+function resolveLinePrice(product, { uom = 'piece', quantity = 1, priceList = DEFAULT_PRICE_LIST } = {}) {
+  const unit = findSellingUnit(product, uom);
+  if (!unit) return null;
+
+  const listPrice = getUnitPrice(product, unit, priceList);
+  const quantityBreak = findQuantityBreak(product, unit, quantity, priceList);
+  let price = listPrice;
+  if (quantityBreak) {
+    price = quantityBreak.price
+      ? roundMoney(quantityBreak.price)
+      : roundMoney(listPrice * (1 - (quantityBreak.discountPercent || 0) / 100));
+  }
+
+  return {
+    uom: unit.code,
+    uomName: unit.name,
+    itemsPerUnit: unit.itemsPerUnit,
+    uomEntry: unit.uomEntry,
+    listPrice,
+    price,
+    quantityBreak: quantityBreak ? { minQuantity: quantityBreak.minQuantity } : null
+  };
+}
+
+// Calculate cart totals with promotions, delivery fee and VAT. finalTotal is
+// the gross amount payable; options default to the cart's store, user and
+// delivery selection.
+async function calculateCartTotals(cart, appliedPromotions = [], {
+  store = cart.store,
+  userId = cart.user,
+  delivery = cart.delivery
+} = {}) {
+  const lineAmounts = cart.items.map(item => {
+    // If item is free or has free quantity, only charge for the non-free portion
+    if (item.isFreeItem) {
+      // If the entire item is free, don't add anything to total
+      return 0;
+    } else if (item.freeQuantity && item.freeQuantity > 0) {
+      // If item has free quantity, only charge for the non-free portion
+      const chargeableQuantity = item.quantity - item.freeQuantity;
+      return item.price * Math.max(0, chargeableQuantity);
+    } else {
+      // Regular item, charge full price
+      return item.price * item.quantity;
+    }
+  });
+  const originalTotal = lineAmounts.reduce((sum, amount) => sum + amount, 0);
+
+  let totalDiscount = 0;
+  const appliedDiscounts = [];
+  let freeShippingPromotion = null;
+
+  // Apply promotions if any
+  if (appliedPromotions.length > 0) {
+    for (const promotion of appliedPromotions) {
+      const discounts = promotion.applyToCart(cart);
+      appliedDiscounts.push(...discounts);
+      totalDiscount += discounts.reduce((sum, discount) => sum + discount.discountAmount, 0);
+      if (!freeShippingPromotion && discounts.some(discount => discount.freeShipping)) {
+        freeShippingPromotion = promotion;
+      }
+    }
+  }
+
+  const [taxSettings, taxExempt] = await Promise.all([getTaxSettings(store), isTaxExempt(userId)]);
+  const itemLines = cart.items.map((item, index) => ({ product: item.product, amount: lineAmounts[index] }));
+  const taxOptions = { settings: taxSettings, taxExempt, discount: Math.min(totalDiscount, originalTotal) };
+  let tax = await calculateTax(itemLines, taxOptions);
+
+  // The delivery minimum applies to the goods after discounts
+  const quote = await quoteDelivery(store, {
+    method: delivery?.method,
+    address: delivery?.address,
+    goodsTotal: tax.grossTotal
+  });
+  const waived = Boolean(freeShippingPromotion) && quote.fee > 0;
+  const fee = waived ? 0 : quote.fee;
+
+  // The fee is a separate, undiscounted line taxed at the store's default rate
+  let feeTax = null;
+  if (fee > 0) {
+    tax = await calculateTax([...itemLines, { product: null, amount: fee, discountable: false }], taxOptions);
+    feeTax = tax.lines[tax.lines.length - 1];
+  }
+
+  return {
+    originalTotal,
+    finalTotal: tax.grossTotal,
+    totalDiscount,
+    appliedDiscounts,
+    netTotal: tax.netTotal,
+    taxTotal: tax.taxTotal,
+    pricesIncludeTax: tax.pricesIncludeTax,
+    taxExempt: tax.taxExempt,
+    taxBreakdown: tax.breakdown,
+    taxLines: tax.lines.slice(0, itemLines.length),
+    deliveryFee: {
+      ...quote,
+      amount: feeTax ? feeTax.grossAmount : 0,
+      netAmount: feeTax ? feeTax.netAmount : 0,
+      taxAmount: feeTax ? feeTax.taxAmount : 0,
+      taxRate: feeTax ? feeTax.taxRate : 0,
+      standardFee: quote.fee,
+      waived,
+      waivedBy: waived ? (freeShippingPromotion.code || freeShippingPromotion.name) : null
+    }
+  };
+}
+
+// Load the Promotion documents referenced by a cart's appliedPromotions
+async function loadCartPromotions(cart) {
+  const promotions = [];
+  if (!cart || !cart.appliedPromotions || cart.appliedPromotions.length === 0) {
+    return promotions;
+  }
+
+  for (const appliedPromo of cart.appliedPromotions) {
+    const promotionId = appliedPromo.promotion?._id || appliedPromo.promotion;
+    if (!promotionId) continue;
+    // Coupons redeemed on another order or revoked no longer discount
+    if (appliedPromo.coupon && !(await isCouponRedeemable(appliedPromo.coupon, { cartId: cart._id }))) continue;
+
+    // Categories must be populated for isProductApplicable to match ItemsGroupCode
+    const promotion = await Promotion.findById(promotionId)
+      .populate('applicableCategories', 'ItemsGroupCode')
+      .populate('excludedCategories', 'ItemsGroupCode');
+    if (promotion) {
+      promotions.push(promotion);
+    }
+  }
+  return promotions;
+}
+
+// Price list for a user: their customer's own list, else their customer
+// group's list, else the default web price list
+async function resolvePriceList(userId) {
+  if (!userId) return DEFAULT_PRICE_LIST;
+  const customer = await Customer.findOne({ user: userId })
+    .select('priceList customerGroup')
+    .populate('customerGroup', 'priceList isActive')
+    .lean();
+  if (customer?.priceList) return customer.priceList;
+  if (customer?.customerGroup?.isActive && customer.customerGroup.priceList) {
+    return customer.customerGroup.priceList;
+  }
+  return DEFAULT_PRICE_LIST;
+}
+
+// Resolve an order item's product reference (ObjectId or ItemCode) to an Item;
+// ItemCodes are only unique within a store
+async function findOrderItemProduct(productRef, storeId) {
+  if (!productRef) return null;
+  const ref = productRef._id || productRef;
+  if (mongoose.Types.ObjectId.isValid(ref)) {
+    const product = await Item.findById(ref);
+    if (product) return product;
+  }
+  if (!storeId) return null;
+  return Item.findOne({ ItemCode: String(ref), store: storeId });
+}
+
+// Price an order on the server: line prices come from Item.ItemPrices (in the
+// user's price list unless one is given, per unit of measure and with
+// quantity breaks), discounts from re-running the given promotions and VAT
+// from the store's tax settings. Client-side prices, totals and free
+// quantities are ignored; only product, unit and paid quantity are used.
+// options: { priceListId, storeId, delivery: { method, address }, pricedAt };
+// lines for products of another store and delivery orders the store cannot
+// deliver or that are below its minimum are rejected. pricedAt is the time
+// promotion schedules are checked at, so an order paid for keeps the
+// promotions its payment intent was priced with.
+async function priceOrderItems(orderItems, promotions = [], userId, {
+  priceListId = null,
+  storeId = null,
+  delivery = null,
+  pricedAt = new Date()
+} = {}) {
+  const priceList = priceListId || await resolvePriceList(userId);
+  const pricingCart = { items: [] };
+
+  for (const orderItem of orderItems || []) {
+    // Free lines are re-derived from promotions below
+    if (orderItem.isFreeItem) continue;
+
+    const product = await findOrderItemProduct(orderItem.product, storeId);
+    if (!product) {
+      const error = new Error(`Product not found: ${orderItem.product}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    // Orders are priced and fulfilled by one store
+    if (storeId && String(product.store) !== String(storeId._id || storeId)) {
+      const error = new Error(`${product.ItemCode} is not sold by this store`);
+      error.statusCode = 400;
+      error.code = 'PRODUCT_NOT_IN_STORE';
+      throw error;
+    }
+
+    const quantity = Number(orderItem.quantity || 0);
+    const freeQuantity = Number(orderItem.freeQuantity || 0);
+    const paidQuantity = orderItem.regularQuantity !== undefined
+      ? Number(orderItem.regularQuantity)
+      : quantity - freeQuantity;
+
+    if (!Number.isInteger(paidQuantity) || paidQuantity <= 0) {
+      const error = new Error(`Invalid quantity for product ${product.ItemCode}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const uom = orderItem.uom || 'piece';
+    if (!findSellingUnit(product, uom)) {
+      const error = new Error(`${product.ItemCode} is not sold by the ${uom}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Merge repeated lines for the same product and unit
+    const existing = pricingCart.items.find(item =>
+      item.product._id.toString() === product._id.toString() && item.uom === uom
+    );
+    if (existing) {
+      existing.quantity += paidQuantity;
+      continue;
+    }
+
+    pricingCart.items.push({
+      product,
+      uom,
+      quantity: paidQuantity,
+      isFreeItem: false,
+      freeQuantity: 0,
+      image: orderItem.image || product.image || ''
+    });
+  }
+
+  // Quantity breaks depend on the merged quantity, so price lines afterwards
+  for (const item of pricingCart.items) {
+    const linePrice = resolveLinePrice(item.product, { uom: item.uom, quantity: item.quantity, priceList });
+    Object.assign(item, {
+      price: linePrice.price,
+      uomName: linePrice.uomName,
+      itemsPerUnit: linePrice.itemsPerUnit,
+      uomEntry: linePrice.uomEntry
+    });
+  }
+
+  if (pricingCart.items.length === 0) {
+    const error = new Error('Order must contain at least one item');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Re-select promotions under their stacking policies, the same way
+  // autoApplyPromotions does for the cart
+  const customer = await getCustomerProfile(userId);
+  const { selected, dropped } = selectPromotions(pricingCart, promotions, { userId, customer, at: pricedAt });
+  for (const { promotion, reason } of dropped) {
+    console.log('Promotion dropped at checkout:', promotion.code || promotion._id, reason);
+  }
+
+  const validPromotions = [];
+  for (const { promotion, discounts } of selected) {
+    if (promotion.type === 'buyXGetY') {
+      for (const discount of discounts) {
+        if (discount.type !== 'buyXGetY' || !discount.freeQuantity) continue;
+        const line = pricingCart.items.find(item => item.product._id.toString() === discount.productId.toString());
+        if (line) {
+          line.quantity += discount.freeQuantity;
+          line.freeQuantity += discount.freeQuantity;
+        }
+      }
+    }
+
+    validPromotions.push(promotion);
+  }
+
+  const totals = await calculateCartTotals(pricingCart, validPromotions, { store: storeId, userId, delivery });
+
+  const deliveryError = getDeliveryError(totals.deliveryFee);
+  if (deliveryError) throw deliveryError;
+
+  const appliedPromotions = validPromotions.map(promotion => {
+    const discountAmount = promotion.applyToCart(pricingCart)
+      .reduce((sum, discount) => sum + (discount.discountAmount || 0), 0);
+    return {
+      promotionId: promotion._id,
+      name: promotion.name,
+      code: promotion.code,
+      type: promotion.type,
+      description: promotion.description,
+      discountAmount: roundMoney(discountAmount),
+      appliedAt: new Date()
+    };
+  });
+
+  const lines = pricingCart.items.map((item, index) => ({
+    name: item.product.ItemName || 'Unknown Item',
+    price: roundMoney(item.price),
+    quantity: item.quantity,
+    uom: item.uom,
+    uomName: item.uomName,
+    itemsPerUnit: item.itemsPerUnit,
+    uomEntry: item.uomEntry,
+    product: item.product._id.toString(),
+    itemCode: item.product.ItemCode,
+    image: item.image,
+    isFreeItem: false,
+    freeQuantity: item.freeQuantity,
+    regularQuantity: item.quantity - item.freeQuantity,
+    discountAmount: roundMoney(item.price * item.freeQuantity),
+    // Unit price without VAT, before discounts
+    netPrice: Math.round(item.price / (1 + totals.taxLines[index].includedTaxRate / 100) * 10000) / 10000,
+    vatGroup: totals.taxLines[index].vatGroup,
+    taxRate: totals.taxLines[index].taxRate,
+    netAmount: totals.taxLines[index].netAmount,
+    taxAmount: totals.taxLines[index].taxAmount,
+    grossAmount: totals.taxLines[index].grossAmount
+  }));
+
+  return {
+    lines,
+    originalTotal: roundMoney(totals.originalTotal),
+    totalDiscount: roundMoney(totals.totalDiscount),
+    finalTotal: roundMoney(totals.finalTotal),
+    netTotal: totals.netTotal,
+    taxTotal: totals.taxTotal,
+    pricesIncludeTax: totals.pricesIncludeTax,
+    taxExempt: totals.taxExempt,
+    taxBreakdown: totals.taxBreakdown,
+    deliveryFee: totals.deliveryFee,
+    appliedDiscounts: totals.appliedDiscounts,
+    appliedPromotions,
+    droppedPromotions: dropped.map(({ promotion, reason, message }) => ({
+      promotionId: promotion._id,
+      code: promotion.code,
+      name: promotion.name,
+      reason,
+      message
+    })),
+    promotions: validPromotions,
+    priceList,
+    pricedAt
+  };
+}
+
+// Price a saved cart with its applied promotions using the same rules as checkout
+async function priceCart(cart, userId) {
+  const orderItems = (cart.items || []).map(item => ({
+    product: item.product?._id || item.product,
+    uom: item.uom,
+    quantity: item.quantity,
+    freeQuantity: item.freeQuantity || 0,
+    isFreeItem: item.isFreeItem
+  }));
+  const promotions = await loadCartPromotions(cart);
+  return priceOrderItems(orderItems, promotions, userId || cart.user, {
+    storeId: cart.store?._id || cart.store,
+    delivery: cart.delivery
+  });
+}
+
+module.exports = {
+  DEFAULT_PRICE_LIST,
+  roundMoney,
+  toMinorUnits,
+  getProductPrice,
+  getSellingUnits,
+  findSellingUnit,
+  resolveLinePrice,
+  resolvePriceList,
+  calculateCartTotals,
+  loadCartPromotions,
+  priceOrderItems,
+  priceCart
+};
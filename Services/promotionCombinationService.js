@@ -0,0 +1,163 @@
+// Largest candidate list searched exhaustively; longer lists are combined greedily
+const MAX_EXHAUSTIVE_CANDIDATES = 12;
+
+const label = (promotion) => promotion.code || promotion.name;
+
+// The cart's paid lines, without free quantities from earlier promotions,
+// so every candidate is valued against the same cart
+function getPaidCart(cart) {
+  return {
+    store: cart.store,
+    user: cart.user,
+    items: (cart.items || [])
+      .filter(item => !item.isFreeItem)
+      .map(item => ({
+        product: item.product,
+        uom: item.uom,
+        itemsPerUnit: item.itemsPerUnit,
+        price: item.price,
+        quantity: item.quantity - (item.freeQuantity || 0),
+        freeQuantity: 0,
+        isFreeItem: false
+      }))
+      .filter(item => item.quantity > 0)
+  };
+}
+
+// Value of a promotion's discounts: the discount amounts plus the price of
+// the free quantities it gives
+function getDiscountValue(cart, discounts) {
+  return discounts.reduce((sum, discount) => {
+    let value = discount.discountAmount || 0;
+    if (discount.freeQuantity > 0 && discount.productId) {
+      const line = cart.items.find(item =>
+        String(item.product?._id || item.product) === String(discount.productId)
+      );
+      value += (line?.price || 0) * discount.freeQuantity;
+    }
+    return sum + value;
+  }, 0);
+}
+
+function describeConflict(promotion, kept) {
+  let reason = 'STACK_GROUP';
+  if (promotion.stacking === 'exclusive') reason = 'EXCLUSIVE';
+  else if (kept.stacking === 'exclusive') reason = 'EXCLUDED_BY_EXCLUSIVE';
+
+  return {
+    reason,
+    message: `${label(promotion)} cannot be combined with ${label(kept)}, which was kept as the better offer`,
+    conflictsWith: { id: kept._id, name: kept.name, code: kept.code }
+  };
+}
+
+/**
+ * Pick the promotions to apply to a cart under their stacking policies.
+ *
+ * options: { userId, customer, at } where customer is the profile from
+ * customerSegmentService that targeted promotions are checked against and at
+ * is the time schedules and validity are checked at (default now).
+ *
+ * Every candidate is checked with canApplyToCart and valued with applyToCart
+ * on the cart's paid lines. Among the sets of promotions that may all be
+ * combined, the one saving the most wins; ties go to the higher total
+ * priority.
+ *
+ * Returns { selected: [{ promotion, discounts, value }],
+ *           dropped: [{ promotion, reason, message, conflictsWith }] }
+ * with selected in priority order. Drop reasons are OUTSIDE_SCHEDULE,
+ * NOT_APPLICABLE, NO_DISCOUNT, EXCLUSIVE, EXCLUDED_BY_EXCLUSIVE and
+ * STACK_GROUP.
+ */
+function selectPromotions(cart, promotions, { userId, customer, at = new Date() } = {}) {
+  const paidCart = getPaidCart(cart);
+  const dropped = [];
+  const eligible = [];
+  const seen = new Set();
+
+  for (const promotion of promotions) {
+    if (!promotion || seen.has(String(promotion._id))) continue;
+    seen.add(String(promotion._id));
+
+    if (!promotion.isWithinSchedule(at)) {
+      dropped.push({
+        promotion,
+        reason: 'OUTSIDE_SCHEDULE',
+        message: `${label(promotion)} is not available at this time`,
+        conflictsWith: null
+      });
+      continue;
+    }
+
+    if (!promotion.canApplyToCart(paidCart, userId, customer, { at })) {
+      dropped.push({
+        promotion,
+        reason: 'NOT_APPLICABLE',
+        message: `${label(promotion)} cannot be applied to this cart`,
+        conflictsWith: null
+      });
+      continue;
+    }
+
+    const discounts = promotion.applyToCart(paidCart);
+    if (discounts.length === 0) {
+      dropped.push({
+        promotion,
+        reason: 'NO_DISCOUNT',
+        message: `${label(promotion)} gives no discount on this cart`,
+        conflictsWith: null
+      });
+      continue;
+    }
+
+    eligible.push({ promotion, discounts, value: getDiscountValue(paidCart, discounts) });
+  }
+
+  eligible.sort((a, b) => ((b.promotion.priority || 0) - (a.promotion.priority || 0)) || (b.value - a.value));
+  const fits = (chosen, candidate) => chosen.every(entry => entry.promotion.canCombineWith(candidate.promotion));
+
+  let best = [];
+  if (eligible.length <= MAX_EXHAUSTIVE_CANDIDATES) {
+    let bestValue = -1;
+    let bestPriority = -Infinity;
+    const search = (index, chosen, value, priority) => {
+      if (index === eligible.length) {
+        if (value > bestValue + 0.001 || (Math.abs(value - bestValue) <= 0.001 && priority > bestPriority)) {
+          best = chosen;
+          bestValue = value;
+          bestPriority = priority;
+        }
+        return;
+      }
+      const candidate = eligible[index];
+      if (fits(chosen, candidate)) {
+        search(index + 1, [...chosen, candidate], value + candidate.value, priority + (candidate.promotion.priority || 0));
+      }
+      search(index + 1, chosen, value, priority);
+    };
+    search(0, [], 0, 0);
+  } else {
+    for (const candidate of [...eligible].sort((a, b) => b.value - a.value)) {
+      if (fits(best, candidate)) best.push(candidate);
+    }
+  }
+
+  // Compatible promotions that add nothing are kept too
+  for (const candidate of eligible) {
+    if (!best.includes(candidate) && fits(best, candidate)) best.push(candidate);
+  }
+
+  const selected = eligible.filter(candidate => best.includes(candidate));
+  for (const candidate of eligible) {
+    if (selected.includes(candidate)) continue;
+    const kept = selected.find(entry => !entry.promotion.canCombineWith(candidate.promotion));
+    dropped.push({ promotion: candidate.promotion, ...describeConflict(candidate.promotion, kept.promotion) });
+  }
+
+  return { selected, dropped };
+}
+
+module.exports = {
+  getDiscountValue,
+  selectPromotions
+};
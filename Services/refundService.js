@@ -0,0 +1,231 @@
+const stripe = require('../Config/stripe');
+const PQFPayment = require('../Models/Payment');
+const AppliedPromotion = require('../Models/AppliedPromotion');
+const { roundMoney, toMinorUnits } = require('./pricingService');
+const { restockOrderLines, releaseOrderStock } = require('./stockService');
+const { releaseOrderSlot } = require('./deliverySlotService');
+const { refreshOutstandingBalance } = require('./paymentReconciliationService');
+
+const REFUNDABLE_CARD_STATUSES = ['paid', 'partially_refunded'];
+
+const refundError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Amount the customer actually paid for the order
+const getOrderTotal = (order) => roundMoney(order.finalTotal || order.DocTotal || 0);
+
+/**
+ * Resolve requested lines ({ itemId | product, quantity }) against orderItems.
+ * Each line is refunded at its share of the paid total, so order-level
+ * discounts are spread over the lines in proportion to their value. Units
+ * given free by a promotion are not paid for: only the paid share of the
+ * returned quantity is refunded.
+ */
+function resolveRefundLines(order, requestedLines) {
+  // The delivery fee is only returned with a full refund
+  const orderTotal = roundMoney(getOrderTotal(order) - (order.deliveryFee?.amount || 0));
+  const originalTotal = roundMoney(order.originalTotal || order.DocTotal || 0);
+  const paidRatio = originalTotal > 0 ? orderTotal / originalTotal : 0;
+
+  return requestedLines.map(requested => {
+    const item = order.orderItems.find(line =>
+      (requested.itemId && String(line._id) === String(requested.itemId)) ||
+      (!requested.itemId && requested.product && String(line.product) === String(requested.product))
+    );
+    if (!item) {
+      throw refundError(`Order line not found: ${requested.itemId || requested.product}`);
+    }
+
+    const quantity = Number(requested.quantity ?? (item.quantity - (item.refundedQuantity || 0)));
+    const refundable = (item.quantity || 0) - (item.refundedQuantity || 0);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw refundError(`Invalid refund quantity for ${item.name}`);
+    }
+    if (quantity > refundable) {
+      throw refundError(`Only ${refundable} of ${item.name} can still be refunded`);
+    }
+
+    // Free units are spread evenly over the line, so a return of part of it
+    // carries its share of them
+    const totalQuantity = item.quantity || 0;
+    const regularQuantity = item.isFreeItem
+      ? 0
+      : (item.regularQuantity || Math.max(totalQuantity - (item.freeQuantity || 0), 0));
+    const freeShare = totalQuantity > 0 ? quantity * (totalQuantity - regularQuantity) / totalQuantity : 0;
+    const paidQuantity = Math.max(Math.min(quantity - freeShare, regularQuantity), 0);
+
+    const lineValue = (item.price || 0) * paidQuantity * paidRatio;
+    return {
+      item,
+      product: item.product,
+      name: item.name,
+      quantity,
+      itemsPerUnit: item.itemsPerUnit,
+      amount: roundMoney(lineValue)
+    };
+  });
+}
+
+/**
+ * Refund a whole order or some of its lines.
+ * Card payments are refunded through Stripe; cash, cheque and bank transfer
+ * orders get a manual refund record, capped at the amount collected so far.
+ * Refunded lines are restocked, and once the order is fully refunded its
+ * applied promotions are marked refunded.
+ *
+ * options: { lines, reason, reference, restock = true, refundedBy,
+ *            promotionStatus = 'refunded', payment (already loaded PQFPayment) }
+ * Throws errors with statusCode 400 (bad request) or 502 (Stripe failure).
+ */
+async function refundOrder(order, {
+  lines = null, reason, reference, restock = true, refundedBy, promotionStatus = 'refunded', payment: loadedPayment
+} = {}) {
+  const payment = loadedPayment || await PQFPayment.findOne({ order: order._id });
+  if (!payment) {
+    throw refundError('No payment record found for this order');
+  }
+
+  const isCard = (order.paymentMethod || payment.paymentMethod) === 'card';
+  if (isCard && !REFUNDABLE_CARD_STATUSES.includes(payment.status)) {
+    throw refundError(`Payment is ${payment.status}; only paid card payments can be refunded`);
+  }
+
+  // Offline orders can only give back what was actually collected
+  const refundableTotal = isCard ? getOrderTotal(order) : roundMoney(payment.amountReceived || 0);
+  if (!isCard && refundableTotal <= 0) {
+    throw refundError('No payment has been collected for this order yet');
+  }
+  const alreadyRefunded = roundMoney(payment.refundAmount || 0);
+  const remaining = roundMoney(refundableTotal - alreadyRefunded);
+  if (remaining <= 0) {
+    throw refundError('This order has already been fully refunded');
+  }
+
+  const isLineRefund = Array.isArray(lines) && lines.length > 0;
+  const refundLines = isLineRefund
+    ? resolveRefundLines(order, lines)
+    : order.orderItems
+      .filter(item => (item.quantity || 0) > (item.refundedQuantity || 0))
+      .map(item => ({ item, product: item.product, name: item.name, quantity: item.quantity - (item.refundedQuantity || 0) }));
+
+  // A whole-order refund returns whatever has not been refunded yet
+  const amount = isLineRefund
+    ? Math.min(roundMoney(refundLines.reduce((sum, line) => sum + line.amount, 0)), remaining)
+    : remaining;
+  if (amount <= 0) {
+    throw refundError('Nothing to refund for the selected lines');
+  }
+
+  let stripeRefund = null;
+  if (isCard) {
+    const paymentIntentId = payment.paymentIntentId || (String(order.Payment_id || '').startsWith('pi_') ? order.Payment_id : null);
+    if (!paymentIntentId) {
+      throw refundError('No Stripe payment intent found for this order');
+    }
+    try {
+      stripeRefund = await stripe.refunds.create({
+        payment_intent: paymentIntentId,
+        amount: toMinorUnits(amount),
+        reason: 'requested_by_customer',
+        metadata: {
+          orderId: order._id.toString(),
+          refundedBy: refundedBy ? refundedBy.toString() : '',
+          // The charge.refunded webhook leaves stock to this refund
+          restock: restock ? 'true' : 'false'
+        }
+      }, {
+        // Same order and refund number cannot be refunded twice (double submit)
+        idempotencyKey: `refund-${order._id}-${(payment.refunds || []).length + 1}`
+      });
+    } catch (stripeError) {
+      console.error('Stripe refund failed:', { orderId: order._id, error: stripeError.message });
+      throw refundError(`Stripe refund failed: ${stripeError.message}`, 502);
+    }
+  }
+
+  const totalRefunded = roundMoney(alreadyRefunded + amount);
+  const fullyRefunded = totalRefunded >= refundableTotal;
+
+  payment.refunds = payment.refunds || [];
+  payment.refunds.push({
+    amount,
+    reason,
+    method: isCard ? 'stripe' : 'manual',
+    stripeRefundId: stripeRefund?.id,
+    reference,
+    lines: refundLines.map(line => ({
+      product: line.product,
+      name: line.name,
+      quantity: line.quantity,
+      amount: line.amount
+    })),
+    refundedBy,
+    createdAt: new Date()
+  });
+  payment.refundAmount = totalRefunded;
+  payment.refundReason = reason;
+  payment.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+  await payment.save();
+
+  for (const line of refundLines) {
+    line.item.refundedQuantity = (line.item.refundedQuantity || 0) + line.quantity;
+  }
+  if (fullyRefunded) {
+    order.orderItems.forEach(item => { item.refundedQuantity = item.quantity; });
+    order.LocalStatus = 'Refunded';
+  }
+  order.payment_status = fullyRefunded ? 'refunded' : 'partially_refunded';
+  order.trackingHistory.push({
+    status: fullyRefunded ? 'refunded' : 'partially_refunded',
+    timestamp: new Date(),
+    note: [
+      `${isCard ? 'Refunded' : 'Manual refund of'} ${amount.toFixed(2)}`,
+      isLineRefund ? `for ${refundLines.map(line => `${line.quantity} x ${line.name}`).join(', ')}` : null,
+      stripeRefund ? `(Stripe refund ${stripeRefund.id})` : reference ? `(ref ${reference})` : null,
+      reason ? `- ${reason}` : null
+    ].filter(Boolean).join(' ')
+  });
+  await order.save();
+
+  if (restock) {
+    if (fullyRefunded) {
+      await releaseOrderStock(order._id, 'refunded');
+    } else {
+      await restockOrderLines(order._id, refundLines, 'refunded');
+    }
+  }
+
+  // A fully refunded order no longer takes up its delivery or pickup slot
+  if (fullyRefunded) {
+    await releaseOrderSlot(order._id, 'refunded');
+  }
+
+  if (!isCard) {
+    await refreshOutstandingBalance(order.user);
+  }
+
+  if (fullyRefunded) {
+    await AppliedPromotion.updateMany(
+      { order: order._id, status: 'applied' },
+      { $set: { status: promotionStatus, notes: reason ? `Order ${promotionStatus}: ${reason}` : `Order ${promotionStatus}` } }
+    );
+  }
+
+  return {
+    amount,
+    totalRefunded,
+    fullyRefunded,
+    method: isCard ? 'stripe' : 'manual',
+    stripeRefundId: stripeRefund?.id || null,
+    restocked: Boolean(restock),
+    payment
+  };
+}
+
+module.exports = {
+  resolveRefundLines,
+  refundOrder
+};
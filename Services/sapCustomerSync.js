@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Customer = require('../Models/Customer');
+const sapConfig = require('../Config/sap');
+const { createServiceLayerClient, getNextSyncAttempt } = require('./sapServiceLayer');
+
+let sharedClient = null;
+let workerTimer = null;
+let workerRunning = false;
+
+const getClient = () => {
+  if (!sharedClient) sharedClient = createServiceLayerClient(sapConfig);
+  return sharedClient;
+};
+
+const escapeODataString = (value) => String(value).replace(/'/g, "''");
+
+// CardCode for a new business partner when no SAP numbering series is configured
+function generateCardCode(customer, config = sapConfig) {
+  const suffix = customer._id.toString().slice(-10).toUpperCase();
+  return `${config.customerCardCodePrefix}${suffix}`.substring(0, 15);
+}
+
+function mapAddress(address, addressName, addressType) {
+  if (!address || !(address.street || address.city || address.zipCode)) return null;
+  return {
+    AddressName: addressName,
+    AddressType: addressType,
+    Street: address.street || '',
+    ZipCode: address.zipCode || '',
+    City: address.city || '',
+    Country: address.country || ''
+  };
+}
+
+// Map a Customer to a Service Layer BusinessPartners payload
+function mapCustomerToSAP(customer, config = sapConfig) {
+  const payload = {
+    CardName: (customer.company || customer.CardName).substring(0, 100),
+    CardType: 'cCustomer',
+    EmailAddress: customer.Email || undefined,
+    Phone1: customer.phoneNumber || undefined,
+    Notes: `Web customer ${customer._id}`
+  };
+
+  if (config.customerSeries) {
+    payload.Series = config.customerSeries;
+  } else {
+    payload.CardCode = customer.CardCode || generateCardCode(customer, config);
+  }
+  if (config.customerGroupCode) {
+    payload.GroupCode = config.customerGroupCode;
+  }
+
+  const addresses = [
+    mapAddress(customer.billingAddress, 'BILL TO', 'bo_BillTo'),
+    mapAddress(customer.address, 'SHIP TO', 'bo_ShipTo')
+  ].filter(Boolean);
+  if (addresses.length > 0) {
+    payload.BPAddresses = addresses;
+  }
+
+  return payload;
+}
+
+const normalizeName = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Whether a business partner found by email is this customer's: it carries
+// the web customer id in its notes or has the same company name
+function isSameCustomer(partner, customer) {
+  if (String(partner.Notes || '').includes(`Web customer ${customer._id}`)) return true;
+  const name = normalizeName((customer.company || customer.CardName || '').substring(0, 100));
+  return Boolean(name) && normalizeName(partner.CardName) === name;
+}
+
+// A business partner already created for this customer, by CardCode or by
+// email and a second match (protects against duplicates when a previous
+// attempt was not saved locally). An email match alone is left for an admin
+// to confirm, as shared or reused addresses would link another company.
+async function findExistingBusinessPartner(client, customer) {
+  if (customer.CardCode) {
+    try {
+      return await client.get(`/BusinessPartners('${encodeURIComponent(escapeODataString(customer.CardCode))}')?$select=CardCode,CardName`);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+  }
+  if (!customer.Email) return null;
+
+  const filter = encodeURIComponent(
+    `CardType eq 'cCustomer' and EmailAddress eq '${escapeODataString(customer.Email)}'`
+  );
+  const result = await client.get(`/BusinessPartners?$filter=${filter}&$select=CardCode,CardName,Notes`);
+  const partners = result?.value || [];
+  const partner = partners.find(candidate => isSameCustomer(candidate, customer));
+  if (partner || partners.length === 0) return partner || null;
+
+  const error = new Error(
+    `SAP business partner ${partners.map(candidate => candidate.CardCode).join(', ')} has this customer's email ` +
+    'but another name; retry the sync with its cardCode to link it'
+  );
+  error.code = 'SAP_PARTNER_NEEDS_REVIEW';
+  throw error;
+}
+
+// Queue a customer for the sync worker
+function queueCustomerSync(customer) {
+  customer.NextSyncAttempt = new Date();
+  customer.SyncAttempts = 0;
+  if (customer.LocalStatus !== 'Synced') {
+    customer.LocalStatus = 'Created';
+  }
+  return customer;
+}
+
+// Push one customer to SAP as a business partner and write back the CardCode
+async function syncCustomerToSAP(customer, client = getClient(), config = sapConfig) {
+  if (customer.SAPSyncDisabled) {
+    return { status: 'skipped', reason: 'SAP sync disabled for customer' };
+  }
+  if (customer.SyncedWithSAP && customer.CardCode) {
+    return { status: 'skipped', reason: 'Customer already synced', cardCode: customer.CardCode };
+  }
+
+  customer.LastSyncAttempt = new Date();
+  customer.SyncAttempts = (customer.SyncAttempts || 0) + 1;
+
+  try {
+    let partner = await findExistingBusinessPartner(client, customer);
+    if (partner) {
+      console.log('SAP business partner already exists for customer:', customer._id, 'CardCode:', partner.CardCode);
+    } else {
+      partner = await client.post('/BusinessPartners', mapCustomerToSAP(customer, config));
+    }
+
+    customer.CardCode = partner.CardCode;
+    customer.customerType = 'sap';
+    customer.SyncedWithSAP = true;
+    customer.LocalStatus = 'Synced';
+    customer.SyncErrors = null;
+    customer.NextSyncAttempt = null;
+    await customer.save();
+
+    console.log('Customer synced to SAP:', { customerId: customer._id, CardCode: partner.CardCode });
+    return { status: 'synced', cardCode: partner.CardCode };
+  } catch (error) {
+    customer.SyncErrors = error.message;
+    customer.LocalStatus = 'SyncFailed';
+    // A partner waiting for an admin to confirm is not retried automatically
+    customer.NextSyncAttempt = customer.SyncAttempts >= config.syncMaxAttempts || error.code === 'SAP_PARTNER_NEEDS_REVIEW'
+      ? null
+      : getNextSyncAttempt(customer.SyncAttempts, config);
+    await customer.save();
+
+    console.error('SAP customer sync failed:', {
+      customerId: customer._id,
+      attempt: customer.SyncAttempts,
+      nextAttempt: customer.NextSyncAttempt,
+      error: error.message
+    });
+    return { status: 'failed', error: error.message, attempts: customer.SyncAttempts, nextAttempt: customer.NextSyncAttempt };
+  }
+}
+
+// Customers are only queued explicitly (registerBusiness or an admin retry),
+// so a NextSyncAttempt in the past is what makes one due
+function findCustomersDueForSync(limit = sapConfig.syncBatchSize) {
+  return Customer.find({
+    SyncedWithSAP: { $ne: true },
+    SAPSyncDisabled: { $ne: true },
+    NextSyncAttempt: { $lte: new Date() }
+  })
+    .sort({ NextSyncAttempt: 1 })
+    .limit(limit);
+}
+
+async function runCustomerSyncBatch(client = getClient(), config = sapConfig) {
+  const summary = { processed: 0, synced: 0, failed: 0, skipped: 0 };
+  const customers = await findCustomersDueForSync(config.syncBatchSize);
+
+  for (const customer of customers) {
+    const result = await syncCustomerToSAP(customer, client, config);
+    summary.processed += 1;
+    summary[result.status] += 1;
+  }
+
+  if (summary.processed > 0) {
+    console.log('SAP customer sync batch complete:', summary);
+  }
+  return summary;
+}
+
+/**
+ * CardCode to store on a new SalesOrder: the customer's SAP business partner
+ * when it has been synced, otherwise the user id (resolved again at order sync).
+ */
+async function resolveOrderCardCode(userId) {
+  if (!userId) return userId;
+  const customer = await Customer.findOne({ user: userId, SyncedWithSAP: true })
+    .select('CardCode')
+    .lean();
+  return customer?.CardCode || String(userId);
+}
+
+/**
+ * Used by the order sync for orders that still carry a user id as CardCode.
+ * Returns { cardCode } once the customer is in SAP, { pending: true } while
+ * the customer is queued or waiting for a retry (the order waits for it),
+ * { failed: true } once its sync attempts are used up (an admin has to retry
+ * it), or null when the user has no customer to sync.
+ */
+async function getCustomerSAPStatus(userId) {
+  if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) return null;
+  const customer = await Customer.findOne({ user: userId })
+    .select('CardCode SyncedWithSAP SAPSyncDisabled NextSyncAttempt LocalStatus')
+    .lean();
+  if (!customer || customer.SAPSyncDisabled) return null;
+  if (customer.SyncedWithSAP && customer.CardCode) return { cardCode: customer.CardCode };
+  if (customer.NextSyncAttempt) return { pending: true };
+  return customer.LocalStatus === 'SyncFailed' ? { failed: true } : null;
+}
+
+// Periodically sync queued customers; enabled with SAP_SYNC_ENABLED=true
+function startCustomerSyncWorker(config = sapConfig) {
+  if (!config.syncEnabled) {
+    console.log('SAP customer sync worker disabled');
+    return null;
+  }
+  if (workerTimer) return workerTimer;
+
+  workerTimer = setInterval(async () => {
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+      await runCustomerSyncBatch(getClient(), config);
+    } catch (error) {
+      console.error('SAP customer sync worker error:', error);
+    } finally {
+      workerRunning = false;
+    }
+  }, config.syncIntervalMs);
+  workerTimer.unref();
+
+  console.log('SAP customer sync worker started, interval:', config.syncIntervalMs, 'ms');
+  return workerTimer;
+}
+
+module.exports = {
+  mapCustomerToSAP,
+  queueCustomerSync,
+  syncCustomerToSAP,
+  runCustomerSyncBatch,
+  resolveOrderCardCode,
+  getCustomerSAPStatus,
+  startCustomerSyncWorker
+};
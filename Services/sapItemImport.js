@@ -0,0 +1,240 @@
+const fs = require('fs/promises');
+const Item = require('../Models/Product');
+const Category = require('../Models/Category');
+const sapConfig = require('../Config/sap');
+const { createServiceLayerClient } = require('./sapServiceLayer');
+const { formatSAPDate } = require('./sapOrderSync');
+
+// Item fields owned by the website; an import never overwrites them
+const WEB_MANAGED_FIELDS = new Set([
+  '_id', '__v', 'createdAt', 'updatedAt', 'store',
+  'image', 'imagePath', 'imageKey', 'Description', 'featured',
+  'ratingAverage', 'ratingCount', 'quantityBreaks'
+]);
+
+// Top-level Item fields that are copied from the SAP Items object
+const SAP_ITEM_FIELDS = Object.keys(Item.schema.paths)
+  .filter(path => !path.includes('.') && !WEB_MANAGED_FIELDS.has(path));
+
+// "YYYY-MM-DD HH:mm:ss" key used to compare SAP change stamps
+function getChangeStamp(record) {
+  if (!record || !record.UpdateDate) return null;
+  const time = record.UpdateTime ? String(record.UpdateTime).padStart(8, '0') : '00:00:00';
+  return `${formatSAPDate(record.UpdateDate)} ${time}`;
+}
+
+// Latest SAP change stamp already imported for a store (incremental watermark)
+async function getStoreWatermark(storeId) {
+  const latest = await Item.findOne({ store: storeId, UpdateDate: { $ne: null } })
+    .sort({ UpdateDate: -1, UpdateTime: -1 })
+    .select('UpdateDate UpdateTime')
+    .lean();
+  return latest ? { UpdateDate: formatSAPDate(latest.UpdateDate), UpdateTime: latest.UpdateTime || '00:00:00' } : null;
+}
+
+// OData filter for items changed at or after the watermark. Items on the
+// boundary are fetched again and reported as unchanged.
+function buildIncrementalFilter(since) {
+  const date = formatSAPDate(since.UpdateDate);
+  const time = since.UpdateTime || '00:00:00';
+  return `UpdateDate gt '${date}' or (UpdateDate eq '${date}' and UpdateTime ge '${time}')`;
+}
+
+// Service Layer returns a relative next link ("Items?$skip=100") that may
+// also carry the /b1s/vX prefix depending on version
+function getNextPath(page) {
+  const nextLink = page['odata.nextLink'] || page['@odata.nextLink'];
+  if (!nextLink) return null;
+  return '/' + nextLink.replace(/^.*\/b1s\/v\d+\//, '').replace(/^\//, '');
+}
+
+// Yield pages of SAP Items from the Service Layer
+async function* fetchSAPItemPages(client, { since = null, pageSize = 100 } = {}) {
+  let path = '/Items';
+  if (since) {
+    path += `?$filter=${encodeURIComponent(buildIncrementalFilter(since))}`;
+  }
+  const options = { headers: { Prefer: `odata.maxpagesize=${pageSize}` } };
+
+  while (path) {
+    const page = await client.get(path, options);
+    yield page.value || [];
+    path = getNextPath(page);
+  }
+}
+
+// Read a JSON export (an array of Items or a Service Layer { value: [...] } page)
+async function readItemsFile(filePathOrBuffer) {
+  const raw = Buffer.isBuffer(filePathOrBuffer)
+    ? filePathOrBuffer.toString('utf8')
+    : await fs.readFile(filePathOrBuffer, 'utf8');
+  const parsed = JSON.parse(raw);
+  const items = Array.isArray(parsed) ? parsed : parsed.value || parsed.items;
+  if (!Array.isArray(items)) {
+    throw new Error('Import file must contain an array of items or a { value: [...] } object');
+  }
+  return items;
+}
+
+// Pick the SAP fields the Item schema knows about; nulls from SAP are dropped
+function mapSAPItem(sapItem) {
+  const fields = {};
+  SAP_ITEM_FIELDS.forEach(field => {
+    if (sapItem[field] !== undefined && sapItem[field] !== null) {
+      fields[field] = sapItem[field];
+    }
+  });
+  return fields;
+}
+
+// SAP owns the stock figures but Reserved holds web checkouts, so keep it
+function mergeWarehouseInfo(existingRows = [], sapRows = []) {
+  const reservedByWarehouse = new Map(
+    existingRows.map(row => [row.WarehouseCode, row.Reserved || 0])
+  );
+  return sapRows
+    .filter(row => row && row.WarehouseCode)
+    .map(row => ({ ...row, Reserved: reservedByWarehouse.get(row.WarehouseCode) || 0 }));
+}
+
+// Import one page of SAP items into a store
+async function importItemBatch(sapItems, context) {
+  const { storeId, categoriesByGroup, summary, options } = context;
+
+  const codes = sapItems.map(item => item && item.ItemCode).filter(Boolean);
+  const existingItems = await Item.find({ store: storeId, ItemCode: { $in: codes } });
+  const existingByCode = new Map(existingItems.map(item => [item.ItemCode, item]));
+
+  for (const sapItem of sapItems) {
+    const itemCode = sapItem && sapItem.ItemCode;
+    const skip = (reason) => {
+      summary.skipped += 1;
+      summary.skippedItems.push({ ItemCode: itemCode || null, reason });
+    };
+
+    if (!itemCode || !sapItem.ItemName) {
+      skip('Missing ItemCode or ItemName');
+      continue;
+    }
+    if (sapItem.SalesItem === 'tNO') {
+      skip('Not a sales item');
+      continue;
+    }
+    if (sapItem.ItemsGroupCode !== undefined && sapItem.ItemsGroupCode !== null &&
+        !categoriesByGroup.has(Number(sapItem.ItemsGroupCode)) && !options.allowUnmappedGroups) {
+      summary.unmappedGroups.add(Number(sapItem.ItemsGroupCode));
+      skip(`No category for ItemsGroupCode ${sapItem.ItemsGroupCode}`);
+      continue;
+    }
+
+    const existing = existingByCode.get(itemCode);
+    const incomingStamp = getChangeStamp(sapItem);
+    if (existing && !options.force && incomingStamp && incomingStamp === getChangeStamp(existing)) {
+      skip('Unchanged since last import');
+      continue;
+    }
+
+    const fields = mapSAPItem(sapItem);
+    if (Array.isArray(sapItem.ItemWarehouseInfoCollection)) {
+      fields.ItemWarehouseInfoCollection = mergeWarehouseInfo(
+        existing ? existing.ItemWarehouseInfoCollection : [],
+        sapItem.ItemWarehouseInfoCollection
+      );
+    }
+
+    try {
+      const item = existing || new Item({ store: storeId });
+      item.set(fields);
+      await item.validate();
+      if (!options.dryRun) {
+        await item.save({ validateBeforeSave: false });
+      }
+      summary[existing ? 'updated' : 'created'] += 1;
+    } catch (error) {
+      summary.failed += 1;
+      summary.errors.push({ ItemCode: itemCode, error: error.message });
+    }
+  }
+}
+
+/**
+ * Import SAP items, prices and warehouse stock into a store's catalogue.
+ * Source is the Service Layer unless `items` or `file` is given.
+ * Options: incremental (only items changed since the last import), since
+ * ({ UpdateDate, UpdateTime } overriding the stored watermark), force
+ * (update unchanged items), allowUnmappedGroups, dryRun, pageSize.
+ */
+async function importItems(storeId, options = {}) {
+  const startedAt = new Date();
+  const summary = {
+    store: storeId,
+    source: options.items || options.file ? 'file' : 'sap',
+    incremental: Boolean(options.incremental),
+    since: null,
+    dryRun: Boolean(options.dryRun),
+    received: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    unmappedGroups: new Set(),
+    skippedItems: [],
+    errors: []
+  };
+
+  const categories = await Category.find({ store: storeId }).select('ItemsGroupCode').lean();
+  const context = {
+    storeId,
+    categoriesByGroup: new Map(categories.map(category => [category.ItemsGroupCode, category])),
+    summary,
+    options
+  };
+
+  if (options.incremental) {
+    const since = typeof options.since === 'string' ? { UpdateDate: options.since } : options.since;
+    summary.since = since || await getStoreWatermark(storeId);
+  }
+
+  if (summary.source === 'file') {
+    let items = options.items || await readItemsFile(options.file);
+    if (summary.since) {
+      const sinceStamp = getChangeStamp(summary.since);
+      items = items.filter(item => !item || !item.UpdateDate || getChangeStamp(item) >= sinceStamp);
+    }
+    summary.received = items.length;
+    await importItemBatch(items, context);
+  } else {
+    const client = options.client || createServiceLayerClient(options.config || sapConfig);
+    try {
+      for await (const page of fetchSAPItemPages(client, { since: summary.since, pageSize: options.pageSize })) {
+        summary.received += page.length;
+        await importItemBatch(page, context);
+      }
+    } finally {
+      if (!options.client) await client.logout();
+    }
+  }
+
+  summary.unmappedGroups = [...summary.unmappedGroups];
+  summary.durationMs = Date.now() - startedAt.getTime();
+  console.log('SAP item import complete:', {
+    store: storeId,
+    source: summary.source,
+    received: summary.received,
+    created: summary.created,
+    updated: summary.updated,
+    skipped: summary.skipped,
+    failed: summary.failed
+  });
+  return summary;
+}
+
+module.exports = {
+  SAP_ITEM_FIELDS,
+  getStoreWatermark,
+  buildIncrementalFilter,
+  readItemsFile,
+  mapSAPItem,
+  mergeWarehouseInfo,
+  importItems
+};
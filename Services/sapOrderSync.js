@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+const SalesOrder = require('../Models/SalesOrder');
+const Item = require('../Models/Product');
+const sapConfig = require('../Config/sap');
+const { createServiceLayerClient, getNextSyncAttempt } = require('./sapServiceLayer');
+const { getReservationWarehouse } = require('./stockService');
+const { getCustomerSAPStatus } = require('./sapCustomerSync');
+
+// Local statuses that the sync is allowed to overwrite
+const SYNCABLE_LOCAL_STATUSES = ['Created', 'Confirmed', 'SyncFailed'];
+
+let sharedClient = null;
+let workerTimer = null;
+let workerRunning = false;
+
+const getClient = () => {
+  if (!sharedClient) sharedClient = createServiceLayerClient(sapConfig);
+  return sharedClient;
+};
+
+// Service Layer expects plain YYYY-MM-DD dates
+const formatSAPDate = (date) => new Date(date || Date.now()).toISOString().split('T')[0];
+
+const roundPercent = (value) => Math.round(value * 10000) / 10000;
+
+// Web orders store the user id as CardCode until the customer has a business partner
+function resolveCardCode(order, config = sapConfig) {
+  const cardCode = order.CardCode ? String(order.CardCode) : '';
+  if (cardCode && !mongoose.Types.ObjectId.isValid(cardCode)) {
+    return cardCode;
+  }
+  return config.defaultCardCode || null;
+}
+
+// Map a SalesOrder to a Service Layer Orders payload. productsById maps
+// orderItems[].product to the Item document (for ItemCode and warehouse).
+function mapOrderToSAP(order, productsById = new Map(), config = sapConfig) {
+  const cardCode = resolveCardCode(order, config);
+  if (!cardCode) {
+    throw new Error('Order has no SAP CardCode and SAP_DEFAULT_CARD_CODE is not set');
+  }
+
+  const sourceLines = (order.orderItems && order.orderItems.length > 0)
+    ? order.orderItems.map(item => ({
+      product: productsById.get(String(item.product)),
+      itemCode: productsById.get(String(item.product))?.ItemCode,
+      description: item.name,
+      quantity: item.quantity,
+      // SAP adds VAT from the line's VAT group, so send the net price
+      price: item.netPrice ?? item.price,
+      vatGroup: item.vatGroup,
+      freeQuantity: item.isFreeItem ? item.quantity : (item.freeQuantity || 0),
+      uomEntry: item.uomEntry,
+      itemsPerUnit: item.itemsPerUnit || 1
+    }))
+    : (order.DocumentLines || []).map(line => ({
+      product: productsById.get(String(line.ItemCode)),
+      itemCode: productsById.get(String(line.ItemCode))?.ItemCode || line.ItemCode,
+      description: line.ItemDescription,
+      quantity: line.Quantity,
+      price: line.Price,
+      vatGroup: line.VatGroup,
+      freeQuantity: 0,
+      uomEntry: line.UoMEntry,
+      itemsPerUnit: 1
+    }));
+
+  if (sourceLines.length === 0) {
+    throw new Error('Order has no lines to sync');
+  }
+
+  const DocumentLines = sourceLines.map((line, idx) => {
+    if (!line.itemCode) {
+      throw new Error(`Line ${idx} has no SAP ItemCode`);
+    }
+    const sapLine = {
+      ItemCode: line.itemCode,
+      ItemDescription: line.description,
+      Quantity: line.quantity,
+      UnitPrice: line.price
+    };
+    // Case lines go to SAP in the sales UoM when its entry is known, else in pieces
+    if (line.uomEntry !== undefined && line.uomEntry !== null) {
+      sapLine.UoMEntry = line.uomEntry;
+    } else if (line.itemsPerUnit > 1) {
+      sapLine.Quantity = line.quantity * line.itemsPerUnit;
+      sapLine.UnitPrice = Math.round((line.price / line.itemsPerUnit) * 1000000) / 1000000;
+    }
+    if (line.vatGroup) {
+      sapLine.VatGroup = line.vatGroup;
+    }
+    // Free quantities from promotions are sent as a line discount
+    if (line.freeQuantity > 0 && line.quantity > 0) {
+      sapLine.DiscountPercent = roundPercent(Math.min(100, (line.freeQuantity / line.quantity) * 100));
+    }
+    const warehouseCode = line.product ? getReservationWarehouse(line.product) : null;
+    if (warehouseCode) {
+      sapLine.WarehouseCode = warehouseCode;
+    }
+    return sapLine;
+  });
+
+  const payload = {
+    CardCode: cardCode,
+    DocDate: formatSAPDate(order.createdAt),
+    DocDueDate: formatSAPDate(order.deliveryDate || order.pickupDate || order.createdAt),
+    TaxDate: formatSAPDate(order.createdAt),
+    NumAtCard: order.trackingNumber || order._id.toString(),
+    Comments: (order.notes || order.Comments || '').substring(0, 254),
+    DocumentLines
+  };
+
+  // Order-level promotion discounts go on the document header
+  if (order.totalDiscount > 0 && order.originalTotal > 0) {
+    payload.DiscountPercent = roundPercent(Math.min(100, (order.totalDiscount / order.originalTotal) * 100));
+  }
+
+  // The delivery fee is a freight expense; SAP adds its VAT like on the lines
+  if (order.deliveryFee?.netAmount > 0 && config.deliveryExpenseCode) {
+    payload.DocumentAdditionalExpenses = [{
+      ExpenseCode: config.deliveryExpenseCode,
+      LineTotal: order.deliveryFee.netAmount
+    }];
+  }
+
+  return payload;
+}
+
+// Load the Item documents referenced by an order's lines
+async function loadOrderProducts(order) {
+  const refs = new Set();
+  (order.orderItems || []).forEach(item => item.product && refs.add(String(item.product)));
+  (order.DocumentLines || []).forEach(line => line.ItemCode && refs.add(String(line.ItemCode)));
+
+  const ids = [...refs].filter(ref => mongoose.Types.ObjectId.isValid(ref));
+  const codes = [...refs].filter(ref => !mongoose.Types.ObjectId.isValid(ref));
+  // ItemCodes are only unique within the order's store
+  const products = await Item.find({
+    $or: [{ _id: { $in: ids } }, ...(order.store ? [{ ItemCode: { $in: codes }, store: order.store }] : [])]
+  })
+    .select('ItemCode ItemName DefaultWarehouse InventoryItem ItemWarehouseInfoCollection');
+
+  const productsById = new Map();
+  products.forEach(product => {
+    productsById.set(product._id.toString(), product);
+    productsById.set(product.ItemCode, product);
+  });
+  return productsById;
+}
+
+// Look up an order already posted for this web order (protects against
+// duplicates when a previous attempt succeeded but was not saved locally)
+async function findExistingSAPOrder(client, numAtCard) {
+  const filter = encodeURIComponent(`NumAtCard eq '${String(numAtCard).replace(/'/g, "''")}'`);
+  const result = await client.get(`/Orders?$filter=${filter}&$select=DocEntry,DocNum`);
+  return result?.value?.[0] || null;
+}
+
+// Push one order to SAP and record the outcome on the order
+async function syncOrderToSAP(order, client = getClient(), config = sapConfig) {
+  if (order.SAPSyncDisabled) {
+    return { status: 'skipped', reason: 'SAP sync disabled for order' };
+  }
+  if (order.SyncedWithSAP && order.SAPDocEntry) {
+    return { status: 'skipped', reason: 'Order already synced', docEntry: order.SAPDocEntry };
+  }
+
+  order.LastSyncAttempt = new Date();
+  order.SyncAttempts = (order.SyncAttempts || 0) + 1;
+
+  try {
+    // Orders placed before the customer's business partner existed carry the user id
+    if (!order.CardCode || mongoose.Types.ObjectId.isValid(String(order.CardCode))) {
+      const customerStatus = await getCustomerSAPStatus(order.user || order.CardCode);
+      if (customerStatus?.pending) {
+        throw new Error('Customer business partner is not synced to SAP yet');
+      }
+      if (customerStatus?.failed) {
+        throw new Error('Customer business partner sync failed; retry the customer sync first');
+      }
+      if (customerStatus?.cardCode) {
+        order.CardCode = customerStatus.cardCode;
+      }
+    }
+
+    const productsById = await loadOrderProducts(order);
+    const payload = mapOrderToSAP(order, productsById, config);
+
+    let sapOrder = await findExistingSAPOrder(client, payload.NumAtCard);
+    if (sapOrder) {
+      console.log('SAP order already exists for order:', order._id, 'DocEntry:', sapOrder.DocEntry);
+    } else {
+      sapOrder = await client.post('/Orders', payload);
+    }
+
+    order.SAPDocEntry = sapOrder.DocEntry;
+    order.DocEntry = sapOrder.DocEntry;
+    order.DocNum = sapOrder.DocNum;
+    order.SyncedWithSAP = true;
+    order.SyncErrors = null;
+    order.NextSyncAttempt = null;
+    if (SYNCABLE_LOCAL_STATUSES.includes(order.LocalStatus)) {
+      order.LocalStatus = 'Synced';
+    }
+    await order.save();
+
+    console.log('Order synced to SAP:', { orderId: order._id, DocEntry: sapOrder.DocEntry, DocNum: sapOrder.DocNum });
+    return { status: 'synced', docEntry: sapOrder.DocEntry, docNum: sapOrder.DocNum };
+  } catch (error) {
+    order.SyncErrors = error.message;
+    order.NextSyncAttempt = order.SyncAttempts >= config.syncMaxAttempts
+      ? null
+      : getNextSyncAttempt(order.SyncAttempts, config);
+    if (SYNCABLE_LOCAL_STATUSES.includes(order.LocalStatus)) {
+      order.LocalStatus = 'SyncFailed';
+    }
+    await order.save();
+
+    console.error('SAP order sync failed:', {
+      orderId: order._id,
+      attempt: order.SyncAttempts,
+      nextAttempt: order.NextSyncAttempt,
+      error: error.message
+    });
+    return { status: 'failed', error: error.message, attempts: order.SyncAttempts, nextAttempt: order.NextSyncAttempt };
+  }
+}
+
+// Cancel an order that was already pushed to SAP
+async function cancelSAPOrder(order, client = getClient()) {
+  if (!order.SyncedWithSAP || !order.SAPDocEntry) {
+    return { status: 'skipped', reason: 'Order not synced to SAP' };
+  }
+
+  try {
+    await client.post(`/Orders(${order.SAPDocEntry})/Cancel`);
+    console.log('SAP order cancelled:', { orderId: order._id, DocEntry: order.SAPDocEntry });
+    return { status: 'cancelled', docEntry: order.SAPDocEntry };
+  } catch (error) {
+    console.error('SAP order cancel failed:', { orderId: order._id, DocEntry: order.SAPDocEntry, error: error.message });
+    return { status: 'failed', error: error.message };
+  }
+}
+
+// Orders that are paid (or use an offline payment method) and due for a sync attempt
+function findOrdersDueForSync(limit = sapConfig.syncBatchSize, config = sapConfig) {
+  const now = new Date();
+  return SalesOrder.find({
+    SyncedWithSAP: { $ne: true },
+    SAPSyncDisabled: { $ne: true },
+    LocalStatus: { $in: SYNCABLE_LOCAL_STATUSES },
+    SyncAttempts: { $not: { $gte: config.syncMaxAttempts } },
+    $and: [
+      { $or: [{ NextSyncAttempt: null }, { NextSyncAttempt: { $lte: now } }] },
+      {
+        $or: [
+          { payment_status: 'paid' },
+          { paymentMethod: { $in: ['cash', 'cheque', 'bank_transfer', 'on_account'] } }
+        ]
+      }
+    ]
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+}
+
+// Sync one batch of due orders
+async function runSapSyncBatch(client = getClient(), config = sapConfig) {
+  const summary = { processed: 0, synced: 0, failed: 0, skipped: 0 };
+  const orders = await findOrdersDueForSync(config.syncBatchSize, config);
+
+  for (const order of orders) {
+    const result = await syncOrderToSAP(order, client, config);
+    summary.processed += 1;
+    summary[result.status] += 1;
+  }
+
+  if (summary.processed > 0) {
+    console.log('SAP sync batch complete:', summary);
+  }
+  return summary;
+}
+
+// Periodically sync orders; enabled with SAP_SYNC_ENABLED=true
+function startSapSyncWorker(config = sapConfig) {
+  if (!config.syncEnabled) {
+    console.log('SAP order sync worker disabled');
+    return null;
+  }
+  if (workerTimer) return workerTimer;
+
+  workerTimer = setInterval(async () => {
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+      await runSapSyncBatch(getClient(), config);
+    } catch (error) {
+      console.error('SAP sync worker error:', error);
+    } finally {
+      workerRunning = false;
+    }
+  }, config.syncIntervalMs);
+  workerTimer.unref();
+
+  console.log('SAP order sync worker started, interval:', config.syncIntervalMs, 'ms');
+  return workerTimer;
+}
+
+module.exports = {
+  formatSAPDate,
+  resolveCardCode,
+  mapOrderToSAP,
+  getNextSyncAttempt,
+  syncOrderToSAP,
+  cancelSAPOrder,
+  findOrdersDueForSync,
+  runSapSyncBatch,
+  startSapSyncWorker
+};
@@ -0,0 +1,105 @@
+const axios = require('axios');
+const https = require('https');
+const sapConfig = require('../Config/sap');
+
+// Extract a readable message from a Service Layer error response
+function getServiceLayerError(error) {
+  const sapError = error.response?.data?.error;
+  if (sapError) {
+    const message = sapError.message?.value || sapError.message || 'Unknown Service Layer error';
+    return sapError.code !== undefined ? `[${sapError.code}] ${message}` : message;
+  }
+  if (error.response) {
+    return `HTTP ${error.response.status}: ${error.response.statusText || 'Service Layer request failed'}`;
+  }
+  return error.message || 'Service Layer request failed';
+}
+
+// Exponential backoff for sync retries: base * 2^(attempts - 1), capped
+function getNextSyncAttempt(attempts, config = sapConfig) {
+  const delaySeconds = Math.min(
+    config.syncBackoffSeconds * Math.pow(2, Math.max(0, attempts - 1)),
+    config.syncMaxBackoffSeconds
+  );
+  return new Date(Date.now() + delaySeconds * 1000);
+}
+
+// Create a Service Layer client. Sessions are kept in the B1SESSION/ROUTEID
+// cookies and renewed automatically when the Service Layer returns 401.
+function createServiceLayerClient(config = sapConfig) {
+  let sessionCookies = null;
+
+  const http = axios.create({
+    baseURL: config.baseUrl,
+    timeout: config.timeout,
+    headers: { 'Content-Type': 'application/json' },
+    httpsAgent: new https.Agent({ rejectUnauthorized: config.rejectUnauthorized })
+  });
+
+  async function login() {
+    const response = await http.post('/Login', {
+      CompanyDB: config.companyDB,
+      UserName: config.username,
+      Password: config.password
+    });
+
+    const setCookie = response.headers['set-cookie'] || [];
+    sessionCookies = setCookie.map(cookie => cookie.split(';')[0]).join('; ');
+    if (!sessionCookies && response.data?.SessionId) {
+      sessionCookies = `B1SESSION=${response.data.SessionId}`;
+    }
+    console.log('SAP Service Layer login successful');
+    return response.data;
+  }
+
+  async function request(method, path, data, options = {}) {
+    if (!sessionCookies) {
+      await login();
+    }
+
+    try {
+      const response = await http.request({
+        method,
+        url: path,
+        data,
+        headers: { Cookie: sessionCookies, ...(options.headers || {}) }
+      });
+      return response.data;
+    } catch (error) {
+      // Session expired: log in again and retry once
+      if (error.response?.status === 401 && !options.isRetry) {
+        sessionCookies = null;
+        return request(method, path, data, { ...options, isRetry: true });
+      }
+      const wrapped = new Error(getServiceLayerError(error));
+      wrapped.statusCode = error.response?.status;
+      wrapped.sapError = error.response?.data?.error || null;
+      throw wrapped;
+    }
+  }
+
+  async function logout() {
+    if (!sessionCookies) return;
+    try {
+      await http.post('/Logout', undefined, { headers: { Cookie: sessionCookies } });
+    } catch (error) {
+      console.error('SAP Service Layer logout error:', getServiceLayerError(error));
+    }
+    sessionCookies = null;
+  }
+
+  return {
+    login,
+    logout,
+    request,
+    get: (path, options) => request('get', path, undefined, options),
+    post: (path, data, options) => request('post', path, data, options),
+    patch: (path, data, options) => request('patch', path, data, options)
+  };
+}
+
+module.exports = {
+  createServiceLayerClient,
+  getServiceLayerError,
+  getNextSyncAttempt
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../Models/Session');
+const User = require('../Models/User');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+// Avoid a write on every request; lastUsedAt is only refreshed this often
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up directly
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+// Short label for the session list, e.g. "Chrome on Windows"
+function describeDevice(userAgent = '') {
+  const browser = [
+    [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Chrome\//, 'Chrome'],
+    [/Firefox\//, 'Firefox'], [/Safari\//, 'Safari']
+  ].find(([pattern]) => pattern.test(userAgent));
+  const os = [
+    [/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad|iOS/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'], [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return userAgent ? userAgent.substring(0, 60) : 'Unknown device';
+  return `${browser ? browser[1] : 'Browser'} on ${os ? os[1] : 'unknown OS'}`;
+}
+
+function getRequestInfo(req) {
+  const userAgent = (req && req.headers && req.headers['user-agent']) || '';
+  const forwardedFor = req && req.headers && req.headers['x-forwarded-for'];
+  const ip = forwardedFor ? String(forwardedFor).split(',')[0].trim() : (req && req.ip) || '';
+  return { userAgent, ip, device: describeDevice(userAgent) };
+}
+
+function buildAuthResponse(user, session, secret) {
+  return {
+    token: user.generateAuthToken(session._id, ACCESS_TOKEN_EXPIRES_IN),
+    refreshToken: buildRefreshToken(session._id, secret),
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session._id
+  };
+}
+
+/**
+ * Start a session for a user that just authenticated.
+ * Returns { token, refreshToken, expiresIn, refreshTokenExpiresAt, sessionId }.
+ */
+async function createSession(user, req) {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    ...getRequestInfo(req),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return buildAuthResponse(user, session, secret);
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Throws an error with statusCode 401 and a code when the token is not usable.
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const fail = (message, code) => {
+    const error = new Error(message);
+    error.statusCode = 401;
+    error.code = code;
+    return error;
+  };
+
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw fail('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive()) {
+    throw fail('Session has expired or was revoked. Please log in again.', 'SESSION_REVOKED');
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousRefreshTokenHash) {
+      await revokeSession(session._id, session.user, 'refresh_token_reuse');
+      console.warn('Refresh token reuse detected, session revoked:', session._id.toString());
+    }
+    throw fail('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const user = await User.findById(session.user).populate('assignedStore', 'name status');
+  if (!user || user.status !== 'active') {
+    await revokeSession(session._id, session.user, 'user_inactive');
+    throw fail('User account is inactive. Please contact support.', 'INACTIVE_USER');
+  }
+
+  // Conditional update so two concurrent refreshes cannot both rotate
+  const secret = crypto.randomBytes(48).toString('hex');
+  const { ip, userAgent, device } = getRequestInfo(req);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        previousRefreshTokenHash: presentedHash,
+        lastUsedAt: new Date(),
+        ip: ip || session.ip,
+        userAgent: userAgent || session.userAgent,
+        device: userAgent ? device : session.device
+      }
+    },
+    { new: true }
+  );
+  if (!rotated) throw fail('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+
+  return { user, ...buildAuthResponse(user, rotated, secret) };
+}
+
+// Session that a refresh token belongs to, if the token is the current one
+async function findSessionByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const session = await Session.findById(parsed.sessionId);
+  return session && session.refreshTokenHash === hashToken(parsed.secret) ? session : null;
+}
+
+async function revokeSession(sessionId, userId, reason = 'logout') {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user (optionally keeping one, e.g. the device
+ * that just changed the password). Also invalidates access tokens issued
+ * before sessions existed.
+ */
+async function revokeAllSessions(userId, reason, { exceptSessionId = null } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const [result] = await Promise.all([
+    Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } }),
+    User.updateOne({ _id: userId }, { $set: { sessionsRevokedAt: new Date() } })
+  ]);
+  return result.modifiedCount;
+}
+
+async function listActiveSessions(userId) {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('device userAgent ip lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+// Used by protect: the session behind an access token must still be active
+async function getActiveSession(sessionId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(String(sessionId))) return null;
+  const session = await Session.findById(sessionId).select('user revokedAt expiresAt lastUsedAt');
+  if (!session || !session.isActive() || String(session.user) !== String(userId)) return null;
+
+  if (Date.now() - new Date(session.lastUsedAt).getTime() > TOUCH_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.error('Session touch error:', error.message));
+  }
+  return session;
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  describeDevice,
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  getActiveSession
+};
@@ -0,0 +1,423 @@
+const mongoose = require('mongoose');
+const Item = require('../Models/Product');
+const StockReservation = require('../Models/StockReservation');
+
+// How long a checkout hold lasts before it expires
+const HOLD_MINUTES = parseInt(process.env.STOCK_HOLD_MINUTES || '15', 10);
+const MAX_UPDATE_ATTEMPTS = 5;
+
+let expiryTimer = null;
+
+// Warehouse used for web orders: the item's DefaultWarehouse, else its first warehouse
+function getReservationWarehouse(product) {
+  if (!product || product.InventoryItem === 'tNO') return null;
+  const warehouses = product.ItemWarehouseInfoCollection || [];
+  if (warehouses.length === 0) return null;
+  const defaultRow = warehouses.find(wh => wh.WarehouseCode === product.DefaultWarehouse);
+  return (defaultRow || warehouses[0]).WarehouseCode;
+}
+
+// Quantity that can still be sold from a warehouse (in stock minus soft holds)
+function getAvailableQuantity(product, warehouseCode = getReservationWarehouse(product)) {
+  if (!warehouseCode) return Infinity;
+  const row = (product.ItemWarehouseInfoCollection || []).find(wh => wh.WarehouseCode === warehouseCode);
+  if (!row) return 0;
+  return Math.max(0, (row.InStock || 0) - (row.Reserved || 0));
+}
+
+// Smallest quantity (in pieces) that can be ordered: MinimalOrder of the
+// reservation warehouse row, 0 when there is no minimum
+function getMinimalOrderQuantity(product, warehouseCode = getReservationWarehouse(product)) {
+  if (!warehouseCode) return 0;
+  const row = (product.ItemWarehouseInfoCollection || []).find(wh => wh.WarehouseCode === warehouseCode);
+  return row ? Math.max(0, row.MinimalOrder || 0) : 0;
+}
+
+// Line quantity in pieces; lines sold by the case carry itemsPerUnit
+const toBaseQuantity = (line) => Number(line.quantity || 0) * (Number(line.itemsPerUnit) || 1);
+
+// Quantity held for a specific cart, so a customer's own hold does not block them
+async function getHeldQuantityForCart(cartId, productId) {
+  if (!cartId) return 0;
+  const hold = await StockReservation.findActiveHold({ cart: cartId });
+  if (!hold) return 0;
+  return hold.items
+    .filter(item => item.product.toString() === productId.toString())
+    .reduce((sum, item) => sum + item.quantity, 0);
+}
+
+// Match a stored counter that may be missing on older documents
+const counterMatch = (value) => (value ? value : { $in: [0, null] });
+
+// Atomically adjust a warehouse row. computeDelta receives the current row and
+// returns { inStock, reserved } deltas, or null to reject. Uses compare-and-swap
+// on the row's current values so concurrent checkouts cannot oversell.
+async function adjustWarehouseStock(productId, warehouseCode, computeDelta) {
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+    const product = await Item.findById(productId).select('ItemWarehouseInfoCollection ItemCode');
+    if (!product) return { success: false, reason: 'Product not found' };
+
+    const row = product.ItemWarehouseInfoCollection.find(wh => wh.WarehouseCode === warehouseCode);
+    if (!row) return { success: false, reason: `Warehouse ${warehouseCode} not found` };
+
+    const delta = computeDelta(row);
+    if (!delta) {
+      return { success: false, reason: 'Insufficient stock', available: Math.max(0, (row.InStock || 0) - (row.Reserved || 0)) };
+    }
+
+    const inc = {};
+    if (delta.inStock) {
+      inc['ItemWarehouseInfoCollection.$.InStock'] = delta.inStock;
+      inc.QuantityOnStock = delta.inStock;
+    }
+    if (delta.reserved) {
+      inc['ItemWarehouseInfoCollection.$.Reserved'] = delta.reserved;
+    }
+    if (Object.keys(inc).length === 0) return { success: true, delta };
+
+    const result = await Item.updateOne(
+      {
+        _id: productId,
+        ItemWarehouseInfoCollection: {
+          $elemMatch: {
+            WarehouseCode: warehouseCode,
+            InStock: counterMatch(row.InStock),
+            Reserved: counterMatch(row.Reserved)
+          }
+        }
+      },
+      { $inc: inc }
+    );
+
+    if (result.modifiedCount === 1) {
+      return { success: true, delta };
+    }
+    console.log('Stock changed concurrently, retrying:', { productId: productId.toString(), warehouseCode, attempt });
+  }
+  return { success: false, reason: 'Stock is being updated, please try again' };
+}
+
+// Group lines ({ product, quantity, itemsPerUnit }) by product, in pieces,
+// and resolve each product's warehouse. Lines may reference products by
+// ItemCode, which is only unique within the store.
+async function buildReservationItems(lines, storeId) {
+  const grouped = new Map();
+  for (const line of lines) {
+    const productId = (line.product?._id || line.product).toString();
+    grouped.set(productId, (grouped.get(productId) || 0) + toBaseQuantity(line));
+  }
+
+  const items = [];
+  const shortages = [];
+  for (const [productId, quantity] of grouped) {
+    if (quantity <= 0) continue;
+    const product = mongoose.Types.ObjectId.isValid(productId)
+      ? await Item.findById(productId)
+      : storeId ? await Item.findOne({ ItemCode: productId, store: storeId }) : null;
+    if (!product) {
+      shortages.push({ product: productId, requested: quantity, available: 0, reason: 'Product not found' });
+      continue;
+    }
+    const warehouseCode = getReservationWarehouse(product);
+    if (!warehouseCode) {
+      console.log('Product has no stock-managed warehouse, skipping reservation:', product.ItemCode);
+      continue;
+    }
+    items.push({ product: product._id, itemCode: product.ItemCode, name: product.ItemName, warehouseCode, quantity });
+  }
+  return { items, shortages };
+}
+
+// Undo already-applied warehouse adjustments after a partial failure
+async function rollbackAdjustments(applied) {
+  for (const { item, delta } of applied) {
+    await adjustWarehouseStock(item.product, item.warehouseCode, () => ({
+      inStock: -(delta.inStock || 0),
+      reserved: -(delta.reserved || 0)
+    }));
+  }
+}
+
+// Soft-hold stock for a set of lines
+async function holdStock(lines, { user, cart, store, paymentIntentId } = {}) {
+  const { items, shortages } = await buildReservationItems(lines, store);
+  if (shortages.length > 0) {
+    return { success: false, shortages };
+  }
+
+  const applied = [];
+  for (const item of items) {
+    const result = await adjustWarehouseStock(item.product, item.warehouseCode, (row) => {
+      const available = (row.InStock || 0) - (row.Reserved || 0);
+      return available >= item.quantity ? { reserved: item.quantity } : null;
+    });
+    if (!result.success) {
+      shortages.push({
+        product: item.product,
+        itemCode: item.itemCode,
+        name: item.name,
+        requested: item.quantity,
+        available: result.available || 0,
+        reason: result.reason
+      });
+      continue;
+    }
+    applied.push({ item, delta: result.delta });
+  }
+
+  if (shortages.length > 0) {
+    await rollbackAdjustments(applied);
+    return { success: false, shortages };
+  }
+
+  const reservation = await StockReservation.create({
+    user,
+    cart,
+    store,
+    paymentIntentId,
+    items,
+    status: 'held',
+    expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+  });
+
+  console.log('Stock held:', { reservationId: reservation._id, items: items.length, expiresAt: reservation.expiresAt });
+  return { success: true, reservation };
+}
+
+// Give stock back: holds decrement Reserved, committed reservations restock InStock
+async function releaseReservation(reservation, reason = 'released') {
+  if (!reservation || !['held', 'committed'].includes(reservation.status)) {
+    return reservation;
+  }
+
+  // Only the caller that moves it out of held/committed gives the stock back;
+  // the document as it was tells whether it had been committed
+  const update = { status: reason === 'expired' ? 'expired' : 'released', releasedAt: new Date(), releaseReason: reason };
+  const previous = await StockReservation.findOneAndUpdate(
+    { _id: reservation._id, status: { $in: ['held', 'committed'] } },
+    { $set: update }
+  ).lean();
+  if (!previous) return null;
+
+  const wasCommitted = previous.status === 'committed';
+  for (const item of previous.items) {
+    const result = await adjustWarehouseStock(item.product, item.warehouseCode, (row) => (
+      wasCommitted
+        ? { inStock: item.quantity }
+        : { reserved: -Math.min(item.quantity, row.Reserved || 0) }
+    ));
+    if (!result.success) {
+      console.error('Failed to release stock for item:', { itemCode: item.itemCode, reason: result.reason });
+    }
+  }
+
+  console.log('Stock reservation released:', { reservationId: previous._id, reason, restocked: wasCommitted });
+  return { ...previous, ...update };
+}
+
+// Hold stock for everything in a cart, replacing any previous hold for that cart
+async function holdCartStock(cart, userId, { paymentIntentId } = {}) {
+  const previousHolds = await StockReservation.find({ cart: cart._id, status: 'held' });
+  for (const previous of previousHolds) {
+    await releaseReservation(previous, 'replaced');
+  }
+
+  const lines = (cart.items || []).map(item => ({
+    product: item.product,
+    quantity: item.quantity,
+    itemsPerUnit: item.itemsPerUnit
+  }));
+  return holdStock(lines, { user: userId, cart: cart._id, store: cart.store, paymentIntentId });
+}
+
+// Deduct stock for an order. Uses the checkout hold when there is one so the
+// held quantity is converted instead of being counted twice.
+async function commitOrderStock(order, lines, { paymentIntentId, cartId } = {}) {
+  // Claim the checkout hold before touching stock, so the expiry job and the
+  // payment webhooks cannot release it at the same time. A hold that expired
+  // in the meantime is not used and the order is checked against free stock.
+  const committedAt = new Date();
+  const claimHold = (filter) => StockReservation.findOneAndUpdate(
+    { ...filter, status: 'held' },
+    { $set: { status: 'committed', order: order._id, committedAt } },
+    { new: true, sort: { createdAt: -1 } }
+  );
+  let hold = null;
+  if (paymentIntentId) {
+    hold = await claimHold({ paymentIntentId });
+  }
+  if (!hold && cartId) {
+    hold = await claimHold({ cart: cartId });
+  }
+  // Hand the hold back when the order cannot be committed
+  const unclaimHold = () => hold && StockReservation.updateOne(
+    { _id: hold._id, status: 'committed', order: order._id },
+    { $set: { status: 'held' }, $unset: { order: 1, committedAt: 1 } }
+  );
+
+  const heldByKey = new Map();
+  if (hold) {
+    for (const item of hold.items) {
+      const key = `${item.product}:${item.warehouseCode}`;
+      heldByKey.set(key, (heldByKey.get(key) || 0) + item.quantity);
+    }
+  }
+
+  const { items, shortages } = await buildReservationItems(lines, order.store);
+  if (shortages.length > 0) {
+    await unclaimHold();
+    return { success: false, shortages };
+  }
+
+  const applied = [];
+  for (const item of items) {
+    const held = heldByKey.get(`${item.product}:${item.warehouseCode}`) || 0;
+    const result = await adjustWarehouseStock(item.product, item.warehouseCode, (row) => {
+      const releasedHold = Math.min(held, row.Reserved || 0);
+      const available = (row.InStock || 0) - ((row.Reserved || 0) - releasedHold);
+      if (available < item.quantity) return null;
+      return { inStock: -item.quantity, reserved: -releasedHold };
+    });
+    if (!result.success) {
+      shortages.push({
+        product: item.product,
+        itemCode: item.itemCode,
+        name: item.name,
+        requested: item.quantity,
+        available: result.available || 0,
+        reason: result.reason
+      });
+      continue;
+    }
+    applied.push({ item, delta: result.delta });
+  }
+
+  if (shortages.length > 0) {
+    await rollbackAdjustments(applied);
+    await unclaimHold();
+    return { success: false, shortages };
+  }
+
+  // Any held product that was not part of the order still needs its hold dropped
+  for (const [key, quantity] of heldByKey) {
+    const [productId, warehouseCode] = key.split(':');
+    if (items.some(item => item.product.toString() === productId && item.warehouseCode === warehouseCode)) continue;
+    await adjustWarehouseStock(productId, warehouseCode, (row) => ({ reserved: -Math.min(quantity, row.Reserved || 0) }));
+  }
+
+  let reservation;
+  if (hold) {
+    hold.items = items;
+    reservation = await hold.save();
+  } else {
+    reservation = await StockReservation.create({
+      user: order.user,
+      store: order.store,
+      order: order._id,
+      paymentIntentId,
+      items,
+      status: 'committed',
+      committedAt,
+      expiresAt: committedAt
+    });
+  }
+
+  console.log('Stock committed for order:', { orderId: order._id, reservationId: reservation._id, fromHold: !!hold });
+  return { success: true, reservation };
+}
+
+// Release holds tied to a payment intent (payment failed or canceled)
+async function releaseHoldsForPaymentIntent(paymentIntentId, reason) {
+  if (!paymentIntentId) return 0;
+  const holds = await StockReservation.find({ paymentIntentId, status: 'held' });
+  for (const hold of holds) {
+    await releaseReservation(hold, reason);
+  }
+  return holds.length;
+}
+
+// Return committed stock for an order (refund or cancellation)
+async function releaseOrderStock(orderId, reason) {
+  const reservations = await StockReservation.find({ order: orderId, status: 'committed' });
+  for (const reservation of reservations) {
+    await releaseReservation(reservation, reason);
+  }
+  return reservations.length;
+}
+
+// Return part of an order's committed stock. lines: [{ product, quantity, itemsPerUnit }]
+async function restockOrderLines(orderId, lines, reason) {
+  const reservation = await StockReservation.findOne({ order: orderId, status: 'committed' });
+  if (!reservation) return 0;
+
+  let restocked = 0;
+  for (const line of lines) {
+    const productId = (line.product?._id || line.product).toString();
+    const item = reservation.items.find(i => i.product.toString() === productId);
+    if (!item) continue;
+
+    const quantity = Math.min(toBaseQuantity(line), item.quantity);
+    if (quantity <= 0) continue;
+
+    const result = await adjustWarehouseStock(item.product, item.warehouseCode, () => ({ inStock: quantity }));
+    if (!result.success) {
+      console.error('Failed to restock item:', { itemCode: item.itemCode, reason: result.reason });
+      continue;
+    }
+    item.quantity -= quantity;
+    restocked += quantity;
+  }
+
+  reservation.items = reservation.items.filter(item => item.quantity > 0);
+  if (reservation.items.length === 0) {
+    reservation.status = 'released';
+    reservation.releasedAt = new Date();
+    reservation.releaseReason = reason;
+  }
+  await reservation.save();
+  console.log('Order lines restocked:', { orderId, restocked, reason });
+  return restocked;
+}
+
+// Expire holds whose checkout never completed
+async function expireStaleReservations() {
+  try {
+    const stale = await StockReservation.find({ status: 'held', expiresAt: { $lte: new Date() } }).limit(100);
+    for (const reservation of stale) {
+      await releaseReservation(reservation, 'expired');
+    }
+    if (stale.length > 0) {
+      console.log(`Expired ${stale.length} stale stock reservations`);
+    }
+    return stale.length;
+  } catch (error) {
+    console.error('Error expiring stock reservations:', error);
+    return 0;
+  }
+}
+
+// Run expireStaleReservations on an interval
+function startReservationExpiryJob(intervalMs = 60 * 1000) {
+  if (expiryTimer) return expiryTimer;
+  expiryTimer = setInterval(expireStaleReservations, intervalMs);
+  expiryTimer.unref();
+  return expiryTimer;
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  getReservationWarehouse,
+  getAvailableQuantity,
+  getMinimalOrderQuantity,
+  toBaseQuantity,
+  getHeldQuantityForCart,
+  holdStock,
+  holdCartStock,
+  commitOrderStock,
+  releaseReservation,
+  releaseHoldsForPaymentIntent,
+  releaseOrderStock,
+  restockOrderLines,
+  expireStaleReservations,
+  startReservationExpiryJob
+};
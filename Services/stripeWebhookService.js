@@ -0,0 +1,103 @@
+const WebhookEvent = require('../Models/WebhookEvent');
+
+// An event stuck in "processing" this long (crashed worker) may be picked up again
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Store a verified Stripe event. Returns { record, duplicate } where duplicate
+ * is true when the event id was already stored (a Stripe retry).
+ */
+async function recordWebhookEvent(event) {
+  const filter = { eventId: event.id };
+  const update = {
+    $setOnInsert: {
+      eventId: event.id,
+      type: event.type,
+      objectId: event.data?.object?.id,
+      livemode: Boolean(event.livemode),
+      stripeCreatedAt: event.created ? new Date(event.created * 1000) : new Date(),
+      payload: event
+    },
+    $inc: { deliveries: 1 }
+  };
+
+  try {
+    const result = await WebhookEvent.findOneAndUpdate(filter, update, {
+      upsert: true,
+      new: true,
+      includeResultMetadata: true
+    });
+    return { record: result.value, duplicate: Boolean(result.lastErrorObject?.updatedExisting) };
+  } catch (error) {
+    // Two deliveries of the same event raced on the insert
+    if (error.code === 11000) {
+      const record = await WebhookEvent.findOneAndUpdate(filter, { $inc: { deliveries: 1 } }, { new: true });
+      return { record, duplicate: true };
+    }
+    throw error;
+  }
+}
+
+// Atomically move an event to "processing"; null when it is not in one of the given statuses
+function claimWebhookEvent(eventId, statuses) {
+  return WebhookEvent.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: { $in: statuses } },
+        { status: 'processing', processingStartedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', processingStartedAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Run the handler for a stored event at most once.
+ * handlers maps event types to async (object, event) functions.
+ * With force, events that were already processed or ignored run again (replay).
+ * Returns { status, skipped, error }.
+ */
+async function processWebhookEvent(eventId, handlers, { force = false } = {}) {
+  const statuses = force ? ['received', 'failed', 'processed', 'ignored'] : ['received', 'failed'];
+  const record = await claimWebhookEvent(eventId, statuses);
+  if (!record) {
+    const current = await WebhookEvent.findOne({ eventId }).select('status').lean();
+    return { status: current ? current.status : 'missing', skipped: true };
+  }
+
+  const handler = handlers[record.type];
+  if (!handler) {
+    await WebhookEvent.updateOne(
+      { _id: record._id },
+      { $set: { status: 'ignored', processedAt: new Date() }, $unset: { lastError: 1 } }
+    );
+    console.log(`Unhandled event type: ${record.type}`);
+    return { status: 'ignored', skipped: false };
+  }
+
+  try {
+    await handler(record.payload.data.object, record.payload);
+    await WebhookEvent.updateOne(
+      { _id: record._id },
+      { $set: { status: 'processed', processedAt: new Date() }, $unset: { lastError: 1 } }
+    );
+    return { status: 'processed', skipped: false };
+  } catch (error) {
+    console.error(`Webhook event ${record.eventId} (${record.type}) failed:`, error.message);
+    await WebhookEvent.updateOne(
+      { _id: record._id },
+      { $set: { status: 'failed', lastError: error.message } }
+    );
+    return { status: 'failed', skipped: false, error };
+  }
+}
+
+module.exports = {
+  recordWebhookEvent,
+  processWebhookEvent
+};
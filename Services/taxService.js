@@ -0,0 +1,150 @@
+const Store = require('../Models/Store');
+const Customer = require('../Models/Customer');
+const Item = require('../Models/Product');
+const { roundMoney } = require('./money');
+
+/**
+ * VAT settings of a store:
+ * { pricesIncludeTax, defaultRate, vatGroups: Map(code -> rate), exemptVatGroup }
+ * Stores without settings charge no VAT on VAT-exclusive prices.
+ */
+async function getTaxSettings(storeId) {
+  const store = storeId
+    ? await Store.findById(storeId._id || storeId).select('settings').lean()
+    : null;
+  const settings = store?.settings || {};
+  return {
+    pricesIncludeTax: Boolean(settings.pricesIncludeTax),
+    defaultRate: settings.taxRate || 0,
+    vatGroups: new Map((settings.vatGroups || []).map(group => [group.code, group.rate])),
+    exemptVatGroup: settings.exemptVatGroup || null
+  };
+}
+
+// Business customers an admin has marked as exempt pay no VAT
+async function isTaxExempt(userId) {
+  if (!userId) return false;
+  const customer = await Customer.findOne({ user: userId }).select('taxExemption').lean();
+  return Boolean(customer?.taxExemption?.exempt);
+}
+
+// VAT rate of an item: its SAP sales VAT group's rate in the store, else the
+// store's default rate. Items that are not VAT liable are zero rated.
+function getLineTaxRate(product, settings) {
+  const vatGroup = product?.SalesVATGroup || null;
+  if (product?.VatLiable === 'tNO') return { vatGroup, taxRate: 0 };
+  if (vatGroup && settings.vatGroups.has(vatGroup)) {
+    return { vatGroup, taxRate: settings.vatGroups.get(vatGroup) };
+  }
+  return { vatGroup, taxRate: settings.defaultRate };
+}
+
+// Split an order-level discount over the lines in proportion to their amount;
+// the last line with an amount takes the rounding difference
+function allocateDiscount(amounts, discount) {
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (!discount || total <= 0) return amounts.map(() => 0);
+
+  const lastIndex = amounts.reduce((last, amount, index) => (amount > 0 ? index : last), -1);
+  const allocated = roundMoney(Math.min(discount, total));
+  let remaining = allocated;
+  return amounts.map((amount, index) => {
+    if (index === lastIndex) return remaining;
+    const share = Math.min(roundMoney(allocated * amount / total), remaining);
+    remaining = roundMoney(remaining - share);
+    return share;
+  });
+}
+
+/**
+ * Net, VAT and gross amounts for priced lines.
+ *
+ * lines: [{ product (Item or id), amount, discountable }] where amount is
+ * what the line costs at its list prices, before the order discount. Lines
+ * with discountable false (delivery fees) take no share of the discount;
+ * lines without a product are taxed at the store's default rate.
+ * options: { store, userId, discount, settings, taxExempt }
+ *
+ * With VAT-inclusive prices the discounted amount is the gross; with
+ * VAT-exclusive prices it is the net. Exempt customers pay the net amount.
+ * Returns { pricesIncludeTax, taxExempt, lines, netTotal, taxTotal,
+ *           grossTotal, breakdown } with lines in the order given and a
+ * breakdown of net and VAT per rate.
+ */
+async function calculateTax(lines, { store, userId, discount = 0, settings, taxExempt } = {}) {
+  const taxSettings = settings || await getTaxSettings(store);
+  const exempt = taxExempt !== undefined ? taxExempt : await isTaxExempt(userId);
+
+  // VAT fields are needed from the product; load the ones given as ids
+  const unloaded = lines
+    .map(line => line.product)
+    .filter(product => product && product.ItemCode === undefined)
+    .map(product => product._id || product);
+  const loaded = unloaded.length > 0
+    ? await Item.find({ _id: { $in: unloaded } }).select('SalesVATGroup VatLiable').lean()
+    : [];
+  const loadedById = new Map(loaded.map(product => [String(product._id), product]));
+
+  const amounts = lines.map(line => roundMoney(line.amount));
+  const discounts = allocateDiscount(
+    amounts.map((amount, index) => (lines[index].discountable === false ? 0 : amount)),
+    discount
+  );
+  const breakdown = new Map();
+
+  const taxLines = lines.map((line, index) => {
+    const product = line.product && line.product.ItemCode === undefined
+      ? loadedById.get(String(line.product._id || line.product))
+      : line.product;
+    const { vatGroup, taxRate } = getLineTaxRate(product, taxSettings);
+    const amount = roundMoney(amounts[index] - discounts[index]);
+
+    let netAmount;
+    let taxAmount;
+    if (taxSettings.pricesIncludeTax) {
+      netAmount = roundMoney(amount / (1 + taxRate / 100));
+      taxAmount = exempt ? 0 : roundMoney(amount - netAmount);
+    } else {
+      netAmount = amount;
+      taxAmount = exempt ? 0 : roundMoney(amount * taxRate / 100);
+    }
+
+    const appliedRate = exempt ? 0 : taxRate;
+    const rateTotals = breakdown.get(appliedRate) || { taxRate: appliedRate, netAmount: 0, taxAmount: 0 };
+    rateTotals.netAmount = roundMoney(rateTotals.netAmount + netAmount);
+    rateTotals.taxAmount = roundMoney(rateTotals.taxAmount + taxAmount);
+    breakdown.set(appliedRate, rateTotals);
+
+    return {
+      product: product?._id || line.product?._id || line.product,
+      vatGroup: exempt && taxSettings.exemptVatGroup ? taxSettings.exemptVatGroup : vatGroup,
+      taxRate: appliedRate,
+      // VAT contained in the line's list price (0 for VAT-exclusive prices)
+      includedTaxRate: taxSettings.pricesIncludeTax ? taxRate : 0,
+      netAmount,
+      taxAmount,
+      grossAmount: roundMoney(netAmount + taxAmount)
+    };
+  });
+
+  const netTotal = roundMoney(taxLines.reduce((sum, line) => sum + line.netAmount, 0));
+  const taxTotal = roundMoney(taxLines.reduce((sum, line) => sum + line.taxAmount, 0));
+
+  return {
+    pricesIncludeTax: taxSettings.pricesIncludeTax,
+    taxExempt: exempt,
+    lines: taxLines,
+    netTotal,
+    taxTotal,
+    grossTotal: roundMoney(netTotal + taxTotal),
+    breakdown: [...breakdown.values()].sort((a, b) => b.taxRate - a.taxRate)
+  };
+}
+
+module.exports = {
+  getTaxSettings,
+  isTaxExempt,
+  getLineTaxRate,
+  allocateDiscount,
+  calculateTax
+};
@@ -53,6 +53,26 @@ const corsOptions = {
 app.use(cors(corsOptions));
 connectDB();
 
+// Release checkout stock holds that were never completed
+const { startReservationExpiryJob } = require('./Services/stockService');
+startReservationExpiryJob();
+
+// Release checkout time slot holds that were never completed
+const { startSlotHoldExpiryJob } = require('./Services/deliverySlotService');
+startSlotHoldExpiryJob();
+
+// Push paid orders to SAP Business One (SAP_SYNC_ENABLED=true)
+const { startSapSyncWorker } = require('./Services/sapOrderSync');
+startSapSyncWorker();
+
+// Push registered businesses to SAP as business partners
+const { startCustomerSyncWorker } = require('./Services/sapCustomerSync');
+startCustomerSyncWorker();
+
+// Flag on-account invoices past their payment terms
+const { startOverdueInvoiceJob } = require('./Services/creditService');
+startOverdueInvoiceJob();
+
 // Import General router
 const userRoutes = require('./Routes/UserRouter');
 const authRouter = require('./Routes/AuthRouter');
@@ -61,12 +81,14 @@ const paymentRouter = require('./Routes/PaymentRouter');
 const translationRouter = require('./Routes/TranslationRouter');
 const disputeRouter = require('./Routes/DisputeRouter');
 const promotionRouter = require('./Routes/PromotionRouter');
+const reviewRouter = require('./Routes/ReviewRouter');
 
 // SuperAdmin routes
 const storeRoutes = require('./Routes/SuperAdmin/StoreRouter');
 const BannerRouter=require("./Routes/SuperAdmin/BannerRouter")
 const CategoryRouter=require("./Routes/SuperAdmin/CateogryRouter")
 const ProductRouter=require("./Routes/SuperAdmin/ProductRouter")
+const customerGroupRouter = require('./Routes/SuperAdmin/CustomerGroupRouter');
 
 //Admin Imports
 const bannerRouter = require('./Routes/Admin/BannerRouter');
@@ -86,12 +108,14 @@ app.use('/api/payment', paymentRouter);
 app.use('/api/translation', translationRouter);
 app.use('/api/orderdispute', disputeRouter);
 app.use('/api/promotions', promotionRouter);
+app.use('/api/reviews', reviewRouter);
 
 // mount SuperAdmin Routes
 app.use('/api/superAdmin/stores', storeRoutes);
 app.use('/api/superAdmin/banners',BannerRouter);
 app.use('/api/superAdmin/category',CategoryRouter);
 app.use('/api/superAdmin/products',ProductRouter);
+app.use('/api/superAdmin/customer-groups', customerGroupRouter);
 
 
 // mount Admin Routes
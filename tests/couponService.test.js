@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Coupon = require('../Models/Coupon');
+const {
+  claimCoupon,
+  releaseCouponClaims,
+  redeemCoupon,
+  releaseOrderCoupons
+} = require('../Services/couponService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Query stand-in: the operation runs when awaited, like a Mongoose query
+const query = (run) => ({
+  then(resolve, reject) { return Promise.resolve().then(run).then(resolve, reject); }
+});
+
+// The filter operators the coupon service uses
+const matchesValue = (actual, expected) => {
+  if (expected && typeof expected === 'object' && !(expected instanceof mongoose.Types.ObjectId)) {
+    if ('$in' in expected) return expected.$in.some(value => matchesValue(actual, value));
+    if ('$lte' in expected) return actual !== undefined && actual <= expected.$lte;
+  }
+  if (actual === undefined || actual === null) return expected === undefined || expected === null;
+  return String(actual) === String(expected);
+};
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => (
+  key === '$or' ? value.some(branch => matches(doc, branch)) : matchesValue(doc[key], value)
+));
+
+const applyUpdate = (doc, update) => {
+  const set = update.$set || (update.$unset ? {} : update);
+  Object.assign(doc, set);
+  for (const key of Object.keys(update.$unset || {})) delete doc[key];
+};
+
+describe('couponService', () => {
+  let coupons;
+
+  beforeEach(() => {
+    coupons = [];
+    mock.method(Coupon, 'findOneAndUpdate', (filter, update) => query(() => {
+      const coupon = coupons.find(candidate => matches(candidate, filter));
+      if (!coupon) return null;
+      applyUpdate(coupon, update);
+      return coupon;
+    }));
+    mock.method(Coupon, 'updateMany', (filter, update) => query(() => {
+      const matched = coupons.filter(candidate => matches(candidate, filter));
+      for (const coupon of matched) applyUpdate(coupon, update);
+      return { modifiedCount: matched.length };
+    }));
+  });
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const addCoupon = (fields = {}) => {
+    const coupon = { _id: id(), code: 'SAVE-1234', status: 'available', ...fields };
+    coupons.push(coupon);
+    return coupon;
+  };
+
+  it('lets only one checkout claim a coupon', async () => {
+    const coupon = addCoupon();
+    const [firstCart, secondCart] = [id(), id()];
+
+    const first = await claimCoupon(coupon._id, { userId: id(), cartId: firstCart });
+    const second = await claimCoupon(coupon._id, { userId: id(), cartId: secondCart });
+
+    assert.equal(first.status, 'reserved');
+    assert.equal(String(first.reservedCart), String(firstCart));
+    assert.equal(second, null);
+  });
+
+  it('lets another checkout take over a claim that has run out', async () => {
+    const coupon = addCoupon({ status: 'reserved', reservedCart: id(), reservedUntil: new Date(Date.now() - 1000) });
+    const cartId = id();
+
+    const claimed = await claimCoupon(coupon._id, { userId: id(), cartId });
+
+    assert.equal(String(claimed.reservedCart), String(cartId));
+    assert.ok(claimed.reservedUntil > new Date());
+  });
+
+  it('gives a cart\'s claims back when its checkout is refused', async () => {
+    const cartId = id();
+    const coupon = addCoupon();
+    const otherClaim = addCoupon({ code: 'SAVE-5678', status: 'reserved', reservedCart: id(), reservedUntil: new Date(Date.now() + 60000) });
+    await claimCoupon(coupon._id, { userId: id(), cartId });
+
+    const released = await releaseCouponClaims(cartId);
+
+    assert.equal(released, 1);
+    assert.equal(coupon.status, 'available');
+    assert.equal(coupon.reservedCart, undefined);
+    assert.equal(otherClaim.status, 'reserved');
+    assert.equal(await releaseCouponClaims(undefined), 0);
+  });
+
+  it('redeems a coupon for the cart that claimed it only', async () => {
+    const cartId = id();
+    const coupon = addCoupon();
+    await claimCoupon(coupon._id, { userId: id(), cartId });
+
+    const refused = await redeemCoupon(coupon._id, { userId: id(), orderId: id(), cartId: id() });
+    const orderId = id();
+    const redeemed = await redeemCoupon(coupon._id, { userId: id(), orderId, cartId });
+    const again = await redeemCoupon(coupon._id, { userId: id(), orderId: id(), cartId });
+
+    assert.equal(refused, null);
+    assert.equal(redeemed.status, 'redeemed');
+    assert.equal(String(redeemed.redeemedOrder), String(orderId));
+    assert.equal(redeemed.reservedCart, undefined);
+    assert.equal(again, null);
+  });
+
+  it('makes a coupon usable again when its order was not placed', async () => {
+    const coupon = addCoupon();
+    const orderId = id();
+    await redeemCoupon(coupon._id, { userId: id(), orderId });
+
+    await releaseOrderCoupons(orderId);
+
+    assert.equal(coupon.status, 'available');
+    assert.equal(coupon.redeemedOrder, undefined);
+  });
+});
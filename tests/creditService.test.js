@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../Models/User');
+const Customer = require('../Models/Customer');
+const { reserveOnAccountCredit, releaseOnAccountCredit } = require('../Services/creditService');
+
+// Query stand-in: the operation runs when awaited, like a Mongoose query
+const query = (run) => ({
+  select() { return this; },
+  then(resolve, reject) { return Promise.resolve().then(run).then(resolve, reject); }
+});
+
+// The aggregation operators the credit limit check uses
+function evaluate(expression, doc) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return expression.slice(1).split('.').reduce((value, key) => value?.[key], doc);
+  }
+  if (!expression || typeof expression !== 'object') return expression;
+  const [[operator, args]] = Object.entries(expression);
+  const values = args.map(arg => evaluate(arg, doc));
+  switch (operator) {
+    case '$ifNull': return values[0] ?? values[1];
+    case '$add': return values.reduce((sum, value) => sum + value, 0);
+    case '$round': return Math.round(values[0] * 10 ** values[1]) / 10 ** values[1];
+    case '$lte': return values[0] <= values[1];
+    case '$gte': return values[0] >= values[1];
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+}
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+  if (key === '$expr') return evaluate(value, doc);
+  const actual = key.split('.').reduce((current, part) => current?.[part], doc);
+  if (value && typeof value === 'object' && '$gte' in value) return actual >= value.$gte;
+  return String(actual) === String(value);
+});
+
+const applyInc = (doc, inc) => {
+  for (const [key, amount] of Object.entries(inc)) doc[key] = Math.round(((doc[key] || 0) + amount) * 100) / 100;
+};
+
+describe('creditService', () => {
+  let user;
+  let customer;
+
+  beforeEach(() => {
+    user = { _id: new mongoose.Types.ObjectId(), registrationType: 'business', documentVerificationStatus: 'verified' };
+    customer = {
+      _id: new mongoose.Types.ObjectId(),
+      user: user._id,
+      outstandingBalance: 0,
+      reservedCredit: 0,
+      creditTerms: { enabled: true, creditLimit: 1000, paymentTermsDays: 30 }
+    };
+
+    mock.method(User, 'findById', () => query(() => user));
+    mock.method(Customer, 'findOne', () => query(() => customer));
+    mock.method(Customer, 'findById', () => query(() => customer));
+    mock.method(Customer, 'findOneAndUpdate', (filter, update) => query(() => {
+      if (!matches(customer, filter)) return null;
+      applyInc(customer, update.$inc);
+      return customer;
+    }));
+    mock.method(Customer, 'updateOne', (filter, update) => query(() => {
+      if (!matches(customer, filter)) return { modifiedCount: 0 };
+      applyInc(customer, update.$inc);
+      return { modifiedCount: 1 };
+    }));
+  });
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reserves credit apart from the outstanding balance', async () => {
+    customer.outstandingBalance = 300;
+    const now = new Date('2026-10-01T00:00:00Z');
+
+    const reservation = await reserveOnAccountCredit(user._id, 200, now);
+
+    assert.equal(customer.reservedCredit, 200);
+    assert.equal(customer.outstandingBalance, 300);
+    assert.equal(reservation.amount, 200);
+    assert.equal(reservation.availableCredit, 500);
+    assert.deepEqual(reservation.dueDate, new Date('2026-10-31T00:00:00Z'));
+  });
+
+  it('counts credit reserved by orders still being placed against the limit', async () => {
+    const [first, second] = await Promise.allSettled([
+      reserveOnAccountCredit(user._id, 600),
+      reserveOnAccountCredit(user._id, 600)
+    ]);
+
+    assert.equal(first.status, 'fulfilled');
+    assert.equal(second.status, 'rejected');
+    assert.equal(second.reason.code, 'CREDIT_LIMIT_EXCEEDED');
+    assert.equal(second.reason.statusCode, 409);
+    assert.equal(second.reason.availableCredit, 400);
+    assert.equal(customer.reservedCredit, 600);
+  });
+
+  it('keeps a reservation when the outstanding balance is rebuilt', async () => {
+    await reserveOnAccountCredit(user._id, 700);
+    // refreshOutstandingBalance finds no payment record for the order yet
+    customer.outstandingBalance = 0;
+
+    await assert.rejects(reserveOnAccountCredit(user._id, 400), { code: 'CREDIT_LIMIT_EXCEEDED' });
+  });
+
+  it('gives reserved credit back once', async () => {
+    const reservation = await reserveOnAccountCredit(user._id, 250);
+
+    await releaseOnAccountCredit(reservation);
+    await releaseOnAccountCredit(reservation);
+
+    assert.equal(customer.reservedCredit, 0);
+  });
+
+  it('refuses customers without enabled credit terms', async () => {
+    customer.creditTerms.enabled = false;
+
+    await assert.rejects(reserveOnAccountCredit(user._id, 10), { code: 'CREDIT_NOT_AVAILABLE', statusCode: 403 });
+    assert.equal(customer.reservedCredit, 0);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Store = require('../Models/Store');
+const { quoteDelivery } = require('../Services/deliveryFeeService');
+
+const storeId = new mongoose.Types.ObjectId();
+
+// Serve the store from memory instead of the database
+const useStore = (store) => {
+  mock.method(Store, 'findById', () => ({
+    select: () => ({ lean: async () => store })
+  }));
+};
+
+describe('quoteDelivery', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('quotes pickup at no fee without loading the store', async () => {
+    const findById = mock.method(Store, 'findById');
+
+    const quote = await quoteDelivery(storeId, { method: 'pickup' });
+
+    assert.equal(quote.method, 'pickup');
+    assert.equal(quote.available, true);
+    assert.equal(quote.fee, 0);
+    assert.equal(findById.mock.callCount(), 0);
+  });
+
+  it('delivers at no fee for stores without a fee configuration', async () => {
+    useStore({ _id: storeId });
+
+    const quote = await quoteDelivery(storeId, { goodsTotal: 10 });
+
+    assert.equal(quote.available, true);
+    assert.equal(quote.fee, 0);
+  });
+
+  it('charges the flat fee and checks the minimum order value', async () => {
+    useStore({ deliveryFees: { mode: 'flat', flatFee: 15, minimumOrderValue: 50 } });
+
+    const below = await quoteDelivery(storeId, { goodsTotal: 49.99 });
+    const above = await quoteDelivery(storeId, { goodsTotal: 50 });
+
+    assert.equal(below.fee, 15);
+    assert.equal(below.meetsMinimum, false);
+    assert.equal(above.meetsMinimum, true);
+  });
+
+  it('prices postcodes by their longest matching zone', async () => {
+    useStore({
+      deliveryFees: {
+        mode: 'postcode',
+        postcodeZones: [
+          { name: 'City', postcodes: ['SW1'], fee: 5 },
+          { name: 'Westminster', postcodes: ['SW1A'], fee: 3 }
+        ],
+        otherPostcodesFee: null
+      }
+    });
+
+    const westminster = await quoteDelivery(storeId, { address: { postalCode: 'sw1a 1aa' } });
+    const city = await quoteDelivery(storeId, { address: { postalCode: 'SW1P 3BU' } });
+    const outside = await quoteDelivery(storeId, { address: { postalCode: 'E1 6AN' } });
+    const missing = await quoteDelivery(storeId, { address: {} });
+
+    assert.deepEqual([westminster.zone, westminster.fee], ['Westminster', 3]);
+    assert.deepEqual([city.zone, city.fee], ['City', 5]);
+    assert.equal(outside.available, false);
+    assert.equal(outside.reason, 'OUTSIDE_DELIVERY_AREA');
+    assert.equal(missing.reason, 'ADDRESS_REQUIRED');
+  });
+
+  it('prices by distance band from the store', async () => {
+    useStore({
+      location: { coordinates: { latitude: 25.2048, longitude: 55.2708 } },
+      deliveryFees: {
+        mode: 'distance',
+        distanceBands: [{ maxKm: 20, fee: 25 }, { maxKm: 5, fee: 10 }]
+      }
+    });
+
+    // About 2.3 km and 10.4 km from the store
+    const near = await quoteDelivery(storeId, { address: { latitude: 25.2255, longitude: 55.2708 } });
+    const far = await quoteDelivery(storeId, { address: { latitude: 25.2984, longitude: 55.2708 } });
+    const tooFar = await quoteDelivery(storeId, { address: { latitude: 25.5, longitude: 55.2708 } });
+
+    assert.equal(near.fee, 10);
+    assert.equal(far.fee, 25);
+    assert.ok(far.distanceKm > 10 && far.distanceKm < 11);
+    assert.equal(tooFar.available, false);
+    assert.equal(tooFar.reason, 'OUTSIDE_DELIVERY_AREA');
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Promotion = require('../Models/Promotion');
+const { selectPromotions } = require('../Services/promotionCombinationService');
+
+const storeId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+// A Wednesday, 12:00 UTC
+const at = new Date('2026-10-14T12:00:00Z');
+
+const product = { _id: new mongoose.Types.ObjectId(), ItemName: 'Olive oil', ItemsGroupCode: 100 };
+const cart = {
+  store: storeId,
+  user: userId,
+  items: [{ product, price: 50, quantity: 2, freeQuantity: 0, isFreeItem: false }]
+};
+
+const cartTotalPromotion = (name, discount, fields = {}) => new Promotion({
+  name,
+  type: 'cartTotal',
+  rule: { cartTotal: { minAmount: 0, ...discount } },
+  store: storeId,
+  startDate: new Date('2026-01-01T00:00:00Z'),
+  endDate: new Date('2026-12-31T00:00:00Z'),
+  ...fields
+});
+
+const names = (entries) => entries.map(entry => entry.promotion.name).sort();
+
+describe('selectPromotions', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('combines stackable promotions when together they beat an exclusive one', () => {
+    const exclusive = cartTotalPromotion('Exclusive 10 off', { discountAmount: 10 }, { stacking: 'exclusive', priority: 5 });
+    const percent = cartTotalPromotion('8% off', { discountPercentage: 8 }, { stacking: 'stackable' });
+    const flat = cartTotalPromotion('5 off', { discountAmount: 5 });
+
+    const { selected, dropped } = selectPromotions(cart, [exclusive, percent, flat], { userId, at });
+
+    assert.deepEqual(names(selected), ['5 off', '8% off']);
+    assert.equal(dropped.length, 1);
+    assert.equal(dropped[0].promotion.name, 'Exclusive 10 off');
+    assert.equal(dropped[0].reason, 'EXCLUSIVE');
+  });
+
+  it('keeps an exclusive promotion that saves more than the rest combined', () => {
+    const exclusive = cartTotalPromotion('Exclusive 20 off', { discountAmount: 20 }, { stacking: 'exclusive' });
+    const flat = cartTotalPromotion('5 off', { discountAmount: 5 });
+
+    const { selected, dropped } = selectPromotions(cart, [exclusive, flat], { userId, at });
+
+    assert.deepEqual(names(selected), ['Exclusive 20 off']);
+    assert.equal(dropped[0].reason, 'EXCLUDED_BY_EXCLUSIVE');
+  });
+
+  it('only stacks within-group promotions with their own group', () => {
+    const weekly = cartTotalPromotion('Weekly 6 off', { discountAmount: 6 }, { stacking: 'stackable-within-group', stackGroup: 'weekly' });
+    const weeklyExtra = cartTotalPromotion('Weekly 3 off', { discountAmount: 3 }, { stacking: 'stackable-within-group', stackGroup: 'weekly' });
+    const seasonal = cartTotalPromotion('Seasonal 4 off', { discountAmount: 4 }, { stacking: 'stackable-within-group', stackGroup: 'seasonal' });
+
+    const { selected, dropped } = selectPromotions(cart, [weekly, weeklyExtra, seasonal], { userId, at });
+
+    assert.deepEqual(names(selected), ['Weekly 3 off', 'Weekly 6 off']);
+    assert.equal(dropped[0].promotion.name, 'Seasonal 4 off');
+    assert.equal(dropped[0].reason, 'STACK_GROUP');
+  });
+
+  it('drops promotions outside their schedule or validity at the pricing time', () => {
+    const weekends = cartTotalPromotion('Weekend 5 off', { discountAmount: 5 }, {
+      schedule: { windows: [{ days: [0, 6], startTime: '00:00', endTime: '23:59' }] }
+    });
+    const expired = cartTotalPromotion('Expired 5 off', { discountAmount: 5 }, {
+      endDate: new Date('2026-10-01T00:00:00Z')
+    });
+
+    const { selected, dropped } = selectPromotions(cart, [weekends, expired], { userId, at });
+
+    assert.equal(selected.length, 0);
+    assert.deepEqual(
+      dropped.map(entry => [entry.promotion.name, entry.reason]),
+      [['Weekend 5 off', 'OUTSIDE_SCHEDULE'], ['Expired 5 off', 'NOT_APPLICABLE']]
+    );
+  });
+
+  it('does not stack a buy-X-get-Y and a percentage cart discount by default', () => {
+    const buyOneGetOne = new Promotion({
+      name: 'Buy 1 get 1',
+      type: 'buyXGetY',
+      rule: { buyXGetY: { buyQuantity: 1, getQuantity: 1, sameItem: true } },
+      store: storeId,
+      startDate: new Date('2026-01-01T00:00:00Z'),
+      endDate: new Date('2026-12-31T00:00:00Z')
+    });
+    const percent = cartTotalPromotion('20% off', { discountPercentage: 20 });
+    const flat = cartTotalPromotion('5 off', { discountAmount: 5 });
+
+    const { selected } = selectPromotions(cart, [buyOneGetOne, percent, flat], { userId, at });
+
+    assert.equal(buyOneGetOne.stacking, 'exclusive');
+    assert.equal(percent.stacking, 'exclusive');
+    assert.equal(flat.stacking, 'stackable');
+    assert.equal(selected.length, 1);
+  });
+
+  it('lists a promotion given twice only once', () => {
+    const flat = cartTotalPromotion('5 off', { discountAmount: 5 });
+
+    const { selected, dropped } = selectPromotions(cart, [flat, flat], { userId, at });
+
+    assert.equal(selected.length, 1);
+    assert.equal(dropped.length, 0);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Promotion = require('../Models/Promotion');
+
+const product = (name) => ({ _id: new mongoose.Types.ObjectId(), ItemName: name, ItemsGroupCode: 100 });
+const water = product('Water');
+const juice = product('Juice');
+
+const promotion = (type, rule) => new Promotion({
+  name: type,
+  type,
+  rule: { [type]: rule },
+  endDate: new Date('2026-12-31T00:00:00Z')
+});
+
+// A piece line and a case line of six pieces
+const pieceLine = (item, price, quantity) => ({ product: item, uom: 'piece', itemsPerUnit: 1, price, quantity, freeQuantity: 0 });
+const caseLine = (item, price, quantity) => ({ product: item, uom: 'case', itemsPerUnit: 6, price, quantity, freeQuantity: 0 });
+
+describe('Promotion rules with case lines', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('counts the pieces in a case towards a bundle', () => {
+    const bundle = promotion('bundle', { items: [{ product: water._id, quantity: 6 }, { product: juice._id, quantity: 1 }], price: 10 });
+    const cart = { items: [caseLine(water, 9, 1), pieceLine(juice, 3, 1)] };
+
+    const [discount] = bundle.applyBundle(cart);
+
+    // One set: six pieces of water at 1.50 and one juice at 3 for 10
+    assert.equal(discount.bundleCount, 1);
+    assert.equal(discount.discountAmount, 2);
+  });
+
+  it('does not complete a bundle from fewer pieces than it lists', () => {
+    const bundle = promotion('bundle', { items: [{ product: water._id, quantity: 12 }], price: 15 });
+
+    assert.deepEqual(bundle.applyBundle({ items: [caseLine(water, 9, 1), pieceLine(water, 2, 5)] }), []);
+  });
+
+  it('gives the cheapest pieces free, pricing a case per piece', () => {
+    const cheapestFree = promotion('cheapestFree', { buyQuantity: 3, freeQuantity: 1 });
+    const cart = { items: [caseLine(water, 9, 1), pieceLine(juice, 2, 1)] };
+
+    const [discount] = cheapestFree.applyCheapestFree(cart);
+
+    // Seven pieces give two free, both water at 1.50 a piece
+    assert.equal(discount.freeUnits, 2);
+    assert.equal(discount.discountAmount, 3);
+  });
+});
+
+describe('Promotion.matchesCustomer', () => {
+  it('measures days since the last order from the time it is checked at', () => {
+    const lapsed = new Promotion({
+      name: 'Come back',
+      type: 'cartTotal',
+      rule: { cartTotal: { minAmount: 0, discountAmount: 5 } },
+      endDate: new Date('2026-12-31T00:00:00Z'),
+      targeting: { notOrderedWithinDays: 30 }
+    });
+    const customer = { userId: new mongoose.Types.ObjectId(), orderCount: 1, lastOrderDate: new Date('2026-09-01T00:00:00Z') };
+
+    assert.equal(lapsed.matchesCustomer(customer, new Date('2026-09-20T00:00:00Z')), false);
+    assert.equal(lapsed.matchesCustomer(customer, new Date('2026-10-14T00:00:00Z')), true);
+  });
+});
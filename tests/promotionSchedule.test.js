@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Promotion = require('../Models/Promotion');
+
+const scheduled = (windows, timeZone = 'UTC') => new Promotion({
+  name: 'Scheduled',
+  type: 'cartTotal',
+  rule: { cartTotal: { minAmount: 0, discountAmount: 5 } },
+  endDate: new Date('2026-12-31T00:00:00Z'),
+  schedule: { windows, timeZone }
+});
+
+describe('Promotion.isWithinSchedule', () => {
+  it('runs all the time without windows', () => {
+    assert.equal(scheduled([]).isWithinSchedule(new Date('2026-10-14T03:00:00Z')), true);
+  });
+
+  it('runs from the start time up to, not including, the end time', () => {
+    // Fridays 14:00-18:00; 2026-10-16 is a Friday
+    const promotion = scheduled([{ days: [5], startTime: '14:00', endTime: '18:00' }]);
+
+    assert.equal(promotion.isWithinSchedule(new Date('2026-10-16T13:59:00Z')), false);
+    assert.equal(promotion.isWithinSchedule(new Date('2026-10-16T14:00:00Z')), true);
+    assert.equal(promotion.isWithinSchedule(new Date('2026-10-16T17:59:00Z')), true);
+    assert.equal(promotion.isWithinSchedule(new Date('2026-10-16T18:00:00Z')), false);
+    // Thursday, same hours
+    assert.equal(promotion.isWithinSchedule(new Date('2026-10-15T15:00:00Z')), false);
+  });
+
+  it('carries an overnight window into the next morning', () => {
+    // Saturdays 22:00-02:00; 2026-10-17 is a Saturday
+    const promotion = scheduled([{ days: [6], startTime: '22:00', endTime: '02:00' }]);
+
+    assert.equal(promotion.isWithinSchedule(new Date('2026-10-17T23:00:00Z')), true);
+    assert.equal(promotion.isWithinSchedule(new Date('2026-10-18T01:30:00Z')), true);
+    assert.equal(promotion.isWithinSchedule(new Date('2026-10-18T02:00:00Z')), false);
+    // Sunday night is not a Saturday window
+    assert.equal(promotion.isWithinSchedule(new Date('2026-10-18T23:00:00Z')), false);
+  });
+
+  it('reads windows in the store timezone', () => {
+    // 14:00-18:00 in Dubai (UTC+4) is 10:00-14:00 UTC
+    const promotion = scheduled([{ days: [5], startTime: '14:00', endTime: '18:00' }], 'Asia/Dubai');
+
+    assert.equal(promotion.isWithinSchedule(new Date('2026-10-16T10:30:00Z')), true);
+    assert.equal(promotion.isWithinSchedule(new Date('2026-10-16T15:00:00Z')), false);
+  });
+});
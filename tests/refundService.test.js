@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { resolveRefundLines } = require('../Services/refundService');
+
+const line = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  product: new mongoose.Types.ObjectId(),
+  name: 'Olive oil',
+  price: 10,
+  quantity: 1,
+  freeQuantity: 0,
+  refundedQuantity: 0,
+  ...fields
+});
+
+const order = (orderItems, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderItems,
+  originalTotal: orderItems.reduce((sum, item) => sum + item.price * (item.quantity - (item.freeQuantity || 0)), 0),
+  ...fields
+});
+
+describe('resolveRefundLines', () => {
+  it('refunds a line at its price when the order had no discount', () => {
+    const item = line({ quantity: 3 });
+    const paid = order([item], { DocTotal: 30 });
+
+    const [refund] = resolveRefundLines(paid, [{ itemId: item._id, quantity: 2 }]);
+
+    assert.equal(refund.quantity, 2);
+    assert.equal(refund.amount, 20);
+  });
+
+  it('spreads an order discount over the refunded lines', () => {
+    const oil = line({ price: 30 });
+    const rice = line({ price: 70, name: 'Rice' });
+    const paid = order([oil, rice], { DocTotal: 90 });
+
+    const [refund] = resolveRefundLines(paid, [{ itemId: rice._id }]);
+
+    assert.equal(refund.amount, 63);
+  });
+
+  it('leaves the delivery fee out of line refunds', () => {
+    const item = line({ price: 50 });
+    const paid = order([item], { DocTotal: 60, deliveryFee: { amount: 10 } });
+
+    const [refund] = resolveRefundLines(paid, [{ itemId: item._id }]);
+
+    assert.equal(refund.amount, 50);
+  });
+
+  it('does not refund units a promotion gave for free', () => {
+    // 3 units, 1 of them free: 2 were paid at 10
+    const item = line({ quantity: 3, freeQuantity: 1 });
+    const paid = order([item], { DocTotal: 20 });
+
+    const [all] = resolveRefundLines(paid, [{ itemId: item._id, quantity: 3 }]);
+    const [one] = resolveRefundLines(paid, [{ itemId: item._id, quantity: 1 }]);
+
+    assert.equal(all.amount, 20);
+    assert.equal(one.amount, 6.67);
+  });
+
+  it('refunds nothing for a free gift line', () => {
+    const gift = line({ quantity: 1, isFreeItem: true });
+    const item = line({ price: 40 });
+    const paid = order([item, gift], { DocTotal: 40, originalTotal: 40 });
+
+    const [refund] = resolveRefundLines(paid, [{ itemId: gift._id }]);
+
+    assert.equal(refund.amount, 0);
+  });
+
+  it('matches lines by product when no line id is given', () => {
+    const item = line({ quantity: 2 });
+    const paid = order([item], { DocTotal: 20 });
+
+    const [refund] = resolveRefundLines(paid, [{ product: item.product, quantity: 1 }]);
+
+    assert.equal(refund.item, item);
+    assert.equal(refund.amount, 10);
+  });
+
+  it('rejects unknown lines and quantities beyond what is left to refund', () => {
+    const item = line({ quantity: 2, refundedQuantity: 1 });
+    const paid = order([item], { DocTotal: 20 });
+
+    assert.throws(
+      () => resolveRefundLines(paid, [{ itemId: new mongoose.Types.ObjectId(), quantity: 1 }]),
+      { statusCode: 400, message: /Order line not found/ }
+    );
+    assert.throws(
+      () => resolveRefundLines(paid, [{ itemId: item._id, quantity: 2 }]),
+      { statusCode: 400, message: 'Only 1 of Olive oil can still be refunded' }
+    );
+    assert.throws(
+      () => resolveRefundLines(paid, [{ itemId: item._id, quantity: 0.5 }]),
+      { statusCode: 400, message: 'Invalid refund quantity for Olive oil' }
+    );
+  });
+});
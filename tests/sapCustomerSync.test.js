@@ -0,0 +1,88 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { syncCustomerToSAP } = require('../Services/sapCustomerSync');
+
+const config = { customerCardCodePrefix: 'W', syncMaxAttempts: 5, syncBackoffSeconds: 60, syncMaxBackoffSeconds: 3600 };
+
+const customer = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  CardName: 'Jane Doe',
+  company: 'Doe Trading',
+  Email: 'orders@example.com',
+  async save() { return this; },
+  ...fields
+});
+
+// Service Layer client that finds the given partners by email
+const client = (partners) => {
+  const posted = [];
+  return {
+    posted,
+    async get(path) {
+      if (path.startsWith('/BusinessPartners(')) {
+        const error = new Error('Not found');
+        error.statusCode = 404;
+        throw error;
+      }
+      return { value: partners };
+    },
+    async post(path, payload) {
+      posted.push(payload);
+      return { CardCode: 'C-NEW' };
+    }
+  };
+};
+
+describe('syncCustomerToSAP', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('links a partner with the same email and company name', async () => {
+    const doe = customer();
+    const sap = client([{ CardCode: 'C100', CardName: 'DOE  Trading', Notes: '' }]);
+
+    const result = await syncCustomerToSAP(doe, sap, config);
+
+    assert.equal(result.cardCode, 'C100');
+    assert.equal(sap.posted.length, 0);
+  });
+
+  it('links a partner created for this web customer before', async () => {
+    const doe = customer();
+    const sap = client([{ CardCode: 'C200', CardName: 'Renamed in SAP', Notes: `Web customer ${doe._id}` }]);
+
+    const result = await syncCustomerToSAP(doe, sap, config);
+
+    assert.equal(result.cardCode, 'C200');
+  });
+
+  it('leaves a partner matching the email only for an admin to confirm', async () => {
+    const doe = customer();
+    const sap = client([{ CardCode: 'C300', CardName: 'Other Company', Notes: '' }]);
+
+    const result = await syncCustomerToSAP(doe, sap, config);
+
+    assert.equal(result.status, 'failed');
+    assert.match(result.error, /C300/);
+    assert.equal(doe.CardCode, undefined);
+    assert.equal(doe.LocalStatus, 'SyncFailed');
+    assert.equal(doe.NextSyncAttempt, null);
+    assert.equal(sap.posted.length, 0);
+  });
+
+  it('creates a partner when no one has the email', async () => {
+    const doe = customer();
+    const sap = client([]);
+
+    const result = await syncCustomerToSAP(doe, sap, config);
+
+    assert.equal(result.cardCode, 'C-NEW');
+    assert.equal(sap.posted[0].Notes, `Web customer ${doe._id}`);
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Session = require('../Models/Session');
+const User = require('../Models/User');
+const {
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeAllSessions,
+  getActiveSession
+} = require('../Services/sessionService');
+
+// Query stand-in: the operation runs when awaited, like a Mongoose query
+const query = (run) => ({
+  select() { return this; },
+  populate() { return this; },
+  then(resolve, reject) { return Promise.resolve().then(run).then(resolve, reject); }
+});
+
+const sameValue = (actual, expected) => {
+  if (expected && typeof expected === 'object' && '$ne' in expected) return String(actual) !== String(expected.$ne);
+  if (actual === undefined || actual === null) return expected === undefined || expected === null;
+  return String(actual) === String(expected);
+};
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => sameValue(doc[key], value));
+
+const request = { headers: { 'user-agent': 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0' }, ip: '10.0.0.1' };
+
+describe('sessionService', () => {
+  let sessions;
+  let user;
+
+  beforeEach(() => {
+    sessions = [];
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      status: 'active',
+      generateAuthToken: (sessionId) => `access-${sessionId}`
+    };
+
+    mock.method(console, 'warn', () => {});
+    mock.method(Session, 'create', async (fields) => {
+      const session = new Session(fields);
+      sessions.push(session);
+      return session;
+    });
+    mock.method(Session, 'findById', (sessionId) => query(() => (
+      sessions.find(session => String(session._id) === String(sessionId)) || null
+    )));
+    mock.method(Session, 'findOneAndUpdate', (filter, update) => query(() => {
+      const session = sessions.find(candidate => matches(candidate, filter));
+      if (!session) return null;
+      session.set(update.$set);
+      return session;
+    }));
+    mock.method(Session, 'updateOne', (filter, update) => query(() => {
+      const session = sessions.find(candidate => matches(candidate, filter));
+      if (!session) return { modifiedCount: 0 };
+      session.set(update.$set);
+      return { modifiedCount: 1 };
+    }));
+    mock.method(Session, 'updateMany', (filter, update) => query(() => {
+      const matched = sessions.filter(candidate => matches(candidate, filter));
+      matched.forEach(session => session.set(update.$set));
+      return { modifiedCount: matched.length };
+    }));
+    mock.method(User, 'findById', () => query(() => user));
+    mock.method(User, 'updateOne', () => query(() => ({ modifiedCount: 1 })));
+  });
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('starts a session the refresh token leads back to', async () => {
+    const auth = await createSession(user, request);
+
+    const session = await findSessionByRefreshToken(auth.refreshToken);
+
+    assert.equal(auth.token, `access-${auth.sessionId}`);
+    assert.equal(String(session._id), String(auth.sessionId));
+    assert.equal(session.device, 'Chrome on Windows');
+    assert.equal(session.ip, '10.0.0.1');
+    assert.ok(session.expiresAt > new Date());
+  });
+
+  it('rotates the refresh token and retires the old one', async () => {
+    const auth = await createSession(user, request);
+
+    const rotated = await rotateRefreshToken(auth.refreshToken, request);
+
+    assert.notEqual(rotated.refreshToken, auth.refreshToken);
+    assert.equal(String(rotated.sessionId), String(auth.sessionId));
+    assert.equal(await findSessionByRefreshToken(auth.refreshToken), null);
+    assert.ok(await findSessionByRefreshToken(rotated.refreshToken));
+  });
+
+  it('revokes the session when a retired refresh token is used again', async () => {
+    const auth = await createSession(user, request);
+    const rotated = await rotateRefreshToken(auth.refreshToken, request);
+
+    await assert.rejects(rotateRefreshToken(auth.refreshToken, request), { code: 'INVALID_REFRESH_TOKEN', statusCode: 401 });
+
+    assert.equal(sessions[0].revokedReason, 'refresh_token_reuse');
+    await assert.rejects(rotateRefreshToken(rotated.refreshToken, request), { code: 'SESSION_REVOKED' });
+  });
+
+  it('lets only one of two concurrent refreshes rotate', async () => {
+    const auth = await createSession(user, request);
+
+    const results = await Promise.allSettled([
+      rotateRefreshToken(auth.refreshToken, request),
+      rotateRefreshToken(auth.refreshToken, request)
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  });
+
+  it('refuses malformed refresh tokens', async () => {
+    await assert.rejects(rotateRefreshToken('not-a-token', request), { code: 'INVALID_REFRESH_TOKEN' });
+    await assert.rejects(rotateRefreshToken(undefined, request), { code: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  it('revokes every session but the one kept', async () => {
+    const kept = await createSession(user, request);
+    const other = await createSession(user, request);
+
+    const revoked = await revokeAllSessions(user._id, 'password_changed', { exceptSessionId: kept.sessionId });
+
+    assert.equal(revoked, 1);
+    assert.ok(await getActiveSession(kept.sessionId, user._id));
+    assert.equal(await getActiveSession(other.sessionId, user._id), null);
+    assert.equal(await getActiveSession(kept.sessionId, new mongoose.Types.ObjectId()), null);
+  });
+});
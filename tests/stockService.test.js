@@ -0,0 +1,185 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Item = require('../Models/Product');
+const StockReservation = require('../Models/StockReservation');
+const { holdStock, releaseReservation, commitOrderStock } = require('../Services/stockService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Query stand-in: the operation runs when awaited, like a Mongoose query
+const query = (run) => ({
+  select() { return this; },
+  sort() { return this; },
+  limit() { return this; },
+  lean() { return this; },
+  then(resolve, reject) { return Promise.resolve().then(run).then(resolve, reject); }
+});
+
+const sameValue = (actual, expected) => {
+  if (expected && typeof expected === 'object' && !(expected instanceof mongoose.Types.ObjectId)) {
+    if (expected.$in) return expected.$in.some(value => sameValue(actual, value));
+  }
+  if (actual === undefined || actual === null) return expected === undefined || expected === null;
+  return String(actual) === String(expected);
+};
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => sameValue(doc[key], value));
+
+// In-memory items and reservations behind the models the service uses
+function useStore({ items, reservations }) {
+  mock.method(Item, 'findById', (productId) => query(() => {
+    const item = items.find(candidate => String(candidate._id) === String(productId));
+    return item
+      ? { ...item, ItemWarehouseInfoCollection: item.ItemWarehouseInfoCollection.map(entry => ({ ...entry })) }
+      : null;
+  }));
+  mock.method(Item, 'updateOne', (filter, update) => query(() => {
+    const item = items.find(candidate => String(candidate._id) === String(filter._id));
+    const expected = filter.ItemWarehouseInfoCollection.$elemMatch;
+    const row = item?.ItemWarehouseInfoCollection.find(candidate => matches(candidate, expected));
+    if (!row) return { modifiedCount: 0 };
+    for (const [path, amount] of Object.entries(update.$inc)) {
+      if (path === 'QuantityOnStock') item.QuantityOnStock = (item.QuantityOnStock || 0) + amount;
+      else row[path.split('.').pop()] = (row[path.split('.').pop()] || 0) + amount;
+    }
+    return { modifiedCount: 1 };
+  }));
+
+  const toDocument = (reservation) => Object.assign(reservation, {
+    async save() { return this; }
+  });
+  mock.method(StockReservation, 'create', async (fields) => {
+    const reservation = toDocument({ _id: id(), createdAt: new Date(), ...fields });
+    reservations.push(reservation);
+    return reservation;
+  });
+  mock.method(StockReservation, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+    const reservation = reservations.find(candidate => matches(candidate, filter));
+    if (!reservation) return null;
+    const before = { ...reservation };
+    Object.assign(reservation, update.$set);
+    return options.new ? reservation : before;
+  }));
+  mock.method(StockReservation, 'updateOne', (filter, update) => query(() => {
+    const reservation = reservations.find(candidate => matches(candidate, filter));
+    if (!reservation) return { modifiedCount: 0 };
+    Object.assign(reservation, update.$set);
+    for (const key of Object.keys(update.$unset || {})) delete reservation[key];
+    return { modifiedCount: 1 };
+  }));
+}
+
+const stockItem = (inStock, reserved = 0) => ({
+  _id: id(),
+  ItemCode: 'OIL-1',
+  ItemName: 'Olive oil',
+  DefaultWarehouse: '01',
+  ItemWarehouseInfoCollection: [{ WarehouseCode: '01', InStock: inStock, Reserved: reserved }]
+});
+const row = (item) => item.ItemWarehouseInfoCollection[0];
+
+describe('stockService', () => {
+  let items;
+  let reservations;
+
+  beforeEach(() => {
+    items = [];
+    reservations = [];
+    mock.method(console, 'log', () => {});
+    useStore({ items, reservations });
+  });
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('holds stock and refuses a hold for more than is available', async () => {
+    const oil = stockItem(10, 6);
+    items.push(oil);
+
+    const refused = await holdStock([{ product: oil._id, quantity: 5 }]);
+    const held = await holdStock([{ product: oil._id, quantity: 2, itemsPerUnit: 2 }]);
+
+    assert.equal(refused.success, false);
+    assert.equal(refused.shortages[0].available, 4);
+    assert.equal(held.success, true);
+    assert.equal(row(oil).Reserved, 10);
+  });
+
+  it('gives a hold back once when it is released from two places at the same time', async () => {
+    const oil = stockItem(10);
+    items.push(oil);
+    const { reservation } = await holdStock([{ product: oil._id, quantity: 3 }], { cart: id() });
+    // Another cart's hold on the same stock
+    await holdStock([{ product: oil._id, quantity: 4 }], { cart: id() });
+
+    const [expired, released] = await Promise.all([
+      releaseReservation({ ...reservation }, 'expired'),
+      releaseReservation({ ...reservation }, 'payment_failed')
+    ]);
+
+    assert.equal(row(oil).Reserved, 4);
+    assert.equal([expired, released].filter(Boolean).length, 1);
+    assert.equal(reservation.status, 'expired');
+  });
+
+  it('restocks a committed reservation when it is released', async () => {
+    const oil = stockItem(10);
+    items.push(oil);
+    const order = { _id: id(), store: id() };
+    const { reservation } = await commitOrderStock(order, [{ product: oil._id, quantity: 4 }]);
+
+    await releaseReservation(reservation, 'cancelled');
+
+    assert.equal(row(oil).InStock, 10);
+    assert.equal(reservation.status, 'released');
+  });
+
+  it('converts the checkout hold when the order is committed', async () => {
+    const oil = stockItem(5);
+    items.push(oil);
+    const cartId = id();
+    await holdStock([{ product: oil._id, quantity: 5 }], { cart: cartId, paymentIntentId: 'pi_1' });
+    const order = { _id: id(), store: id() };
+
+    const result = await commitOrderStock(order, [{ product: oil._id, quantity: 5 }], { paymentIntentId: 'pi_1', cartId });
+
+    assert.equal(result.success, true);
+    assert.deepEqual([row(oil).InStock, row(oil).Reserved], [0, 0]);
+    assert.equal(reservations.length, 1);
+    assert.equal(reservations[0].status, 'committed');
+    assert.equal(String(reservations[0].order), String(order._id));
+  });
+
+  it('does not commit over a hold that was released first', async () => {
+    const oil = stockItem(5);
+    items.push(oil);
+    const { reservation } = await holdStock([{ product: oil._id, quantity: 5 }], { paymentIntentId: 'pi_1' });
+    await releaseReservation(reservation, 'expired');
+    // Someone else holds the stock that was given back
+    await holdStock([{ product: oil._id, quantity: 5 }], { paymentIntentId: 'pi_2' });
+
+    const result = await commitOrderStock({ _id: id(), store: id() }, [{ product: oil._id, quantity: 5 }], { paymentIntentId: 'pi_1' });
+
+    assert.equal(result.success, false);
+    assert.equal(reservation.status, 'expired');
+    assert.deepEqual([row(oil).InStock, row(oil).Reserved], [5, 5]);
+  });
+
+  it('hands the hold back when the order cannot be committed', async () => {
+    const oil = stockItem(5);
+    const rice = stockItem(1);
+    items.push(oil, rice);
+    const { reservation } = await holdStock([{ product: oil._id, quantity: 2 }], { paymentIntentId: 'pi_1' });
+
+    const result = await commitOrderStock(
+      { _id: id(), store: id() },
+      [{ product: oil._id, quantity: 2 }, { product: rice._id, quantity: 3 }],
+      { paymentIntentId: 'pi_1' }
+    );
+
+    assert.equal(result.success, false);
+    assert.equal(reservation.status, 'held');
+    assert.equal(reservation.order, undefined);
+    assert.deepEqual([row(oil).InStock, row(oil).Reserved], [5, 2]);
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { allocateDiscount, calculateTax } = require('../Services/taxService');
+
+const item = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  ItemCode: 'A001',
+  SalesVATGroup: 'S1',
+  VatLiable: 'tYES',
+  ...fields
+});
+
+const settings = (fields = {}) => ({
+  pricesIncludeTax: false,
+  defaultRate: 5,
+  vatGroups: new Map([['S1', 5], ['Z0', 0]]),
+  exemptVatGroup: 'EX',
+  ...fields
+});
+
+describe('allocateDiscount', () => {
+  it('spreads the discount in proportion to the line amounts', () => {
+    assert.deepEqual(allocateDiscount([60, 40], 10), [6, 4]);
+  });
+
+  it('gives the rounding difference to the last line with an amount', () => {
+    const shares = allocateDiscount([10, 10, 10, 0], 10);
+
+    assert.deepEqual(shares, [3.33, 3.33, 3.34, 0]);
+  });
+
+  it('never discounts more than the lines are worth', () => {
+    assert.deepEqual(allocateDiscount([5, 5], 25), [5, 5]);
+  });
+
+  it('allocates nothing without a discount or amounts', () => {
+    assert.deepEqual(allocateDiscount([10, 20], 0), [0, 0]);
+    assert.deepEqual(allocateDiscount([0, 0], 5), [0, 0]);
+  });
+});
+
+describe('calculateTax', () => {
+  it('adds VAT on top of VAT-exclusive prices', async () => {
+    const result = await calculateTax(
+      [{ product: item(), amount: 100 }],
+      { settings: settings(), taxExempt: false }
+    );
+
+    assert.equal(result.netTotal, 100);
+    assert.equal(result.taxTotal, 5);
+    assert.equal(result.grossTotal, 105);
+    assert.equal(result.lines[0].includedTaxRate, 0);
+  });
+
+  it('takes the VAT out of VAT-inclusive prices', async () => {
+    const result = await calculateTax(
+      [{ product: item(), amount: 105 }],
+      { settings: settings({ pricesIncludeTax: true }), taxExempt: false }
+    );
+
+    assert.equal(result.netTotal, 100);
+    assert.equal(result.taxTotal, 5);
+    assert.equal(result.grossTotal, 105);
+    assert.equal(result.lines[0].includedTaxRate, 5);
+  });
+
+  it('zero rates items that are not VAT liable and uses the VAT group rate', async () => {
+    const result = await calculateTax(
+      [
+        { product: item({ VatLiable: 'tNO' }), amount: 50 },
+        { product: item({ SalesVATGroup: 'Z0' }), amount: 30 },
+        { product: item({ SalesVATGroup: 'UNKNOWN' }), amount: 20 }
+      ],
+      { settings: settings({ defaultRate: 10 }), taxExempt: false }
+    );
+
+    assert.deepEqual(result.lines.map(line => line.taxAmount), [0, 0, 2]);
+    assert.deepEqual(result.breakdown, [
+      { taxRate: 10, netAmount: 20, taxAmount: 2 },
+      { taxRate: 0, netAmount: 80, taxAmount: 0 }
+    ]);
+  });
+
+  it('spreads the order discount over discountable lines only', async () => {
+    const result = await calculateTax(
+      [
+        { product: item(), amount: 60 },
+        { product: item(), amount: 40 },
+        { product: null, amount: 10, discountable: false }
+      ],
+      { settings: settings(), taxExempt: false, discount: 20 }
+    );
+
+    assert.deepEqual(result.lines.map(line => line.netAmount), [48, 32, 10]);
+    assert.equal(result.netTotal, 90);
+    assert.equal(result.taxTotal, 4.5);
+  });
+
+  it('charges exempt customers no VAT under the exempt VAT group', async () => {
+    const result = await calculateTax(
+      [{ product: item(), amount: 105 }],
+      { settings: settings({ pricesIncludeTax: true }), taxExempt: true }
+    );
+
+    assert.equal(result.taxExempt, true);
+    assert.equal(result.grossTotal, 100);
+    assert.equal(result.lines[0].taxRate, 0);
+    assert.equal(result.lines[0].vatGroup, 'EX');
+  });
+});